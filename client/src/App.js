@@ -10,6 +10,10 @@ import RoomJoin from './components/RoomJoin';
 import Header from './components/Header';
 import Login from './components/Login';
 import ParticipantsList from './components/ParticipantsList';
+import Chat from './components/Chat';
+import SavedPlaylists from './components/SavedPlaylists';
+import QueueRules from './components/QueueRules';
+import RoomAccess from './components/RoomAccess';
 import ErrorBoundary from './components/ErrorBoundary';
 
 // Import custom hooks
@@ -18,9 +22,11 @@ import { useAuth } from './hooks/useAuth';
 import { useRoom } from './hooks/useRoom';
 import { usePlaylist } from './hooks/usePlaylist';
 import { usePlayerControls } from './hooks/usePlayerControls';
+import { useChat } from './hooks/useChat';
+import { useSavedPlaylists } from './hooks/useSavedPlaylists';
 
 // Import constants
-import { APP_CONFIG } from './config/constants';
+import { APP_CONFIG, CAPABILITIES, ACCESS_MODES } from './config/constants';
 
 function App() {
   const [showLogin, setShowLogin] = useState(true);
@@ -30,7 +36,7 @@ function App() {
 
   // Initialize custom hooks
   const { socket, isConnected, connectionError, createSocket, disconnect } = useSocket();
-  const { user, isAuthenticated, login, logout, continueAsGuest } = useAuth(socket);
+  const { user, isAuthenticated, isCheckingSession, authError, allowGuest, login, logout, continueAsGuest } = useAuth(socket);
   const {
     roomId,
     participants,
@@ -38,40 +44,89 @@ function App() {
     currentUser,
     isOwner,
     isInRoom,
+    sessions,
+    access,
+    joinError,
     joinRoom,
     copyShareUrl,
     validateRoomName,
-    grantPlaylistPermission,
-    revokePlaylistPermission,
-    kickParticipant
+    can,
+    setRole,
+    kickParticipant,
+    setRoomAccess
   } = useRoom(socket);
-  const { currentVideo, playlist, addVideo, removeVideo, reorderPlaylist, skipVideo, handleVideoEnd } = usePlaylist(socket);
+  const {
+    currentVideo,
+    playlist,
+    skipVotes,
+    playHistory,
+    playMode,
+    queueSettings,
+    addVideo,
+    requeueVideo,
+    addVideos,
+    loadPlaylist,
+    removeVideo,
+    reorderPlaylist,
+    skipVideo,
+    voteSkip,
+    setSkipThreshold,
+    setPlayMode,
+    setQueueSettings,
+    handleVideoEnd,
+    getQueueTiming
+  } = usePlaylist(socket);
   const {
     isPlaying,
+    playback,
     volume,
-    syncTime,
+    getTargetPosition,
+    getServerNow,
     handlePlay,
     handlePause,
     handleSeek,
     handleVolumeChange,
-    toggleMute,
-    sendTimeUpdate,
-    clearSyncTime
+    toggleMute
   } = usePlayerControls(socket);
+  const { messages, sendMessage, deleteMessage, setMuted } = useChat(socket, currentUser);
+  const {
+    playlists: savedPlaylists,
+    isLoading: isLoadingPlaylists,
+    canSave: canSavePlaylists,
+    savePlaylist,
+    renamePlaylist,
+    deletePlaylist,
+    exportPlaylist,
+    importPlaylistFile
+  } = useSavedPlaylists(user);
 
   // Handle authentication
+  // (after signing in again mid-session the room is rejoined on reconnect)
   const handleLoginSuccess = (userInfo) => {
     login(userInfo);
     setShowLogin(false);
-    setShowRoomJoin(true);
+    setShowRoomJoin(!isInRoom);
   };
 
   const handleSkipLogin = () => {
     continueAsGuest();
     setShowLogin(false);
-    setShowRoomJoin(true);
+    setShowRoomJoin(!isInRoom);
   };
 
+  // Ending the session reconnects the socket; stay in the room as a guest
+  const handleSignOut = async () => {
+    await logout();
+    continueAsGuest();
+  };
+
+  // The server refused the sign-in (expired token, or sign-in required): ask again
+  useEffect(() => {
+    if (authError) {
+      setShowLogin(true);
+    }
+  }, [authError]);
+
   useEffect(() => {
     if (!socket) {
       createSocket();
@@ -79,7 +134,7 @@ function App() {
   }, [socket]);
 
   // Handle room joining - simplified to prevent duplicate notifications
-  const handleJoinRoom = (roomIdToJoin) => {
+  const handleJoinRoom = (roomIdToJoin, credentials = {}) => {
     console.log('handleJoinRoom called with:', roomIdToJoin);
 
     // Quick validation 
@@ -107,7 +162,7 @@ function App() {
     } else if (isConnected) {
       // Socket already connected, join immediately
       console.log('Socket already connected, joining room');
-      const success = joinRoom(roomIdToJoin);
+      const success = joinRoom(roomIdToJoin, credentials);
       if (success) {
         setShowRoomJoin(false);
         setIsInitialized(true);
@@ -134,6 +189,14 @@ function App() {
     }
   }, [socket, isConnected, joinRoom, hasAttemptedAutoJoin]);
 
+  // Private rooms can turn the join down; go back to the join screen to ask for a password
+  useEffect(() => {
+    if (joinError) {
+      setShowRoomJoin(true);
+      setHasAttemptedAutoJoin(false);
+    }
+  }, [joinError]);
+
   // Initialize app and check for room in URL - single useEffect
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search);
@@ -179,6 +242,9 @@ function App() {
         <Login
           onLoginSuccess={handleLoginSuccess}
           onSkipLogin={handleSkipLogin}
+          allowGuest={allowGuest}
+          notice={authError}
+          isCheckingSession={isCheckingSession}
         />
       </ErrorBoundary>
     );
@@ -194,6 +260,7 @@ function App() {
           isConnecting={!isConnected && !!socket}
           connectionError={connectionError}
           validateRoomName={validateRoomName}
+          joinError={joinError}
           user={user}
         />
       </ErrorBoundary>
@@ -222,6 +289,10 @@ function App() {
           onCopyShareUrl={copyShareUrl}
           user={user}
           isOwner={isOwner}
+          nextSession={sessions[0] || null}
+          getServerNow={getServerNow}
+          canInvite={access.mode !== ACCESS_MODES.PUBLIC && can(CAPABILITIES.MANAGE_ROOM)}
+          onSignOut={isAuthenticated ? handleSignOut : null}
         />
 
         <div className="main-container">
@@ -230,14 +301,14 @@ function App() {
               currentVideo={currentVideo}
               isPlaying={isPlaying}
               volume={volume}
-              syncTime={syncTime}
+              playback={playback}
+              getTargetPosition={getTargetPosition}
               socket={socket}
               onPlay={handlePlay}
               onPause={handlePause}
               onSeek={handleSeek}
               onVideoEnd={handleVideoEnd}
-              onSyncComplete={clearSyncTime}
-              onTimeUpdate={sendTimeUpdate}
+              canControl={can(CAPABILITIES.CONTROL_PLAYBACK)}
             />
 
             <Controls
@@ -250,7 +321,15 @@ function App() {
               onToggleMute={toggleMute}
               hasVideo={!!currentVideo}
               isConnected={isConnected}
-              canControl={currentUser?.hasPlaylistPermission || false}
+              canControl={can(CAPABILITIES.CONTROL_PLAYBACK)}
+              canSkip={can(CAPABILITIES.SKIP_VIDEO)}
+              skipVotes={skipVotes}
+              hasVotedSkip={!!currentUser && !!skipVotes?.voters.includes(currentUser.identityId)}
+              onVoteSkip={voteSkip}
+              canManageRoom={can(CAPABILITIES.MANAGE_ROOM)}
+              onSetSkipThreshold={setSkipThreshold}
+              playMode={playMode}
+              onSetPlayMode={setPlayMode}
             />
           </div>
 
@@ -258,16 +337,28 @@ function App() {
             <ParticipantsList
               participants={participants}
               currentUser={currentUser}
-              isOwner={isOwner}
-              onGrantPermission={grantPlaylistPermission}
-              onRevokePermission={revokePlaylistPermission}
+              canManageRoles={can(CAPABILITIES.MANAGE_ROLES)}
+              canKick={can(CAPABILITIES.KICK_PARTICIPANT)}
+              canModerateChat={can(CAPABILITIES.MODERATE_CHAT)}
+              onSetRole={setRole}
               onKickParticipant={kickParticipant}
+              onSetMuted={setMuted}
+            />
+
+            <Chat
+              messages={messages}
+              participants={participants}
+              currentUser={currentUser}
+              canModerate={can(CAPABILITIES.MODERATE_CHAT)}
+              onSendMessage={sendMessage}
+              onDeleteMessage={deleteMessage}
             />
 
             <VideoSearch
               onAddVideo={addVideo}
+              onAddVideos={addVideos}
               isConnected={isConnected}
-              canAddVideo={currentUser?.hasPlaylistPermission || false}
+              canAddVideo={can(CAPABILITIES.ADD_VIDEO)}
             />
 
             <Playlist
@@ -276,8 +367,50 @@ function App() {
               onRemoveVideo={removeVideo}
               onReorderPlaylist={reorderPlaylist}
               isConnected={isConnected}
-              canEdit={currentUser?.hasPlaylistPermission || false}
+              canEdit={can(CAPABILITIES.REORDER_PLAYLIST)}
+              canRemove={can(CAPABILITIES.REMOVE_VIDEO)}
+              playHistory={playHistory}
+              onRequeue={requeueVideo}
+              canRequeue={can(CAPABILITIES.ADD_VIDEO)}
+              queueTiming={getQueueTiming(getTargetPosition())}
+              playMode={playMode}
+              queueSettings={queueSettings}
+              canManageQueue={can(CAPABILITIES.MANAGE_ROOM)}
+              onSetQueueSettings={setQueueSettings}
             />
+
+            {can(CAPABILITIES.MANAGE_ROOM) && (
+              <QueueRules
+                queueSettings={queueSettings}
+                isConnected={isConnected}
+                onSetQueueSettings={setQueueSettings}
+              />
+            )}
+
+            {isOwner && (
+              <RoomAccess
+                access={access}
+                isConnected={isConnected}
+                onSetRoomAccess={setRoomAccess}
+                onCopyInvite={copyShareUrl}
+              />
+            )}
+
+            {canSavePlaylists && (
+              <SavedPlaylists
+                playlists={savedPlaylists}
+                isLoading={isLoadingPlaylists}
+                roomId={roomId}
+                hasQueue={!!currentVideo || playlist.length > 0}
+                canLoad={can(CAPABILITIES.ADD_VIDEO)}
+                onSave={savePlaylist}
+                onLoad={loadPlaylist}
+                onRename={renamePlaylist}
+                onDelete={deletePlaylist}
+                onExport={exportPlaylist}
+                onImportFile={importPlaylistFile}
+              />
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { APP_CONFIG } from '../config/constants';
+
+const Chat = ({
+  messages,
+  participants,
+  currentUser,
+  canModerate = false,
+  onSendMessage,
+  onDeleteMessage
+}) => {
+  const [text, setText] = useState('');
+  const [showChat, setShowChat] = useState(true);
+  const messagesEndRef = useRef(null);
+  const inputRef = useRef(null);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (showChat && messagesEndRef.current) {
+      messagesEndRef.current.scrollIntoView({ block: 'end' });
+    }
+  }, [messages, showChat]);
+
+  // Suggest participants while typing an @mention at the end of the input
+  const mentionMatch = text.match(/@([^\s@]*)$/);
+  const mentionSuggestions = mentionMatch
+    ? Array.from(new Set((participants || []).map(p => p.username)))
+        .filter(name => name !== currentUser?.username)
+        .filter(name => name.toLowerCase().startsWith(mentionMatch[1].toLowerCase()))
+        .slice(0, 5)
+    : [];
+
+  const insertMention = (username) => {
+    setText(text.replace(/@([^\s@]*)$/, `@${username} `));
+    inputRef.current?.focus();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (onSendMessage(text)) {
+      setText('');
+    }
+  };
+
+  const formatTime = (timestamp) => {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  };
+
+  // Highlight @mentions in message text
+  const renderText = (messageText) => {
+    return messageText.split(/(@[^\s@]+)/g).map((part, index) => (
+      part.startsWith('@')
+        ? <span key={index} className="chat-mention">{part}</span>
+        : part
+    ));
+  };
+
+  const isMuted = currentUser?.isMuted;
+
+  return (
+    <div className="chat-section">
+      <button
+        className="participants-toggle"
+        onClick={() => setShowChat(!showChat)}
+      >
+        💬 Chat
+        <span className={`chevron ${showChat ? 'open' : ''}`}>▼</span>
+      </button>
+
+      {showChat && (
+        <div className="chat-body">
+          <div className="chat-messages">
+            {messages.length === 0 && (
+              <div className="chat-empty">No messages yet. Say hi!</div>
+            )}
+
+            {messages.map((message) => {
+              const isOwnMessage = message.identityId === currentUser?.identityId;
+              const mentionsMe = !!currentUser && message.mentions?.includes(currentUser.identityId);
+
+              return (
+                <div
+                  key={message.id}
+                  className={`chat-message ${mentionsMe ? 'mentioned' : ''}`}
+                >
+                  <div className="chat-message-header">
+                    <span className="chat-author">
+                      {message.username}
+                      {isOwnMessage && <span className="you-badge">(You)</span>}
+                    </span>
+                    <span className="chat-time">{formatTime(message.createdAt)}</span>
+                    {(canModerate || isOwnMessage) && (
+                      <button
+                        className="chat-delete-btn"
+                        onClick={() => onDeleteMessage(message.id)}
+                        title="Delete message"
+                      >
+                        <i className="fas fa-times"></i>
+                      </button>
+                    )}
+                  </div>
+                  <div className="chat-text">{renderText(message.text)}</div>
+                </div>
+              );
+            })}
+            <div ref={messagesEndRef} />
+          </div>
+
+          {mentionSuggestions.length > 0 && (
+            <div className="chat-mention-suggestions">
+              {mentionSuggestions.map((name) => (
+                <button key={name} type="button" onClick={() => insertMention(name)}>
+                  @{name}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <form className="chat-form" onSubmit={handleSubmit}>
+            <input
+              ref={inputRef}
+              type="text"
+              className="chat-input"
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder={isMuted ? 'You are muted in this room' : 'Message the room... (@ to mention)'}
+              maxLength={APP_CONFIG.maxChatMessageLength}
+              disabled={isMuted}
+            />
+            <button
+              type="submit"
+              className="chat-send-btn"
+              disabled={isMuted || !text.trim()}
+              title="Send"
+            >
+              <i className="fas fa-paper-plane"></i>
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Chat;
@@ -1,4 +1,17 @@
 import React, { useState, useEffect } from "react";
+import { PLAY_MODES, PLAY_MODE_OPTIONS } from "../config/constants";
+
+// Skip vote thresholds offered to moderators: a share of the room or a number of votes
+const SKIP_THRESHOLD_OPTIONS = [
+  { value: "25%", label: "Skip at 25%" },
+  { value: "50%", label: "Skip at 50%" },
+  { value: "75%", label: "Skip at 75%" },
+  { value: "100%", label: "Skip at 100%" },
+  { value: "1", label: "Skip at 1 vote" },
+  { value: "2", label: "Skip at 2 votes" },
+  { value: "3", label: "Skip at 3 votes" },
+  { value: "5", label: "Skip at 5 votes" },
+];
 
 const Controls = ({
   isPlaying,
@@ -11,6 +24,14 @@ const Controls = ({
   hasVideo,
   isConnected,
   canControl = true,
+  canSkip = canControl,
+  skipVotes = null,
+  hasVotedSkip = false,
+  onVoteSkip,
+  canManageRoom = false,
+  onSetSkipThreshold,
+  playMode = PLAY_MODES.NORMAL,
+  onSetPlayMode,
 }) => {
   const [localVolume, setLocalVolume] = useState(volume);
   const [isMuted, setIsMuted] = useState(false);
@@ -72,6 +93,17 @@ const Controls = ({
   };
 
   const isControlsDisabled = !isConnected || !hasVideo || !canControl;
+  // Without the skip capability the skip button casts a vote instead
+  const isVoteMode = !canSkip && !!onVoteSkip;
+  const isSkipDisabled = !isConnected || !hasVideo || (isVoteMode ? hasVotedSkip : !canSkip);
+  const showSkipVotes = hasVideo && skipVotes && (isVoteMode || skipVotes.votes > 0);
+  const playModeIndex = Math.max(0, PLAY_MODE_OPTIONS.findIndex((option) => option.value === playMode));
+  const currentPlayMode = PLAY_MODE_OPTIONS[playModeIndex];
+  const nextPlayMode = PLAY_MODE_OPTIONS[(playModeIndex + 1) % PLAY_MODE_OPTIONS.length];
+  const isPlayModeDisabled = !isConnected || !canControl || !onSetPlayMode;
+  const thresholdValue = skipVotes?.threshold
+    ? `${skipVotes.threshold.value}${skipVotes.threshold.type === "percent" ? "%" : ""}`
+    : "";
 
   return (
     <div className="controls">
@@ -86,7 +118,7 @@ const Controls = ({
       {isConnected && !canControl && (
         <div className="controls-offline">
           <i className="fas fa-lock"></i>
-          <span>You need playlist permission to control playback</span>
+          <span>You need the DJ role to control playback</span>
         </div>
       )}
 
@@ -99,7 +131,7 @@ const Controls = ({
           !isConnected 
             ? "Connect to control playback"
             : !canControl
-            ? "You need playlist permission to control playback"
+            ? "You need the DJ role to control playback"
             : isPlaying
             ? "Pause"
             : "Play"
@@ -115,22 +147,76 @@ const Controls = ({
       {/* Skip Button */}
       <button
         className="control-btn"
-        onClick={onSkip}
-        disabled={isControlsDisabled}
+        onClick={isVoteMode ? onVoteSkip : onSkip}
+        disabled={isSkipDisabled}
         title={
           !isConnected 
             ? "Connect to skip videos" 
-            : !canControl
-            ? "You need playlist permission to skip videos"
+            : isVoteMode
+            ? hasVotedSkip
+              ? "You voted to skip this video"
+              : "Vote to skip this video"
+            : !canSkip
+            ? "You need the DJ role to skip videos"
             : "Skip to next video"
         }
         style={{
-          opacity: isControlsDisabled ? 0.3 : 1,
+          opacity: isSkipDisabled ? 0.3 : 1,
         }}
       >
-        <i className="fas fa-forward"></i>
+        <i className={isVoteMode ? "fas fa-thumbs-down" : "fas fa-forward"}></i>
+      </button>
+
+      {/* Play mode: each click moves to the next mode */}
+      <button
+        className={`control-btn play-mode-btn ${playMode !== PLAY_MODES.NORMAL ? "active" : ""}`}
+        onClick={() => onSetPlayMode(nextPlayMode.value)}
+        disabled={isPlayModeDisabled}
+        title={
+          isPlayModeDisabled
+            ? currentPlayMode.label
+            : `${currentPlayMode.label} (click for ${nextPlayMode.label.toLowerCase()})`
+        }
+      >
+        <i className={`fas ${currentPlayMode.icon}`}></i>
+        {playMode === PLAY_MODES.REPEAT_ONE && <span className="play-mode-badge">1</span>}
       </button>
 
+      {/* Vote-to-skip progress */}
+      {showSkipVotes && (
+        <div className="skip-votes" title="Votes to skip the current video">
+          <span>
+            Skip votes: {skipVotes.votes}/{skipVotes.required}
+          </span>
+          <div className="skip-votes-bar">
+            <div
+              className="skip-votes-progress"
+              style={{
+                width: `${Math.min(100, (skipVotes.votes / skipVotes.required) * 100)}%`,
+              }}
+            ></div>
+          </div>
+        </div>
+      )}
+
+      {canManageRoom && onSetSkipThreshold && skipVotes?.threshold && (
+        <select
+          className="skip-threshold-select"
+          value={thresholdValue}
+          onChange={(e) => onSetSkipThreshold(e.target.value)}
+          title="Votes needed to skip"
+        >
+          {SKIP_THRESHOLD_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+          {!SKIP_THRESHOLD_OPTIONS.some((option) => option.value === thresholdValue) && (
+            <option value={thresholdValue}>{thresholdValue}</option>
+          )}
+        </select>
+      )}
+
       {/* Current Status Indicator */}
       <div
         style={{
@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import SessionCountdown from './SessionCountdown';
 
 const Header = ({ 
   roomId, 
@@ -7,7 +8,11 @@ const Header = ({
   onLeaveRoom, 
   onCopyShareUrl,
   user = null,
-  isOwner = false
+  isOwner = false,
+  nextSession = null,
+  getServerNow,
+  canInvite = false, // Private room and allowed to create invite links
+  onSignOut = null
 }) => {
   const [showDropdown, setShowDropdown] = useState(false);
 
@@ -22,6 +27,11 @@ const Header = ({
     setShowDropdown(false);
   };
 
+  const handleSignOut = () => {
+    onSignOut();
+    setShowDropdown(false);
+  };
+
   const handleCopyShareUrl = () => {
     onCopyShareUrl();
     setShowDropdown(false);
@@ -55,6 +65,10 @@ const Header = ({
             <span>{participantCount}</span>
           </span>
 
+          {nextSession && (
+            <SessionCountdown session={nextSession} getServerNow={getServerNow} compact />
+          )}
+
           {user && (
             <span className="user-info">
               {user.avatar && (
@@ -85,8 +99,18 @@ const Header = ({
                   onClick={handleCopyShareUrl}
                 >
                   <i className="fas fa-link"></i>
-                  Copy Room Link
+                  {canInvite ? 'Copy Invite Link' : 'Copy Room Link'}
                 </button>
+
+                {onSignOut && (
+                  <button 
+                    className="dropdown-item"
+                    onClick={handleSignOut}
+                  >
+                    <i className="fas fa-user-slash"></i>
+                    Sign Out
+                  </button>
+                )}
                 
                 <button 
                   className="dropdown-item danger"
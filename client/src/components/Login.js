@@ -1,7 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { createCodeVerifier, createCodeChallenge } from '../utils/pkce';
 
-const Login = ({ onLoginSuccess, onSkipLogin }) => {
+// The sign-in in progress ({ state, codeVerifier }), kept across the redirect to the provider
+const OAUTH_REQUEST_KEY = 'oauthRequest';
+
+const Login = ({ onLoginSuccess, onSkipLogin, allowGuest = true, notice = '', isCheckingSession = false }) => {
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState('');
     const [authUrl, setAuthUrl] = useState('');
@@ -21,10 +25,10 @@ const Login = ({ onLoginSuccess, onSkipLogin }) => {
         const clientId = process.env.REACT_APP_OAUTH2_CLIENT_ID;
         const redirectUri = process.env.REACT_APP_OAUTH2_REDIRECT_URI;
         const oauthUrl = process.env.REACT_APP_OAUTH2_API_URL;
-        const state = Math.random().toString(36).substring(2, 15);
 
+        // State and PKCE parameters are added when the sign-in starts
         if (clientId && redirectUri && oauthUrl) {
-            const url = `${oauthUrl}/oauth2/auth?client_id=${clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=code&scope=openid&state=${state}`;
+            const url = `${oauthUrl}/oauth2/auth?client_id=${clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=code&scope=openid`;
             setAuthUrl(url);
         }
     }, []);
@@ -34,25 +38,28 @@ const Login = ({ onLoginSuccess, onSkipLogin }) => {
             setIsLoading(true);
             setError('');
 
-            // Exchange code for token
-            const tokenResponse = await axios.post('/api/auth/token', { code, scope, state });
-            const { access_token } = tokenResponse.data;
-
-            // Verify token and get user info
-            const userResponse = await axios.post('/api/auth/verify', { access_token });
-            const userInfo = { ...userResponse.data, accessToken: access_token };
+            // The response must answer the sign-in this browser started
+            const request = JSON.parse(sessionStorage.getItem(OAUTH_REQUEST_KEY) || 'null');
+            sessionStorage.removeItem(OAUTH_REQUEST_KEY);
+            if (!request || request.state !== state) {
+                throw new Error('This sign-in response does not match a sign-in started in this browser. Please sign in again.');
+            }
 
-            // Store in localStorage
-            localStorage.setItem('authToken', access_token);
-            localStorage.setItem('userInfo', JSON.stringify(userInfo));
+            // Exchange code for a session; the server keeps the token and sets a session cookie
+            const tokenResponse = await axios.post('/api/auth/token', {
+                code,
+                scope,
+                state,
+                codeVerifier: request.codeVerifier
+            }, { withCredentials: true });
 
             // Clear URL params
             window.history.replaceState({}, document.title, window.location.pathname);
 
-            onLoginSuccess(userInfo);
+            onLoginSuccess(tokenResponse.data.user);
         } catch (error) {
             console.error('Authentication failed:', error);
-            setError(error.response?.data?.message || 'Authentication failed');
+            setError(error.response?.data?.message || error.message || 'Authentication failed');
             // Clear URL params on error
             window.history.replaceState({}, document.title, window.location.pathname);
         } finally {
@@ -60,9 +67,24 @@ const Login = ({ onLoginSuccess, onSkipLogin }) => {
         }
     };
 
-    const handleLogin = () => {
-        if (authUrl) {
-            window.location.href = authUrl;
+    const handleLogin = async () => {
+        if (!authUrl) return;
+
+        try {
+            setIsLoading(true);
+            setError('');
+
+            // The server issues the state and ties it to this browser's PKCE challenge
+            const codeVerifier = createCodeVerifier();
+            const codeChallenge = await createCodeChallenge(codeVerifier);
+            const { data } = await axios.post('/api/auth/state', { codeChallenge });
+
+            sessionStorage.setItem(OAUTH_REQUEST_KEY, JSON.stringify({ state: data.state, codeVerifier }));
+            window.location.href = `${authUrl}&state=${encodeURIComponent(data.state)}&code_challenge=${codeChallenge}&code_challenge_method=S256`;
+        } catch (error) {
+            console.error('Failed to start sign-in:', error);
+            setError(error.response?.data?.message || 'Unable to start the sign-in');
+            setIsLoading(false);
         }
     };
 
@@ -70,36 +92,11 @@ const Login = ({ onLoginSuccess, onSkipLogin }) => {
         onSkipLogin();
     };
 
-    // Check for stored auth
-    useEffect(() => {
-        const storedToken = localStorage.getItem('authToken');
-        const storedUserInfo = localStorage.getItem('userInfo');
-
-        if (storedToken && storedUserInfo) {
-            try {
-                const userInfo = JSON.parse(storedUserInfo);
-                // Verify token is still valid
-                axios.post('/api/auth/verify', { access_token: storedToken })
-                    .then(() => {
-                        onLoginSuccess({ ...userInfo, accessToken: storedToken });
-                    })
-                    .catch(() => {
-                        // Token expired, clear storage
-                        localStorage.removeItem('authToken');
-                        localStorage.removeItem('userInfo');
-                    });
-            } catch (error) {
-                localStorage.removeItem('authToken');
-                localStorage.removeItem('userInfo');
-            }
-        }
-    }, [onLoginSuccess]);
-
-    if (isLoading) {
+    if (isLoading || isCheckingSession) {
         return (
             <div className="login-container">
                 <div className="login-card">
-                    <h2>Authenticating...</h2>
+                    <h2>{isLoading ? 'Authenticating...' : 'Checking sign-in...'}</h2>
                     <div className="loading-spinner"></div>
                 </div>
             </div>
@@ -112,9 +109,9 @@ const Login = ({ onLoginSuccess, onSkipLogin }) => {
                 <h1>Listen Together</h1>
                 <p>Join a room to watch YouTube videos together with friends!</p>
 
-                {error && (
+                {(error || notice) && (
                     <div className="error-message">
-                        {error}
+                        {error || notice}
                     </div>
                 )}
 
@@ -133,13 +130,15 @@ const Login = ({ onLoginSuccess, onSkipLogin }) => {
                         </div>
                     )}
 
-                    <button
-                        className="login-button secondary"
-                        onClick={handleSkip}
-                        disabled={isLoading}
-                    >
-                        Continue as Guest
-                    </button>
+                    {allowGuest && (
+                        <button
+                            className="login-button secondary"
+                            onClick={handleSkip}
+                            disabled={isLoading}
+                        >
+                            Continue as Guest
+                        </button>
+                    )}
                 </div>
 
                 <div className="login-info">
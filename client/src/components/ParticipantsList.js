@@ -1,12 +1,15 @@
 import React, { useState } from 'react';
+import { ROLES, ROLE_LABELS, ROLE_RANK, ASSIGNABLE_ROLES } from '../config/constants';
 
 const ParticipantsList = ({ 
   participants, 
   currentUser, 
-  isOwner, 
-  onGrantPermission, 
-  onRevokePermission, 
-  onKickParticipant 
+  canManageRoles = false, 
+  canKick = false, 
+  canModerateChat = false, 
+  onSetRole, 
+  onKickParticipant, 
+  onSetMuted 
 }) => {
   const [showParticipants, setShowParticipants] = useState(false);
 
@@ -14,13 +17,13 @@ const ParticipantsList = ({
     return null;
   }
 
-  const handlePermissionToggle = (participant) => {
-    if (participant.hasPlaylistPermission) {
-      onRevokePermission(participant.socketId);
-    } else {
-      onGrantPermission(participant.socketId);
-    }
-  };
+  const myRank = ROLE_RANK[currentUser?.role] ?? 0;
+
+  // Only participants with a lower role can be managed
+  const canManage = (participant) => (
+    participant.identityId !== currentUser?.identityId &&
+    ROLE_RANK[participant.role] < myRank
+  );
 
   return (
     <div className="participants-section">
@@ -48,33 +51,48 @@ const ParticipantsList = ({
                   <span className="participant-name">
                     {participant.username}
                     {participant.isOwner && <span className="owner-badge">👑</span>}
-                    {participant.socketId === currentUser?.socketId && <span className="you-badge">(You)</span>}
+                    {participant.identityId === currentUser?.identityId && <span className="you-badge">(You)</span>}
+                    {participant.isMuted && <span className="muted-badge" title="Muted in chat">🔇</span>}
                   </span>
-                  {participant.hasPlaylistPermission && !participant.isOwner && (
-                    <span className="permission-badge">🎵 Can edit playlist</span>
+                  {participant.role && participant.role !== ROLES.LISTENER && !participant.isOwner && (
+                    <span className="role-badge">{ROLE_LABELS[participant.role]}</span>
                   )}
                 </div>
               </div>
 
-              {isOwner && participant.socketId !== currentUser?.socketId && (
+              {canManage(participant) && (canManageRoles || canKick || canModerateChat) && (
                 <div className="participant-actions">
-                  {!participant.isOwner && (
-                    <>
-                      <button
-                        className={`permission-btn ${participant.hasPlaylistPermission ? 'revoke' : 'grant'}`}
-                        onClick={() => handlePermissionToggle(participant)}
-                        title={participant.hasPlaylistPermission ? 'Revoke playlist permission' : 'Grant playlist permission'}
-                      >
-                        {participant.hasPlaylistPermission ? '🚫' : '🎵'}
-                      </button>
-                      <button
-                        className="kick-btn"
-                        onClick={() => onKickParticipant(participant.socketId)}
-                        title="Kick from room"
-                      >
-                        👢
-                      </button>
-                    </>
+                  {canManageRoles && (
+                    <select
+                      className="role-select"
+                      value={participant.role}
+                      onChange={(e) => onSetRole(participant.identityId, e.target.value)}
+                      title="Change role"
+                    >
+                      {ASSIGNABLE_ROLES
+                        .filter(role => ROLE_RANK[role] < myRank)
+                        .map(role => (
+                          <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                        ))}
+                    </select>
+                  )}
+                  {canModerateChat && (
+                    <button
+                      className="mute-btn"
+                      onClick={() => onSetMuted(participant.identityId, !participant.isMuted)}
+                      title={participant.isMuted ? 'Unmute in chat' : 'Mute in chat'}
+                    >
+                      {participant.isMuted ? '🔊' : '🔇'}
+                    </button>
+                  )}
+                  {canKick && (
+                    <button
+                      className="kick-btn"
+                      onClick={() => onKickParticipant(participant.identityId)}
+                      title="Kick from room"
+                    >
+                      👢
+                    </button>
                   )}
                 </div>
               )}
@@ -1,10 +1,33 @@
 import React, { useState } from 'react';
 import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
 import toast from 'react-hot-toast';
+import { PLAY_MODES } from '../config/constants';
+import { formatDuration, formatApproxTime } from '../utils/time';
+import { FALLBACK_THUMBNAIL, handleThumbnailError } from '../utils/media';
 
-const Playlist = ({ playlist, currentVideo, onRemoveVideo, onReorderPlaylist, isConnected = true, canEdit = true }) => {
+// Per-person queue limits offered to moderators (0 = no limit)
+const MAX_PER_USER_OPTIONS = [0, 1, 2, 3, 5, 10];
+
+const Playlist = ({
+  playlist,
+  currentVideo,
+  onRemoveVideo,
+  onReorderPlaylist,
+  isConnected = true,
+  canEdit = true,
+  canRemove = canEdit,
+  playHistory = [],
+  onRequeue,
+  canRequeue = canEdit,
+  queueTiming = null,
+  playMode = PLAY_MODES.NORMAL,
+  queueSettings = { fairQueue: false, maxPerUser: 0, radio: false },
+  canManageQueue = false,
+  onSetQueueSettings
+}) => {
   // eslint-disable-next-line no-unused-vars
   const [draggedItem, setDraggedItem] = useState(null);
+  const [activeTab, setActiveTab] = useState('queue');
 
   const handleDragStart = (result) => {
     if (!canEdit) return;
@@ -31,14 +54,90 @@ const Playlist = ({ playlist, currentVideo, onRemoveVideo, onReorderPlaylist, is
   };
 
   const handleRemoveVideo = (videoId, videoTitle) => {
-    if (!canEdit) return;
+    if (!canRemove) return;
     onRemoveVideo(videoId);
     toast.success(`Removed: ${videoTitle}`, { icon: '🗑️' });
   };
 
+  // Shuffle picks at random and repeat-one replays the current video, so start times are unknown
+  const showEta = !!queueTiming && playMode !== PLAY_MODES.SHUFFLE && playMode !== PLAY_MODES.REPEAT_ONE;
+
+  const tabs = (
+    <div className="playlist-tabs">
+      <button
+        className={`playlist-tab ${activeTab === 'queue' ? 'active' : ''}`}
+        onClick={() => setActiveTab('queue')}
+      >
+        Up Next ({playlist.length})
+      </button>
+      <button
+        className={`playlist-tab ${activeTab === 'history' ? 'active' : ''}`}
+        onClick={() => setActiveTab('history')}
+      >
+        Recently Played ({playHistory.length})
+      </button>
+    </div>
+  );
+
+  const queueSettingsBar = canManageQueue && onSetQueueSettings ? (
+    <div className="queue-settings">
+      <button
+        className={`queue-fair-btn ${queueSettings.fairQueue ? 'active' : ''}`}
+        onClick={() => onSetQueueSettings({ fairQueue: !queueSettings.fairQueue })}
+        disabled={!isConnected}
+        title="Take turns between the people adding videos"
+      >
+        <i className="fas fa-users"></i> Take turns
+      </button>
+      <button
+        className={`queue-fair-btn ${queueSettings.radio ? 'active' : ''}`}
+        onClick={() => onSetQueueSettings({ radio: !queueSettings.radio })}
+        disabled={!isConnected}
+        title="Add related tracks when the queue runs low"
+      >
+        <i className="fas fa-broadcast-tower"></i> Radio
+      </button>
+      <select
+        className="queue-limit-select"
+        value={queueSettings.maxPerUser}
+        onChange={(e) => onSetQueueSettings({ maxPerUser: Number(e.target.value) })}
+        disabled={!isConnected}
+        title="Videos each person can have queued"
+      >
+        {MAX_PER_USER_OPTIONS.map((value) => (
+          <option key={value} value={value}>
+            {value === 0 ? 'No limit per person' : `${value} per person`}
+          </option>
+        ))}
+        {!MAX_PER_USER_OPTIONS.includes(queueSettings.maxPerUser) && (
+          <option value={queueSettings.maxPerUser}>{queueSettings.maxPerUser} per person</option>
+        )}
+      </select>
+    </div>
+  ) : (queueSettings.fairQueue || queueSettings.radio) && (
+    <div className="queue-settings-note">
+      {queueSettings.fairQueue && <span><i className="fas fa-users"></i> Taking turns between contributors</span>}
+      {queueSettings.radio && <span><i className="fas fa-broadcast-tower"></i> Radio on</span>}
+    </div>
+  );
+
+  if (activeTab === 'history') {
+    return (
+      <div className="playlist-section">
+        {tabs}
+        <PlayHistory
+          history={playHistory}
+          onRequeue={onRequeue}
+          canRequeue={canRequeue && isConnected}
+        />
+      </div>
+    );
+  }
+
   if (playlist.length === 0) {
     return (
       <div className="playlist-section">
+        {tabs}
         <div className="playlist-header">
           <h2 className="playlist-title">
             <i className="fas fa-list" style={{ marginRight: '0.5rem' }}></i>
@@ -46,10 +145,11 @@ const Playlist = ({ playlist, currentVideo, onRemoveVideo, onReorderPlaylist, is
           </h2>
           <span className="playlist-count">0 videos</span>
         </div>
+        {queueSettingsBar}
         
         {!canEdit && (
           <div className="permission-message">
-            You need playlist permission to manage videos
+            You need the DJ role to manage videos
           </div>
         )}
         
@@ -57,7 +157,7 @@ const Playlist = ({ playlist, currentVideo, onRemoveVideo, onReorderPlaylist, is
           <i className="fas fa-music"></i>
           <p>No videos in playlist</p>
           <small style={{ color: '#999', marginTop: '0.5rem', display: 'block' }}>
-            {canEdit ? 'Search and add videos to get started' : 'Ask the room owner for playlist permission'}
+            {canEdit ? 'Search and add videos to get started' : 'Ask a moderator for the DJ role'}
           </small>
         </div>
       </div>
@@ -66,6 +166,7 @@ const Playlist = ({ playlist, currentVideo, onRemoveVideo, onReorderPlaylist, is
 
   return (
     <div className="playlist-section">
+      {tabs}
       <div className="playlist-header">
         <h2 className="playlist-title">
           <i className="fas fa-list" style={{ marginRight: '0.5rem' }}></i>
@@ -73,8 +174,14 @@ const Playlist = ({ playlist, currentVideo, onRemoveVideo, onReorderPlaylist, is
         </h2>
         <span className="playlist-count">
           {playlist.length} video{playlist.length !== 1 ? 's' : ''}
+          {showEta && (
+            <span title={queueTiming.isEstimate ? 'Includes videos of unknown length' : 'Time left in the queue'}>
+              {' '}• {formatApproxTime(queueTiming.remaining)} left
+            </span>
+          )}
         </span>
       </div>
+      {queueSettingsBar}
 
       <DragDropContext onDragStart={handleDragStart} onDragEnd={handleDragEnd}>
         <Droppable droppableId="playlist" isDropDisabled={!canEdit}>
@@ -92,7 +199,7 @@ const Playlist = ({ playlist, currentVideo, onRemoveVideo, onReorderPlaylist, is
             >
               {!canEdit && (
                 <div className="permission-message" style={{ marginBottom: '1rem' }}>
-                  You need playlist permission to reorder or remove videos
+                  You need the DJ role to reorder or remove videos
                 </div>
               )}
               
@@ -135,7 +242,7 @@ const Playlist = ({ playlist, currentVideo, onRemoveVideo, onReorderPlaylist, is
                       </div>
 
                       <img 
-                        src={video.thumbnail} 
+                        src={video.thumbnail || FALLBACK_THUMBNAIL}
                         alt={video.title}
                         className="playlist-thumbnail"
                         onError={(e) => {
@@ -149,10 +256,20 @@ const Playlist = ({ playlist, currentVideo, onRemoveVideo, onReorderPlaylist, is
                         </div>
                         <div className="playlist-item-channel">
                           {video.channelTitle}
-                          {video.addedBy && (
+                          {video.addedBy === 'radio' ? (
+                            <span className="added-by radio"> • Radio pick</span>
+                          ) : video.addedBy && (
                             <span className="added-by"> • Added by {video.addedBy}</span>
                           )}
                         </div>
+                        <div className="playlist-item-timing">
+                          {formatDuration(video.duration) || 'Unknown length'}
+                          {showEta && queueTiming.startsIn[video.id] !== undefined && (
+                            <span className="playlist-item-eta">
+                              {' '}• plays in {formatApproxTime(queueTiming.startsIn[video.id])}
+                            </span>
+                          )}
+                        </div>
                       </div>
 
                       <div className="playlist-actions">
@@ -162,15 +279,15 @@ const Playlist = ({ playlist, currentVideo, onRemoveVideo, onReorderPlaylist, is
                             e.stopPropagation();
                             handleRemoveVideo(video.id, video.title);
                           }}
-                          title={canEdit ? "Remove from playlist" : "You need permission to remove videos"}
-                          disabled={!canEdit}
+                          title={canRemove ? "Remove from playlist" : "You need permission to remove videos"}
+                          disabled={!canRemove}
                           style={{ 
-                            background: canEdit ? 'rgba(255, 59, 59, 0.1)' : 'rgba(200, 200, 200, 0.1)',
-                            color: canEdit ? (currentVideo?.id === video.id ? 'white' : '#ff3b3b') : '#ccc',
-                            cursor: canEdit ? 'pointer' : 'not-allowed'
+                            background: canRemove ? 'rgba(255, 59, 59, 0.1)' : 'rgba(200, 200, 200, 0.1)',
+                            color: canRemove ? (currentVideo?.id === video.id ? 'white' : '#ff3b3b') : '#ccc',
+                            cursor: canRemove ? 'pointer' : 'not-allowed'
                           }}
                         >
-                          <i className={`fas ${canEdit ? 'fa-times' : 'fa-lock'}`}></i>
+                          <i className={`fas ${canRemove ? 'fa-times' : 'fa-lock'}`}></i>
                         </button>
                       </div>
 
@@ -215,4 +332,65 @@ const Playlist = ({ playlist, currentVideo, onRemoveVideo, onReorderPlaylist, is
   );
 };
 
+// Recently played items, newest first, with one-click re-queue
+const PlayHistory = ({ history, onRequeue, canRequeue }) => {
+  if (history.length === 0) {
+    return (
+      <div className="empty-state">
+        <i className="fas fa-history"></i>
+        <p>Nothing has been played yet</p>
+      </div>
+    );
+  }
+
+  const formatTime = (timestamp) => {
+    return timestamp
+      ? new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : '';
+  };
+
+  return (
+    <div className="playlist">
+      {[...history].reverse().map((entry) => (
+        <div key={entry.id} className="playlist-item history-item">
+          <img
+            src={entry.thumbnail || FALLBACK_THUMBNAIL}
+            alt={entry.title}
+            className="playlist-thumbnail"
+            onError={handleThumbnailError}
+          />
+
+          <div className="playlist-info">
+            <div className="playlist-item-title" title={entry.title}>
+              {entry.title}
+            </div>
+            <div className="playlist-item-channel">
+              {formatTime(entry.startedAt || entry.endedAt)}
+              <span className={`history-outcome ${entry.outcome}`}>
+                {entry.outcome === 'skipped' ? ' • Skipped' : ' • Played'}
+              </span>
+              {entry.addedBy === 'radio' ? (
+                <span className="added-by radio"> • Radio pick</span>
+              ) : entry.addedBy && (
+                <span className="added-by"> • Added by {entry.addedBy}</span>
+              )}
+            </div>
+          </div>
+
+          <div className="playlist-actions">
+            <button
+              className="action-btn"
+              onClick={() => canRequeue && onRequeue(entry)}
+              disabled={!canRequeue}
+              title={canRequeue ? 'Add to playlist again' : 'You need playlist permission to add videos'}
+            >
+              <i className={`fas ${canRequeue ? 'fa-redo' : 'fa-lock'}`}></i>
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
 export default Playlist;
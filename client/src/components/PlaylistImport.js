@@ -0,0 +1,94 @@
+import React from 'react';
+import { usePlaylistImport } from '../hooks/usePlaylistImport';
+
+const PlaylistImport = ({ onAddVideos, isConnected, canAddVideo = true }) => {
+  const {
+    importInput,
+    setImportInput,
+    importResult,
+    isImporting,
+    resolveImport,
+    clearImport
+  } = usePlaylistImport();
+
+  const isDisabled = !isConnected || !canAddVideo;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    resolveImport();
+  };
+
+  const handleAddAll = () => {
+    if (isDisabled || !importResult?.videos.length) {
+      return;
+    }
+    onAddVideos(importResult.videos);
+    clearImport();
+  };
+
+  return (
+    <div className="import-panel">
+      <form onSubmit={handleSubmit} className="import-form">
+        <textarea
+          className="import-input"
+          placeholder={'Paste a YouTube playlist URL, or video links one per line'}
+          value={importInput}
+          onChange={(e) => setImportInput(e.target.value)}
+          disabled={isImporting || isDisabled}
+          rows={4}
+        />
+        <button
+          type="submit"
+          className="search-btn"
+          disabled={isImporting || isDisabled || !importInput.trim()}
+          title={canAddVideo ? 'Find videos in the pasted links' : 'You need playlist permission to add videos'}
+        >
+          {isImporting ? (
+            <>
+              <i className="fas fa-spinner fa-spin"></i>
+              Resolving...
+            </>
+          ) : (
+            <>
+              <i className="fas fa-file-import"></i>
+              Import
+            </>
+          )}
+        </button>
+      </form>
+
+      {importResult && (
+        <div className="import-result">
+          <div className="search-results-header">
+            <span className="results-count">
+              {importResult.videos.length} video{importResult.videos.length !== 1 ? 's' : ''} found
+              {importResult.truncated && ` (limited to ${importResult.limit})`}
+            </span>
+            <button
+              className="search-btn import-add-btn"
+              onClick={handleAddAll}
+              disabled={isDisabled || importResult.videos.length === 0}
+            >
+              <i className="fas fa-plus-circle"></i>
+              Add all
+            </button>
+          </div>
+
+          {importResult.errors.length > 0 && (
+            <ul className="import-errors">
+              {importResult.errors.map((error, index) => (
+                <li key={`${error.input}-${index}`}>
+                  <i className="fas fa-exclamation-triangle"></i>
+                  {error.input && <span className="import-error-input">{error.input}</span>}
+                  {error.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlaylistImport;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+
+// Longest track options offered to moderators, in seconds (0 = no limit)
+const MAX_DURATION_OPTIONS = [0, 300, 600, 900, 1800, 3600];
+const RECENT_PLAY_OPTIONS = [0, 5, 10, 25, 50];
+
+const toListText = (entries = []) => entries.join('\n');
+const fromListText = (text) => text.split(/[\n,]/).map(entry => entry.trim()).filter(Boolean);
+
+const QueueRules = ({
+  queueSettings,
+  isConnected = true,
+  onSetQueueSettings
+}) => {
+  const savedKeywords = toListText(queueSettings.bannedKeywords);
+  const savedChannels = toListText(queueSettings.bannedChannels);
+  const [showRules, setShowRules] = useState(false);
+  const [bannedKeywords, setBannedKeywords] = useState(savedKeywords);
+  const [bannedChannels, setBannedChannels] = useState(savedChannels);
+
+  // Show lists saved by other moderators
+  useEffect(() => {
+    setBannedKeywords(savedKeywords);
+  }, [savedKeywords]);
+
+  useEffect(() => {
+    setBannedChannels(savedChannels);
+  }, [savedChannels]);
+
+  const listsChanged = toListText(fromListText(bannedKeywords)) !== savedKeywords ||
+    toListText(fromListText(bannedChannels)) !== savedChannels;
+
+  const handleSaveLists = (e) => {
+    e.preventDefault();
+    onSetQueueSettings({
+      bannedKeywords: fromListText(bannedKeywords),
+      bannedChannels: fromListText(bannedChannels)
+    });
+  };
+
+  const formatDuration = (seconds) => (seconds === 0 ? 'Any length' : `Up to ${seconds / 60} min`);
+
+  return (
+    <div className="saved-playlists-section">
+      <button
+        className="participants-toggle"
+        onClick={() => setShowRules(!showRules)}
+      >
+        🛡️ Queue Rules
+        <span className={`chevron ${showRules ? 'open' : ''}`}>▼</span>
+      </button>
+
+      {showRules && (
+        <div className="saved-playlists-body queue-rules-body">
+          <label className="queue-rule">
+            <input
+              type="checkbox"
+              checked={queueSettings.noDuplicates}
+              onChange={(e) => onSetQueueSettings({ noDuplicates: e.target.checked })}
+              disabled={!isConnected}
+            />
+            No duplicates in the queue
+          </label>
+
+          <label className="queue-rule">
+            Block repeats of the last
+            <select
+              className="queue-limit-select"
+              value={queueSettings.recentPlayWindow}
+              onChange={(e) => onSetQueueSettings({ recentPlayWindow: Number(e.target.value) })}
+              disabled={!isConnected}
+            >
+              {RECENT_PLAY_OPTIONS.map((value) => (
+                <option key={value} value={value}>{value === 0 ? 'no' : value}</option>
+              ))}
+              {!RECENT_PLAY_OPTIONS.includes(queueSettings.recentPlayWindow) && (
+                <option value={queueSettings.recentPlayWindow}>{queueSettings.recentPlayWindow}</option>
+              )}
+            </select>
+            plays
+          </label>
+
+          <label className="queue-rule">
+            Track length
+            <select
+              className="queue-limit-select"
+              value={queueSettings.maxDuration}
+              onChange={(e) => onSetQueueSettings({ maxDuration: Number(e.target.value) })}
+              disabled={!isConnected}
+            >
+              {MAX_DURATION_OPTIONS.map((value) => (
+                <option key={value} value={value}>{formatDuration(value)}</option>
+              ))}
+              {!MAX_DURATION_OPTIONS.includes(queueSettings.maxDuration) && (
+                <option value={queueSettings.maxDuration}>Up to {Math.round(queueSettings.maxDuration / 60)} min</option>
+              )}
+            </select>
+          </label>
+
+          <form className="queue-rule-lists" onSubmit={handleSaveLists}>
+            <label>
+              Banned keywords
+              <textarea
+                className="import-input"
+                value={bannedKeywords}
+                onChange={(e) => setBannedKeywords(e.target.value)}
+                placeholder="One per line; matched in titles"
+                rows={3}
+                disabled={!isConnected}
+              />
+            </label>
+            <label>
+              Banned channels
+              <textarea
+                className="import-input"
+                value={bannedChannels}
+                onChange={(e) => setBannedChannels(e.target.value)}
+                placeholder="One channel name per line"
+                rows={3}
+                disabled={!isConnected}
+              />
+            </label>
+            <button
+              type="submit"
+              className="search-btn import-add-btn"
+              disabled={!isConnected || !listsChanged}
+            >
+              Save lists
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QueueRules;
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { ACCESS_MODES, ACCESS_MODE_OPTIONS } from '../config/constants';
+
+const RoomAccess = ({
+  access,
+  isConnected = true,
+  onSetRoomAccess,
+  onCopyInvite
+}) => {
+  const [showAccess, setShowAccess] = useState(false);
+  const [mode, setMode] = useState(access.mode);
+  const [password, setPassword] = useState('');
+
+  // Follow changes saved elsewhere (e.g. by the owner in another tab)
+  useEffect(() => {
+    setMode(access.mode);
+  }, [access.mode]);
+
+  // A new password is needed when switching to password mode without one
+  const needsPassword = mode === ACCESS_MODES.PASSWORD && !access.hasPassword;
+  const hasChanges = mode !== access.mode || (mode === ACCESS_MODES.PASSWORD && password.length > 0);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    onSetRoomAccess({ mode, password: mode === ACCESS_MODES.PASSWORD ? password : undefined });
+    setPassword('');
+  };
+
+  const handleRevokeInvites = () => {
+    if (window.confirm('Invite links shared so far will stop working. Continue?')) {
+      onSetRoomAccess({ mode: access.mode, revokeInvites: true });
+    }
+  };
+
+  const current = ACCESS_MODE_OPTIONS.find(option => option.value === access.mode);
+
+  return (
+    <div className="saved-playlists-section">
+      <button
+        className="participants-toggle"
+        onClick={() => setShowAccess(!showAccess)}
+      >
+        🔒 Room Access
+        <span className="room-access-current">
+          <i className={`fas ${current?.icon}`}></i> {current?.label}
+        </span>
+        <span className={`chevron ${showAccess ? 'open' : ''}`}>▼</span>
+      </button>
+
+      {showAccess && (
+        <form className="saved-playlists-body queue-rules-body" onSubmit={handleSave}>
+          {ACCESS_MODE_OPTIONS.map(option => (
+            <label key={option.value} className="queue-rule room-access-option">
+              <input
+                type="radio"
+                name="room-access-mode"
+                value={option.value}
+                checked={mode === option.value}
+                onChange={() => setMode(option.value)}
+                disabled={!isConnected}
+              />
+              <i className={`fas ${option.icon}`}></i>
+              <span>
+                <strong>{option.label}</strong>
+                <small>{option.description}</small>
+              </span>
+            </label>
+          ))}
+
+          {mode === ACCESS_MODES.PASSWORD && (
+            <input
+              type="password"
+              className="search-input"
+              placeholder={access.hasPassword ? 'New password (leave empty to keep it)' : 'Room password'}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="new-password"
+              disabled={!isConnected}
+            />
+          )}
+
+          <div className="room-access-actions">
+            {access.mode !== ACCESS_MODES.PUBLIC && (
+              <>
+                <button type="button" className="clear-results-btn" onClick={onCopyInvite} disabled={!isConnected}>
+                  <i className="fas fa-link"></i> Copy invite link
+                </button>
+                <button type="button" className="clear-results-btn" onClick={handleRevokeInvites} disabled={!isConnected}>
+                  <i className="fas fa-ban"></i> Revoke invites
+                </button>
+              </>
+            )}
+            <button
+              type="submit"
+              className="search-btn import-add-btn"
+              disabled={!isConnected || !hasChanges || (needsPassword && !password)}
+            >
+              Save
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default RoomAccess;
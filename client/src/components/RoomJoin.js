@@ -1,17 +1,29 @@
 import React, { useState, useEffect } from 'react';
-import { APP_CONFIG } from '../config/constants';
+import { APP_CONFIG, JOIN_ERRORS } from '../config/constants';
+import { useUpcomingSessions } from '../hooks/useUpcomingSessions';
+import SessionCountdown from './SessionCountdown';
 
 const RoomJoin = ({ 
   initialRoomId = '', 
   onJoinRoom, 
   isConnecting = false, 
   connectionError = null,
-  validateRoomName = null // Optional validation function from parent
+  validateRoomName = null, // Optional validation function from parent
+  joinError = null // { roomId, code, message } when a private room turned the join down
 }) => {
   const [roomId, setRoomId] = useState(initialRoomId);
+  const [password, setPassword] = useState('');
   const [isValid, setIsValid] = useState(true);
   const [validationError, setValidationError] = useState('');
 
+  // Show a countdown when the room has a session coming up (same cleanup as useRoom)
+  const cleanRoomId = isValid ? roomId.trim().toLowerCase().replace(/[^a-z0-9-_]/g, '') : '';
+  const { sessions, getServerNow } = useUpcomingSessions(cleanRoomId);
+
+  // Ask for the password while the rejected room is still the one entered
+  const needsPassword = !!joinError && joinError.roomId === cleanRoomId &&
+    [JOIN_ERRORS.PASSWORD_REQUIRED, JOIN_ERRORS.WRONG_PASSWORD].includes(joinError.code);
+
   // Validate room ID in real-time
   useEffect(() => {
     if (!roomId.trim()) {
@@ -56,7 +68,7 @@ const RoomJoin = ({
       return;
     }
 
-    onJoinRoom(roomId.trim());
+    onJoinRoom(roomId.trim(), needsPassword && password ? { password } : {});
   };
 
   const handleInputChange = (e) => {
@@ -74,7 +86,7 @@ const RoomJoin = ({
     setRoomId(`${adjective}-${noun}-${number}`);
   };
 
-  const isSubmitDisabled = !isValid || !roomId.trim() || isConnecting;
+  const isSubmitDisabled = !isValid || !roomId.trim() || isConnecting || (needsPassword && !password);
 
   return (
     <div className="room-join">
@@ -120,6 +132,28 @@ const RoomJoin = ({
             </div>
           )}
 
+          {needsPassword && (
+            <div className="input-group">
+              <input
+                type="password"
+                className={`room-input ${joinError.code === JOIN_ERRORS.WRONG_PASSWORD ? 'error' : ''}`}
+                placeholder="Room password..."
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoFocus
+                disabled={isConnecting}
+                autoComplete="current-password"
+              />
+            </div>
+          )}
+
+          {joinError && joinError.roomId === cleanRoomId && (
+            <div className="validation-error join-error">
+              <i className="fas fa-lock"></i>
+              {joinError.message}
+            </div>
+          )}
+
           {connectionError && (
             <div className="connection-error">
               <i className="fas fa-wifi"></i>
@@ -127,6 +161,14 @@ const RoomJoin = ({
             </div>
           )}
 
+          {sessions.length > 0 && (
+            <div className="upcoming-sessions">
+              {sessions.slice(0, 3).map(session => (
+                <SessionCountdown key={session.id} session={session} getServerNow={getServerNow} />
+              ))}
+            </div>
+          )}
+
           <button 
             type="submit"
             className={`join-btn ${isConnecting ? 'connecting' : ''}`}
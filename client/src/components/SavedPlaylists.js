@@ -0,0 +1,143 @@
+import React, { useState, useRef } from 'react';
+
+const SavedPlaylists = ({
+  playlists,
+  isLoading,
+  roomId,
+  hasQueue = false,
+  canLoad = false,
+  onSave,
+  onLoad,
+  onRename,
+  onDelete,
+  onExport,
+  onImportFile
+}) => {
+  const [showPlaylists, setShowPlaylists] = useState(false);
+  const [name, setName] = useState('');
+  const fileInputRef = useRef(null);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      return;
+    }
+    if (await onSave(name.trim(), roomId)) {
+      setName('');
+    }
+  };
+
+  const handleRename = (playlist) => {
+    const newName = window.prompt('Rename playlist', playlist.name);
+    if (newName && newName.trim() && newName.trim() !== playlist.name) {
+      onRename(playlist.id, newName.trim());
+    }
+  };
+
+  const handleDelete = (playlist) => {
+    if (window.confirm(`Delete "${playlist.name}"?`)) {
+      onDelete(playlist.id);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      onImportFile(file);
+    }
+    e.target.value = '';
+  };
+
+  return (
+    <div className="saved-playlists-section">
+      <button
+        className="participants-toggle"
+        onClick={() => setShowPlaylists(!showPlaylists)}
+      >
+        💾 My Playlists ({playlists.length})
+        <span className={`chevron ${showPlaylists ? 'open' : ''}`}>▼</span>
+      </button>
+
+      {showPlaylists && (
+        <div className="saved-playlists-body">
+          <form className="chat-form" onSubmit={handleSave}>
+            <input
+              type="text"
+              className="chat-input"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={hasQueue ? 'Save the current queue as...' : 'The queue is empty'}
+              maxLength={100}
+              disabled={!hasQueue}
+            />
+            <button
+              type="submit"
+              className="chat-send-btn"
+              disabled={!hasQueue || !name.trim()}
+              title="Save queue"
+            >
+              <i className="fas fa-save"></i>
+            </button>
+          </form>
+
+          {isLoading && playlists.length === 0 && (
+            <div className="chat-empty">Loading...</div>
+          )}
+
+          {!isLoading && playlists.length === 0 && (
+            <div className="chat-empty">No saved playlists yet.</div>
+          )}
+
+          <div className="saved-playlists-list">
+            {playlists.map((playlist) => (
+              <div key={playlist.id} className="saved-playlist-item">
+                <div className="saved-playlist-info">
+                  <span className="saved-playlist-name" title={playlist.name}>{playlist.name}</span>
+                  <span className="saved-playlist-count">
+                    {playlist.itemCount} video{playlist.itemCount !== 1 ? 's' : ''}
+                  </span>
+                </div>
+                <div className="saved-playlist-actions">
+                  <button
+                    onClick={() => onLoad(playlist.id)}
+                    disabled={!canLoad}
+                    title={canLoad ? 'Add to the room queue' : 'You need playlist permission to add videos'}
+                  >
+                    <i className="fas fa-play-circle"></i>
+                  </button>
+                  <button onClick={() => onExport(playlist.id, 'json')} title="Export as JSON">
+                    JSON
+                  </button>
+                  <button onClick={() => onExport(playlist.id, 'm3u')} title="Export as M3U">
+                    M3U
+                  </button>
+                  <button onClick={() => handleRename(playlist)} title="Rename">
+                    <i className="fas fa-pen"></i>
+                  </button>
+                  <button onClick={() => handleDelete(playlist)} title="Delete">
+                    <i className="fas fa-trash"></i>
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="saved-playlists-footer">
+            <button className="clear-results-btn" onClick={() => fileInputRef.current?.click()}>
+              <i className="fas fa-file-upload"></i> Import JSON / M3U file
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,.m3u,.m3u8,application/json,audio/x-mpegurl"
+              onChange={handleFileChange}
+              hidden
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedPlaylists;
@@ -0,0 +1,52 @@
+import React, { useState, useEffect } from 'react';
+import { formatCountdown, formatApproxTime } from '../utils/time';
+
+/**
+ * Countdown to a room's next scheduled listening session
+ * @param {Object} session - Session summary { title, startsAt, itemCount, duration }
+ * @param {Function} getServerNow - Current time on the server clock, as session times are server times
+ * @param {boolean} compact - One-line version for the header
+ */
+const SessionCountdown = ({ session, getServerNow = Date.now, compact = false }) => {
+  const [timeLeft, setTimeLeft] = useState(() => session.startsAt - getServerNow());
+
+  useEffect(() => {
+    const update = () => setTimeLeft(session.startsAt - getServerNow());
+    update();
+
+    const timer = setInterval(update, 1000);
+    return () => clearInterval(timer);
+  }, [session.startsAt, getServerNow]);
+
+  const startTime = new Date(session.startsAt).toLocaleString([], {
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  const countdown = timeLeft > 0 ? formatCountdown(timeLeft) : 'Starting…';
+
+  if (compact) {
+    return (
+      <span className="session-countdown compact" title={`${session.title} starts ${startTime}`}>
+        <i className="fas fa-hourglass-half"></i>
+        <span className="session-countdown-time">{countdown}</span>
+      </span>
+    );
+  }
+
+  return (
+    <div className="session-countdown">
+      <i className="fas fa-calendar-alt"></i>
+      <div className="session-countdown-details">
+        <strong>{session.title}</strong>
+        <span>
+          {startTime} · {session.itemCount} track{session.itemCount !== 1 ? 's' : ''}
+          {session.duration > 0 && ` · ${formatApproxTime(session.duration)}`}
+        </span>
+      </div>
+      <span className="session-countdown-time">{countdown}</span>
+    </div>
+  );
+};
+
+export default SessionCountdown;
@@ -1,13 +1,33 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { useYouTubeSearch } from '../hooks/useYouTubeSearch';
+import PlaylistImport from './PlaylistImport';
+import { formatDuration } from '../utils/time';
+import { FALLBACK_THUMBNAIL, getSourceKey, handleThumbnailError } from '../utils/media';
+import { APP_CONFIG, PROVIDERS } from '../config/constants';
 
-const VideoSearch = ({ onAddVideo, isConnected, canAddVideo = true }) => {
+const DURATION_FILTERS = [
+  { value: 'any', label: 'Any length' },
+  { value: 'short', label: 'Under 4 min' },
+  { value: 'medium', label: '4-20 min' },
+  { value: 'long', label: 'Over 20 min' }
+];
+
+const VideoSearch = ({ onAddVideo, onAddVideos, isConnected, canAddVideo = true }) => {
+  const [showImport, setShowImport] = useState(false);
   const {
     searchQuery,
     searchResults,
     isSearching,
     searchError,
     hasSearched,
+    filters,
+    nextPageToken,
+    isLoadingMore,
+    providers,
+    provider,
+    setFilters,
+    setProvider,
+    loadMore,
     updateSearchQuery,
     handleSearchSubmit,
     clearSearch,
@@ -25,7 +45,7 @@ const VideoSearch = ({ onAddVideo, isConnected, canAddVideo = true }) => {
   const searchResultItems = useMemo(() => {
     return searchResults.map((video, index) => (
       <SearchResultItem
-        key={`${video.videoId}-${index}`}
+        key={`${getSourceKey(video)}-${index}`}
         video={video}
         onAdd={handleAddVideo}
         isConnected={isConnected}
@@ -35,6 +55,8 @@ const VideoSearch = ({ onAddVideo, isConnected, canAddVideo = true }) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [searchResults, isConnected, canAddVideo]);
 
+  const providerInfo = providers.find(entry => entry.name === provider) || providers[0];
+  const isYouTube = provider === PROVIDERS.YOUTUBE;
   const hasResults = searchResults.length > 0;
   const showEmptyState = hasSearched && !isSearching && !hasResults && !searchError;
 
@@ -43,7 +65,7 @@ const VideoSearch = ({ onAddVideo, isConnected, canAddVideo = true }) => {
       <div className="section-header">
         <h2 className="section-title">
           <i className="fas fa-search"></i>
-          Search Videos
+          {showImport ? 'Import Videos' : 'Search Videos'}
         </h2>
         {!isConnected && (
           <div className="offline-indicator">
@@ -51,91 +73,179 @@ const VideoSearch = ({ onAddVideo, isConnected, canAddVideo = true }) => {
             Offline
           </div>
         )}
-      </div>
-      
-      <form onSubmit={handleSearchSubmit} className="search-form">
-        <div className="search-input-wrapper">
-          <input
-            type="text"
-            className={`search-input ${searchError ? 'error' : ''}`}
-            placeholder="Search for videos..."
-            value={searchQuery}
-            onChange={(e) => updateSearchQuery(e.target.value)}
-            disabled={isSearching || !isConnected}
-            maxLength={100}
-          />
-          {searchQuery && (
-            <button
-              type="button"
-              className="clear-input-btn"
-              onClick={clearSearch}
-              title="Clear search"
-            >
-              <i className="fas fa-times"></i>
-            </button>
-          )}
-        </div>
-        
-        <button 
-          type="submit" 
-          className="search-btn"
-          disabled={isSearching || !isConnected || !searchQuery.trim()}
+        <button
+          type="button"
+          className="import-toggle-btn"
+          onClick={() => setShowImport(!showImport)}
+          title={showImport ? 'Back to search' : 'Import a playlist or list of links'}
         >
-          {isSearching ? (
-            <>
-              <i className="fas fa-spinner fa-spin"></i>
-              Searching...
-            </>
-          ) : (
-            <>
-              <i className="fas fa-search"></i>
-              Search
-            </>
-          )}
+          <i className={`fas ${showImport ? 'fa-search' : 'fa-file-import'}`}></i>
+          {showImport ? 'Search' : 'Import'}
         </button>
-      </form>
-
-      {searchError && (
-        <div className="search-error">
-          <i className="fas fa-exclamation-triangle"></i>
-          <span>{searchError}</span>
-          <button 
-            className="retry-btn"
-            onClick={retrySearch}
-            disabled={isSearching || !isConnected}
-          >
-            Retry
-          </button>
-        </div>
-      )}
+      </div>
 
-      {hasResults && (
-        <div className="search-results-container">
-          <div className="search-results-header">
-            <span className="results-count">
-              {searchResults.length} result{searchResults.length !== 1 ? 's' : ''}
-            </span>
-            <button
-              className="clear-results-btn"
-              onClick={clearSearch}
-              title="Clear search results"
+      {showImport ? (
+        <PlaylistImport
+          onAddVideos={onAddVideos}
+          isConnected={isConnected}
+          canAddVideo={canAddVideo}
+        />
+      ) : (
+        <>
+          <form onSubmit={handleSearchSubmit} className="search-form">
+            <div className="search-input-wrapper">
+              <input
+                type="text"
+                className={`search-input ${searchError ? 'error' : ''}`}
+                placeholder={providerInfo.searchable
+                  ? `Search ${providerInfo.label}...`
+                  : `Paste a ${providerInfo.label} link...`}
+                value={searchQuery}
+                onChange={(e) => updateSearchQuery(e.target.value)}
+                disabled={isSearching || !isConnected}
+                maxLength={isYouTube ? APP_CONFIG.maxSearchQueryLength : APP_CONFIG.maxLinkLength}
+              />
+              {searchQuery && (
+                <button
+                  type="button"
+                  className="clear-input-btn"
+                  onClick={clearSearch}
+                  title="Clear search"
+                >
+                  <i className="fas fa-times"></i>
+                </button>
+              )}
+            </div>
+        
+            <button 
+              type="submit" 
+              className="search-btn"
+              disabled={isSearching || !isConnected || !searchQuery.trim()}
             >
-              <i className="fas fa-times"></i> Clear
+              {isSearching ? (
+                <>
+                  <i className="fas fa-spinner fa-spin"></i>
+                  Searching...
+                </>
+              ) : (
+                <>
+                  <i className="fas fa-search"></i>
+                  Search
+                </>
+              )}
             </button>
+          </form>
+
+          <div className="search-filters">
+            {providers.length > 1 && (
+              <select
+                className="queue-limit-select"
+                value={provider}
+                onChange={(e) => setProvider(e.target.value)}
+                disabled={isSearching}
+                title="Where to search"
+              >
+                {providers.map(({ name, label }) => (
+                  <option key={name} value={name}>{label}</option>
+                ))}
+              </select>
+            )}
+            {isYouTube && (
+              <>
+                <select
+                  className="queue-limit-select"
+                  value={filters.duration}
+                  onChange={(e) => setFilters({ duration: e.target.value })}
+                  disabled={isSearching}
+                  title="Video length"
+                >
+                  {DURATION_FILTERS.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <label className="search-filter">
+                  <input
+                    type="checkbox"
+                    checked={filters.excludeLive}
+                    onChange={(e) => setFilters({ excludeLive: e.target.checked })}
+                    disabled={isSearching}
+                  />
+                  No live
+                </label>
+                <label className="search-filter">
+                  <input
+                    type="checkbox"
+                    checked={filters.musicOnly}
+                    onChange={(e) => setFilters({ musicOnly: e.target.checked })}
+                    disabled={isSearching}
+                  />
+                  Music only
+                </label>
+              </>
+            )}
           </div>
+
+          {searchError && (
+            <div className="search-error">
+              <i className="fas fa-exclamation-triangle"></i>
+              <span>{searchError}</span>
+              <button 
+                className="retry-btn"
+                onClick={retrySearch}
+                disabled={isSearching || !isConnected}
+              >
+                Retry
+              </button>
+            </div>
+          )}
+
+          {hasResults && (
+            <div className="search-results-container">
+              <div className="search-results-header">
+                <span className="results-count">
+                  {searchResults.length} result{searchResults.length !== 1 ? 's' : ''}
+                </span>
+                <button
+                  className="clear-results-btn"
+                  onClick={clearSearch}
+                  title="Clear search results"
+                >
+                  <i className="fas fa-times"></i> Clear
+                </button>
+              </div>
           
-          <div className="search-results">
-            {searchResultItems}
-          </div>
-        </div>
-      )}
+              <div className="search-results">
+                {searchResultItems}
+              </div>
 
-      {showEmptyState && (
-        <SearchEmptyState />
-      )}
+              {nextPageToken && (
+                <button
+                  type="button"
+                  className="load-more-btn"
+                  onClick={loadMore}
+                  disabled={isLoadingMore || isSearching}
+                >
+                  {isLoadingMore ? (
+                    <>
+                      <i className="fas fa-spinner fa-spin"></i>
+                      Loading...
+                    </>
+                  ) : (
+                    'Load more'
+                  )}
+                </button>
+              )}
+            </div>
+          )}
+
+          {showEmptyState && (
+            <SearchEmptyState />
+          )}
 
-      {!hasSearched && !isSearching && (
-        <SearchInitialState />
+          {!hasSearched && !isSearching && (
+            <SearchInitialState />
+          )}
+        </>
       )}
     </div>
   );
@@ -156,8 +266,6 @@ const SearchResultItem = React.memo(({ video, onAdd, isConnected, canAdd = true
     return 'Click to add to playlist';
   };
 
-  const fallbackThumbnail = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iODAiIGhlaWdodD0iNjAiIHZpZXdCb3g9IjAgMCA4MCA2MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjgwIiBoZWlnaHQ9IjYwIiBmaWxsPSIjRjNGNEY2Ii8+CjxwYXRoIGQ9Ik0zMiAyMkw0OCAzMkwzMiA0MlYyMloiIGZpbGw9IiM5Q0EzQUYiLz4KPC9zdmc+';
-
   return (
     <div 
       className={`search-result ${isDisabled ? 'disabled' : ''}`}
@@ -165,10 +273,10 @@ const SearchResultItem = React.memo(({ video, onAdd, isConnected, canAdd = true
       title={getTooltip()}
     >
       <img 
-        src={video.thumbnail} 
+        src={video.thumbnail || FALLBACK_THUMBNAIL}
         alt={video.title}
         className="result-thumbnail"
-        onError={(e) => { e.target.src = fallbackThumbnail; }}
+        onError={handleThumbnailError}
         loading="lazy"
       />
       <div className="result-info">
@@ -177,6 +285,7 @@ const SearchResultItem = React.memo(({ video, onAdd, isConnected, canAdd = true
         </div>
         <div className="result-channel">
           {video.channelTitle}
+          {formatDuration(video.duration) && ` • ${formatDuration(video.duration)}`}
         </div>
       </div>
       <div className="result-action">
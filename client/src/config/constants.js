@@ -4,7 +4,10 @@ export const APP_CONFIG = {
   defaultVolume: 50,
   maxRoomNameLength: 50,
   maxSearchQueryLength: 100,
+  maxLinkLength: 2000, // Providers without search are "searched" with pasted links
   searchDebounceMs: 300,
+  maxChatMessageLength: 500,
+  chatHistorySize: 100,
   toastDuration: 3000
 };
 
@@ -14,10 +17,8 @@ export const SOCKET_EVENTS = {
   CONNECTION: 'connection',
   DISCONNECT: 'disconnect',
   
-  // Auth events
-  AUTHENTICATE: 'authenticate',
-  AUTH_SUCCESS: 'auth-success',
-  AUTH_ERROR: 'auth-error',
+  // Identity events (users are authenticated in the handshake)
+  IDENTITY_ASSIGNED: 'identity-assigned',
   
   // Room events
   JOIN_ROOM: 'join-room',
@@ -26,32 +27,156 @@ export const SOCKET_EVENTS = {
   ROOM_STATE: 'room-state',
   KICK_PARTICIPANT: 'kick-participant',
   PARTICIPANT_KICKED: 'participant-kicked',
+  JOIN_ERROR: 'join-error',
+  SET_ROOM_ACCESS: 'set-room-access',
+  ROOM_ACCESS_UPDATED: 'room-access-updated',
+  CREATE_INVITE: 'create-invite',
+  INVITE_CREATED: 'invite-created',
   
-  // Room ownership events
-  GRANT_PLAYLIST_PERMISSION: 'grant-playlist-permission',
-  REVOKE_PLAYLIST_PERMISSION: 'revoke-playlist-permission',
-  PERMISSIONS_UPDATED: 'permissions-updated',
+  // Room role events
+  SET_ROLE: 'set-role',
+  ROLE_UPDATED: 'role-updated',
   
   // Playlist events
   ADD_VIDEO: 'add-video',
+  ADD_VIDEOS: 'add-videos',
+  VIDEOS_ADDED: 'videos-added',
+  LOAD_PLAYLIST: 'load-playlist',
   REMOVE_VIDEO: 'remove-video',
   PLAYLIST_UPDATED: 'playlist-updated',
+  PLAY_HISTORY_UPDATED: 'play-history-updated',
   REORDER_PLAYLIST: 'reorder-playlist',
   PERMISSION_DENIED: 'permission-denied',
   
+  // Chat events
+  CHAT_MESSAGE: 'chat-message',
+  DELETE_CHAT_MESSAGE: 'delete-chat-message',
+  CHAT_MESSAGE_DELETED: 'chat-message-deleted',
+  MUTE_PARTICIPANT: 'mute-participant',
+  PARTICIPANT_MUTED: 'participant-muted',
+  
   // Player control events
   PLAY: 'play',
   PAUSE: 'pause',
   SEEK: 'seek',
   SKIP_VIDEO: 'skip-video',
+  VOTE_SKIP: 'vote-skip',
+  SKIP_VOTES_UPDATED: 'skip-votes-updated',
+  SET_SKIP_THRESHOLD: 'set-skip-threshold',
+  SET_PLAY_MODE: 'set-play-mode',
+  PLAY_MODE_UPDATED: 'play-mode-updated',
+  SET_QUEUE_SETTINGS: 'set-queue-settings',
+  QUEUE_SETTINGS_UPDATED: 'queue-settings-updated',
   VIDEO_ENDED: 'video-ended',
   PLAY_VIDEO: 'play-video',
   PLAYLIST_ENDED: 'playlist-ended',
+
+  // Scheduled session events
+  SESSIONS_UPDATED: 'sessions-updated',
+  SESSION_STARTED: 'session-started',
   
   // Sync events
-  SYNC_POSITION: 'sync-position',
-  PERIODIC_SYNC: 'periodic-sync',
-  TIME_UPDATE: 'time-update'
+  PLAYBACK_STATE: 'playback-state',
+  TIME_SYNC_PING: 'time-sync-ping',
+  TIME_SYNC_PONG: 'time-sync-pong'
+};
+
+// Room roles and capabilities (should match server)
+export const ROLES = {
+  OWNER: 'owner',
+  MODERATOR: 'moderator',
+  DJ: 'dj',
+  LISTENER: 'listener'
+};
+
+export const ROLE_LABELS = {
+  [ROLES.OWNER]: 'Owner',
+  [ROLES.MODERATOR]: 'Moderator',
+  [ROLES.DJ]: 'DJ',
+  [ROLES.LISTENER]: 'Listener'
+};
+
+// Roles that can be assigned from the participants list, highest first
+export const ASSIGNABLE_ROLES = [ROLES.MODERATOR, ROLES.DJ, ROLES.LISTENER];
+
+export const ROLE_RANK = {
+  [ROLES.OWNER]: 3,
+  [ROLES.MODERATOR]: 2,
+  [ROLES.DJ]: 1,
+  [ROLES.LISTENER]: 0
+};
+
+export const CAPABILITIES = {
+  ADD_VIDEO: 'add-video',
+  REMOVE_VIDEO: 'remove-video',
+  REORDER_PLAYLIST: 'reorder-playlist',
+  SKIP_VIDEO: 'skip-video',
+  CONTROL_PLAYBACK: 'control-playback',
+  KICK_PARTICIPANT: 'kick-participant',
+  MANAGE_ROLES: 'manage-roles',
+  MANAGE_ROOM: 'manage-room',
+  MODERATE_CHAT: 'moderate-chat'
+};
+
+// Queue play modes (should match server)
+export const PLAY_MODES = {
+  NORMAL: 'normal',
+  REPEAT_ALL: 'repeat-all',
+  REPEAT_ONE: 'repeat-one',
+  SHUFFLE: 'shuffle'
+};
+
+export const PLAY_MODE_OPTIONS = [
+  { value: PLAY_MODES.NORMAL, label: 'Play once', icon: 'fa-long-arrow-alt-right' },
+  { value: PLAY_MODES.REPEAT_ALL, label: 'Repeat all', icon: 'fa-redo' },
+  { value: PLAY_MODES.REPEAT_ONE, label: 'Repeat one', icon: 'fa-redo-alt' },
+  { value: PLAY_MODES.SHUFFLE, label: 'Shuffle', icon: 'fa-random' }
+];
+
+// Who can join a room (should match server)
+export const ACCESS_MODES = {
+  PUBLIC: 'public',
+  PASSWORD: 'password',
+  INVITE: 'invite'
+};
+
+export const ACCESS_MODE_OPTIONS = [
+  { value: ACCESS_MODES.PUBLIC, label: 'Public', icon: 'fa-globe', description: 'Anyone with the room link can join' },
+  { value: ACCESS_MODES.PASSWORD, label: 'Password', icon: 'fa-key', description: 'People need the password or an invite link' },
+  { value: ACCESS_MODES.INVITE, label: 'Invite only', icon: 'fa-envelope', description: 'People need an invite link' }
+];
+
+// Codes of rejected room joins (should match server)
+export const JOIN_ERRORS = {
+  PASSWORD_REQUIRED: 'password-required',
+  WRONG_PASSWORD: 'wrong-password',
+  INVITE_REQUIRED: 'invite-required',
+  INVITE_INVALID: 'invite-invalid',
+  INVITE_EXPIRED: 'invite-expired',
+  TOO_MANY_ATTEMPTS: 'too-many-attempts'
+};
+
+// Codes of rejected socket handshakes (should match server)
+export const AUTH_ERRORS = {
+  AUTH_REQUIRED: 'auth-required',
+  INVALID_TOKEN: 'invalid-token',
+  AUTH_UNAVAILABLE: 'auth-unavailable'
+};
+
+// Media providers queue items come from (should match server)
+export const PROVIDERS = {
+  YOUTUBE: 'youtube',
+  MEDIA: 'media',
+  SOUNDCLOUD: 'soundcloud'
+};
+
+// States every player adapter reports through getState()
+export const PLAYER_STATES = {
+  UNSTARTED: 'unstarted',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  BUFFERING: 'buffering',
+  ENDED: 'ended'
 };
 
 // YouTube Player configuration
@@ -67,12 +192,23 @@ export const YOUTUBE_CONFIG = {
     playsinline: 1,
     enablejsapi: 1
   },
-  syncThresholds: {
-    initial: 2,
-    periodic: 4,
-    manual: 3
-  },
-  timeUpdateInterval: 2000 // 2 seconds
+};
+
+// SoundCloud widget configuration
+export const SOUNDCLOUD_CONFIG = {
+  widgetApiUrl: 'https://w.soundcloud.com/player/api.js',
+  widgetUrl: 'https://w.soundcloud.com/player/'
+};
+
+// Playback sync configuration (positions come from the server timeline)
+export const SYNC_CONFIG = {
+  maxDrift: 0.5,             // seconds of drift before the player is corrected
+  driftCheckInterval: 1000,  // ms between drift checks
+  seekCooldown: 2000,        // ms to let the player buffer after a correction
+  clockBurstSize: 5,         // pings sent when (re)connecting
+  clockBurstSpacing: 200,    // ms between burst pings
+  clockResyncInterval: 30000, // ms between background pings
+  clockSamples: 8            // recent samples kept to pick the lowest round trip
 };
 
 // API configuration
@@ -80,6 +216,11 @@ export const API_CONFIG = {
   baseURL: process.env.REACT_APP_SERVER_URL || '',
   endpoints: {
     search: '/api/search',
+    providers: '/api/providers',
+    import: '/api/import',
+    playlists: '/api/playlists',
+    rooms: '/api/rooms',
+    auth: '/api/auth',
     health: '/api/health'
   }
 };
@@ -1,89 +1,169 @@
-import { useState, useEffect, useCallback } from 'react';
-import { SOCKET_EVENTS } from '../config/constants';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { API_CONFIG, AUTH_ERRORS } from '../config/constants';
+
+const AUTH_URL = `${API_CONFIG.baseURL}${API_CONFIG.endpoints.auth}`;
+const UNAVAILABLE_RETRY_DELAY = 5000; // Wait before reconnecting while the sign-in provider is down
 
 export const useAuth = (socket) => {
     const [user, setUser] = useState(null);
     const [isAuthenticated, setIsAuthenticated] = useState(false);
+    const [isCheckingSession, setIsCheckingSession] = useState(true);
     const [authError, setAuthError] = useState('');
+    const [allowGuest, setAllowGuest] = useState(true); // False when the server requires sign-in
+    const isAuthenticatedRef = useRef(false);
+    const isSigningOutRef = useRef(false);
+
+    useEffect(() => {
+        isAuthenticatedRef.current = isAuthenticated;
+    }, [isAuthenticated]);
 
-    // Initialize authentication state
+    // Restore the signed-in user from the session cookie
     useEffect(() => {
-        const storedToken = localStorage.getItem('authToken');
-        const storedUserInfo = localStorage.getItem('userInfo');
+        // Older versions kept the access token in browser storage
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('userInfo');
 
-        if (storedToken && storedUserInfo) {
-            try {
-                const userInfo = JSON.parse(storedUserInfo);
-                setUser({ ...userInfo, accessToken: storedToken });
+        axios.get(`${AUTH_URL}/me`, { withCredentials: true, timeout: 10000 })
+            .then((response) => {
+                setUser(response.data);
                 setIsAuthenticated(true);
-            } catch (error) {
-                console.error('Failed to parse stored user info:', error);
-                logout();
-            }
-        }
+            })
+            .catch(() => {
+                // Not signed in, or the session ended
+            })
+            .finally(() => {
+                setIsCheckingSession(false);
+            });
     }, []);
 
-    // Authenticate with socket when user is set
-    useEffect(() => {
-        if (socket && user?.accessToken) {
-            socket.emit(SOCKET_EVENTS.AUTHENTICATE, user.accessToken);
+    /**
+     * Sockets are authenticated in the handshake, so signing in or out takes
+     * a new connection carrying the new session cookie. Without `force`, only
+     * reconnects a socket whose handshake was refused.
+     */
+    const reconnectSocket = useCallback((force) => {
+        if (!socket) return;
+
+        if (force && socket.connected) {
+            socket.disconnect();
         }
-    }, [socket, user]);
+        if (!socket.connected) {
+            socket.connect();
+        }
+    }, [socket]);
 
-    // Listen for auth events
+    // Handshakes refused by the server
     useEffect(() => {
         if (!socket) return;
+        let retryTimer = null;
 
-        const handleAuthSuccess = (authData) => {
-            console.log('Authentication successful:', authData);
-            setAuthError('');
-        };
+        const handleConnectError = (error) => {
+            const code = error.data?.code;
+
+            if (code === AUTH_ERRORS.AUTH_UNAVAILABLE) {
+                // The sign-in is fine but couldn't be checked; keep it and try again
+                toast.error(error.message, { id: 'auth-unavailable' });
+                clearTimeout(retryTimer);
+                retryTimer = setTimeout(() => socket.connect(), UNAVAILABLE_RETRY_DELAY);
+                return;
+            }
 
-        const handleAuthError = (error) => {
-            console.error('Authentication failed:', error);
+            if (code === AUTH_ERRORS.INVALID_TOKEN) {
+                // Ended session: clear its cookie so the user can sign in again (or continue as guest)
+                axios.post(`${AUTH_URL}/logout`, null, { withCredentials: true }).catch(() => {});
+            } else if (code === AUTH_ERRORS.AUTH_REQUIRED) {
+                setAllowGuest(false);
+            } else {
+                return;
+            }
+
+            setUser(null);
+            setIsAuthenticated(false);
             setAuthError(error.message);
-            // Don't auto-logout on socket auth error, user might be in guest mode
         };
 
-        socket.on('auth-success', handleAuthSuccess);
-        socket.on('auth-error', handleAuthError);
+        socket.on('connect_error', handleConnectError);
+
+        return () => {
+            clearTimeout(retryTimer);
+            socket.off('connect_error', handleConnectError);
+        };
+    }, [socket]);
+
+    // Signing out (here or in another tab) makes the server disconnect the session's sockets
+    useEffect(() => {
+        if (!socket) return;
+
+        const handleDisconnect = (reason) => {
+            if (reason !== 'io server disconnect' || isSigningOutRef.current) return;
+
+            if (!isAuthenticatedRef.current) {
+                socket.connect();
+                return;
+            }
+
+            axios.get(`${AUTH_URL}/me`, { withCredentials: true, timeout: 10000 })
+                .catch((error) => {
+                    if (error.response?.status === 401) {
+                        setUser(null);
+                        setIsAuthenticated(false);
+                        setAuthError('You have been signed out');
+                    }
+                })
+                .finally(() => {
+                    socket.connect();
+                });
+        };
+
+        socket.on('disconnect', handleDisconnect);
 
         return () => {
-            socket.off('auth-success', handleAuthSuccess);
-            socket.off('auth-error', handleAuthError);
+            socket.off('disconnect', handleDisconnect);
         };
     }, [socket]);
 
+    // The server has already set the session cookie
     const login = useCallback((userInfo) => {
         setUser(userInfo);
         setIsAuthenticated(true);
         setAuthError('');
 
-        // Store in localStorage
-        localStorage.setItem('authToken', userInfo.accessToken);
-        localStorage.setItem('userInfo', JSON.stringify(userInfo));
-    }, []);
+        reconnectSocket(true);
+    }, [reconnectSocket]);
+
+    const logout = useCallback(async () => {
+        isSigningOutRef.current = true;
+        try {
+            await axios.post(`${AUTH_URL}/logout`, null, { withCredentials: true, timeout: 10000 });
+        } catch (error) {
+            console.error('Failed to sign out:', error);
+        }
 
-    const logout = useCallback(() => {
         setUser(null);
         setIsAuthenticated(false);
+        isAuthenticatedRef.current = false;
         setAuthError('');
 
-        // Clear localStorage
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('userInfo');
-    }, []);
+        reconnectSocket(true);
+        isSigningOutRef.current = false;
+    }, [reconnectSocket]);
 
     const continueAsGuest = useCallback(() => {
         setUser({ username: 'Guest', isGuest: true });
         setIsAuthenticated(false); // Guest is not authenticated
         setAuthError('');
-    }, []);
+
+        reconnectSocket(false);
+    }, [reconnectSocket]);
 
     return {
         user,
         isAuthenticated,
+        isCheckingSession,
         authError,
+        allowGuest,
         login,
         logout,
         continueAsGuest
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { SOCKET_EVENTS, APP_CONFIG } from '../config/constants';
+
+/**
+ * Custom hook for managing room chat
+ */
+export const useChat = (socket, currentUser) => {
+  const [messages, setMessages] = useState([]);
+
+  /**
+   * Send a chat message
+   */
+  const sendMessage = useCallback((text) => {
+    if (!socket || !text || !text.trim()) {
+      return false;
+    }
+
+    if (text.length > APP_CONFIG.maxChatMessageLength) {
+      toast.error(`Messages are limited to ${APP_CONFIG.maxChatMessageLength} characters`);
+      return false;
+    }
+
+    socket.emit(SOCKET_EVENTS.CHAT_MESSAGE, text);
+    return true;
+  }, [socket]);
+
+  /**
+   * Delete a chat message
+   */
+  const deleteMessage = useCallback((messageId) => {
+    if (!socket || !messageId) return;
+    socket.emit(SOCKET_EVENTS.DELETE_CHAT_MESSAGE, messageId);
+  }, [socket]);
+
+  /**
+   * Mute or unmute a participant (all of their connections)
+   */
+  const setMuted = useCallback((identityId, muted) => {
+    if (!socket || !identityId) return;
+    socket.emit(SOCKET_EVENTS.MUTE_PARTICIPANT, { identityId, muted });
+  }, [socket]);
+
+  // Set up socket event listeners
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleRoomState = (state) => {
+      if (Array.isArray(state.chatHistory)) {
+        setMessages(state.chatHistory);
+      }
+    };
+
+    const handleChatMessage = (message) => {
+      setMessages(prev => [...prev, message].slice(-APP_CONFIG.chatHistorySize));
+
+      const isOwnMessage = message.identityId === currentUser?.identityId;
+      if (!isOwnMessage && currentUser && message.mentions?.includes(currentUser.identityId)) {
+        toast(`${message.username} mentioned you: ${message.text}`, { icon: '💬' });
+      }
+    };
+
+    const handleChatMessageDeleted = ({ messageId }) => {
+      setMessages(prev => prev.filter(message => message.id !== messageId));
+    };
+
+    // Add event listeners
+    socket.on(SOCKET_EVENTS.ROOM_STATE, handleRoomState);
+    socket.on(SOCKET_EVENTS.CHAT_MESSAGE, handleChatMessage);
+    socket.on(SOCKET_EVENTS.CHAT_MESSAGE_DELETED, handleChatMessageDeleted);
+
+    // Cleanup
+    return () => {
+      socket.off(SOCKET_EVENTS.ROOM_STATE, handleRoomState);
+      socket.off(SOCKET_EVENTS.CHAT_MESSAGE, handleChatMessage);
+      socket.off(SOCKET_EVENTS.CHAT_MESSAGE_DELETED, handleChatMessageDeleted);
+    };
+  }, [socket, currentUser]);
+
+  return {
+    messages,
+    sendMessage,
+    deleteMessage,
+    setMuted
+  };
+};
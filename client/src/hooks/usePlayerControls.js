@@ -1,32 +1,34 @@
 import { useState, useEffect, useCallback } from 'react';
 import { SOCKET_EVENTS, APP_CONFIG } from '../config/constants';
+import { useServerClock } from './useServerClock';
 
 /**
- * Custom hook for managing player controls and synchronization
+ * Custom hook for managing player controls and synchronization.
+ * The server owns the playback timeline; the position is computed locally
+ * from it and the estimated server clock.
  */
 export const usePlayerControls = (socket) => {
-  const [isPlaying, setIsPlaying] = useState(false);
+  const [playback, setPlayback] = useState(null);
   const [volume, setVolume] = useState(APP_CONFIG.defaultVolume);
-  const [syncTime, setSyncTime] = useState(null);
+  const { getServerNow } = useServerClock(socket);
+  const isPlaying = playback?.isPlaying || false;
 
   /**
-   * Play video
+   * Play video (applied when the server broadcasts the new timeline)
    */
   const handlePlay = useCallback(() => {
     if (!socket) return;
     
     socket.emit(SOCKET_EVENTS.PLAY);
-    setIsPlaying(true);
   }, [socket]);
 
   /**
-   * Pause video
+   * Pause video (applied when the server broadcasts the new timeline)
    */
   const handlePause = useCallback(() => {
     if (!socket) return;
     
     socket.emit(SOCKET_EVENTS.PAUSE);
-    setIsPlaying(false);
   }, [socket]);
 
   /**
@@ -78,83 +80,41 @@ export const usePlayerControls = (socket) => {
   }, [volume, handleVolumeChange]);
 
   /**
-   * Send time update to server
+   * Get the position the player should be at, from the server timeline
+   * @returns {number} Position in seconds
    */
-  const sendTimeUpdate = useCallback((currentTime) => {
-    if (!socket || typeof currentTime !== 'number') {
-      return;
-    }
+  const getTargetPosition = useCallback(() => {
+    if (!playback) return 0;
+    if (!playback.isPlaying) return playback.pausedAt;
 
-    socket.emit(SOCKET_EVENTS.TIME_UPDATE, currentTime);
-  }, [socket]);
-
-  /**
-   * Clear sync time (called after sync is complete)
-   */
-  const clearSyncTime = useCallback(() => {
-    setSyncTime(null);
-  }, []);
+    return Math.max(0, ((getServerNow() - playback.startedAt) / 1000) * playback.rate);
+  }, [playback, getServerNow]);
 
   // Set up socket event listeners
   useEffect(() => {
     if (!socket) return;
 
     const handleRoomState = (state) => {
-      if (typeof state.isPlaying === 'boolean') {
-        setIsPlaying(state.isPlaying);
+      if (state.playback) {
+        setPlayback(state.playback);
       }
       // Don't sync volume from room state - it's local only
     };
 
-    const handlePlay = () => {
-      setIsPlaying(true);
-    };
-
-    const handlePause = () => {
-      setIsPlaying(false);
-    };
-
-    const handleSeekEvent = (time) => {
-      console.log('Received seek event from server:', time);
-      setSyncTime(time);
-    };
-
-    const handleSyncPosition = (data) => {
-      console.log('Received initial sync position:', data);
-      setSyncTime({ time: data.time, type: 'initial' });
-      
-      if (typeof data.isPlaying === 'boolean' && data.isPlaying !== isPlaying) {
-        setIsPlaying(data.isPlaying);
-      }
-    };
-
-    const handlePeriodicSync = (data) => {
-      console.log('Received periodic sync:', data);
-      setSyncTime({ 
-        time: data.time, 
-        type: 'periodic', 
-        tolerance: data.tolerance 
-      });
+    const handlePlaybackState = (state) => {
+      setPlayback(state);
     };
 
     // Add event listeners
     socket.on(SOCKET_EVENTS.ROOM_STATE, handleRoomState);
-    socket.on(SOCKET_EVENTS.PLAY, handlePlay);
-    socket.on(SOCKET_EVENTS.PAUSE, handlePause);
-    socket.on(SOCKET_EVENTS.SEEK, handleSeekEvent);
-    socket.on(SOCKET_EVENTS.SYNC_POSITION, handleSyncPosition);
-    socket.on(SOCKET_EVENTS.PERIODIC_SYNC, handlePeriodicSync);
+    socket.on(SOCKET_EVENTS.PLAYBACK_STATE, handlePlaybackState);
 
     // Cleanup
     return () => {
       socket.off(SOCKET_EVENTS.ROOM_STATE, handleRoomState);
-      socket.off(SOCKET_EVENTS.PLAY, handlePlay);
-      socket.off(SOCKET_EVENTS.PAUSE, handlePause);
-      socket.off(SOCKET_EVENTS.SEEK, handleSeekEvent);
-      socket.off(SOCKET_EVENTS.SYNC_POSITION, handleSyncPosition);
-      socket.off(SOCKET_EVENTS.PERIODIC_SYNC, handlePeriodicSync);
+      socket.off(SOCKET_EVENTS.PLAYBACK_STATE, handlePlaybackState);
     };
-  }, [socket, isPlaying]);
+  }, [socket]);
 
   // Load volume from localStorage on mount
   useEffect(() => {
@@ -169,15 +129,15 @@ export const usePlayerControls = (socket) => {
 
   return {
     isPlaying,
+    playback,
     volume,
-    syncTime,
+    getTargetPosition,
+    getServerNow,
     handlePlay,
     handlePause,
     togglePlayPause,
     handleSeek,
     handleVolumeChange,
-    toggleMute,
-    sendTimeUpdate,
-    clearSyncTime
+    toggleMute
   };
 };
@@ -1,6 +1,10 @@
 import { useState, useEffect, useCallback } from 'react';
 import toast from 'react-hot-toast';
-import { SOCKET_EVENTS } from '../config/constants';
+import { SOCKET_EVENTS, PLAY_MODES } from '../config/constants';
+import { getSource } from '../utils/media';
+
+// Length assumed for every video when none in the queue has a known length
+const DEFAULT_ITEM_DURATION = 210;
 
 /**
  * Custom hook for managing playlist and current video state
@@ -8,6 +12,19 @@ import { SOCKET_EVENTS } from '../config/constants';
 export const usePlaylist = (socket) => {
   const [currentVideo, setCurrentVideo] = useState(null);
   const [playlist, setPlaylist] = useState([]);
+  const [skipVotes, setSkipVotes] = useState(null);
+  const [playHistory, setPlayHistory] = useState([]);
+  const [playMode, setPlayModeState] = useState(PLAY_MODES.NORMAL);
+  const [queueSettings, setQueueSettingsState] = useState({
+    fairQueue: false,
+    maxPerUser: 0,
+    radio: false,
+    noDuplicates: false,
+    recentPlayWindow: 0,
+    maxDuration: 0,
+    bannedKeywords: [],
+    bannedChannels: []
+  });
 
   /**
    * Add video to playlist
@@ -19,15 +36,56 @@ export const usePlaylist = (socket) => {
     }
 
     // Validate video object
-    if (!video.videoId || !video.title) {
+    const source = getSource(video);
+    if (!source.sourceId || !video.title) {
       toast.error('Invalid video data');
       return;
     }
 
-    socket.emit(SOCKET_EVENTS.ADD_VIDEO, video);
+    socket.emit(SOCKET_EVENTS.ADD_VIDEO, { ...video, ...source });
     toast.success('Added to playlist!', { icon: '➕' });
   }, [socket]);
 
+  /**
+   * Add a previously played video back to the playlist
+   */
+  const requeueVideo = useCallback((entry) => {
+    if (!entry) {
+      return;
+    }
+
+    // Only the video itself is re-queued, not the history bookkeeping
+    addVideo({
+      ...getSource(entry),
+      title: entry.title,
+      thumbnail: entry.thumbnail,
+      channelTitle: entry.channelTitle
+    });
+  }, [addVideo]);
+
+  /**
+   * Add several videos to the playlist at once (e.g. from an import)
+   */
+  const addVideos = useCallback((videos) => {
+    if (!socket || !Array.isArray(videos) || videos.length === 0) {
+      toast.error('No videos to add');
+      return;
+    }
+
+    socket.emit(SOCKET_EVENTS.ADD_VIDEOS, videos);
+  }, [socket]);
+
+  /**
+   * Queue the videos of one of the user's saved playlists
+   */
+  const loadPlaylist = useCallback((playlistId) => {
+    if (!socket || !playlistId) {
+      return;
+    }
+
+    socket.emit(SOCKET_EVENTS.LOAD_PLAYLIST, playlistId);
+  }, [socket]);
+
   /**
    * Remove video from playlist
    */
@@ -56,8 +114,8 @@ export const usePlaylist = (socket) => {
     // Optimistically update local state
     setPlaylist(newPlaylist);
     
-    // Send to server
-    socket.emit(SOCKET_EVENTS.REORDER_PLAYLIST, newPlaylist);
+    // Only the new order is sent; the server keeps its own copies of the items
+    socket.emit(SOCKET_EVENTS.REORDER_PLAYLIST, newPlaylist.map(video => video.id));
     toast.success('Playlist reordered!', { icon: '🔄' });
   }, [socket]);
 
@@ -74,16 +132,62 @@ export const usePlaylist = (socket) => {
   }, [socket]);
 
   /**
-   * Handle video ended
+   * Vote to skip the current video
+   */
+  const voteSkip = useCallback(() => {
+    if (!socket) {
+      return;
+    }
+
+    socket.emit(SOCKET_EVENTS.VOTE_SKIP);
+  }, [socket]);
+
+  /**
+   * Change the room's skip vote threshold ('50%' or a number of votes)
    */
-  const handleVideoEnd = useCallback(() => {
+  const setSkipThreshold = useCallback((threshold) => {
     if (!socket) {
       return;
     }
 
-    socket.emit(SOCKET_EVENTS.VIDEO_ENDED);
+    socket.emit(SOCKET_EVENTS.SET_SKIP_THRESHOLD, threshold);
   }, [socket]);
 
+  /**
+   * Change the room's play mode (normal, repeat-all, repeat-one, shuffle)
+   */
+  const setPlayMode = useCallback((mode) => {
+    if (!socket) {
+      return;
+    }
+
+    socket.emit(SOCKET_EVENTS.SET_PLAY_MODE, mode);
+  }, [socket]);
+
+  /**
+   * Change the room's queue settings ({ fairQueue?, maxPerUser? })
+   */
+  const setQueueSettings = useCallback((settings) => {
+    if (!socket) {
+      return;
+    }
+
+    socket.emit(SOCKET_EVENTS.SET_QUEUE_SETTINGS, settings);
+  }, [socket]);
+
+  /**
+   * Handle video ended
+   */
+  const handleVideoEnd = useCallback((itemStartedAt) => {
+    if (!socket) {
+      return;
+    }
+
+    // Send the ended play so the server advances only once per video,
+    // even when a repeat mode plays the same item again
+    socket.emit(SOCKET_EVENTS.VIDEO_ENDED, { itemId: currentVideo?.id, itemStartedAt });
+  }, [socket, currentVideo]);
+
   /**
    * Clear playlist (local only for UI purposes)
    */
@@ -93,12 +197,43 @@ export const usePlaylist = (socket) => {
   }, []);
 
   /**
-   * Get total playlist duration (estimated)
+   * Get queue timing from item durations. Items of unknown length (e.g.
+   * live streams) count as the average known length.
+   * @param {number} position - Playback position in the current video, in seconds
+   * @returns {Object} { remaining, startsIn: { [itemId]: seconds }, isEstimate } with times in seconds
+   */
+  const getQueueTiming = useCallback((position = 0) => {
+    const items = [currentVideo, ...playlist].filter(Boolean);
+    const known = items.filter(video => typeof video.duration === 'number');
+    const fallback = known.length > 0
+      ? known.reduce((total, video) => total + video.duration, 0) / known.length
+      : DEFAULT_ITEM_DURATION;
+    const lengthOf = (video) => (typeof video.duration === 'number' ? video.duration : fallback);
+
+    let elapsed = currentVideo ? Math.max(0, lengthOf(currentVideo) - position) : 0;
+    const startsIn = {};
+
+    playlist.forEach((video) => {
+      startsIn[video.id] = elapsed;
+      elapsed += lengthOf(video);
+    });
+
+    return {
+      remaining: elapsed,
+      startsIn,
+      isEstimate: known.length < items.length
+    };
+  }, [playlist, currentVideo]);
+
+  /**
+   * Get total playlist duration in minutes (estimated for items of unknown length)
    */
   const getTotalDuration = useCallback(() => {
-    // Since we don't have duration data, estimate 3.5 minutes per video
-    return playlist.length * 3.5;
-  }, [playlist]);
+    if (playlist.length === 0) return 0;
+
+    const timing = getQueueTiming(0);
+    return (timing.remaining - timing.startsIn[playlist[0].id]) / 60;
+  }, [getQueueTiming, playlist]);
 
   /**
    * Get playlist statistics
@@ -122,6 +257,34 @@ export const usePlaylist = (socket) => {
       if (Array.isArray(state.playlist)) {
         setPlaylist(state.playlist);
       }
+      if (state.skipVotes) {
+        setSkipVotes(state.skipVotes);
+      }
+      if (Array.isArray(state.playHistory)) {
+        setPlayHistory(state.playHistory);
+      }
+      if (state.playMode) {
+        setPlayModeState(state.playMode);
+      }
+      if (state.queueSettings) {
+        setQueueSettingsState(state.queueSettings);
+      }
+    };
+
+    const handlePlayModeUpdated = ({ playMode: mode }) => {
+      setPlayModeState(mode);
+    };
+
+    const handleQueueSettingsUpdated = (settings) => {
+      setQueueSettingsState(settings);
+    };
+
+    const handlePlayHistoryUpdated = (history) => {
+      setPlayHistory(Array.isArray(history) ? history : []);
+    };
+
+    const handleSkipVotesUpdated = (status) => {
+      setSkipVotes(status);
     };
 
     const handlePlaylistUpdated = (newPlaylist) => {
@@ -135,6 +298,15 @@ export const usePlaylist = (socket) => {
       }
     };
 
+    const handleVideosAdded = ({ added = 0, errors = [] } = {}) => {
+      if (added > 0) {
+        toast.success(`Added ${added} video${added !== 1 ? 's' : ''} to playlist!`, { icon: '➕' });
+      }
+      if (errors.length > 0) {
+        toast.error(`${errors.length} item${errors.length !== 1 ? 's' : ''} could not be added`);
+      }
+    };
+
     const handlePlaylistEnded = () => {
       setCurrentVideo(null);
       toast('Playlist ended! Add more videos to continue.', { icon: '🎵' });
@@ -145,6 +317,11 @@ export const usePlaylist = (socket) => {
     socket.on(SOCKET_EVENTS.PLAYLIST_UPDATED, handlePlaylistUpdated);
     socket.on(SOCKET_EVENTS.PLAY_VIDEO, handlePlayVideo);
     socket.on(SOCKET_EVENTS.PLAYLIST_ENDED, handlePlaylistEnded);
+    socket.on(SOCKET_EVENTS.VIDEOS_ADDED, handleVideosAdded);
+    socket.on(SOCKET_EVENTS.PLAY_HISTORY_UPDATED, handlePlayHistoryUpdated);
+    socket.on(SOCKET_EVENTS.PLAY_MODE_UPDATED, handlePlayModeUpdated);
+    socket.on(SOCKET_EVENTS.QUEUE_SETTINGS_UPDATED, handleQueueSettingsUpdated);
+    socket.on(SOCKET_EVENTS.SKIP_VOTES_UPDATED, handleSkipVotesUpdated);
 
     // Cleanup
     return () => {
@@ -152,18 +329,35 @@ export const usePlaylist = (socket) => {
       socket.off(SOCKET_EVENTS.PLAYLIST_UPDATED, handlePlaylistUpdated);
       socket.off(SOCKET_EVENTS.PLAY_VIDEO, handlePlayVideo);
       socket.off(SOCKET_EVENTS.PLAYLIST_ENDED, handlePlaylistEnded);
+      socket.off(SOCKET_EVENTS.VIDEOS_ADDED, handleVideosAdded);
+      socket.off(SOCKET_EVENTS.PLAY_HISTORY_UPDATED, handlePlayHistoryUpdated);
+      socket.off(SOCKET_EVENTS.PLAY_MODE_UPDATED, handlePlayModeUpdated);
+      socket.off(SOCKET_EVENTS.QUEUE_SETTINGS_UPDATED, handleQueueSettingsUpdated);
+      socket.off(SOCKET_EVENTS.SKIP_VOTES_UPDATED, handleSkipVotesUpdated);
     };
   }, [socket]);
 
   return {
     currentVideo,
     playlist,
+    skipVotes,
+    playHistory,
+    playMode,
+    queueSettings,
     addVideo,
+    requeueVideo,
+    addVideos,
+    loadPlaylist,
     removeVideo,
     reorderPlaylist,
     skipVideo,
+    voteSkip,
+    setSkipThreshold,
+    setPlayMode,
+    setQueueSettings,
     handleVideoEnd,
     clearPlaylist,
+    getQueueTiming,
     getPlaylistStats
   };
 };
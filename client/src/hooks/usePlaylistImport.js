@@ -0,0 +1,68 @@
+import { useState, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { API_CONFIG } from '../config/constants';
+
+/**
+ * Custom hook for resolving pasted YouTube playlist/video links
+ */
+export const usePlaylistImport = () => {
+  const [importInput, setImportInput] = useState('');
+  const [importResult, setImportResult] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  /**
+   * Resolve the pasted links into videos
+   */
+  const resolveImport = useCallback(async () => {
+    if (!importInput.trim()) {
+      toast.error('Paste a playlist URL or some video links');
+      return null;
+    }
+
+    setIsImporting(true);
+    setImportResult(null);
+
+    try {
+      const response = await axios.post(`${API_CONFIG.baseURL}${API_CONFIG.endpoints.import}`, {
+        input: importInput
+      }, {
+        timeout: 30000 // Playlists can take a while to resolve
+      });
+
+      const result = response.data;
+      setImportResult(result);
+
+      if (result.videos.length === 0) {
+        toast.error('No videos found to import');
+      }
+
+      return result;
+
+    } catch (error) {
+      console.error('Import error:', error);
+      toast.error(error.response?.data?.message || 'Failed to import videos. Please try again.');
+      return null;
+
+    } finally {
+      setIsImporting(false);
+    }
+  }, [importInput]);
+
+  /**
+   * Reset the import form
+   */
+  const clearImport = useCallback(() => {
+    setImportInput('');
+    setImportResult(null);
+  }, []);
+
+  return {
+    importInput,
+    setImportInput,
+    importResult,
+    isImporting,
+    resolveImport,
+    clearImport
+  };
+};
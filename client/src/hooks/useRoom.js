@@ -1,6 +1,8 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import toast from 'react-hot-toast';
-import { SOCKET_EVENTS } from '../config/constants';
+import { SOCKET_EVENTS, CAPABILITIES, ACCESS_MODES } from '../config/constants';
+
+const INVITE_TIMEOUT = 5000; // How long to wait for the server to create an invite link
 
 /**
  * Custom hook for managing room state and participants
@@ -10,8 +12,26 @@ export const useRoom = (socket) => {
   const [participants, setParticipants] = useState([]);
   const [participantCount, setParticipantCount] = useState(0);
   const [isInRoom, setIsInRoom] = useState(false);
-  const [currentUser, setCurrentUser] = useState(null);
-  const [isOwner, setIsOwner] = useState(false);
+  const [sessions, setSessions] = useState([]); // Scheduled listening sessions, soonest first
+  const [access, setAccess] = useState({ mode: ACCESS_MODES.PUBLIC, hasPassword: false }); // Who can join
+  const [joinError, setJoinError] = useState(null); // { roomId, code, message } of the last rejected join
+
+  // Invite token from an invite link (?room=...&invite=...), sent with every join
+  const inviteTokenRef = useRef(new URLSearchParams(window.location.search).get('invite'));
+
+  // The current user is our own entry in the participant list (with role and capabilities)
+  const currentUser = useMemo(
+    () => participants.find(p => p.socketId === socket?.id) || null,
+    [participants, socket]
+  );
+  const isOwner = currentUser?.isOwner || false;
+
+  /**
+   * Check if the current user has a room capability
+   */
+  const can = useCallback((capability) => {
+    return currentUser?.capabilities?.includes(capability) || false;
+  }, [currentUser]);
 
   /**
    * Validate room name
@@ -36,9 +56,10 @@ export const useRoom = (socket) => {
   }, []);
 
   /**
-   * Join or create a room
+   * Join or create a room. Private rooms need a password (credentials.password)
+   * or the invite token from an invite link; rejections arrive as JOIN_ERROR.
    */
-  const joinRoom = useCallback((newRoomId) => {
+  const joinRoom = useCallback((newRoomId, credentials = {}) => {
     console.log('joinRoom called with:', newRoomId);
 
     if (!socket) {
@@ -58,9 +79,16 @@ export const useRoom = (socket) => {
 
     try {
       console.log('Emitting join-room event for:', cleanRoomId);
-      socket.emit(SOCKET_EVENTS.JOIN_ROOM, cleanRoomId);
+      socket.emit(SOCKET_EVENTS.JOIN_ROOM, {
+        roomId: cleanRoomId,
+        // Guests keep the same identity (and room role) across refreshes
+        guestToken: localStorage.getItem('guestToken'),
+        password: credentials.password,
+        inviteToken: inviteTokenRef.current
+      });
       setRoomId(cleanRoomId);
       setIsInRoom(true);
+      setJoinError(null);
 
       // Update URL without page refresh
       const newUrl = `${window.location.protocol}//${window.location.host}${window.location.pathname}?room=${cleanRoomId}`;
@@ -91,8 +119,7 @@ export const useRoom = (socket) => {
       setIsInRoom(false);
       setParticipants([]);
       setParticipantCount(0);
-      setCurrentUser(null);
-      setIsOwner(false);
+      setSessions([]);
 
       // Clear URL parameter
       // const newUrl = `${window.location.protocol}//${window.location.host}${window.location.pathname}`;
@@ -107,52 +134,87 @@ export const useRoom = (socket) => {
   }, [socket, isInRoom]);
 
   /**
-   * Grant playlist permission to user
+   * Change the room role of a participant
    */
-  const grantPlaylistPermission = useCallback((socketId) => {
-    if (!socket || !isOwner) return;
-    socket.emit(SOCKET_EVENTS.GRANT_PLAYLIST_PERMISSION, socketId);
-  }, [socket, isOwner]);
+  const setRole = useCallback((identityId, role) => {
+    if (!socket || !can(CAPABILITIES.MANAGE_ROLES)) return;
+    socket.emit(SOCKET_EVENTS.SET_ROLE, { identityId, role });
+  }, [socket, can]);
 
   /**
-   * Revoke playlist permission from user
+   * Kick participant (all of their connections) from room
    */
-  const revokePlaylistPermission = useCallback((socketId) => {
-    if (!socket || !isOwner) return;
-    socket.emit(SOCKET_EVENTS.REVOKE_PLAYLIST_PERMISSION, socketId);
-  }, [socket, isOwner]);
+  const kickParticipant = useCallback((identityId) => {
+    if (!socket || !can(CAPABILITIES.KICK_PARTICIPANT)) return;
+    socket.emit(SOCKET_EVENTS.KICK_PARTICIPANT, identityId);
+  }, [socket, can]);
 
   /**
-   * Kick participant from room
+   * Change who can join the room (owner only): { mode, password?, revokeInvites? }
    */
-  const kickParticipant = useCallback((socketId) => {
+  const setRoomAccess = useCallback((settings) => {
     if (!socket || !isOwner) return;
-    socket.emit(SOCKET_EVENTS.KICK_PARTICIPANT, socketId);
+    socket.emit(SOCKET_EVENTS.SET_ROOM_ACCESS, settings);
   }, [socket, isOwner]);
 
   /**
-   * Get room share URL
+   * Get room share URL, with an invite token for private rooms
    */
-  const getShareUrl = useCallback(() => {
+  const getShareUrl = useCallback((inviteToken = null) => {
     if (!roomId) {
       return window.location.href;
     }
-    return `${window.location.protocol}//${window.location.host}${window.location.pathname}?room=${roomId}`;
+    const url = `${window.location.protocol}//${window.location.host}${window.location.pathname}?room=${roomId}`;
+    return inviteToken ? `${url}&invite=${encodeURIComponent(inviteToken)}` : url;
   }, [roomId]);
 
   /**
-   * Copy room share URL to clipboard
+   * Ask the server for an invite link token
+   * @returns {Promise<Object>} { token, expiresAt }
+   */
+  const createInvite = useCallback(() => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(SOCKET_EVENTS.INVITE_CREATED, handleInvite);
+      reject(new Error('The server did not create an invite link'));
+    }, INVITE_TIMEOUT);
+
+    const handleInvite = (invite) => {
+      clearTimeout(timer);
+      resolve(invite);
+    };
+
+    socket.once(SOCKET_EVENTS.INVITE_CREATED, handleInvite);
+    socket.emit(SOCKET_EVENTS.CREATE_INVITE);
+  }), [socket]);
+
+  /**
+   * Copy room share URL to clipboard. In private rooms, people who manage
+   * the room copy an invite link; others get the plain link.
    */
   const copyShareUrl = useCallback(async () => {
+    const isPrivate = access.mode !== ACCESS_MODES.PUBLIC;
+
     try {
-      const url = getShareUrl();
-      await navigator.clipboard.writeText(url);
-      toast.success('Room link copied to clipboard!');
+      if (isPrivate && socket && can(CAPABILITIES.MANAGE_ROOM)) {
+        const invite = await createInvite();
+        await navigator.clipboard.writeText(getShareUrl(invite.token));
+        toast.success(`Invite link copied! It works until ${new Date(invite.expiresAt).toLocaleString()}`);
+        return;
+      }
+
+      await navigator.clipboard.writeText(getShareUrl());
+      if (access.mode === ACCESS_MODES.PASSWORD) {
+        toast.success('Room link copied! People will also need the room password');
+      } else if (access.mode === ACCESS_MODES.INVITE) {
+        toast('Room link copied, but this room is invite-only: ask the owner for an invite link', { icon: '🔒' });
+      } else {
+        toast.success('Room link copied to clipboard!');
+      }
     } catch (error) {
       console.error('Failed to copy to clipboard:', error);
       toast.error('Failed to copy link');
     }
-  }, [getShareUrl]);
+  }, [access.mode, socket, can, createInvite, getShareUrl]);
 
   // Set up socket event listeners
   useEffect(() => {
@@ -164,41 +226,60 @@ export const useRoom = (socket) => {
       if (state.participants) {
         setParticipants(state.participants);
         setParticipantCount(state.participants.length);
-
-        // Find current user and check if owner
-        const current = state.participants.find(p => p.socketId === socket.id);
-        setCurrentUser(current);
-        setIsOwner(current?.isOwner || false);
       } else if (typeof state.participantCount === 'number') {
         setParticipantCount(state.participantCount);
       }
+
+      if (state.sessions) {
+        setSessions(state.sessions);
+      }
+
+      if (state.access) {
+        setAccess(state.access);
+      }
+      setJoinError(null);
+    };
+
+    const handleJoinError = (error) => {
+      console.warn('Room join rejected:', error);
+      setIsInRoom(false);
+      setJoinError(error);
     };
 
-    const handleParticipantJoined = (count) => {
+    const handleSessionStarted = (session) => {
+      toast(`${session.title} is starting!`, { icon: '🎉' });
+    };
+
+    const handleParticipantJoined = ({ participant, participantCount: count }) => {
       console.log('Participant joined, new count:', count);
+      setParticipants(prev => [...prev.filter(p => p.socketId !== participant.socketId), participant]);
       setParticipantCount(count);
       if (isInRoom) {
-        toast('Someone joined the room!', { icon: '👋' });
+        toast(`${participant.username} joined the room!`, { icon: '👋' });
       }
     };
 
-    const handleParticipantLeft = (count) => {
+    const handleParticipantLeft = ({ socketId, participantCount: count }) => {
       console.log('Participant left, new count:', count);
+      setParticipants(prev => prev.filter(p => p.socketId !== socketId));
       setParticipantCount(count);
       if (isInRoom) {
         toast('Someone left the room', { icon: '👋' });
       }
     };
 
-    const handlePermissionsUpdated = (updatedParticipants) => {
-      console.log('Permissions updated:', updatedParticipants);
-      setParticipants(updatedParticipants);
-      setParticipantCount(updatedParticipants.length);
+    const handleRoleUpdated = (roleInfo) => {
+      console.log('Role updated:', roleInfo);
+      // Applies to every connection of the identity
+      setParticipants(prev => prev.map(p => (
+        p.identityId === roleInfo.identityId ? { ...p, ...roleInfo } : p
+      )));
+    };
 
-      // Update current user info
-      const current = updatedParticipants.find(p => p.socketId === socket.id);
-      setCurrentUser(current);
-      setIsOwner(current?.isOwner || false);
+    const handleParticipantMuted = ({ identityId, muted }) => {
+      setParticipants(prev => prev.map(p => (
+        p.identityId === identityId ? { ...p, isMuted: muted } : p
+      )));
     };
 
     const handlePermissionDenied = (error) => {
@@ -210,25 +291,62 @@ export const useRoom = (socket) => {
       leaveRoom();
     };
 
+    const handleIdentityAssigned = (data) => {
+      if (data?.guestToken) {
+        localStorage.setItem('guestToken', data.guestToken);
+      }
+    };
+
     // Add event listeners
     socket.on(SOCKET_EVENTS.ROOM_STATE, handleRoomState);
     socket.on(SOCKET_EVENTS.PARTICIPANT_JOINED, handleParticipantJoined);
     socket.on(SOCKET_EVENTS.PARTICIPANT_LEFT, handleParticipantLeft);
-    socket.on(SOCKET_EVENTS.PERMISSIONS_UPDATED, handlePermissionsUpdated);
+    socket.on(SOCKET_EVENTS.ROLE_UPDATED, handleRoleUpdated);
+    socket.on(SOCKET_EVENTS.PARTICIPANT_MUTED, handleParticipantMuted);
     socket.on(SOCKET_EVENTS.PERMISSION_DENIED, handlePermissionDenied);
     socket.on(SOCKET_EVENTS.PARTICIPANT_KICKED, handleParticipantKicked);
+    socket.on(SOCKET_EVENTS.IDENTITY_ASSIGNED, handleIdentityAssigned);
+    socket.on(SOCKET_EVENTS.SESSIONS_UPDATED, setSessions);
+    socket.on(SOCKET_EVENTS.SESSION_STARTED, handleSessionStarted);
+    socket.on(SOCKET_EVENTS.JOIN_ERROR, handleJoinError);
+    socket.on(SOCKET_EVENTS.ROOM_ACCESS_UPDATED, setAccess);
 
     // Cleanup
     return () => {
       socket.off(SOCKET_EVENTS.ROOM_STATE, handleRoomState);
       socket.off(SOCKET_EVENTS.PARTICIPANT_JOINED, handleParticipantJoined);
       socket.off(SOCKET_EVENTS.PARTICIPANT_LEFT, handleParticipantLeft);
-      socket.off(SOCKET_EVENTS.PERMISSIONS_UPDATED, handlePermissionsUpdated);
+      socket.off(SOCKET_EVENTS.ROLE_UPDATED, handleRoleUpdated);
+      socket.off(SOCKET_EVENTS.PARTICIPANT_MUTED, handleParticipantMuted);
       socket.off(SOCKET_EVENTS.PERMISSION_DENIED, handlePermissionDenied);
       socket.off(SOCKET_EVENTS.PARTICIPANT_KICKED, handleParticipantKicked);
+      socket.off(SOCKET_EVENTS.IDENTITY_ASSIGNED, handleIdentityAssigned);
+      socket.off(SOCKET_EVENTS.SESSIONS_UPDATED, setSessions);
+      socket.off(SOCKET_EVENTS.SESSION_STARTED, handleSessionStarted);
+      socket.off(SOCKET_EVENTS.JOIN_ERROR, handleJoinError);
+      socket.off(SOCKET_EVENTS.ROOM_ACCESS_UPDATED, setAccess);
     };
   }, [socket, isInRoom, leaveRoom]);
 
+  // Rejoin when the socket reconnects (e.g. after signing in again): the
+  // server dropped us from the room when the old connection closed
+  useEffect(() => {
+    if (!socket || !isInRoom || !roomId) return;
+
+    const handleReconnect = () => {
+      socket.emit(SOCKET_EVENTS.JOIN_ROOM, {
+        roomId,
+        guestToken: localStorage.getItem('guestToken'),
+        inviteToken: inviteTokenRef.current
+      });
+    };
+
+    socket.on('connect', handleReconnect);
+    return () => {
+      socket.off('connect', handleReconnect);
+    };
+  }, [socket, isInRoom, roomId]);
+
   // Check for room ID in URL on mount
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search);
@@ -246,11 +364,15 @@ export const useRoom = (socket) => {
     currentUser,
     isOwner,
     isInRoom,
+    sessions,
+    access,
+    joinError,
     joinRoom,
     leaveRoom,
-    grantPlaylistPermission,
-    revokePlaylistPermission,
+    can,
+    setRole,
     kickParticipant,
+    setRoomAccess,
     getShareUrl,
     copyShareUrl,
     validateRoomName
@@ -0,0 +1,156 @@
+import { useState, useCallback, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { API_CONFIG } from '../config/constants';
+
+const PLAYLISTS_URL = `${API_CONFIG.baseURL}${API_CONFIG.endpoints.playlists}`;
+
+/**
+ * Custom hook for the signed-in user's saved playlists
+ */
+export const useSavedPlaylists = (user) => {
+  const [playlists, setPlaylists] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Requests are authenticated by the session cookie
+  const signedInUserId = user?.isGuest ? null : user?.userId;
+
+  /**
+   * Send an authenticated request to the playlists API
+   */
+  const request = useCallback((options) => {
+    return axios({
+      ...options,
+      url: `${PLAYLISTS_URL}${options.url || ''}`,
+      withCredentials: true,
+      timeout: 10000
+    });
+  }, []);
+
+  /**
+   * Show an API error
+   */
+  const showError = useCallback((error, fallback) => {
+    console.error(fallback, error);
+    toast.error(error.response?.data?.message || fallback);
+  }, []);
+
+  /**
+   * Reload the playlist list
+   */
+  const refreshPlaylists = useCallback(async () => {
+    if (!signedInUserId) {
+      setPlaylists([]);
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await request({ method: 'get' });
+      setPlaylists(response.data);
+    } catch (error) {
+      showError(error, 'Failed to load saved playlists');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [signedInUserId, request, showError]);
+
+  /**
+   * Save the room's current queue as a new playlist
+   */
+  const savePlaylist = useCallback(async (name, roomId) => {
+    try {
+      await request({ method: 'post', data: { name, roomId } });
+      toast.success(`Saved playlist "${name}"`, { icon: '💾' });
+      await refreshPlaylists();
+      return true;
+    } catch (error) {
+      showError(error, 'Failed to save playlist');
+      return false;
+    }
+  }, [request, refreshPlaylists, showError]);
+
+  /**
+   * Rename a playlist
+   */
+  const renamePlaylist = useCallback(async (playlistId, name) => {
+    try {
+      await request({ method: 'put', url: `/${playlistId}`, data: { name } });
+      await refreshPlaylists();
+    } catch (error) {
+      showError(error, 'Failed to rename playlist');
+    }
+  }, [request, refreshPlaylists, showError]);
+
+  /**
+   * Delete a playlist
+   */
+  const deletePlaylist = useCallback(async (playlistId) => {
+    try {
+      await request({ method: 'delete', url: `/${playlistId}` });
+      setPlaylists(prev => prev.filter(playlist => playlist.id !== playlistId));
+      toast.success('Playlist deleted', { icon: '🗑️' });
+    } catch (error) {
+      showError(error, 'Failed to delete playlist');
+    }
+  }, [request, showError]);
+
+  /**
+   * Download a playlist as JSON or M3U
+   */
+  const exportPlaylist = useCallback(async (playlistId, format = 'json') => {
+    try {
+      const response = await request({
+        method: 'get',
+        url: `/${playlistId}/export`,
+        params: { format },
+        responseType: 'blob'
+      });
+
+      // Use the server's file name when it is exposed
+      const disposition = response.headers['content-disposition'] || '';
+      const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || `playlist.${format}`;
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      showError(error, 'Failed to export playlist');
+    }
+  }, [request, showError]);
+
+  /**
+   * Import a JSON or M3U file as a new playlist
+   */
+  const importPlaylistFile = useCallback(async (file) => {
+    try {
+      const content = await file.text();
+      const format = /\.m3u8?$/i.test(file.name) ? 'm3u' : undefined;
+      const response = await request({ method: 'post', url: '/import', data: { content, format } });
+
+      toast.success(`Imported "${response.data.name}" (${response.data.items.length} videos)`, { icon: '📥' });
+      await refreshPlaylists();
+    } catch (error) {
+      showError(error, 'Failed to import playlist file');
+    }
+  }, [request, refreshPlaylists, showError]);
+
+  useEffect(() => {
+    refreshPlaylists();
+  }, [refreshPlaylists]);
+
+  return {
+    playlists,
+    isLoading,
+    canSave: !!signedInUserId,
+    refreshPlaylists,
+    savePlaylist,
+    renamePlaylist,
+    deletePlaylist,
+    exportPlaylist,
+    importPlaylistFile
+  };
+};
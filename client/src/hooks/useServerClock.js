@@ -0,0 +1,65 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { SOCKET_EVENTS, SYNC_CONFIG } from '../config/constants';
+
+/**
+ * Custom hook estimating the offset between the local and server clocks
+ * with NTP-style ping/pong exchanges
+ */
+export const useServerClock = (socket) => {
+  const offsetRef = useRef(0);
+  const samplesRef = useRef([]);
+
+  /**
+   * Current time on the server clock (ms)
+   */
+  const getServerNow = useCallback(() => Date.now() + offsetRef.current, []);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const timers = [];
+
+    const sendPing = () => {
+      if (socket.connected) {
+        socket.emit(SOCKET_EVENTS.TIME_SYNC_PING, Date.now());
+      }
+    };
+
+    const handlePong = ({ clientSentAt, serverReceivedAt, serverSentAt }) => {
+      const receivedAt = Date.now();
+      const rtt = (receivedAt - clientSentAt) - (serverSentAt - serverReceivedAt);
+      const offset = ((serverReceivedAt - clientSentAt) + (serverSentAt - receivedAt)) / 2;
+
+      samplesRef.current = [...samplesRef.current, { rtt, offset }].slice(-SYNC_CONFIG.clockSamples);
+
+      // The sample with the lowest round trip has the least network asymmetry
+      const best = samplesRef.current.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+      offsetRef.current = best.offset;
+    };
+
+    // Measure quickly after (re)connecting, as the network path may have changed
+    const startBurst = () => {
+      samplesRef.current = [];
+      for (let i = 0; i < SYNC_CONFIG.clockBurstSize; i++) {
+        timers.push(setTimeout(sendPing, i * SYNC_CONFIG.clockBurstSpacing));
+      }
+    };
+
+    socket.on(SOCKET_EVENTS.TIME_SYNC_PONG, handlePong);
+    socket.on('connect', startBurst);
+    if (socket.connected) {
+      startBurst();
+    }
+
+    const resyncInterval = setInterval(sendPing, SYNC_CONFIG.clockResyncInterval);
+
+    return () => {
+      socket.off(SOCKET_EVENTS.TIME_SYNC_PONG, handlePong);
+      socket.off('connect', startBurst);
+      timers.forEach(clearTimeout);
+      clearInterval(resyncInterval);
+    };
+  }, [socket]);
+
+  return { getServerNow };
+};
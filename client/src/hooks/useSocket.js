@@ -18,9 +18,12 @@ export const useSocket = () => {
    */
   const createSocket = useCallback(() => {
     try {
+      // The server authenticates the socket during the handshake with the
+      // session cookie; useAuth reconnects when the user signs in or out
       const newSocket = io(API_CONFIG.baseURL, {
         timeout: 10000,
-        transports: ['websocket', 'polling']
+        transports: ['websocket', 'polling'],
+        withCredentials: true
       });
 
       // Connection event handlers
@@ -38,15 +41,20 @@ export const useSocket = () => {
         setIsConnected(false);
         
         // Only show disconnect toast for unexpected disconnections
-        if (reason === 'io server disconnect') {
-          toast.error('Disconnected by server');
-        } else if (reason === 'transport error' || reason === 'ping timeout') {
+        if (reason === 'transport error' || reason === 'ping timeout') {
           toast.error('Connection lost');
         }
-        // Don't show toast for manual disconnects or transport close
+        // Don't show toast for manual disconnects or transport close; the
+        // server only disconnects sockets when their sign-in ends (see useAuth)
       });
 
       newSocket.on('connect_error', (error) => {
+        // Rejected sign-ins are handled by useAuth; they are not retried
+        if (error.data?.code) {
+          console.warn('Connection refused:', error.message);
+          return;
+        }
+
         console.error('Connection error:', error);
         setConnectionError(error.message);
         
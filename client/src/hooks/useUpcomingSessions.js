@@ -0,0 +1,51 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import axios from 'axios';
+import { API_CONFIG } from '../config/constants';
+
+const LOOKUP_DELAY = 400; // Wait for typing to pause before asking the server
+
+/**
+ * Custom hook fetching the scheduled sessions of a room before joining it
+ * @param {string} roomId - Cleaned room ID, or an empty string for none
+ */
+export const useUpcomingSessions = (roomId) => {
+  const [sessions, setSessions] = useState([]);
+  const offsetRef = useRef(0); // Server clock minus local clock, from the last response
+
+  /**
+   * Current time on the server clock (ms)
+   */
+  const getServerNow = useCallback(() => Date.now() + offsetRef.current, []);
+
+  useEffect(() => {
+    setSessions([]);
+    if (!roomId) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const sentAt = Date.now();
+        const response = await axios.get(
+          `${API_CONFIG.baseURL}${API_CONFIG.endpoints.rooms}/${encodeURIComponent(roomId)}/sessions`,
+          { signal: controller.signal, timeout: 10000 }
+        );
+        const receivedAt = Date.now();
+
+        offsetRef.current = response.data.serverTime - (sentAt + receivedAt) / 2;
+        setSessions(response.data.sessions || []);
+      } catch (error) {
+        // The countdown is a nicety; joining works without it
+        if (!axios.isCancel(error)) {
+          console.warn('Failed to load scheduled sessions:', error.message);
+        }
+      }
+    }, LOOKUP_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [roomId]);
+
+  return { sessions, getServerNow };
+};
@@ -1,10 +1,20 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
-import { API_CONFIG, APP_CONFIG } from '../config/constants';
+import { API_CONFIG, APP_CONFIG, PROVIDERS } from '../config/constants';
+
+export const DEFAULT_SEARCH_FILTERS = {
+  duration: 'any', // 'any', 'short' (< 4 min), 'medium' (4-20 min) or 'long' (> 20 min)
+  excludeLive: false,
+  musicOnly: false
+};
+
+// Used until the server's provider list arrives
+const DEFAULT_PROVIDERS = [{ name: PROVIDERS.YOUTUBE, label: 'YouTube', searchable: true }];
 
 /**
- * Custom hook for YouTube video search functionality
+ * Custom hook for video search functionality. YouTube is searched by
+ * default; other providers are picked with setProvider.
  */
 export const useYouTubeSearch = () => {
   const [searchQuery, setSearchQuery] = useState('');
@@ -12,6 +22,11 @@ export const useYouTubeSearch = () => {
   const [isSearching, setIsSearching] = useState(false);
   const [searchError, setSearchError] = useState(null);
   const [hasSearched, setHasSearched] = useState(false);
+  const [filters, setFiltersState] = useState(DEFAULT_SEARCH_FILTERS);
+  const [nextPageToken, setNextPageToken] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [providers, setProviders] = useState(DEFAULT_PROVIDERS);
+  const [provider, setProviderState] = useState(PROVIDERS.YOUTUBE);
   
   // Refs for managing async operations
   const searchTimeoutRef = useRef(null);
@@ -20,10 +35,15 @@ export const useYouTubeSearch = () => {
   /**
    * Validate search query
    */
-  const validateQuery = useCallback((query) => {
+  const validateQuery = useCallback((query, searchProvider = provider) => {
     if (!query || query.trim().length === 0) {
       return 'Please enter a search term';
     }
+
+    // Other providers take pasted links, which need the characters rejected below
+    if (searchProvider !== PROVIDERS.YOUTUBE) {
+      return query.length > APP_CONFIG.maxLinkLength ? 'Link too long' : null;
+    }
     
     if (query.length > APP_CONFIG.maxSearchQueryLength) {
       return `Search query too long (max ${APP_CONFIG.maxSearchQueryLength} characters)`;
@@ -35,17 +55,28 @@ export const useYouTubeSearch = () => {
     }
     
     return null;
+  }, [provider]);
+
+  // Load the providers the server supports
+  useEffect(() => {
+    axios.get(`${API_CONFIG.baseURL}${API_CONFIG.endpoints.providers}`, { timeout: 10000 })
+      .then((response) => {
+        if (Array.isArray(response.data) && response.data.length > 0) {
+          setProviders(response.data);
+        }
+      })
+      .catch(error => console.warn('Could not load media providers:', error.message));
   }, []);
 
   /**
-   * Perform YouTube search
+   * Perform search
    */
   const performSearch = useCallback(async (query, options = {}) => {
-    const { skipValidation = false } = options;
+    const { skipValidation = false, searchFilters = filters, searchProvider = provider } = options;
     
     // Validate query unless skipped
     if (!skipValidation) {
-      const validationError = validateQuery(query);
+      const validationError = validateQuery(query, searchProvider);
       if (validationError) {
         toast.error(validationError);
         setSearchError(validationError);
@@ -62,21 +93,31 @@ export const useYouTubeSearch = () => {
     abortControllerRef.current = new AbortController();
     
     setIsSearching(true);
+    setIsLoadingMore(false);
     setSearchError(null);
 
     try {
       const response = await axios.get(`${API_CONFIG.baseURL}${API_CONFIG.endpoints.search}`, {
-        params: { q: query.trim() },
+        // Filters only apply to YouTube
+        params: {
+          q: query.trim(),
+          provider: searchProvider,
+          ...(searchProvider === PROVIDERS.YOUTUBE ? searchFilters : {})
+        },
         signal: abortControllerRef.current.signal,
         timeout: 10000 // 10 second timeout
       });
 
-      const results = response.data || [];
+      const results = response.data?.videos || [];
       setSearchResults(results);
+      setNextPageToken(response.data?.nextPageToken || null);
       setHasSearched(true);
 
       if (results.length === 0) {
-        const message = 'No videos found. Try different keywords.';
+        const providerInfo = providers.find(entry => entry.name === searchProvider);
+        const message = providerInfo && !providerInfo.searchable
+          ? `Paste a ${providerInfo.label} link to add it.`
+          : 'No videos found. Try different keywords.';
         toast(message, { icon: '🔍' });
         setSearchError(message);
       } else {
@@ -99,7 +140,7 @@ export const useYouTubeSearch = () => {
       if (error.response) {
         switch (error.response.status) {
           case 400:
-            errorMessage = 'Invalid search query';
+            errorMessage = error.response.data?.message || 'Invalid search query';
             break;
           case 429:
             errorMessage = 'Too many requests. Please wait and try again.';
@@ -132,7 +173,71 @@ export const useYouTubeSearch = () => {
       setIsSearching(false);
       abortControllerRef.current = null;
     }
-  }, [validateQuery]);
+  }, [validateQuery, filters, provider, providers]);
+
+  /**
+   * Fetch the next page of the current search and append it to the results
+   */
+  const loadMore = useCallback(async () => {
+    if (!nextPageToken || isSearching || isLoadingMore) {
+      return;
+    }
+
+    abortControllerRef.current = new AbortController();
+    setIsLoadingMore(true);
+
+    try {
+      const response = await axios.get(`${API_CONFIG.baseURL}${API_CONFIG.endpoints.search}`, {
+        params: { pageToken: nextPageToken, provider },
+        signal: abortControllerRef.current.signal,
+        timeout: 10000
+      });
+
+      const results = response.data?.videos || [];
+      setSearchResults(prev => {
+        const seen = new Set(prev.map(video => video.videoId));
+        return [...prev, ...results.filter(video => !seen.has(video.videoId))];
+      });
+      setNextPageToken(response.data?.nextPageToken || null);
+
+    } catch (error) {
+      if (axios.isCancel(error) || error.name === 'AbortError') {
+        return;
+      }
+
+      console.error('Load more error:', error);
+      toast.error('Could not load more results. Please try again.');
+
+    } finally {
+      setIsLoadingMore(false);
+      abortControllerRef.current = null;
+    }
+  }, [nextPageToken, provider, isSearching, isLoadingMore]);
+
+  /**
+   * Switch the provider searched, repeating the current search with it
+   */
+  const setProvider = useCallback((name) => {
+    setProviderState(name);
+    setSearchResults([]);
+    setNextPageToken(null);
+
+    if (hasSearched && searchQuery.trim()) {
+      performSearch(searchQuery, { searchProvider: name });
+    }
+  }, [hasSearched, searchQuery, performSearch]);
+
+  /**
+   * Update search filters, repeating the current search with them
+   */
+  const setFilters = useCallback((changes) => {
+    const updated = { ...filters, ...changes };
+    setFiltersState(updated);
+
+    if (hasSearched && searchQuery.trim()) {
+      performSearch(searchQuery, { searchFilters: updated });
+    }
+  }, [filters, hasSearched, searchQuery, performSearch]);
 
   /**
    * Handle search with debouncing
@@ -181,6 +286,7 @@ export const useYouTubeSearch = () => {
     // Clear results if query is empty
     if (!query.trim()) {
       setSearchResults([]);
+      setNextPageToken(null);
       setSearchError(null);
       setHasSearched(false);
     }
@@ -202,6 +308,8 @@ export const useYouTubeSearch = () => {
 
     setSearchQuery('');
     setSearchResults([]);
+    setNextPageToken(null);
+    setIsLoadingMore(false);
     setSearchError(null);
     setHasSearched(false);
     setIsSearching(false);
@@ -234,6 +342,14 @@ export const useYouTubeSearch = () => {
     isSearching,
     searchError,
     hasSearched,
+    filters,
+    nextPageToken,
+    isLoadingMore,
+    providers,
+    provider,
+    setFilters,
+    setProvider,
+    loadMore,
     updateSearchQuery,
     handleSearch,
     handleSearchSubmit,
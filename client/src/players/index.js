@@ -0,0 +1,38 @@
+import { PROVIDERS } from '../config/constants';
+import { createYouTubePlayer } from './youtubePlayer';
+import { createMediaPlayer } from './mediaPlayer';
+import { createSoundCloudPlayer } from './soundCloudPlayer';
+
+const PLAYER_FACTORIES = {
+  [PROVIDERS.YOUTUBE]: createYouTubePlayer,
+  [PROVIDERS.MEDIA]: createMediaPlayer,
+  [PROVIDERS.SOUNDCLOUD]: createSoundCloudPlayer
+};
+
+/**
+ * Create the player for a provider, mounted inside a container element.
+ *
+ * Every player has the same interface:
+ * - load(sourceId): switch to another item of the same provider
+ * - play(), pause(), seek(seconds)
+ * - getCurrentTime(): position in seconds
+ * - getState(): one of PLAYER_STATES
+ * - setVolume(percent)
+ * - destroy(): stop and remove the player
+ *
+ * and reports back through callbacks: onReady(), onPlay(), onPause(),
+ * onEnded() and onError(message, fatal). A fatal error means the player
+ * itself could not be created.
+ *
+ * @param {string} provider - Provider name
+ * @param {HTMLElement} container - Element the player is mounted in
+ * @param {Object} callbacks - Player callbacks
+ * @returns {Object} Player adapter
+ */
+export const createPlayer = (provider, container, callbacks) => {
+  const factory = PLAYER_FACTORIES[provider];
+  if (!factory) {
+    throw new Error(`No player for media provider: ${provider}`);
+  }
+  return factory(container, callbacks);
+};
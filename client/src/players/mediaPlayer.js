@@ -0,0 +1,105 @@
+import { PLAYER_STATES } from '../config/constants';
+
+// MediaError codes
+const ERROR_MESSAGES = {
+  1: 'Loading the media file was aborted',
+  2: 'Network error while loading the media file',
+  3: 'The media file could not be decoded',
+  4: 'The media file cannot be played (unsupported format or not found)'
+};
+
+/**
+ * Player adapter for direct audio and video file URLs, using an HTML5
+ * media element. A <video> element also plays audio files.
+ * @param {HTMLElement} container - Element the player is mounted in
+ * @param {Object} callbacks - { onReady, onPlay, onPause, onEnded, onError }
+ * @returns {Object} Player adapter (see players/index.js)
+ */
+export const createMediaPlayer = (container, callbacks) => {
+  const media = document.createElement('video');
+  media.className = 'media-element-player';
+  media.preload = 'auto';
+  media.playsInline = true;
+  container.appendChild(media);
+
+  let buffering = false;
+  let pendingSeek = null; // Seeks before the metadata loads are applied once it has
+  let destroyed = false;
+
+  const listeners = {
+    playing: () => {
+      buffering = false;
+      callbacks.onPlay();
+    },
+    pause: () => {
+      if (!media.ended) callbacks.onPause();
+    },
+    ended: () => callbacks.onEnded(),
+    waiting: () => {
+      buffering = true;
+    },
+    canplay: () => {
+      buffering = false;
+    },
+    loadedmetadata: () => {
+      if (pendingSeek !== null) {
+        media.currentTime = pendingSeek;
+        pendingSeek = null;
+      }
+    },
+    error: () => {
+      if (media.getAttribute('src')) {
+        callbacks.onError(ERROR_MESSAGES[media.error?.code] || 'The media file cannot be played');
+      }
+    }
+  };
+
+  Object.entries(listeners).forEach(([event, listener]) => media.addEventListener(event, listener));
+
+  // The element is usable right away; report ready asynchronously like the other players
+  Promise.resolve().then(() => {
+    if (!destroyed) callbacks.onReady();
+  });
+
+  return {
+    load(sourceId) {
+      buffering = false;
+      pendingSeek = null;
+      media.src = sourceId;
+      media.load();
+    },
+    play() {
+      const result = media.play();
+      if (result && typeof result.catch === 'function') {
+        // Autoplay policies can block playback until the user interacts with the page
+        result.catch(error => console.warn('Media playback was blocked:', error.message));
+      }
+    },
+    pause: () => media.pause(),
+    seek(seconds) {
+      if (media.readyState >= 1) {
+        media.currentTime = seconds;
+      } else {
+        pendingSeek = seconds;
+      }
+    },
+    getCurrentTime: () => media.currentTime || 0,
+    getState() {
+      if (media.ended) return PLAYER_STATES.ENDED;
+      if (buffering) return PLAYER_STATES.BUFFERING;
+      if (!media.paused) return PLAYER_STATES.PLAYING;
+      return media.getAttribute('src') ? PLAYER_STATES.PAUSED : PLAYER_STATES.UNSTARTED;
+    },
+    setVolume(volume) {
+      media.volume = Math.min(1, Math.max(0, volume / 100));
+    },
+    destroy() {
+      destroyed = true;
+      Object.entries(listeners).forEach(([event, listener]) => media.removeEventListener(event, listener));
+      media.pause();
+      media.removeAttribute('src');
+      media.load();
+      media.remove();
+    }
+  };
+};
@@ -0,0 +1,157 @@
+import { PLAYER_STATES, SOUNDCLOUD_CONFIG } from '../config/constants';
+
+let widgetApiPromise = null;
+
+/**
+ * Load the SoundCloud widget API once per page
+ * @returns {Promise} Resolves when window.SC.Widget is available
+ */
+const loadWidgetApi = () => {
+  if (window.SC?.Widget) {
+    return Promise.resolve();
+  }
+
+  if (!widgetApiPromise) {
+    widgetApiPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = SOUNDCLOUD_CONFIG.widgetApiUrl;
+      script.async = true;
+      script.onload = resolve;
+      script.onerror = () => {
+        widgetApiPromise = null; // Let a later player try again
+        reject(new Error('Could not load the SoundCloud player'));
+      };
+      document.body.appendChild(script);
+    });
+  }
+
+  return widgetApiPromise;
+};
+
+const trackUrl = (sourceId) => `https://soundcloud.com/${sourceId}`;
+
+/**
+ * Player adapter for SoundCloud tracks, wrapping the embeddable widget.
+ * The widget reports its position asynchronously, so the last reported
+ * position is kept and advanced while playing.
+ * @param {HTMLElement} container - Element the player is mounted in
+ * @param {Object} callbacks - { onReady, onPlay, onPause, onEnded, onError }
+ * @returns {Object} Player adapter (see players/index.js)
+ */
+export const createSoundCloudPlayer = (container, callbacks) => {
+  let iframe = null;
+  let widget = null;
+  let ready = false;
+  let destroyed = false;
+  let state = PLAYER_STATES.UNSTARTED;
+  let position = { seconds: 0, at: Date.now() };
+  let pendingSeek = null;
+
+  const setPosition = (milliseconds) => {
+    position = { seconds: milliseconds / 1000, at: Date.now() };
+  };
+
+  const bindWidget = () => {
+    const { Events } = window.SC.Widget;
+    widget = window.SC.Widget(iframe);
+
+    widget.bind(Events.READY, () => {
+      ready = true;
+      state = PLAYER_STATES.PAUSED;
+      setPosition(0);
+      if (pendingSeek !== null) {
+        widget.seekTo(pendingSeek * 1000);
+        setPosition(pendingSeek * 1000);
+        pendingSeek = null;
+      }
+      callbacks.onReady();
+    });
+    widget.bind(Events.PLAY, () => {
+      state = PLAYER_STATES.PLAYING;
+      callbacks.onPlay();
+    });
+    widget.bind(Events.PAUSE, () => {
+      if (state === PLAYER_STATES.ENDED) return;
+      state = PLAYER_STATES.PAUSED;
+      callbacks.onPause();
+    });
+    widget.bind(Events.FINISH, () => {
+      state = PLAYER_STATES.ENDED;
+      callbacks.onEnded();
+    });
+    widget.bind(Events.PLAY_PROGRESS, (event) => setPosition(event.currentPosition));
+    widget.bind(Events.SEEK, (event) => setPosition(event.currentPosition));
+    widget.bind(Events.ERROR, () => callbacks.onError('SoundCloud track cannot be played'));
+  };
+
+  const createWidget = (sourceId) => {
+    const params = new URLSearchParams({
+      url: trackUrl(sourceId),
+      auto_play: 'false',
+      buying: 'false',
+      sharing: 'false',
+      download: 'false',
+      show_comments: 'false',
+      visual: 'true'
+    });
+
+    iframe = document.createElement('iframe');
+    iframe.className = 'soundcloud-player';
+    iframe.allow = 'autoplay';
+    iframe.src = `${SOUNDCLOUD_CONFIG.widgetUrl}?${params}`;
+    container.appendChild(iframe);
+
+    loadWidgetApi()
+      .then(() => {
+        if (!destroyed) bindWidget();
+      })
+      .catch(error => callbacks.onError(error.message, true));
+  };
+
+  return {
+    load(sourceId) {
+      state = PLAYER_STATES.UNSTARTED;
+      pendingSeek = null;
+      setPosition(0);
+
+      if (!iframe) {
+        createWidget(sourceId);
+      } else if (widget) {
+        // READY fires again once the new track is in
+        ready = false;
+        widget.load(trackUrl(sourceId), { auto_play: false, visual: true, show_comments: false });
+      } else {
+        iframe.src = iframe.src.replace(/url=[^&]*/, `url=${encodeURIComponent(trackUrl(sourceId))}`);
+      }
+    },
+    play() {
+      if (ready) widget.play();
+    },
+    pause() {
+      if (ready) widget.pause();
+    },
+    seek(seconds) {
+      if (!ready) {
+        pendingSeek = seconds;
+        return;
+      }
+      widget.seekTo(seconds * 1000);
+      setPosition(seconds * 1000);
+    },
+    getCurrentTime() {
+      const elapsed = state === PLAYER_STATES.PLAYING ? (Date.now() - position.at) / 1000 : 0;
+      return position.seconds + elapsed;
+    },
+    getState: () => state,
+    setVolume(volume) {
+      if (ready) widget.setVolume(volume);
+    },
+    destroy() {
+      destroyed = true;
+      if (widget) {
+        Object.values(window.SC.Widget.Events).forEach(event => widget.unbind(event));
+      }
+      iframe?.remove();
+    }
+  };
+};
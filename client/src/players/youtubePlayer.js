@@ -0,0 +1,161 @@
+import { PLAYER_STATES, YOUTUBE_CONFIG } from '../config/constants';
+import { checkYouTubeAPI, logPlayerEvent } from '../utils/youtubeDebug';
+
+const ERROR_MESSAGES = {
+  2: 'Invalid video ID',
+  5: 'HTML5 player error - video cannot be played',
+  100: 'Video not found or has been removed',
+  101: 'Video cannot be played in embedded players',
+  150: 'Video cannot be played in embedded players'
+};
+
+const isApiReady = () => !!(window.YT && typeof window.YT.Player === 'function');
+
+/**
+ * Run a callback once the YouTube iframe API (loaded by index.html) is ready
+ * @returns {Function} Cancels the wait
+ */
+const whenApiReady = (callback) => {
+  if (isApiReady() && (window.YTReady || window.YT.loaded)) {
+    logPlayerEvent('API Ready', 'Initializing player immediately');
+    callback();
+    return () => {};
+  }
+
+  logPlayerEvent('API Not Ready', 'Waiting for YouTube API to load');
+  checkYouTubeAPI();
+
+  const cancel = () => {
+    window.removeEventListener('youtubeAPIReady', onReady);
+    clearInterval(backupCheck);
+  };
+  const onReady = () => {
+    cancel();
+    callback();
+  };
+
+  window.addEventListener('youtubeAPIReady', onReady);
+  // In case the API loads without the event
+  const backupCheck = setInterval(() => {
+    if (isApiReady()) onReady();
+  }, 2000);
+
+  return cancel;
+};
+
+/**
+ * Player adapter for YouTube videos, wrapping YT.Player
+ * @param {HTMLElement} container - Element the player is mounted in
+ * @param {Object} callbacks - { onReady, onPlay, onPause, onEnded, onError }
+ * @returns {Object} Player adapter (see players/index.js)
+ */
+export const createYouTubePlayer = (container, callbacks) => {
+  // YT.Player replaces this element with its iframe, so React never owns it
+  const mount = document.createElement('div');
+  container.appendChild(mount);
+
+  let player = null;
+  let ready = false;
+  let destroyed = false;
+  let requestedId = null; // Latest video asked for
+  let loadedId = null;    // Video in the player
+
+  const call = (method, ...args) => {
+    if (!ready || !player || typeof player[method] !== 'function') {
+      return null;
+    }
+
+    try {
+      return player[method](...args);
+    } catch (error) {
+      console.warn(`YouTube player ${method} failed:`, error.message);
+      return null;
+    }
+  };
+
+  const create = () => {
+    if (destroyed) return;
+
+    try {
+      loadedId = requestedId;
+      player = new window.YT.Player(mount, {
+        height: '100%',
+        width: '100%',
+        videoId: requestedId || undefined,
+        playerVars: {
+          ...YOUTUBE_CONFIG.playerVars,
+          origin: window.location.origin,
+          widget_referrer: window.location.origin
+        },
+        events: {
+          onReady: () => {
+            ready = true;
+            logPlayerEvent('Player Ready', 'YouTube player is ready for use');
+            // A different video may have been requested while the player loaded
+            if (requestedId && requestedId !== loadedId) {
+              loadedId = requestedId;
+              call('loadVideoById', requestedId);
+            }
+            callbacks.onReady();
+          },
+          onStateChange: ({ data }) => {
+            const { PlayerState } = window.YT;
+            if (data === PlayerState.ENDED) {
+              callbacks.onEnded();
+            } else if (data === PlayerState.PLAYING) {
+              callbacks.onPlay();
+            } else if (data === PlayerState.PAUSED) {
+              callbacks.onPause();
+            }
+          },
+          onError: ({ data }) => {
+            callbacks.onError(ERROR_MESSAGES[data] || 'Unknown player error occurred');
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Failed to initialize YouTube player:', error);
+      callbacks.onError('Failed to initialize video player. Please refresh the page.', true);
+    }
+  };
+
+  const cancelWait = whenApiReady(create);
+
+  return {
+    load(sourceId) {
+      requestedId = sourceId;
+      if (ready) {
+        loadedId = sourceId;
+        call('loadVideoById', sourceId);
+      }
+    },
+    play: () => call('playVideo'),
+    pause: () => call('pauseVideo'),
+    seek: (seconds) => call('seekTo', seconds, true),
+    getCurrentTime() {
+      const time = call('getCurrentTime');
+      return typeof time === 'number' && !isNaN(time) ? time : 0;
+    },
+    getState() {
+      const { PlayerState } = window.YT || {};
+      switch (call('getPlayerState')) {
+        case PlayerState?.PLAYING: return PLAYER_STATES.PLAYING;
+        case PlayerState?.PAUSED: return PLAYER_STATES.PAUSED;
+        case PlayerState?.BUFFERING: return PLAYER_STATES.BUFFERING;
+        case PlayerState?.ENDED: return PLAYER_STATES.ENDED;
+        default: return PLAYER_STATES.UNSTARTED;
+      }
+    },
+    setVolume: (volume) => call('setVolume', volume),
+    destroy() {
+      destroyed = true;
+      cancelWait();
+      try {
+        player?.destroy();
+      } catch (error) {
+        console.warn('Error destroying YouTube player:', error);
+      }
+      mount.remove();
+    }
+  };
+};
@@ -0,0 +1,33 @@
+import { PROVIDERS } from '../config/constants';
+
+// Shown for items without a thumbnail (media URLs) or when the image fails to load
+export const FALLBACK_THUMBNAIL = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iODAiIGhlaWdodD0iNjAiIHZpZXdCb3g9IjAgMCA4MCA2MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjgwIiBoZWlnaHQ9IjYwIiBmaWxsPSIjRjNGNEY2Ii8+CjxwYXRoIGQ9Ik0zMiAyMkw0OCAzMkwzMiA0MlYyMloiIGZpbGw9IiM5Q0EzQUYiLz4KPC9zdmc+';
+
+/**
+ * Get the provider and source ID of an item; older items only have a YouTube videoId
+ * @param {Object} item - Queue item, history entry or search result
+ * @returns {Object} { provider, sourceId }
+ */
+export const getSource = (item) => ({
+  provider: item.provider || PROVIDERS.YOUTUBE,
+  sourceId: item.sourceId || item.videoId || null
+});
+
+/**
+ * Key identifying the media an item plays, e.g. for list keys
+ * @param {Object} item - Item
+ * @returns {string} "provider:sourceId"
+ */
+export const getSourceKey = (item) => {
+  const { provider, sourceId } = getSource(item);
+  return `${provider}:${sourceId}`;
+};
+
+/**
+ * Use the fallback thumbnail when an image fails to load
+ */
+export const handleThumbnailError = (e) => {
+  if (e.target.src !== FALLBACK_THUMBNAIL) {
+    e.target.src = FALLBACK_THUMBNAIL;
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Base64url-encode bytes without padding (RFC 7636 appendix A)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64url string
+ */
+const base64UrlEncode = (bytes) => {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Create a random PKCE code verifier (43 characters)
+ * @returns {string} Code verifier
+ */
+export const createCodeVerifier = () => {
+  return base64UrlEncode(window.crypto.getRandomValues(new Uint8Array(32)));
+};
+
+/**
+ * Derive the S256 code challenge sent with the authorize request
+ * @param {string} codeVerifier - Code verifier
+ * @returns {Promise<string>} Code challenge
+ */
+export const createCodeChallenge = async (codeVerifier) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+  return base64UrlEncode(new Uint8Array(digest));
+};
@@ -0,0 +1,59 @@
+/**
+ * Format a track length as "3:45" or "1:02:03"
+ * @param {number} seconds - Length in seconds
+ * @returns {string} Formatted length, or an empty string if unknown
+ */
+export const formatDuration = (seconds) => {
+  if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0) {
+    return '';
+  }
+
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+};
+
+/**
+ * Format a rough amount of time as "~12 min" or "~1 h 5 min"
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Approximate time
+ */
+export const formatApproxTime = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+
+  if (minutes < 1) {
+    return '<1 min';
+  }
+  if (minutes < 60) {
+    return `~${minutes} min`;
+  }
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest > 0 ? `~${hours} h ${rest} min` : `~${hours} h`;
+};
+
+/**
+ * Format the time left until a start time as "2d 4:05:09", "4:05:09" or "5:09"
+ * @param {number} milliseconds - Time left in ms
+ * @returns {string} Countdown
+ */
+export const formatCountdown = (milliseconds) => {
+  const total = Math.max(0, Math.ceil(milliseconds / 1000));
+  const days = Math.floor(total / 86400);
+
+  if (days === 0) {
+    return formatDuration(total);
+  }
+
+  const rest = total % 86400;
+  const hours = Math.floor(rest / 3600);
+  const minutes = String(Math.floor((rest % 3600) / 60)).padStart(2, '0');
+  const secs = String(rest % 60).padStart(2, '0');
+  return `${days}d ${hours}:${minutes}:${secs}`;
+};
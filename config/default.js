@@ -2,24 +2,130 @@ module.exports = {
   server: {
     port: process.env.PORT || 5000,
     corsOrigin: process.env.CLIENT_URL || (process.env.NODE_ENV === 'production' ? false : 'http://localhost:3000'),
-    nodeEnv: process.env.NODE_ENV || 'development'
+    nodeEnv: process.env.NODE_ENV || 'development',
+    trustProxy: parseInt(process.env.TRUST_PROXY, 10) || 0 // Reverse proxies in front of the server whose X-Forwarded-For is trusted
   },
   
   youtube: {
     apiKey: process.env.YOUTUBE_API_KEY,
-    searchMaxResults: 10
+    searchMaxResults: 10,
+    importMaxItems: parseInt(process.env.IMPORT_MAX_ITEMS, 10) || 50, // Videos per playlist import
+    requestTimeout: 10000,
+    detailsCacheSize: 1000,              // Videos whose details are cached for adds
+    detailsCacheTtl: 6 * 60 * 60 * 1000, // 6 hours
+    searchCacheSize: parseInt(process.env.SEARCH_CACHE_SIZE, 10) || 200, // Queries whose results are cached
+    searchCacheTtl: (parseInt(process.env.SEARCH_CACHE_TTL_MINUTES, 10) || 10) * 60 * 1000
   },
   
   sync: {
-    periodicSyncInterval: 10000, // 10 seconds
-    timeUpdateInterval: 2000,    // 2 seconds
-    syncThresholds: {
-      initial: 2,    // seconds
-      periodic: 4,   // seconds
-      manual: 3      // seconds
-    }
+    periodicSyncInterval: 10000 // 10 seconds; re-broadcasts the playback timeline
   },
   
+  persistence: {
+    driver: process.env.ROOM_STORE_DRIVER || 'file', // 'file' or 'memory'
+    dataDir: process.env.ROOM_STORE_DIR || './data/rooms',
+    saveDebounceMs: 1000
+  },
+
+  cluster: {
+    // Multi-instance mode is enabled when REDIS_URL is set ('memory://' for a local stand-in)
+    redisUrl: process.env.REDIS_URL || null,
+    nodeId: process.env.NODE_ID || null, // Generated when not set
+    keyPrefix: process.env.REDIS_KEY_PREFIX || 'listen-together:',
+    leaderLockTtl: 25000 // Room sync leadership lease, longer than periodicSyncInterval
+  },
+
+  auth: {
+    allowAnonymous: process.env.ALLOW_ANONYMOUS !== 'false', // Let sockets connect without signing in (as guests)
+    stateTtl: 10 * 60 * 1000, // How long a started sign-in can take to come back
+    maxPendingStates: 10000,  // Started sign-ins remembered at once (memory mode)
+    cookieName: 'lt_session',
+    secureCookies: process.env.NODE_ENV === 'production', // Session cookie only sent over HTTPS
+    sessionTtl: (parseInt(process.env.AUTH_SESSION_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000, // Sign-in lifetime
+    verifyInterval: 60 * 60 * 1000, // Re-check upstream tokens that came without a lifetime
+    sessionDir: process.env.AUTH_SESSION_DIR || './data/auth-sessions',
+    provider: { // Calls to the OAuth2 provider
+      requestTimeout: 5000,
+      maxRetries: 2,         // User info lookups only; codes and refresh tokens are single-use
+      retryDelay: 200,       // Doubled on each retry
+      cacheTtl: (parseInt(process.env.AUTH_CACHE_TTL_SECONDS, 10) || 300) * 1000, // How long a verified token is trusted
+      cacheSize: 1000,
+      breakerThreshold: 5,   // Consecutive failures before the provider is given a rest
+      breakerCooldown: 30000
+    },
+    mockProvider: { // Built-in OAuth2 provider with fake users, for development (never enabled in production)
+      enabled: process.env.MOCK_OAUTH === 'true',
+      path: '/mock-oauth', // Point OAUTH2_API_URL and REACT_APP_OAUTH2_API_URL here
+      users: (process.env.MOCK_OAUTH_USERS || 'alice,bob,carol').split(',').map(entry => entry.trim()).filter(Boolean),
+      accessTokenTtl: (parseInt(process.env.MOCK_OAUTH_TOKEN_TTL_SECONDS, 10) || 3600) * 1000 // Lower it to exercise token refresh
+    }
+  },
+
+  identity: {
+    secret: process.env.IDENTITY_SECRET || null // Signs guest identity tokens and room invite links
+  },
+
+  rooms: {
+    emptyRoomTtl: parseInt(process.env.EMPTY_ROOM_TTL_MS, 10) || 24 * 60 * 60 * 1000, // 24 hours
+    defaultRole: process.env.DEFAULT_ROOM_ROLE || 'listener', // Role of new participants
+    skipVoteThreshold: process.env.SKIP_VOTE_THRESHOLD || '50%', // Share ('50%') or count ('3') of participants
+    playHistorySize: 50, // Recently played items kept per room
+    fairQueue: process.env.FAIR_QUEUE === 'true', // Rotate the queue between contributors in new rooms
+    maxQueuedPerUser: parseInt(process.env.MAX_QUEUED_PER_USER, 10) || 0, // Queued items per person in new rooms (0 = no limit)
+    queuePolicies: { // Content rules for new rooms; moderators can change them per room
+      noDuplicates: process.env.QUEUE_NO_DUPLICATES === 'true',
+      recentPlayWindow: parseInt(process.env.QUEUE_RECENT_PLAY_WINDOW, 10) || 0, // Last N plays that cannot be queued again
+      maxDuration: parseInt(process.env.QUEUE_MAX_DURATION, 10) || 0, // Seconds, 0 = no limit
+      bannedKeywords: (process.env.QUEUE_BANNED_KEYWORDS || '').split(',').map(entry => entry.trim()).filter(Boolean),
+      bannedChannels: (process.env.QUEUE_BANNED_CHANNELS || '').split(',').map(entry => entry.trim()).filter(Boolean)
+    },
+    inviteTtl: (parseInt(process.env.INVITE_TTL_HOURS, 10) || 24) * 60 * 60 * 1000, // How long invite links to private rooms work
+    passwordLength: { min: 4, max: 100 },
+    joinAttempts: { // Password and invite attempts per address
+      maxAttempts: 5,
+      windowMs: 60 * 1000
+    },
+    cleanupInterval: 5 * 60 * 1000 // 5 minutes
+  },
+
+  providers: {
+    // Where items can be queued from: 'youtube', 'media' (direct audio/video URLs) and 'soundcloud'
+    enabled: (process.env.MEDIA_PROVIDERS || 'youtube,media,soundcloud').split(',').map(entry => entry.trim()).filter(Boolean),
+    soundcloudClientId: process.env.SOUNDCLOUD_CLIENT_ID || null, // Enables SoundCloud search; links work without it
+    requestTimeout: 10000
+  },
+
+  radio: {
+    enabled: process.env.RADIO_MODE === 'true', // Radio mode on in new rooms
+    minQueueLength: 2, // Top up when fewer items are queued
+    batchSize: 3,      // Tracks added per top-up
+    recentWindow: 25,  // Recent plays that are never picked again
+    seedCount: 3       // Recent plays used to build search queries
+  },
+
+  playlists: {
+    dataDir: process.env.PLAYLIST_STORE_DIR || './data/playlists', // Saved playlists (file driver)
+    maxPerUser: 50,
+    maxItems: 500,
+    maxNameLength: 100
+  },
+
+  sessions: {
+    maxPerRoom: 10,          // Upcoming sessions per room
+    maxLeadTime: (parseInt(process.env.SESSION_MAX_LEAD_DAYS, 10) || 30) * 24 * 60 * 60 * 1000, // How far ahead sessions can be scheduled
+    lateStartWindow: 10 * 60 * 1000, // Sessions missed by less than this (e.g. during a restart) still start
+    checkInterval: 1000      // How often due sessions are looked for
+  },
+
+  chat: {
+    historySize: 100,       // Messages kept per room and sent on join
+    maxMessageLength: 500,
+    rateLimit: {
+      maxMessages: 5,       // per socket...
+      windowMs: 5000        // ...within this window
+    }
+  },
+
   player: {
     defaultVolume: 50,
     playerVars: {
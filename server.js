@@ -9,9 +9,24 @@ require('dotenv').config();
 const config = require('./config/default');
 const Logger = require('./src/utils/Logger');
 const YouTubeService = require('./src/services/YouTubeService');
+const { createProviderRegistry } = require('./src/providers');
+const { PROVIDERS } = require('./src/constants/providers');
+const { ACCESS_MODES } = require('./src/constants/roomAccess');
+const { AUTH_SERVICE_ERRORS } = require('./src/constants/auth');
 const AuthService = require('./src/services/AuthService');
+const OAuthStateStore = require('./src/services/OAuthStateStore');
+const MockOAuthProvider = require('./src/services/MockOAuthProvider');
+const AuthSessionService = require('./src/services/AuthSessionService');
 const SocketHandlers = require('./src/handlers/SocketHandlers');
 const RoomManager = require('./src/services/RoomManager');
+const PlaylistLibrary = require('./src/services/PlaylistLibrary');
+const ClusterService = require('./src/services/ClusterService');
+const { createRoomStore } = require('./src/stores');
+const createRequireUser = require('./src/middleware/requireUser');
+const createSocketAuth = require('./src/middleware/socketAuth');
+const createPlaylistRouter = require('./src/routes/playlists');
+const createSessionRouter = require('./src/routes/sessions');
+const createMockOAuthRouter = require('./src/routes/mockOAuth');
 
 // Initialize logger
 const logger = new Logger('Server');
@@ -28,16 +43,75 @@ const io = socketIo(server, {
 });
 
 // Initialize services
-const youtubeService = new YouTubeService(config.youtube.apiKey, config.youtube.searchMaxResults);
-const authService = new AuthService();
-const socketHandlers = new SocketHandlers(io);
+const clusterService = new ClusterService(config.cluster);
+const socketAdapter = clusterService.createSocketAdapter();
+if (socketAdapter) {
+  io.adapter(socketAdapter);
+}
+
+const youtubeService = new YouTubeService(config.youtube.apiKey, config.youtube.searchMaxResults, {
+  importMaxItems: config.youtube.importMaxItems,
+  requestTimeout: config.youtube.requestTimeout,
+  detailsCacheSize: config.youtube.detailsCacheSize,
+  detailsCacheTtl: config.youtube.detailsCacheTtl,
+  searchCacheSize: config.youtube.searchCacheSize,
+  searchCacheTtl: config.youtube.searchCacheTtl
+});
+const authService = new AuthService(config.auth.provider);
+const authSessions = new AuthSessionService(authService, {
+  ttl: config.auth.sessionTtl,
+  verifyInterval: config.auth.verifyInterval,
+  cookieName: config.auth.cookieName
+});
+const oauthStates = new OAuthStateStore({
+  redisClient: clusterService.client, // Shared so any node can finish a sign-in
+  keyPrefix: config.cluster.keyPrefix,
+  ttl: config.auth.stateTtl,
+  maxPending: config.auth.maxPendingStates
+});
+const providers = createProviderRegistry(youtubeService);
+const socketHandlers = new SocketHandlers(io, clusterService, youtubeService, providers);
+
+// Multi-instance mode keeps room state in Redis so every node shares it
+RoomManager.setStore(clusterService.enabled
+  ? createRoomStore({
+    driver: 'redis',
+    redisClient: clusterService.client,
+    keyPrefix: config.cluster.keyPrefix
+  })
+  : createRoomStore(config.persistence));
+RoomManager.enableSharedState(clusterService);
+
+// Saved playlists use the same backend as rooms, under their own keys/directory
+PlaylistLibrary.setStore(clusterService.enabled
+  ? createRoomStore({
+    driver: 'redis',
+    redisClient: clusterService.client,
+    keyPrefix: config.cluster.keyPrefix,
+    namespace: 'playlist'
+  })
+  : createRoomStore({ ...config.persistence, dataDir: config.playlists.dataDir }));
+PlaylistLibrary.setProviders(providers);
+
+// Sign-in sessions too, so they survive restarts and work on every node
+authSessions.setStore(clusterService.enabled
+  ? createRoomStore({
+    driver: 'redis',
+    redisClient: clusterService.client,
+    keyPrefix: config.cluster.keyPrefix,
+    namespace: 'auth-session'
+  })
+  : createRoomStore({ ...config.persistence, dataDir: config.auth.sessionDir }));
 
 // Middleware
+if (config.server.trustProxy > 0) {
+  app.set('trust proxy', config.server.trustProxy); // req.ip from X-Forwarded-For, as for sockets
+}
 app.use(cors({
   origin: config.server.corsOrigin,
   credentials: true
 }));
-app.use(express.json());
+app.use(express.json({ limit: '1mb' })); // Room for imported playlist files
 app.use(express.static(path.join(__dirname, 'client/build')));
 
 // Health check endpoint
@@ -47,14 +121,36 @@ app.get('/api/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     environment: config.server.nodeEnv,
+    nodeId: clusterService.nodeId,
+    authProvider: authService.breaker.getState(), // 'open' while sign-in checks are failing
     stats
   });
 });
 
-// YouTube search endpoint
+// Media providers items can be queued from
+app.get('/api/providers', (req, res) => {
+  res.json(providers.list());
+});
+
+// Search endpoint. `provider` picks the media provider (YouTube by default);
+// providers that can't search return the item a pasted link points to.
+// YouTube supports duration, excludeLive and musicOnly filters; pass the
+// returned nextPageToken as pageToken for more results.
 app.get('/api/search', async (req, res) => {
   try {
-    const { q } = req.query;
+    const { q, pageToken, duration, excludeLive, musicOnly, provider = PROVIDERS.YOUTUBE } = req.query;
+
+    if (!providers.get(provider)) {
+      return res.status(400).json({
+        error: 'Unsupported provider',
+        message: `Search provider must be one of: ${providers.list().map(entry => entry.name).join(', ')}`
+      });
+    }
+
+    if (pageToken) {
+      const page = await providers.search(provider, null, { pageToken });
+      return res.json(page);
+    }
 
     if (!q || q.trim().length === 0) {
       return res.status(400).json({
@@ -63,30 +159,43 @@ app.get('/api/search', async (req, res) => {
       });
     }
 
-    if (q.length > 100) {
+    // Other providers are searched with pasted links, which can be longer
+    const maxLength = provider === PROVIDERS.YOUTUBE ? 100 : 2000;
+    if (q.length > maxLength) {
       return res.status(400).json({
         error: 'Search query too long',
-        message: 'Search query must be less than 100 characters'
+        message: `Search query must be less than ${maxLength} characters`
       });
     }
 
-    const videos = await youtubeService.searchVideos(q.trim());
+    const page = await providers.search(provider, q.trim(), {
+      filters: { duration, excludeLive, musicOnly }
+    });
 
-    logger.info('YouTube search completed', {
+    logger.info('Search completed', {
+      provider,
       query: q.trim(),
-      resultCount: videos.length,
+      resultCount: page.videos.length,
+      cacheHit: page.cache.hit,
       ip: req.ip
     });
 
-    res.json(videos);
+    res.json(page);
 
   } catch (error) {
-    logger.error('YouTube search failed', {
+    logger.error('Search failed', {
       query: req.query.q,
       error: error.message,
       ip: req.ip
     });
 
+    if (error.code === 'INVALID_SEARCH') {
+      return res.status(400).json({
+        error: 'Invalid search',
+        message: error.message
+      });
+    }
+
     if (error.message.includes('API key')) {
       return res.status(500).json({
         error: 'YouTube API configuration error',
@@ -108,10 +217,131 @@ app.get('/api/search', async (req, res) => {
   }
 });
 
+// Recently played items of a room, newest first
+app.get('/api/rooms/:roomId/history', (req, res) => {
+  const room = RoomManager.getRoom(req.params.roomId);
+
+  if (!room) {
+    return res.status(404).json({
+      error: 'Room not found',
+      message: 'No room with this ID is active'
+    });
+  }
+
+  // Private rooms only share their history with the people in them
+  if (room.access.mode !== ACCESS_MODES.PUBLIC) {
+    return res.status(403).json({
+      error: 'Room is private',
+      message: 'Join the room to see what it has been playing'
+    });
+  }
+
+  res.json({
+    roomId: room.id,
+    history: [...room.playHistory].reverse()
+  });
+});
+
+// Playlist import endpoint: resolves pasted playlist/video links into videos
+app.post('/api/import', async (req, res) => {
+  try {
+    const { input } = req.body || {};
+
+    if (typeof input !== 'string' || input.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Import input required',
+        message: 'Please provide a playlist URL or a list of video links'
+      });
+    }
+
+    if (input.length > 20000) {
+      return res.status(400).json({
+        error: 'Import input too long',
+        message: 'Import input must be less than 20000 characters'
+      });
+    }
+
+    const result = await youtubeService.resolveImport(input);
+
+    logger.info('Playlist import resolved', {
+      videoCount: result.videos.length,
+      errorCount: result.errors.length,
+      truncated: result.truncated,
+      ip: req.ip
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    logger.error('Playlist import failed', {
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Import failed',
+      message: 'Unable to import videos at this time'
+    });
+  }
+});
+
+const requireUser = createRequireUser(authService, authSessions);
+
+// Saved playlists (signed-in users only)
+app.use('/api/playlists', createPlaylistRouter(requireUser));
+
+// Scheduled listening sessions of a room
+app.use('/api/rooms/:roomId/sessions', createSessionRouter(requireUser, socketHandlers.sessionScheduler));
+
+// Development OAuth2 provider with fake users, so sign-in works offline
+if (config.auth.mockProvider.enabled) {
+  if (config.server.nodeEnv === 'production') {
+    logger.warn('MOCK_OAUTH is ignored in production');
+  } else {
+    app.use(config.auth.mockProvider.path, createMockOAuthRouter(new MockOAuthProvider(config.auth.mockProvider)));
+    logger.warn('Mock OAuth2 provider enabled; anyone can sign in as any user', {
+      path: config.auth.mockProvider.path
+    });
+  }
+}
+
 // OAuth authentication endpoints
+const sessionCookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: config.auth.secureCookies,
+  path: '/'
+};
+
+/**
+ * Public details of a user
+ * @param {Object} userInfo - User information from OAuth
+ * @returns {Object} { userId, username, avatar }
+ */
+const describeUser = (userInfo) => ({
+  userId: userInfo.sub || userInfo.mezon_id,
+  username: userInfo.username || userInfo.display_name,
+  avatar: userInfo.avatar
+});
+
+// Start a sign-in: issue the state for the authorize URL, bound to the PKCE code challenge
+app.post('/api/auth/state', async (req, res) => {
+  try {
+    res.json(await oauthStates.issue(req.body?.codeChallenge));
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to issue OAuth state', { error: error.message });
+    }
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Sign-in unavailable',
+      message: error.status ? error.message : 'Unable to start the sign-in at this time'
+    });
+  }
+});
+
 app.post('/api/auth/token', async (req, res) => {
   try {
-    const { code, scope, state } = req.body;
+    const { code, scope, state, codeVerifier } = req.body;
 
     if (!code) {
       return res.status(400).json({
@@ -120,13 +350,35 @@ app.post('/api/auth/token', async (req, res) => {
       });
     }
 
-    const tokenResponse = await authService.getOAuth2Token(code, scope, state);
+    try {
+      await oauthStates.consume(state, codeVerifier);
+    } catch (error) {
+      if (!error.code) throw error;
+
+      logger.warn('OAuth callback rejected', { code: error.code, ip: req.ip });
+      return res.status(error.status).json({
+        error: 'Invalid sign-in response',
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    const tokenResponse = await authService.getOAuth2Token(code, scope, state, codeVerifier);
+    const userInfo = await authService.verifyToken(tokenResponse.access_token);
+
+    // The upstream tokens stay on the server; the browser gets an httpOnly session cookie
+    const session = await authSessions.create(tokenResponse, userInfo);
+    res.cookie(config.auth.cookieName, session.sessionId, {
+      ...sessionCookieOptions,
+      expires: new Date(session.expiresAt)
+    });
 
     logger.info('OAuth token exchange successful', {
+      userId: userInfo.sub || userInfo.mezon_id,
       ip: req.ip
     });
 
-    res.json(tokenResponse);
+    res.json({ user: describeUser(userInfo), expiresAt: session.expiresAt });
 
   } catch (error) {
     logger.error('OAuth token exchange failed', {
@@ -134,8 +386,9 @@ app.post('/api/auth/token', async (req, res) => {
       ip: req.ip
     });
 
-    res.status(400).json({
-      error: 'Authentication failed',
+    const unavailable = error.code === AUTH_SERVICE_ERRORS.PROVIDER_UNAVAILABLE;
+    res.status(unavailable ? 503 : 400).json({
+      error: unavailable ? 'Sign-in unavailable' : 'Authentication failed',
       message: error.message
     });
   }
@@ -160,11 +413,7 @@ app.post('/api/auth/verify', async (req, res) => {
       ip: req.ip
     });
 
-    res.json({
-      username: userInfo.username || userInfo.display_name,
-      userId: userInfo.sub || userInfo.mezon_id,
-      avatar: userInfo.avatar
-    });
+    res.json(describeUser(userInfo));
 
   } catch (error) {
     logger.error('Token verification failed', {
@@ -172,14 +421,40 @@ app.post('/api/auth/verify', async (req, res) => {
       ip: req.ip
     });
 
-    res.status(401).json({
-      error: 'Invalid token',
+    const unavailable = error.code === AUTH_SERVICE_ERRORS.PROVIDER_UNAVAILABLE;
+    res.status(unavailable ? 503 : 401).json({
+      error: unavailable ? 'Sign-in unavailable' : 'Invalid token',
       message: error.message
     });
   }
 });
 
-// Socket.IO connection handling
+// The signed-in user of the session cookie
+app.get('/api/auth/me', requireUser, (req, res) => {
+  res.json(req.user);
+});
+
+// End the session and clear its cookie (also clears a cookie whose session already ended).
+// Sockets were signed in by their handshake, so the session's sockets are
+// disconnected and have to authenticate again.
+app.post('/api/auth/logout', async (req, res) => {
+  const sessionId = authSessions.readSessionId(req.get('cookie'));
+
+  try {
+    await authSessions.destroy(sessionId);
+    if (sessionId) {
+      io.in(authSessions.socketRoom(sessionId)).disconnectSockets(true);
+    }
+  } catch (error) {
+    logger.error('Failed to end session', { error: error.message });
+  }
+
+  res.clearCookie(config.auth.cookieName, sessionCookieOptions);
+  res.status(204).end();
+});
+
+// Socket.IO connection handling; sockets are authenticated in the handshake
+io.use(createSocketAuth(authService, authSessions, config.auth));
 io.on('connection', (socket) => {
   socketHandlers.handleConnection(socket);
 });
@@ -224,13 +499,17 @@ const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}, starting graceful shutdown`);
 
   socketHandlers.stop();
+  RoomManager.stopCleanup();
+  authSessions.stopCleanup();
 
-  server.close((err) => {
+  server.close(async (err) => {
     if (err) {
       logger.error('Error during server shutdown', { error: err.message });
       process.exit(1);
     }
 
+    await RoomManager.flush();
+    await clusterService.stop();
     logger.info('Server closed successfully');
     process.exit(0);
   });
@@ -245,12 +524,24 @@ const gracefulShutdown = (signal) => {
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
-// Start server
+// Start server once persisted rooms are restored
 const PORT = config.server.port;
-server.listen(PORT, () => {
-  logger.info('Server started', {
-    port: PORT,
-    environment: config.server.nodeEnv,
-    corsOrigin: config.server.corsOrigin
+clusterService.start()
+  .then(() => RoomManager.loadRooms())
+  .catch((error) => {
+    logger.error('Failed to restore room state', { error: error.message });
+  })
+  .then(() => {
+    RoomManager.startCleanup();
+    authSessions.startCleanup();
+
+    server.listen(PORT, () => {
+      logger.info('Server started', {
+        port: PORT,
+        environment: config.server.nodeEnv,
+        corsOrigin: config.server.corsOrigin,
+        roomStore: clusterService.enabled ? 'redis' : config.persistence.driver,
+        nodeId: clusterService.nodeId
+      });
+    });
   });
-});
@@ -0,0 +1,27 @@
+// Codes sent with a rejected socket handshake (in the connect_error `data`)
+const AUTH_ERRORS = {
+  AUTH_REQUIRED: 'auth-required',      // No token and the server doesn't allow anonymous sockets
+  INVALID_TOKEN: 'invalid-token',      // The token is expired or was not accepted; sign in again
+  AUTH_UNAVAILABLE: 'auth-unavailable' // The sign-in provider can't be reached; try again later
+};
+
+// Codes of AuthService errors, so callers can tell a bad token from a provider outage
+const AUTH_SERVICE_ERRORS = {
+  INVALID_TOKEN: 'INVALID_TOKEN',              // The provider rejected the token, code or refresh token
+  PROVIDER_UNAVAILABLE: 'PROVIDER_UNAVAILABLE' // The provider timed out, failed or is cooling down
+};
+
+// Codes of rejected OAuth callbacks (sent as `code` by /api/auth/token)
+const OAUTH_ERRORS = {
+  STATE_MISSING: 'state-missing',   // No state in the callback
+  STATE_UNKNOWN: 'state-unknown',   // Never issued here (or long gone)
+  STATE_EXPIRED: 'state-expired',   // The sign-in took too long
+  STATE_REPLAYED: 'state-replayed', // The callback was already used
+  PKCE_MISMATCH: 'pkce-mismatch'    // The code verifier doesn't match the state's challenge
+};
+
+module.exports = {
+  AUTH_ERRORS,
+  AUTH_SERVICE_ERRORS,
+  OAUTH_ERRORS
+};
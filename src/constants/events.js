@@ -4,10 +4,8 @@ module.exports = {
   CONNECTION: 'connection',
   DISCONNECT: 'disconnect',
   
-  // Auth events
-  AUTHENTICATE: 'authenticate',
-  AUTH_SUCCESS: 'auth-success',
-  AUTH_ERROR: 'auth-error',
+  // Identity events (users are authenticated in the handshake)
+  IDENTITY_ASSIGNED: 'identity-assigned',
   
   // Room events
   JOIN_ROOM: 'join-room',
@@ -16,31 +14,57 @@ module.exports = {
   ROOM_STATE: 'room-state',
   KICK_PARTICIPANT: 'kick-participant',
   PARTICIPANT_KICKED: 'participant-kicked',
+  JOIN_ERROR: 'join-error',
+  SET_ROOM_ACCESS: 'set-room-access',
+  ROOM_ACCESS_UPDATED: 'room-access-updated',
+  CREATE_INVITE: 'create-invite',
+  INVITE_CREATED: 'invite-created',
   
-  // Room ownership events
-  GRANT_PLAYLIST_PERMISSION: 'grant-playlist-permission',
-  REVOKE_PLAYLIST_PERMISSION: 'revoke-playlist-permission',
-  PERMISSIONS_UPDATED: 'permissions-updated',
+  // Room role events
+  SET_ROLE: 'set-role',
+  ROLE_UPDATED: 'role-updated',
   
   // Playlist events
   ADD_VIDEO: 'add-video',
+  ADD_VIDEOS: 'add-videos',
+  VIDEOS_ADDED: 'videos-added',
+  LOAD_PLAYLIST: 'load-playlist',
   REMOVE_VIDEO: 'remove-video',
   PLAYLIST_UPDATED: 'playlist-updated',
+  PLAY_HISTORY_UPDATED: 'play-history-updated',
   REORDER_PLAYLIST: 'reorder-playlist',
   PERMISSION_DENIED: 'permission-denied',
   
+  // Chat events
+  CHAT_MESSAGE: 'chat-message',
+  DELETE_CHAT_MESSAGE: 'delete-chat-message',
+  CHAT_MESSAGE_DELETED: 'chat-message-deleted',
+  MUTE_PARTICIPANT: 'mute-participant',
+  PARTICIPANT_MUTED: 'participant-muted',
+  
   // Player control events
   PLAY: 'play',
   PAUSE: 'pause',
   SEEK: 'seek',
   VOLUME_CHANGE: 'volume-change',
   SKIP_VIDEO: 'skip-video',
+  VOTE_SKIP: 'vote-skip',
+  SKIP_VOTES_UPDATED: 'skip-votes-updated',
+  SET_SKIP_THRESHOLD: 'set-skip-threshold',
+  SET_PLAY_MODE: 'set-play-mode',
+  PLAY_MODE_UPDATED: 'play-mode-updated',
+  SET_QUEUE_SETTINGS: 'set-queue-settings',
+  QUEUE_SETTINGS_UPDATED: 'queue-settings-updated',
   VIDEO_ENDED: 'video-ended',
   PLAY_VIDEO: 'play-video',
   PLAYLIST_ENDED: 'playlist-ended',
+
+  // Scheduled session events
+  SESSIONS_UPDATED: 'sessions-updated',
+  SESSION_STARTED: 'session-started',
   
   // Sync events
-  SYNC_POSITION: 'sync-position',
-  PERIODIC_SYNC: 'periodic-sync',
-  TIME_UPDATE: 'time-update'
+  PLAYBACK_STATE: 'playback-state',
+  TIME_SYNC_PING: 'time-sync-ping',
+  TIME_SYNC_PONG: 'time-sync-pong'
 };
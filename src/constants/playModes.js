@@ -0,0 +1,11 @@
+// How the room picks the next item when the current one ends or is skipped
+const PLAY_MODES = {
+  NORMAL: 'normal',         // Play the queue once, removing items as they play
+  REPEAT_ALL: 'repeat-all', // Played items go back to the end of the queue
+  REPEAT_ONE: 'repeat-one', // The current item restarts when it finishes
+  SHUFFLE: 'shuffle'        // Random order; every item plays once per cycle
+};
+
+module.exports = {
+  PLAY_MODES
+};
@@ -0,0 +1,47 @@
+// Where queue items play from; every item carries { provider, sourceId }
+const PROVIDERS = {
+  YOUTUBE: 'youtube',       // sourceId is the video ID
+  MEDIA: 'media',           // sourceId is a direct audio/video URL played by the browser
+  SOUNDCLOUD: 'soundcloud'  // sourceId is the track path, e.g. "artist/track-name"
+};
+
+/**
+ * Get the provider and source ID of an item. Items saved before providers
+ * existed only have a YouTube videoId.
+ * @param {Object} item - Queue item, history entry or video details
+ * @returns {Object} { provider, sourceId }
+ */
+function getSource(item) {
+  return {
+    provider: item.provider || PROVIDERS.YOUTUBE,
+    sourceId: item.sourceId || item.videoId || null
+  };
+}
+
+/**
+ * Check whether two items play the same media
+ * @param {Object} a - Item
+ * @param {Object} b - Item
+ * @returns {boolean} True if provider and source ID match
+ */
+function isSameSource(a, b) {
+  const first = getSource(a);
+  const second = getSource(b);
+  return first.provider === second.provider && first.sourceId === second.sourceId;
+}
+
+/**
+ * Fill in the provider fields of an item saved before providers existed
+ * @param {Object} item - Queue item or history entry
+ * @returns {Object} Item with provider and sourceId
+ */
+function withSource(item) {
+  return item.provider && item.sourceId ? item : { ...item, ...getSource(item) };
+}
+
+module.exports = {
+  PROVIDERS,
+  getSource,
+  isSameSource,
+  withSource
+};
@@ -0,0 +1,55 @@
+// Room roles and the capabilities each of them grants
+const ROLES = {
+  OWNER: 'owner',
+  MODERATOR: 'moderator',
+  DJ: 'dj',
+  LISTENER: 'listener'
+};
+
+const CAPABILITIES = {
+  ADD_VIDEO: 'add-video',
+  REMOVE_VIDEO: 'remove-video',
+  REORDER_PLAYLIST: 'reorder-playlist',
+  SKIP_VIDEO: 'skip-video',
+  CONTROL_PLAYBACK: 'control-playback',
+  KICK_PARTICIPANT: 'kick-participant',
+  MANAGE_ROLES: 'manage-roles',
+  MANAGE_ROOM: 'manage-room', // Room settings such as the skip vote threshold
+  MODERATE_CHAT: 'moderate-chat' // Delete chat messages and mute participants
+};
+
+const DJ_CAPABILITIES = [
+  CAPABILITIES.ADD_VIDEO,
+  CAPABILITIES.REMOVE_VIDEO,
+  CAPABILITIES.REORDER_PLAYLIST,
+  CAPABILITIES.SKIP_VIDEO,
+  CAPABILITIES.CONTROL_PLAYBACK
+];
+
+const ROLE_CAPABILITIES = {
+  [ROLES.OWNER]: Object.values(CAPABILITIES),
+  [ROLES.MODERATOR]: [
+    ...DJ_CAPABILITIES,
+    CAPABILITIES.KICK_PARTICIPANT,
+    CAPABILITIES.MANAGE_ROLES,
+    CAPABILITIES.MANAGE_ROOM,
+    CAPABILITIES.MODERATE_CHAT
+  ],
+  [ROLES.DJ]: DJ_CAPABILITIES,
+  [ROLES.LISTENER]: []
+};
+
+// Higher rank can manage (kick, change role of) lower rank
+const ROLE_RANK = {
+  [ROLES.OWNER]: 3,
+  [ROLES.MODERATOR]: 2,
+  [ROLES.DJ]: 1,
+  [ROLES.LISTENER]: 0
+};
+
+module.exports = {
+  ROLES,
+  CAPABILITIES,
+  ROLE_CAPABILITIES,
+  ROLE_RANK
+};
@@ -0,0 +1,21 @@
+// Who can join a room
+const ACCESS_MODES = {
+  PUBLIC: 'public',     // Anyone with the room ID
+  PASSWORD: 'password', // The room password or an invite link
+  INVITE: 'invite'      // Invite links only
+};
+
+// Codes sent with JOIN_ERROR when a join is rejected
+const JOIN_ERRORS = {
+  PASSWORD_REQUIRED: 'password-required',
+  WRONG_PASSWORD: 'wrong-password',
+  INVITE_REQUIRED: 'invite-required',
+  INVITE_INVALID: 'invite-invalid',
+  INVITE_EXPIRED: 'invite-expired',
+  TOO_MANY_ATTEMPTS: 'too-many-attempts'
+};
+
+module.exports = {
+  ACCESS_MODES,
+  JOIN_ERRORS
+};
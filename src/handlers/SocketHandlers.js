@@ -1,21 +1,42 @@
+const Room = require('../models/Room');
 const RoomManager = require('../services/RoomManager');
+const PlaylistLibrary = require('../services/PlaylistLibrary');
 const SyncService = require('../services/SyncService');
-const AuthService = require('../services/AuthService');
+const SessionScheduler = require('../services/SessionScheduler');
+const YouTubeService = require('../services/YouTubeService');
+const IdentityService = require('../services/IdentityService');
 const Logger = require('../utils/Logger');
+const RateLimiter = require('../utils/RateLimiter');
+const { createProviderRegistry } = require('../providers');
 const EVENTS = require('../constants/events');
+const { CAPABILITIES } = require('../constants/roles');
+const { ACCESS_MODES, JOIN_ERRORS } = require('../constants/roomAccess');
+const config = require('../../config/default');
 
 class SocketHandlers {
-  constructor(io) {
+  constructor(io, cluster = null, youtubeService = new YouTubeService(), providers = createProviderRegistry(youtubeService)) {
     this.io = io;
-    this.syncService = new SyncService(io);
-    this.authService = new AuthService();
+    this.providers = providers;
+    this.syncService = new SyncService(io, cluster, youtubeService);
+    this.sessionScheduler = new SessionScheduler(io, this.syncService, providers);
+    this.identityService = new IdentityService(config.identity.secret);
     this.logger = new Logger('SocketHandlers');
+
+    // Chat messages per socket
+    this.chatRateLimiter = new RateLimiter({
+      maxEvents: config.chat.rateLimit.maxMessages,
+      windowMs: config.chat.rateLimit.windowMs
+    });
+
+    // Password and invite attempts per address and room, against guessing
+    this.joinRateLimiter = new RateLimiter({
+      maxEvents: config.rooms.joinAttempts.maxAttempts,
+      windowMs: config.rooms.joinAttempts.windowMs
+    });
     
-    // Track authenticated users
-    this.authenticatedUsers = new Map();
-    
-    // Start sync service
+    // Start sync service and the session scheduler
     this.syncService.start();
+    this.sessionScheduler.start();
   }
 
   /**
@@ -23,36 +44,57 @@ class SocketHandlers {
    * @param {Object} socket - Socket instance
    */
   handleConnection(socket) {
-    this.logger.info(`User connected: ${socket.id}`);
+    const userInfo = socket.data.userInfo;
+    this.logger.info(`User connected: ${socket.id}`, userInfo
+      ? { userId: userInfo.sub || userInfo.mezon_id, username: userInfo.username || userInfo.display_name }
+      : { anonymous: true });
     let currentRoom = null;
+    let pendingJoin = Promise.resolve(); // Joins of a socket run one at a time, each seeing the room the last one left it in
+
+    // Room management (payload is a room ID or { roomId, guestToken, password?, inviteToken? })
+    socket.on(EVENTS.JOIN_ROOM, (payload) => {
+      const { roomId, guestToken, password, inviteToken } = typeof payload === 'string' ? { roomId: payload } : (payload || {});
+      if (typeof roomId !== 'string' || !roomId.trim()) return;
 
-    // Authentication
-    socket.on(EVENTS.AUTHENTICATE, async (accessToken) => {
-      await this.handleAuthentication(socket, accessToken);
+      pendingJoin = pendingJoin
+        .then(async () => {
+          if (await this.handleJoinRoom(socket, roomId, currentRoom, { guestToken, password, inviteToken })) {
+            currentRoom = roomId;
+          }
+        })
+        .catch((error) => {
+          this.logger.error(`Failed to join room ${roomId}`, { socketId: socket.id, error: error.message });
+        });
     });
 
-    // Room management
-    socket.on(EVENTS.JOIN_ROOM, (roomId) => {
-      this.handleJoinRoom(socket, roomId, currentRoom);
-      currentRoom = roomId;
+    socket.on(EVENTS.SET_ROOM_ACCESS, async (settings) => {
+      await this.handleSetRoomAccess(socket, currentRoom, settings || {});
     });
 
-    // Room ownership events
-    socket.on(EVENTS.GRANT_PLAYLIST_PERMISSION, (targetSocketId) => {
-      this.handleGrantPlaylistPermission(socket, currentRoom, targetSocketId);
+    socket.on(EVENTS.CREATE_INVITE, () => {
+      this.handleCreateInvite(socket, currentRoom);
     });
 
-    socket.on(EVENTS.REVOKE_PLAYLIST_PERMISSION, (targetSocketId) => {
-      this.handleRevokePlaylistPermission(socket, currentRoom, targetSocketId);
+    // Room role events (targets are identity IDs)
+    socket.on(EVENTS.SET_ROLE, (payload) => {
+      this.handleSetRole(socket, currentRoom, payload || {});
     });
 
-    socket.on(EVENTS.KICK_PARTICIPANT, (targetSocketId) => {
-      this.handleKickParticipant(socket, currentRoom, targetSocketId);
+    socket.on(EVENTS.KICK_PARTICIPANT, (targetIdentityId) => {
+      this.handleKickParticipant(socket, currentRoom, targetIdentityId);
     });
 
     // Playlist management
-    socket.on(EVENTS.ADD_VIDEO, (video) => {
-      this.handleAddVideo(socket, currentRoom, video);
+    socket.on(EVENTS.ADD_VIDEO, async (video) => {
+      await this.handleAddVideo(socket, currentRoom, video);
+    });
+
+    socket.on(EVENTS.ADD_VIDEOS, async (videos) => {
+      await this.handleAddVideos(socket, currentRoom, videos);
+    });
+
+    socket.on(EVENTS.LOAD_PLAYLIST, async (playlistId) => {
+      await this.handleLoadPlaylist(socket, currentRoom, playlistId);
     });
 
     socket.on(EVENTS.REMOVE_VIDEO, (videoId) => {
@@ -63,6 +105,19 @@ class SocketHandlers {
       this.handleReorderPlaylist(socket, currentRoom, newPlaylist);
     });
 
+    // Chat
+    socket.on(EVENTS.CHAT_MESSAGE, (text) => {
+      this.handleChatMessage(socket, currentRoom, text);
+    });
+
+    socket.on(EVENTS.DELETE_CHAT_MESSAGE, (messageId) => {
+      this.handleDeleteChatMessage(socket, currentRoom, messageId);
+    });
+
+    socket.on(EVENTS.MUTE_PARTICIPANT, (payload) => {
+      this.handleMuteParticipant(socket, currentRoom, payload || {});
+    });
+
     // Player controls
     socket.on(EVENTS.PLAY, () => {
       this.handlePlay(socket, currentRoom);
@@ -80,13 +135,31 @@ class SocketHandlers {
       this.handleSkipVideo(socket, currentRoom);
     });
 
-    socket.on(EVENTS.VIDEO_ENDED, () => {
-      this.handleVideoEnded(socket, currentRoom);
+    socket.on(EVENTS.VOTE_SKIP, () => {
+      this.handleVoteSkip(socket, currentRoom);
+    });
+
+    socket.on(EVENTS.SET_SKIP_THRESHOLD, (threshold) => {
+      this.handleSetSkipThreshold(socket, currentRoom, threshold);
+    });
+
+    socket.on(EVENTS.SET_PLAY_MODE, (mode) => {
+      this.handleSetPlayMode(socket, currentRoom, mode);
+    });
+
+    socket.on(EVENTS.SET_QUEUE_SETTINGS, (settings) => {
+      this.handleSetQueueSettings(socket, currentRoom, settings);
+    });
+
+    // Payload is the ended item ID or { itemId, itemStartedAt }
+    socket.on(EVENTS.VIDEO_ENDED, (payload) => {
+      const { itemId, itemStartedAt } = typeof payload === 'object' && payload !== null ? payload : { itemId: payload };
+      this.handleVideoEnded(socket, currentRoom, itemId, itemStartedAt);
     });
 
-    // Sync events
-    socket.on(EVENTS.TIME_UPDATE, (currentTime) => {
-      this.syncService.updateRoomTime(currentRoom, socket.id, currentTime);
+    // Clock sync (client offset estimation)
+    socket.on(EVENTS.TIME_SYNC_PING, (clientSentAt) => {
+      this.syncService.handleTimeSyncPing(socket, clientSentAt, Date.now());
     });
 
     // Disconnect
@@ -96,183 +169,532 @@ class SocketHandlers {
   }
 
   /**
-   * Handle user authentication
+   * Resolve the identity of a socket: the user authenticated in the handshake,
+   * or a guest identified by a signed guest token (a new one is issued if needed)
+   * @param {Object} socket - Socket instance
+   * @param {string} guestToken - Guest token sent by the client
+   * @returns {Object} Identity
    */
-  async handleAuthentication(socket, accessToken) {
-    try {
-      const userInfo = await this.authService.verifyToken(accessToken);
-      this.authenticatedUsers.set(socket.id, userInfo);
-      
-      socket.emit(EVENTS.AUTH_SUCCESS, {
-        username: userInfo.username || userInfo.display_name,
-        userId: userInfo.sub || userInfo.mezon_id,
-        avatar: userInfo.avatar
-      });
+  resolveIdentity(socket, guestToken) {
+    const userInfo = socket.data.userInfo;
+    if (userInfo) {
+      return this.identityService.fromUserInfo(userInfo);
+    }
 
-      this.logger.info(`User authenticated: ${socket.id}`, {
-        username: userInfo.username || userInfo.display_name,
-        userId: userInfo.sub || userInfo.mezon_id
-      });
-    } catch (error) {
-      socket.emit(EVENTS.AUTH_ERROR, { message: error.message });
-      this.logger.warn(`Authentication failed for ${socket.id}`, { error: error.message });
+    let guestId = this.identityService.verifyGuestToken(guestToken);
+    if (!guestId) {
+      const issued = this.identityService.issueGuestToken();
+      guestId = issued.guestId;
+      socket.emit(EVENTS.IDENTITY_ASSIGNED, { guestToken: issued.token });
     }
+
+    return this.identityService.fromGuestId(guestId);
   }
 
   /**
-   * Handle granting playlist permission
+   * Check a capability and tell the socket when it is missing
+   * @param {Object} socket - Socket instance
+   * @param {Object} room - Room instance
+   * @param {string} capability - Capability from CAPABILITIES
+   * @param {string} message - Message sent with PERMISSION_DENIED
+   * @returns {boolean} True if the socket has the capability
    */
-  handleGrantPlaylistPermission(socket, roomId, targetSocketId) {
-    if (!roomId) return;
-    
+  requireCapability(socket, room, capability, message) {
+    if (room.can(socket.id, capability)) return true;
+
+    socket.emit(EVENTS.PERMISSION_DENIED, { message, capability });
+    return false;
+  }
+
+  /**
+   * Broadcast role changes caused by the effective owner changing
+   * (the owner returning, or the acting owner leaving)
+   * @param {string} roomId - Room identifier
+   * @param {Object} room - Room instance
+   * @param {string|null} previousOwner - Effective owner before the change
+   */
+  broadcastOwnerChange(roomId, room, previousOwner) {
+    const currentOwner = room.getEffectiveOwner();
+    if (currentOwner === previousOwner) return;
+
+    [previousOwner, currentOwner]
+      .filter(identityId => identityId && room.isIdentityPresent(identityId))
+      .forEach(identityId => this.io.to(roomId).emit(EVENTS.ROLE_UPDATED, room.getRoleInfo(identityId)));
+  }
+
+  /**
+   * Remove a participant from a room and notify the remaining participants
+   * @param {string} roomId - Room identifier
+   * @param {string} socketId - Socket ID of the leaving participant
+   * @returns {boolean} True if the participant was removed
+   */
+  removeParticipant(roomId, socketId) {
     const room = RoomManager.getRoom(roomId);
-    if (!room || !room.isOwner(socket.id)) {
-      socket.emit(EVENTS.PERMISSION_DENIED, { message: 'Only room owner can grant permissions' });
-      return;
-    }
+    const participant = room?.participants.get(socketId);
+    if (!participant) return false;
 
-    const success = room.grantPlaylistPermission(targetSocketId);
-    if (success) {
-      this.io.to(roomId).emit(EVENTS.PERMISSIONS_UPDATED, room.getParticipants());
-      this.logger.debug(`Playlist permission granted in room ${roomId}`, {
-        grantedBy: socket.id,
-        grantedTo: targetSocketId
-      });
-    }
+    const previousOwner = room.getEffectiveOwner();
+    if (!RoomManager.removeParticipantFromRoom(roomId, socketId)) return false;
+
+    this.io.to(roomId).emit(EVENTS.PARTICIPANT_LEFT, {
+      socketId,
+      identityId: participant.identityId,
+      participantCount: room.participants.size
+    });
+    this.broadcastOwnerChange(roomId, room, previousOwner);
+    this.syncService.recountSkipVotes(roomId, room);
+    return true;
   }
 
   /**
-   * Handle revoking playlist permission
+   * Handle changing the role of a participant
    */
-  handleRevokePlaylistPermission(socket, roomId, targetSocketId) {
+  handleSetRole(socket, roomId, { identityId: targetIdentityId, role }) {
     if (!roomId) return;
-    
+
     const room = RoomManager.getRoom(roomId);
-    if (!room || !room.isOwner(socket.id)) {
-      socket.emit(EVENTS.PERMISSION_DENIED, { message: 'Only room owner can revoke permissions' });
+    if (!room) return;
+
+    if (!this.requireCapability(socket, room, CAPABILITIES.MANAGE_ROLES, 'You do not have permission to manage roles')) {
       return;
     }
 
-    const success = room.revokePlaylistPermission(targetSocketId);
-    if (success) {
-      this.io.to(roomId).emit(EVENTS.PERMISSIONS_UPDATED, room.getParticipants());
-      this.logger.debug(`Playlist permission revoked in room ${roomId}`, {
-        revokedBy: socket.id,
-        revokedFrom: targetSocketId
+    const actorIdentityId = room.getIdentityId(socket.id);
+    if (!room.canAssignRole(actorIdentityId, targetIdentityId, role) || !room.setRole(targetIdentityId, role)) {
+      socket.emit(EVENTS.PERMISSION_DENIED, {
+        message: 'You cannot give this role to this participant',
+        capability: CAPABILITIES.MANAGE_ROLES
       });
+      return;
     }
+
+    RoomManager.persistRoom(roomId);
+    this.io.to(roomId).emit(EVENTS.ROLE_UPDATED, room.getRoleInfo(targetIdentityId));
+    this.logger.debug(`Role updated in room ${roomId}`, {
+      updatedBy: socket.id,
+      identityId: targetIdentityId,
+      role
+    });
   }
 
   /**
-   * Handle kicking a participant
+   * Handle kicking a participant (every connection of the target identity)
    */
-  handleKickParticipant(socket, roomId, targetSocketId) {
+  handleKickParticipant(socket, roomId, targetIdentityId) {
     if (!roomId) return;
     
     const room = RoomManager.getRoom(roomId);
-    if (!room || !room.isOwner(socket.id)) {
-      socket.emit(EVENTS.PERMISSION_DENIED, { message: 'Only room owner can kick participants' });
+    if (!room) return;
+
+    if (!this.requireCapability(socket, room, CAPABILITIES.KICK_PARTICIPANT, 'You do not have permission to kick participants')) {
       return;
     }
 
-    if (targetSocketId === socket.id) {
+    if (targetIdentityId === room.getIdentityId(socket.id)) {
       socket.emit(EVENTS.PERMISSION_DENIED, { message: 'Cannot kick yourself' });
       return;
     }
 
-    // Notify the kicked user
-    this.io.to(targetSocketId).emit(EVENTS.PARTICIPANT_KICKED, { 
-      message: 'You have been kicked from the room' 
+    if (!room.outranks(room.getIdentityId(socket.id), targetIdentityId)) {
+      socket.emit(EVENTS.PERMISSION_DENIED, {
+        message: 'Cannot kick a participant with an equal or higher role',
+        capability: CAPABILITIES.KICK_PARTICIPANT
+      });
+      return;
+    }
+
+    const targetSocketIds = room.getSocketIdsForIdentity(targetIdentityId);
+    if (targetSocketIds.length === 0) return;
+
+    targetSocketIds.forEach((targetSocketId) => {
+      // Notify the kicked user
+      this.io.to(targetSocketId).emit(EVENTS.PARTICIPANT_KICKED, { 
+        message: 'You have been kicked from the room' 
+      });
+
+      // Remove from room and notify remaining participants
+      this.io.in(targetSocketId).socketsLeave(roomId);
+      this.removeParticipant(roomId, targetSocketId);
     });
 
-    // Remove from room
-    RoomManager.removeParticipantFromRoom(roomId, targetSocketId);
-    
-    // Notify remaining participants
-    const updatedRoom = RoomManager.getRoom(roomId);
-    if (updatedRoom) {
-      this.io.to(roomId).emit(EVENTS.PARTICIPANT_LEFT, updatedRoom.participants.size);
-      this.io.to(roomId).emit(EVENTS.PERMISSIONS_UPDATED, updatedRoom.getParticipants());
-    }
+    // Private rooms need credentials again after a kick
+    room.revokeAdmission(targetIdentityId);
+    RoomManager.persistRoom(roomId);
 
     this.logger.info(`Participant kicked from room ${roomId}`, {
       kickedBy: socket.id,
-      kicked: targetSocketId
+      kicked: targetIdentityId
     });
   }
 
   /**
-   * Handle joining a room
+   * Handle joining a room. Private rooms need a password or invite link
+   * unless the identity was let in before; rejections are sent as JOIN_ERROR.
+   * @returns {Promise<boolean>} True if the socket joined the room
    */
-  handleJoinRoom(socket, newRoomId, currentRoom) {
+  async handleJoinRoom(socket, newRoomId, currentRoom, { guestToken = null, password, inviteToken } = {}) {
+    const identity = this.resolveIdentity(socket, guestToken);
+    const existingRoom = RoomManager.getRoom(newRoomId);
+
+    if (existingRoom) {
+      const rejection = await this.checkRoomAccess(socket, existingRoom, identity.identityId, { password, inviteToken });
+      if (rejection) {
+        socket.emit(EVENTS.JOIN_ERROR, { roomId: newRoomId, ...rejection });
+        this.logger.info(`Join rejected for ${socket.id} in room ${newRoomId}`, { code: rejection.code });
+        return false;
+      }
+    }
+
+    // The socket may have gone while the password was checked
+    if (socket.disconnected) return false;
+
     // Leave current room if exists
     if (currentRoom) {
       socket.leave(currentRoom);
-      const wasRemoved = RoomManager.removeParticipantFromRoom(currentRoom, socket.id);
-      
-      if (wasRemoved) {
-        const room = RoomManager.getRoom(currentRoom);
-        if (room) {
-          socket.to(currentRoom).emit(EVENTS.PARTICIPANT_LEFT, room.participants.size);
-          socket.to(currentRoom).emit(EVENTS.PERMISSIONS_UPDATED, room.getParticipants());
-        }
-      }
+      this.removeParticipant(currentRoom, socket.id);
     }
 
-    // Join new room with user info
+    // Join new room with user info; admitted before the room is saved and shared
     socket.join(newRoomId);
-    const userInfo = this.authenticatedUsers.get(socket.id);
-    const room = RoomManager.addParticipantToRoom(newRoomId, socket.id, userInfo);
+    const previousOwner = RoomManager.getRoom(newRoomId)?.getEffectiveOwner() || null;
+    RoomManager.getOrCreateRoom(newRoomId).admit(identity.identityId);
+    const room = RoomManager.addParticipantToRoom(newRoomId, socket.id, identity);
     
-    // Send current room state to the new participant
-    const currentState = room.getState();
-    socket.emit(EVENTS.ROOM_STATE, currentState);
+    // Send current room state (including the participant list and playback timeline) to the new participant
+    socket.emit(EVENTS.ROOM_STATE, room.getState());
     
-    // Notify all participants (including the new one) about the updated participant list
-    this.io.to(newRoomId).emit(EVENTS.PARTICIPANT_JOINED, room.participants.size);
-    this.io.to(newRoomId).emit(EVENTS.PERMISSIONS_UPDATED, room.getParticipants());
-    
-    // Sync new participant if video is playing
-    this.syncService.syncNewParticipant(socket.id, newRoomId, currentState);
+    // Notify the other participants about the new one
+    socket.to(newRoomId).emit(EVENTS.PARTICIPANT_JOINED, {
+      participant: room.getParticipant(socket.id),
+      participantCount: room.participants.size
+    });
+    this.broadcastOwnerChange(newRoomId, room, previousOwner);
+
+    // More participants can mean more votes are needed to skip
+    this.syncService.broadcastSkipVotes(newRoomId, room);
     
     this.logger.info(`User ${socket.id} joined room ${newRoomId} (${room.participants.size} participants)`);
+    return true;
   }
 
   /**
-   * Handle adding video to playlist
+   * Get the address a socket connected from. Behind TRUST_PROXY reverse
+   * proxies it is read from X-Forwarded-For, counting from the right so a
+   * client can't pick it by sending the header itself.
+   * @param {Object} socket - Socket instance
+   * @returns {string} Client address
    */
-  handleAddVideo(socket, roomId, video) {
+  getClientAddress(socket) {
+    const { trustProxy } = config.server;
+    const forwarded = String(socket.handshake.headers['x-forwarded-for'] || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean);
+
+    if (trustProxy > 0 && forwarded.length > 0) {
+      return forwarded[Math.max(0, forwarded.length - trustProxy)];
+    }
+    return socket.handshake.address;
+  }
+
+  /**
+   * Check whether an identity may join a room with the given credentials.
+   * A valid invite link works in password and invite-only rooms.
+   * @param {Object} socket - Socket instance
+   * @param {Room} room - Room instance
+   * @param {string} identityId - Identity ID of the socket
+   * @param {Object} credentials - { password?, inviteToken? }
+   * @returns {Promise<Object|null>} { code, message } from JOIN_ERRORS, or null if allowed
+   */
+  async checkRoomAccess(socket, room, identityId, { password, inviteToken }) {
+    if (room.isAdmitted(identityId)) return null;
+
+    const { mode } = room.access;
+    const hasInvite = typeof inviteToken === 'string' && inviteToken.length > 0;
+    const hasPassword = mode === ACCESS_MODES.PASSWORD && typeof password === 'string' && password.length > 0;
+
+    if (!hasInvite && !hasPassword) {
+      return mode === ACCESS_MODES.PASSWORD
+        ? { code: JOIN_ERRORS.PASSWORD_REQUIRED, message: 'This room is password protected' }
+        : { code: JOIN_ERRORS.INVITE_REQUIRED, message: 'This room is invite-only. Ask the owner for an invite link' };
+    }
+
+    if (!this.joinRateLimiter.consume(`${this.getClientAddress(socket)}:${room.id}`)) {
+      return { code: JOIN_ERRORS.TOO_MANY_ATTEMPTS, message: 'Too many attempts. Please wait a minute and try again' };
+    }
+
+    if (hasInvite) {
+      const invite = this.identityService.readInviteToken(inviteToken);
+      const isForRoom = !!invite && invite.roomId === room.id && invite.version === room.access.inviteVersion;
+      if (isForRoom && invite.expiresAt > Date.now()) return null;
+
+      // A stale invite can still be backed by the password
+      if (!hasPassword) {
+        return isForRoom
+          ? { code: JOIN_ERRORS.INVITE_EXPIRED, message: 'This invite link has expired. Ask for a new one' }
+          : { code: JOIN_ERRORS.INVITE_INVALID, message: 'This invite link is not valid for this room anymore' };
+      }
+    }
+
+    if (await room.checkPassword(password)) return null;
+    return { code: JOIN_ERRORS.WRONG_PASSWORD, message: 'Wrong room password' };
+  }
+
+  /**
+   * Handle the owner changing who can join the room ({ mode, password?, revokeInvites? })
+   */
+  async handleSetRoomAccess(socket, roomId, { mode, password, revokeInvites }) {
     if (!roomId) return;
-    
+
     const room = RoomManager.getRoom(roomId);
     if (!room) return;
 
-    // Check playlist permission
-    if (!room.hasPlaylistPermission(socket.id)) {
-      socket.emit(EVENTS.PERMISSION_DENIED, { 
-        message: 'You do not have permission to edit the playlist' 
-      });
+    if (!room.isOwnerIdentity(room.getIdentityId(socket.id))) {
+      socket.emit(EVENTS.PERMISSION_DENIED, { message: 'Only the room owner can change who can join' });
+      return;
+    }
+
+    const { min, max } = config.rooms.passwordLength;
+    if (password !== undefined && password !== '' && (typeof password !== 'string' || password.length < min || password.length > max)) {
+      socket.emit(EVENTS.PERMISSION_DENIED, { message: `Room passwords must be ${min} to ${max} characters` });
+      return;
+    }
+
+    if (!(await room.setAccess({ mode, password, revokeInvites: revokeInvites === true }))) {
+      socket.emit(EVENTS.PERMISSION_DENIED, { message: 'Invalid room access settings' });
       return;
     }
 
-    const addedVideo = room.addVideo(video, socket.id);
+    this.io.to(roomId).emit(EVENTS.ROOM_ACCESS_UPDATED, room.getAccessInfo());
+    RoomManager.persistRoom(roomId);
+
+    this.logger.info(`Room access changed in room ${roomId}`, {
+      mode: room.access.mode,
+      changedBy: socket.id
+    });
+  }
+
+  /**
+   * Handle a request for an invite link to a private room. The owner and
+   * people who manage the room can invite.
+   */
+  handleCreateInvite(socket, roomId) {
+    if (!roomId) return;
+
+    const room = RoomManager.getRoom(roomId);
+    if (!room) return;
+
+    if (!this.requireCapability(socket, room, CAPABILITIES.MANAGE_ROOM, 'You do not have permission to create invite links')) {
+      return;
+    }
+
+    const invite = this.identityService.issueInviteToken(roomId, room.access.inviteVersion, config.rooms.inviteTtl);
+    socket.emit(EVENTS.INVITE_CREATED, { roomId, ...invite });
+  }
+
+  /**
+   * Handle adding video to playlist. Only the provider and source ID are
+   * taken from the client; title, channel, thumbnail and length come from
+   * the provider.
+   */
+  async handleAddVideo(socket, roomId, video) {
+    if (!roomId) return;
     
-    // If no video is currently playing, start the next one
-    if (!room.currentVideo) {
-      const nextVideo = room.playNext();
-      if (nextVideo) {
-        this.io.to(roomId).emit(EVENTS.PLAY_VIDEO, nextVideo);
-      }
+    const room = RoomManager.getRoom(roomId);
+    if (!room) return;
+
+    if (!this.requireCapability(socket, room, CAPABILITIES.ADD_VIDEO, 'You do not have permission to add videos')) {
+      return;
+    }
+
+    const source = this.providers.resolveSource(video);
+    if (!source) {
+      socket.emit(EVENTS.PERMISSION_DENIED, { message: 'Invalid video ID or unsupported link' });
+      return;
+    }
+
+    // Rules that only need the ID are checked before the lookup
+    let rejection = room.checkQueuePolicies(socket.id, source);
+    if (rejection) {
+      socket.emit(EVENTS.PERMISSION_DENIED, rejection);
+      return;
     }
+
+    let details;
+    try {
+      details = await this.providers.getDetails(source);
+    } catch (error) {
+      socket.emit(EVENTS.PERMISSION_DENIED, { message: error.message });
+      return;
+    }
+
+    // The room may have gone away, or the sender left it, during the lookup
+    if (RoomManager.getRoom(roomId) !== room || !room.getParticipant(socket.id)) return;
+
+    rejection = room.checkQueuePolicies(socket.id, details);
+    if (rejection) {
+      socket.emit(EVENTS.PERMISSION_DENIED, rejection);
+      return;
+    }
+
+    room.addVideo(details, socket.id);
+    this.startPlaybackIfIdle(roomId, room);
     
     this.io.to(roomId).emit(EVENTS.PLAYLIST_UPDATED, room.playlist);
+    RoomManager.persistRoom(roomId);
     
     this.logger.debug(`Video added to room ${roomId}`, {
-      title: video.title,
+      title: details.title,
       addedBy: socket.id
     });
   }
 
+  /**
+   * Handle adding several videos at once (e.g. a playlist import)
+   */
+  async handleAddVideos(socket, roomId, videos) {
+    if (!roomId) return;
+
+    const room = RoomManager.getRoom(roomId);
+    if (!room) return;
+
+    if (!this.requireCapability(socket, room, CAPABILITIES.ADD_VIDEO, 'You do not have permission to add videos')) {
+      return;
+    }
+
+    await this.addVideosToRoom(socket, roomId, room, videos, config.youtube.importMaxItems);
+  }
+
+  /**
+   * Handle loading one of the user's saved playlists into the room queue
+   */
+  async handleLoadPlaylist(socket, roomId, playlistId) {
+    if (!roomId) return;
+
+    const room = RoomManager.getRoom(roomId);
+    if (!room) return;
+
+    if (!this.requireCapability(socket, room, CAPABILITIES.ADD_VIDEO, 'You do not have permission to add videos')) {
+      return;
+    }
+
+    const userInfo = socket.data.userInfo;
+    if (!userInfo) {
+      socket.emit(EVENTS.PERMISSION_DENIED, { message: 'Sign in to load saved playlists' });
+      return;
+    }
+
+    let playlist;
+    try {
+      playlist = await PlaylistLibrary.get(playlistId, userInfo.sub || userInfo.mezon_id);
+    } catch (error) {
+      socket.emit(EVENTS.VIDEOS_ADDED, { added: 0, errors: [{ input: playlistId, message: error.message }] });
+      return;
+    }
+
+    // The room may have gone away while the playlist was loading
+    if (RoomManager.getRoom(roomId) !== room) return;
+
+    await this.addVideosToRoom(socket, roomId, room, playlist.items, config.playlists.maxItems);
+  }
+
+  /**
+   * Add videos in order with a single playlist broadcast and tell the
+   * sender how many were added and which were rejected. As with single
+   * adds, only the sources are used and details come from the providers.
+   * @param {Object} socket - Socket instance
+   * @param {string} roomId - Room ID
+   * @param {Room} room - Room instance
+   * @param {Array} videos - Videos to add
+   * @param {number} limit - Maximum number of items processed
+   */
+  async addVideosToRoom(socket, roomId, room, videos, limit) {
+    if (!Array.isArray(videos) || videos.length === 0) {
+      socket.emit(EVENTS.VIDEOS_ADDED, { added: 0, errors: [{ input: null, message: 'No videos to add' }] });
+      return;
+    }
+
+    const errors = [];
+    const sources = [];
+    let added = 0;
+
+    videos.slice(0, limit).forEach((video) => {
+      const source = this.providers.resolveSource(video);
+      if (source) {
+        sources.push(source);
+      } else {
+        const input = video?.sourceId ?? video?.videoId ?? video?.url;
+        errors.push({ input: typeof input === 'string' ? input.slice(0, 100) : null, message: 'Invalid video ID or unsupported link' });
+      }
+    });
+
+    const lookups = await this.providers.getDetailsBatch(sources);
+
+    // The room may have gone away, or the sender left it, during the lookups
+    if (RoomManager.getRoom(roomId) !== room || !room.getParticipant(socket.id)) return;
+
+    lookups.forEach(({ source, details, error }) => {
+      if (error) {
+        errors.push({ input: source.sourceId, message: error.message });
+        return;
+      }
+
+      const rejection = room.checkQueuePolicies(socket.id, details);
+      if (rejection) {
+        errors.push({ input: source.sourceId, ...rejection });
+        return;
+      }
+
+      room.addVideo(details, socket.id);
+      added++;
+    });
+
+    if (videos.length > limit) {
+      errors.push({ input: null, message: `Only the first ${limit} items were processed` });
+    }
+
+    if (added > 0) {
+      this.startPlaybackIfIdle(roomId, room);
+      this.io.to(roomId).emit(EVENTS.PLAYLIST_UPDATED, room.playlist);
+      RoomManager.persistRoom(roomId);
+    }
+
+    socket.emit(EVENTS.VIDEOS_ADDED, { added, errors });
+
+    this.logger.debug(`Videos added to room ${roomId}`, {
+      added,
+      rejected: errors.length,
+      addedBy: socket.id
+    });
+  }
+
+  /**
+   * Start the next video if nothing is playing
+   * @param {string} roomId - Room ID
+   * @param {Room} room - Room instance
+   */
+  startPlaybackIfIdle(roomId, room) {
+    if (room.currentVideo) return;
+
+    const nextVideo = room.playNext();
+    if (nextVideo) {
+      this.io.to(roomId).emit(EVENTS.PLAY_VIDEO, nextVideo);
+      this.syncService.broadcastPlaybackState(roomId, room);
+      this.syncService.broadcastSkipVotes(roomId, room);
+    }
+  }
+
+  /**
+   * Let radio mode top up the queue after it shrank or radio was turned on
+   * @param {string} roomId - Room ID
+   * @param {Room} room - Room instance
+   */
+  fillRadio(roomId, room) {
+    this.syncService.fillRadio(roomId, room).catch(error => {
+      this.logger.error(`Radio fill failed for room ${roomId}`, { error: error.message });
+    });
+  }
+
   /**
    * Handle removing video from playlist
    */
@@ -282,17 +704,15 @@ class SocketHandlers {
     const room = RoomManager.getRoom(roomId);
     if (!room) return;
 
-    // Check playlist permission
-    if (!room.hasPlaylistPermission(socket.id)) {
-      socket.emit(EVENTS.PERMISSION_DENIED, { 
-        message: 'You do not have permission to edit the playlist' 
-      });
+    if (!this.requireCapability(socket, room, CAPABILITIES.REMOVE_VIDEO, 'You do not have permission to remove videos')) {
       return;
     }
 
     const wasRemoved = room.removeVideo(videoId);
     if (wasRemoved) {
       this.io.to(roomId).emit(EVENTS.PLAYLIST_UPDATED, room.playlist);
+      RoomManager.persistRoom(roomId);
+      this.fillRadio(roomId, room);
       
       this.logger.debug(`Video removed from room ${roomId}`, {
         videoId,
@@ -310,21 +730,115 @@ class SocketHandlers {
     const room = RoomManager.getRoom(roomId);
     if (!room) return;
 
-    // Check playlist permission
-    if (!room.hasPlaylistPermission(socket.id)) {
-      socket.emit(EVENTS.PERMISSION_DENIED, { 
-        message: 'You do not have permission to edit the playlist' 
-      });
+    if (!this.requireCapability(socket, room, CAPABILITIES.REORDER_PLAYLIST, 'You do not have permission to reorder the playlist')) {
       return;
     }
 
     const success = room.reorderPlaylist(newPlaylist);
     if (success) {
       this.io.to(roomId).emit(EVENTS.PLAYLIST_UPDATED, room.playlist);
+      RoomManager.persistRoom(roomId);
       
       this.logger.debug(`Playlist reordered in room ${roomId}`, {
         reorderedBy: socket.id
       });
+    } else {
+      // Undo the sender's optimistic reorder
+      socket.emit(EVENTS.PERMISSION_DENIED, { message: 'The playlist changed, please try again' });
+      socket.emit(EVENTS.PLAYLIST_UPDATED, room.playlist);
+    }
+  }
+
+  /**
+   * Handle a chat message
+   */
+  handleChatMessage(socket, roomId, text) {
+    if (!roomId || typeof text !== 'string') return;
+
+    const room = RoomManager.getRoom(roomId);
+    if (!room) return;
+
+    const trimmed = text.trim();
+    if (!trimmed) return;
+
+    if (trimmed.length > config.chat.maxMessageLength) {
+      socket.emit(EVENTS.PERMISSION_DENIED, {
+        message: `Messages are limited to ${config.chat.maxMessageLength} characters`
+      });
+      return;
+    }
+
+    if (room.isMuted(room.getIdentityId(socket.id))) {
+      socket.emit(EVENTS.PERMISSION_DENIED, { message: 'You are muted in this room' });
+      return;
+    }
+
+    if (!this.chatRateLimiter.consume(socket.id)) {
+      socket.emit(EVENTS.PERMISSION_DENIED, { message: 'You are sending messages too fast' });
+      return;
+    }
+
+    const message = room.addChatMessage(socket.id, trimmed);
+    if (!message) return;
+
+    this.io.to(roomId).emit(EVENTS.CHAT_MESSAGE, message);
+    RoomManager.persistRoom(roomId);
+  }
+
+  /**
+   * Handle deleting a chat message (moderators, or the author)
+   */
+  handleDeleteChatMessage(socket, roomId, messageId) {
+    if (!roomId) return;
+
+    const room = RoomManager.getRoom(roomId);
+    const message = room?.getChatMessage(messageId);
+    if (!message) return;
+
+    const isAuthor = message.identityId === room.getIdentityId(socket.id);
+    if (!isAuthor && !this.requireCapability(socket, room, CAPABILITIES.MODERATE_CHAT, 'You do not have permission to delete messages')) {
+      return;
+    }
+
+    room.deleteChatMessage(messageId);
+    this.io.to(roomId).emit(EVENTS.CHAT_MESSAGE_DELETED, { messageId });
+    RoomManager.persistRoom(roomId);
+
+    this.logger.debug(`Chat message deleted in room ${roomId}`, {
+      deletedBy: socket.id,
+      messageId
+    });
+  }
+
+  /**
+   * Handle muting or unmuting a participant in chat
+   */
+  handleMuteParticipant(socket, roomId, { identityId: targetIdentityId, muted = true }) {
+    if (!roomId) return;
+
+    const room = RoomManager.getRoom(roomId);
+    if (!room) return;
+
+    if (!this.requireCapability(socket, room, CAPABILITIES.MODERATE_CHAT, 'You do not have permission to mute participants')) {
+      return;
+    }
+
+    if (!room.outranks(room.getIdentityId(socket.id), targetIdentityId)) {
+      socket.emit(EVENTS.PERMISSION_DENIED, {
+        message: 'Cannot mute a participant with an equal or higher role',
+        capability: CAPABILITIES.MODERATE_CHAT
+      });
+      return;
+    }
+
+    if (room.setMuted(targetIdentityId, !!muted)) {
+      this.io.to(roomId).emit(EVENTS.PARTICIPANT_MUTED, { identityId: targetIdentityId, muted: !!muted });
+      RoomManager.persistRoom(roomId);
+
+      this.logger.debug(`Participant ${muted ? 'muted' : 'unmuted'} in room ${roomId}`, {
+        by: socket.id,
+        identityId: targetIdentityId
+      });
     }
   }
 
@@ -337,8 +851,14 @@ class SocketHandlers {
     const room = RoomManager.getRoom(roomId);
     if (!room) return;
 
-    room.updateState({ isPlaying: true });
-    this.syncService.broadcastPlayState(roomId, socket.id, true);
+    if (!this.requireCapability(socket, room, CAPABILITIES.CONTROL_PLAYBACK, 'You do not have permission to control playback')) {
+      return;
+    }
+
+    if (room.play()) {
+      RoomManager.persistRoom(roomId);
+    }
+    this.syncService.broadcastPlaybackState(roomId, room);
   }
 
   /**
@@ -350,21 +870,32 @@ class SocketHandlers {
     const room = RoomManager.getRoom(roomId);
     if (!room) return;
 
-    room.updateState({ isPlaying: false });
-    this.syncService.broadcastPlayState(roomId, socket.id, false);
+    if (!this.requireCapability(socket, room, CAPABILITIES.CONTROL_PLAYBACK, 'You do not have permission to control playback')) {
+      return;
+    }
+
+    if (room.pause()) {
+      RoomManager.persistRoom(roomId);
+    }
+    this.syncService.broadcastPlaybackState(roomId, room);
   }
 
   /**
    * Handle seek action
    */
   handleSeek(socket, roomId, time) {
-    if (!roomId) return;
+    if (!roomId || !Number.isFinite(time) || time < 0) return;
     
     const room = RoomManager.getRoom(roomId);
     if (!room) return;
 
-    room.updateState({ currentTime: time });
-    this.syncService.broadcastSeek(roomId, socket.id, time);
+    if (!this.requireCapability(socket, room, CAPABILITIES.CONTROL_PLAYBACK, 'You do not have permission to control playback')) {
+      return;
+    }
+
+    room.seek(time);
+    RoomManager.persistRoom(roomId);
+    this.syncService.broadcastPlaybackState(roomId, room);
   }
 
   /**
@@ -376,22 +907,11 @@ class SocketHandlers {
     const room = RoomManager.getRoom(roomId);
     if (!room) return;
 
-    // Check playlist permission for skipping
-    if (!room.hasPlaylistPermission(socket.id)) {
-      socket.emit(EVENTS.PERMISSION_DENIED, { 
-        message: 'You do not have permission to skip videos' 
-      });
+    if (!this.requireCapability(socket, room, CAPABILITIES.SKIP_VIDEO, 'You do not have permission to skip videos')) {
       return;
     }
 
-    const nextVideo = room.playNext();
-    if (nextVideo) {
-      this.io.to(roomId).emit(EVENTS.PLAY_VIDEO, nextVideo);
-    } else {
-      this.io.to(roomId).emit(EVENTS.PLAYLIST_ENDED);
-    }
-    
-    this.io.to(roomId).emit(EVENTS.PLAYLIST_UPDATED, room.playlist);
+    const nextVideo = this.syncService.advancePlaylist(roomId, room, 'skipped');
     
     this.logger.debug(`Video skipped in room ${roomId}`, {
       skippedBy: socket.id,
@@ -400,22 +920,140 @@ class SocketHandlers {
   }
 
   /**
-   * Handle video ended event
+   * Handle a vote to skip the current video. Any participant can vote;
+   * the video is skipped once the room's threshold is reached.
    */
-  handleVideoEnded(socket, roomId) {
+  handleVoteSkip(socket, roomId) {
     if (!roomId) return;
-    
+
+    const room = RoomManager.getRoom(roomId);
+    if (!room || !room.currentVideo) return;
+
+    if (!room.addSkipVote(room.getIdentityId(socket.id))) return;
+
+    if (room.hasEnoughSkipVotes()) {
+      const skippedTitle = room.currentVideo.title;
+      const nextVideo = this.syncService.advancePlaylist(roomId, room, 'skipped');
+
+      this.logger.debug(`Video skipped by vote in room ${roomId}`, {
+        skipped: skippedTitle,
+        nextVideo: nextVideo?.title || 'none'
+      });
+      return;
+    }
+
+    RoomManager.persistRoom(roomId);
+    this.syncService.broadcastSkipVotes(roomId, room);
+  }
+
+  /**
+   * Handle changing the room's skip vote threshold
+   */
+  handleSetSkipThreshold(socket, roomId, threshold) {
+    if (!roomId) return;
+
     const room = RoomManager.getRoom(roomId);
     if (!room) return;
 
-    const nextVideo = room.playNext();
-    if (nextVideo) {
-      this.io.to(roomId).emit(EVENTS.PLAY_VIDEO, nextVideo);
+    if (!this.requireCapability(socket, room, CAPABILITIES.MANAGE_ROOM, 'You do not have permission to change room settings')) {
+      return;
+    }
+
+    const skipThreshold = Room.parseSkipThreshold(threshold);
+    if (!skipThreshold) {
+      socket.emit(EVENTS.PERMISSION_DENIED, { message: 'Invalid skip vote threshold' });
+      return;
+    }
+
+    room.skipThreshold = skipThreshold;
+    RoomManager.persistRoom(roomId);
+
+    // A lower threshold may already be met
+    if (room.hasEnoughSkipVotes()) {
+      this.syncService.advancePlaylist(roomId, room, 'skipped');
     } else {
-      this.io.to(roomId).emit(EVENTS.PLAYLIST_ENDED);
+      this.syncService.broadcastSkipVotes(roomId, room);
+    }
+  }
+
+  /**
+   * Handle changing the room's play mode (normal, repeat-all, repeat-one, shuffle)
+   */
+  handleSetPlayMode(socket, roomId, mode) {
+    if (!roomId) return;
+
+    const room = RoomManager.getRoom(roomId);
+    if (!room) return;
+
+    if (!this.requireCapability(socket, room, CAPABILITIES.CONTROL_PLAYBACK, 'You do not have permission to change the play mode')) {
+      return;
+    }
+
+    if (!room.setPlayMode(mode)) {
+      socket.emit(EVENTS.PERMISSION_DENIED, { message: 'Invalid play mode' });
+      return;
     }
+
+    this.io.to(roomId).emit(EVENTS.PLAY_MODE_UPDATED, { playMode: room.playMode });
+    RoomManager.persistRoom(roomId);
+
+    this.logger.debug(`Play mode changed in room ${roomId}`, {
+      playMode: room.playMode,
+      changedBy: socket.id
+    });
+  }
+
+  /**
+   * Handle changing the room's queue settings ({ fairQueue?, maxPerUser? })
+   */
+  handleSetQueueSettings(socket, roomId, settings) {
+    if (!roomId) return;
+
+    const room = RoomManager.getRoom(roomId);
+    if (!room) return;
+
+    if (!this.requireCapability(socket, room, CAPABILITIES.MANAGE_ROOM, 'You do not have permission to change room settings')) {
+      return;
+    }
+
+    const wasFair = room.queueSettings.fairQueue;
+    if (!room.setQueueSettings(settings)) {
+      socket.emit(EVENTS.PERMISSION_DENIED, { message: 'Invalid queue settings' });
+      return;
+    }
+
+    this.io.to(roomId).emit(EVENTS.QUEUE_SETTINGS_UPDATED, room.queueSettings);
+
+    // Turning fair queueing on reorders the queue
+    if (!wasFair && room.queueSettings.fairQueue) {
+      this.io.to(roomId).emit(EVENTS.PLAYLIST_UPDATED, room.playlist);
+    }
+
+    RoomManager.persistRoom(roomId);
+    this.fillRadio(roomId, room);
+
+    this.logger.debug(`Queue settings changed in room ${roomId}`, {
+      ...room.queueSettings,
+      changedBy: socket.id
+    });
+  }
+
+  /**
+   * Handle video ended event. Only participants who control playback
+   * advance the room, and only once per play of an item.
+   */
+  handleVideoEnded(socket, roomId, endedVideoId, itemStartedAt) {
+    if (!roomId) return;
     
-    this.io.to(roomId).emit(EVENTS.PLAYLIST_UPDATED, room.playlist);
+    const room = RoomManager.getRoom(roomId);
+    if (!room || !room.can(socket.id, CAPABILITIES.CONTROL_PLAYBACK)) return;
+
+    // Another client already reported the end of this item. Repeat modes can
+    // play the same item again, so the start time identifies the play.
+    if (endedVideoId && room.currentVideo?.id !== endedVideoId) return;
+    if (itemStartedAt && room.currentStartedAt !== itemStartedAt) return;
+
+    const nextVideo = this.syncService.advancePlaylist(roomId, room, 'finished');
     
     this.logger.debug(`Video ended in room ${roomId}`, {
       nextVideo: nextVideo?.title || 'none'
@@ -428,20 +1066,10 @@ class SocketHandlers {
   handleDisconnect(socket, currentRoom) {
     this.logger.info(`User disconnected: ${socket.id}`);
     
-    // Clean up authentication info
-    this.authenticatedUsers.delete(socket.id);
+    this.chatRateLimiter.remove(socket.id);
     
     if (currentRoom) {
-      const wasRemoved = RoomManager.removeParticipantFromRoom(currentRoom, socket.id);
-      
-      if (wasRemoved) {
-        const room = RoomManager.getRoom(currentRoom);
-        if (room) {
-          socket.to(currentRoom).emit(EVENTS.PARTICIPANT_LEFT, room.participants.size);
-          // Notify about permission changes if ownership transferred
-          socket.to(currentRoom).emit(EVENTS.PERMISSIONS_UPDATED, room.getParticipants());
-        }
-      }
+      this.removeParticipant(currentRoom, socket.id);
     }
   }
 
@@ -450,6 +1078,7 @@ class SocketHandlers {
    */
   stop() {
     this.syncService.stop();
+    this.sessionScheduler.stop();
   }
 }
 
@@ -0,0 +1,72 @@
+const Logger = require('../utils/Logger');
+const { AUTH_SERVICE_ERRORS } = require('../constants/auth');
+
+const logger = new Logger('requireUser');
+
+/**
+ * Create middleware that only lets signed-in users through. Browsers are
+ * identified by their session cookie; other API clients can send an OAuth
+ * access token in an `Authorization: Bearer` header. The user is stored on
+ * `req.user` as { userId, username, avatar }.
+ * @param {AuthService} authService - Service used to verify access tokens
+ * @param {AuthSessionService} authSessions - Sign-in sessions
+ * @returns {Function} Express middleware
+ */
+function createRequireUser(authService, authSessions) {
+  return async (req, res, next) => {
+    const sessionId = authSessions.readSessionId(req.get('cookie'));
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+
+    if (!sessionId && !match) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Please sign in to continue'
+      });
+    }
+
+    try {
+      let userInfo;
+
+      if (sessionId) {
+        const session = await authSessions.get(sessionId);
+        if (!session) {
+          return res.status(401).json({
+            error: 'Session expired',
+            message: 'Your session has expired, please sign in again'
+          });
+        }
+        userInfo = session.userInfo;
+      } else {
+        userInfo = await authService.verifyToken(match[1]);
+      }
+
+      req.user = {
+        userId: userInfo.sub || userInfo.mezon_id,
+        username: userInfo.username || userInfo.display_name,
+        avatar: userInfo.avatar
+      };
+      next();
+    } catch (error) {
+      logger.warn('Request token verification failed', {
+        path: req.path,
+        error: error.message,
+        ip: req.ip
+      });
+
+      // A provider outage is not the user's fault; don't send them back to sign in
+      if (error.code === AUTH_SERVICE_ERRORS.PROVIDER_UNAVAILABLE) {
+        return res.status(503).json({
+          error: 'Sign-in unavailable',
+          message: error.message
+        });
+      }
+
+      res.status(401).json({
+        error: 'Invalid token',
+        message: error.message
+      });
+    }
+  };
+}
+
+module.exports = createRequireUser;
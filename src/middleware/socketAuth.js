@@ -0,0 +1,83 @@
+const Logger = require('../utils/Logger');
+const { AUTH_ERRORS, AUTH_SERVICE_ERRORS } = require('../constants/auth');
+
+const logger = new Logger('socketAuth');
+
+/**
+ * Build a handshake rejection; Socket.IO sends `message` and `data` to the
+ * client's connect_error handler
+ * @param {string} message - Error message
+ * @param {string} code - Code from AUTH_ERRORS
+ * @returns {Error} Error with a `data` property
+ */
+function createAuthError(message, code) {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+}
+
+/**
+ * Create Socket.IO middleware that authenticates sockets during the
+ * handshake, before any of their events are handled. Browsers are
+ * identified by their session cookie; other clients can send an OAuth
+ * access token in the handshake `auth` payload ({ token }). The user info
+ * is stored on `socket.data.userInfo` (null for anonymous sockets), and
+ * session sockets join the session's room so signing out can end them.
+ * Rejected handshakes carry a code from AUTH_ERRORS.
+ * @param {AuthService} authService - Service used to verify access tokens
+ * @param {AuthSessionService} authSessions - Sign-in sessions
+ * @param {Object} options - { allowAnonymous } whether sockets without a sign-in may connect
+ * @returns {Function} Socket.IO middleware
+ */
+function createSocketAuth(authService, authSessions, { allowAnonymous = true } = {}) {
+  return async (socket, next) => {
+    const sessionId = authSessions.readSessionId(socket.handshake.headers.cookie);
+    const token = socket.handshake.auth?.token;
+    socket.data.userInfo = null;
+
+    if (sessionId) {
+      try {
+        const session = await authSessions.get(sessionId);
+        if (!session) {
+          return next(createAuthError('Your session has expired, please sign in again', AUTH_ERRORS.INVALID_TOKEN));
+        }
+
+        socket.data.userInfo = session.userInfo;
+        socket.join(authSessions.socketRoom(sessionId)); // Disconnected when the session ends
+        return next();
+      } catch (error) {
+        logger.error('Socket session lookup failed', { socketId: socket.id, error: error.message });
+        return next(createAuthError('Unable to check your sign-in, please try again', AUTH_ERRORS.AUTH_UNAVAILABLE));
+      }
+    }
+
+    if (!token) {
+      if (!allowAnonymous) {
+        return next(createAuthError('Sign in to use this server', AUTH_ERRORS.AUTH_REQUIRED));
+      }
+      return next();
+    }
+
+    if (typeof token !== 'string') {
+      return next(createAuthError('Invalid access token', AUTH_ERRORS.INVALID_TOKEN));
+    }
+
+    try {
+      socket.data.userInfo = await authService.verifyToken(token);
+      next();
+    } catch (error) {
+      logger.warn('Socket token verification failed', {
+        socketId: socket.id,
+        error: error.message,
+        ip: socket.handshake.address
+      });
+
+      if (error.code === AUTH_SERVICE_ERRORS.PROVIDER_UNAVAILABLE) {
+        return next(createAuthError(error.message, AUTH_ERRORS.AUTH_UNAVAILABLE));
+      }
+      next(createAuthError('Your sign-in has expired, please sign in again', AUTH_ERRORS.INVALID_TOKEN));
+    }
+  };
+}
+
+module.exports = createSocketAuth;
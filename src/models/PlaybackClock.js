@@ -0,0 +1,107 @@
+/**
+ * Server-owned playback timeline. While playing, the position is derived
+ * from the epoch at which position 0 would have been reached, so it never
+ * depends on clients reporting their time.
+ */
+class PlaybackClock {
+  constructor() {
+    this.startedAt = null; // Server epoch (ms) of position 0 while playing, null when paused
+    this.rate = 1;
+    this.pausedAt = 0; // Position (seconds) while paused
+  }
+
+  /**
+   * Restore a clock from persisted or shared state
+   * @param {Object} data - Data produced by toJSON()
+   * @returns {PlaybackClock} Clock instance
+   */
+  static fromJSON(data = {}) {
+    const clock = new PlaybackClock();
+    clock.startedAt = typeof data.startedAt === 'number' ? data.startedAt : null;
+    clock.rate = data.rate > 0 ? data.rate : 1;
+    clock.pausedAt = data.pausedAt > 0 ? data.pausedAt : 0;
+    return clock;
+  }
+
+  /**
+   * Check if the timeline is running
+   * @returns {boolean} Is playing
+   */
+  isPlaying() {
+    return this.startedAt !== null;
+  }
+
+  /**
+   * Get the playback position
+   * @param {number} now - Server time in ms
+   * @returns {number} Position in seconds
+   */
+  getPosition(now = Date.now()) {
+    if (!this.isPlaying()) return this.pausedAt;
+    return Math.max(0, ((now - this.startedAt) / 1000) * this.rate);
+  }
+
+  /**
+   * Start the timeline from the current position
+   * @param {number} now - Server time in ms
+   * @returns {boolean} True if the state changed
+   */
+  play(now = Date.now()) {
+    if (this.isPlaying()) return false;
+
+    this.startedAt = now - (this.pausedAt * 1000) / this.rate;
+    return true;
+  }
+
+  /**
+   * Stop the timeline at the current position
+   * @param {number} now - Server time in ms
+   * @returns {boolean} True if the state changed
+   */
+  pause(now = Date.now()) {
+    if (!this.isPlaying()) return false;
+
+    this.pausedAt = this.getPosition(now);
+    this.startedAt = null;
+    return true;
+  }
+
+  /**
+   * Move the timeline to a position, keeping the play state
+   * @param {number} position - Position in seconds
+   * @param {number} now - Server time in ms
+   */
+  seek(position, now = Date.now()) {
+    const target = Math.max(0, position);
+
+    if (this.isPlaying()) {
+      this.startedAt = now - (target * 1000) / this.rate;
+    } else {
+      this.pausedAt = target;
+    }
+  }
+
+  /**
+   * Rewind to the start of a new item
+   * @param {boolean} playing - Whether the new item starts playing
+   * @param {number} now - Server time in ms
+   */
+  reset(playing, now = Date.now()) {
+    this.pausedAt = 0;
+    this.startedAt = playing ? now : null;
+  }
+
+  /**
+   * Serialize the clock
+   * @returns {Object} { startedAt, rate, pausedAt }
+   */
+  toJSON() {
+    return {
+      startedAt: this.startedAt,
+      rate: this.rate,
+      pausedAt: this.pausedAt
+    };
+  }
+}
+
+module.exports = PlaybackClock;
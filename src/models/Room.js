@@ -1,50 +1,230 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
 const { v4: uuidv4 } = require('uuid');
+const { ROLES, CAPABILITIES, ROLE_CAPABILITIES, ROLE_RANK } = require('../constants/roles');
+const { PLAY_MODES } = require('../constants/playModes');
+const { ACCESS_MODES } = require('../constants/roomAccess');
+const { PROVIDERS, getSource, isSameSource, withSource } = require('../constants/providers');
+const PlaybackClock = require('./PlaybackClock');
+
+// addedBy label of items picked by radio mode
+const RADIO_CONTRIBUTOR = 'radio';
+
+// Queue settings by value type; omitted settings keep their current value
+const QUEUE_FLAG_SETTINGS = ['fairQueue', 'radio', 'noDuplicates'];
+const QUEUE_COUNT_SETTINGS = ['maxPerUser', 'recentPlayWindow', 'maxDuration'];
+const QUEUE_LIST_SETTINGS = ['bannedKeywords', 'bannedChannels'];
+const MAX_BANNED_ENTRIES = 100;
+const MAX_BANNED_ENTRY_LENGTH = 100;
+const PASSWORD_KEY_LENGTH = 32;
+const scrypt = promisify(crypto.scrypt); // Async, so checking a password doesn't block other rooms
+
+const DEFAULT_QUEUE_SETTINGS = {
+  fairQueue: false,
+  maxPerUser: 0,        // 0 means no limit
+  radio: false,
+  noDuplicates: false,  // Reject videos already queued or playing
+  recentPlayWindow: 0,  // Also reject videos among the last N plays
+  maxDuration: 0,       // Longest track in seconds, 0 means no limit
+  bannedKeywords: [],   // Rejected when the title contains one (case-insensitive)
+  bannedChannels: []    // Rejected when the channel matches one (case-insensitive); needs server-looked-up channel names
+};
+
+/**
+ * Format a track length for policy messages
+ * @param {number} seconds - Length in seconds
+ * @returns {string} e.g. "10 minutes" or "4:30"
+ */
+function formatDuration(seconds) {
+  if (seconds % 60 === 0) {
+    const minutes = seconds / 60;
+    return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
+  }
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
 
 class Room {
   constructor(id) {
     this.id = id;
     this.playlist = [];
     this.currentVideo = null;
-    this.currentTime = 0;
-    this.isPlaying = false;
+    this.currentStartedAt = null; // When the current item started playing
+    this.clock = new PlaybackClock(); // Server-owned playback timeline
     this.volume = 50;
-    this.participants = new Map(); // Changed to Map to store user info
-    this.owner = null; // First user to join becomes owner
-    this.playlistPermissions = new Set(); // Users with playlist edit permissions
+    this.participants = new Map(); // socketId -> participant (one per connection)
+    this.owner = null; // Identity ID of the owner, kept while they are away
+    this.roles = new Map(); // identityId -> role (owner is implied by this.owner)
+    this.defaultRole = ROLES.LISTENER; // Role of identities without an explicit role
+    this.queueSettings = { ...DEFAULT_QUEUE_SETTINGS };
+    this.playMode = PLAY_MODES.NORMAL;
+    this.shuffleSeed = null; // Fixes the shuffle order so every node picks the same item
+    this.shuffleCycle = 0; // Incremented each time every queued item has played
+    this.shufflePlayed = new Set(); // Item IDs already played in this shuffle cycle
+    this.skipVotes = new Set(); // Identity IDs voting to skip the current item
+    this.skipThreshold = { type: 'percent', value: 50 }; // Votes needed to skip
+    this.chatHistory = []; // Most recent chat messages, oldest first
+    this.chatHistoryLimit = 100;
+    this.playHistory = []; // Recently played items, oldest first
+    this.playHistoryLimit = 50;
+    this.mutedIdentities = new Set(); // Identity IDs that can't send chat messages
+    this.sessions = []; // Scheduled listening sessions, soonest first
+    this.access = { mode: ACCESS_MODES.PUBLIC, passwordHash: null, inviteVersion: 0 }; // Who can join
+    this.admittedIdentities = new Set(); // Identity IDs that got into a private room and may come back
     this.lastUpdate = Date.now();
     this.createdAt = Date.now();
+    this.emptySince = null; // Set when the last participant leaves
+  }
+
+  /**
+   * Restore a room from a serialized snapshot
+   * @param {Object} data - Snapshot produced by toJSON()
+   * @returns {Room} Restored room (without participants)
+   */
+  static fromJSON(data) {
+    const room = new Room(data.id);
+    room.playlist = Array.isArray(data.playlist) ? data.playlist.map(withSource) : [];
+    room.currentVideo = data.currentVideo ? withSource(data.currentVideo) : null;
+    room.currentStartedAt = data.currentStartedAt || null;
+    room.clock.seek(data.currentTime || 0); // Restored paused: nobody is listening right after a restore
+    room.owner = data.owner || null;
+    room.roles = new Map(data.roles || []);
+    room.defaultRole = data.defaultRole || ROLES.LISTENER;
+    room.skipThreshold = Room.parseSkipThreshold(data.skipThreshold) || room.skipThreshold;
+    room.queueSettings = Room.parseQueueSettings(data.queueSettings, room.queueSettings) || room.queueSettings;
+    room.restorePlayMode(data);
+    room.chatHistory = Array.isArray(data.chatHistory) ? data.chatHistory : [];
+    room.playHistory = Array.isArray(data.playHistory) ? data.playHistory.map(withSource) : [];
+    room.mutedIdentities = new Set(data.mutedIdentities || []);
+    room.sessions = Room.restoreSessions(data.sessions);
+    room.access = Room.restoreAccess(data.access);
+    room.admittedIdentities = new Set(data.admittedIdentities || []);
+    room.createdAt = data.createdAt || Date.now();
+    room.lastUpdate = Date.now();
+    room.emptySince = data.emptySince || Date.now();
+    return room;
+  }
+
+  /**
+   * Restore scheduled sessions from a snapshot, soonest first
+   * @param {Array} sessions - Serialized sessions
+   * @returns {Array} Sessions
+   */
+  static restoreSessions(sessions) {
+    if (!Array.isArray(sessions)) return [];
+
+    return sessions
+      .filter(session => session && session.id && Number.isFinite(session.startsAt) && Array.isArray(session.items))
+      .map(session => ({ ...session, items: session.items.map(withSource) }))
+      .sort((a, b) => a.startsAt - b.startsAt);
+  }
+
+  /**
+   * Restore access settings from a snapshot; anything unexpected makes the room public
+   * @param {Object} access - Serialized access settings
+   * @returns {Object} Access settings
+   */
+  static restoreAccess(access) {
+    const mode = Object.values(ACCESS_MODES).includes(access?.mode) ? access.mode : ACCESS_MODES.PUBLIC;
+
+    return {
+      mode,
+      passwordHash: typeof access?.passwordHash === 'string' ? access.passwordHash : null,
+      inviteVersion: Number.isInteger(access?.inviteVersion) ? access.inviteVersion : 0
+    };
+  }
+
+  /**
+   * Parse a skip vote threshold: '50%' or { type: 'percent', value: 50 } for a
+   * share of the participants, 3 or { type: 'count', value: 3 } for a number of votes
+   * @param {string|number|Object} threshold - Threshold to parse
+   * @returns {Object|null} { type, value } or null if invalid
+   */
+  static parseSkipThreshold(threshold) {
+    let parsed = threshold;
+
+    if (typeof threshold === 'string') {
+      const value = parseInt(threshold, 10);
+      parsed = { type: threshold.trim().endsWith('%') ? 'percent' : 'count', value };
+    } else if (typeof threshold === 'number') {
+      parsed = { type: 'count', value: threshold };
+    }
+
+    if (!parsed || !Number.isInteger(parsed.value) || parsed.value < 1) return null;
+    if (parsed.type === 'percent' && parsed.value <= 100) return { type: 'percent', value: parsed.value };
+    if (parsed.type === 'count') return { type: 'count', value: parsed.value };
+    return null;
+  }
+
+  /**
+   * Parse queue settings, filling omitted fields from the current settings
+   * @param {Object} settings - Partial settings (see DEFAULT_QUEUE_SETTINGS)
+   * @param {Object} current - Current settings
+   * @returns {Object|null} Complete settings or null if invalid
+   */
+  static parseQueueSettings(settings, current) {
+    if (!settings || typeof settings !== 'object') return null;
+
+    const parsed = { ...DEFAULT_QUEUE_SETTINGS, ...current };
+
+    for (const key of QUEUE_FLAG_SETTINGS) {
+      if (settings[key] === undefined) continue;
+      if (typeof settings[key] !== 'boolean') return null;
+      parsed[key] = settings[key];
+    }
+
+    for (const key of QUEUE_COUNT_SETTINGS) {
+      if (settings[key] === undefined) continue;
+      const value = Number(settings[key]);
+      if (!Number.isInteger(value) || value < 0) return null;
+      parsed[key] = value;
+    }
+
+    for (const key of QUEUE_LIST_SETTINGS) {
+      if (settings[key] === undefined) continue;
+      if (!Array.isArray(settings[key]) || settings[key].length > MAX_BANNED_ENTRIES) return null;
+      if (settings[key].some(entry => typeof entry !== 'string' || entry.length > MAX_BANNED_ENTRY_LENGTH)) return null;
+
+      const entries = settings[key].map(entry => entry.trim()).filter(Boolean);
+      parsed[key] = entries.filter((entry, index) => (
+        entries.findIndex(other => other.toLowerCase() === entry.toLowerCase()) === index
+      ));
+    }
+
+    return parsed;
   }
 
   /**
    * Add a participant to the room
    * @param {string} socketId - Socket ID of participant
-   * @param {Object} userInfo - User information from OAuth
+   * @param {Object} identity - Identity from IdentityService
+   * @param {string} nodeId - Cluster node the socket is connected to (cluster mode)
+   * @returns {Object} Participant info
    */
-  addParticipant(socketId, userInfo = null) {
+  addParticipant(socketId, identity, nodeId = null) {
     const participant = {
       socketId,
-      username: userInfo?.username || userInfo?.display_name || `Guest-${socketId.slice(-6)}`,
-      userId: userInfo?.sub || userInfo?.mezon_id || null,
-      avatar: userInfo?.avatar || null,
-      joinedAt: Date.now(),
-      isOwner: false,
-      hasPlaylistPermission: false
+      identityId: identity.identityId,
+      username: identity.username,
+      userId: identity.userId || null,
+      avatar: identity.avatar || null,
+      isGuest: !!identity.isGuest,
+      nodeId, // Cluster node the socket is connected to
+      joinedAt: Date.now()
     };
 
-    // Set as owner if first participant
-    if (this.participants.size === 0) {
-      participant.isOwner = true;
-      participant.hasPlaylistPermission = true;
-      this.owner = socketId;
-      this.playlistPermissions.add(socketId);
+    // First identity to join a room becomes its owner
+    if (!this.owner) {
+      this.owner = participant.identityId;
     }
 
     this.participants.set(socketId, participant);
-    return participant;
+    this.emptySince = null;
+    return this.decorateParticipant(participant);
   }
 
   /**
-   * Remove a participant from the room
+   * Remove a participant from the room. Ownership stays with the owner's
+   * identity, so a refresh or reconnect does not hand the room to someone else.
    * @param {string} socketId - Socket ID of participant
    */
   removeParticipant(socketId) {
@@ -52,59 +232,143 @@ class Room {
     if (!participant) return false;
 
     this.participants.delete(socketId);
-    this.playlistPermissions.delete(socketId);
-
-    // Transfer ownership if owner leaves
-    if (this.owner === socketId && this.participants.size > 0) {
-      const newOwner = this.participants.values().next().value;
-      if (newOwner) {
-        newOwner.isOwner = true;
-        newOwner.hasPlaylistPermission = true;
-        this.owner = newOwner.socketId;
-        this.playlistPermissions.add(newOwner.socketId);
-      } else {
-        this.owner = null;
-      }
+
+    if (this.participants.size === 0) {
+      this.emptySince = Date.now();
     }
 
     return true;
   }
 
   /**
-   * Grant playlist permission to a user
-   * @param {string} socketId - Socket ID to grant permission
-   * @returns {boolean} Success
+   * Check whether an identity has at least one connected socket
+   * @param {string} identityId - Identity ID
+   * @returns {boolean} True if present
+   */
+  isIdentityPresent(identityId) {
+    for (const participant of this.participants.values()) {
+      if (participant.identityId === identityId) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get the identity currently acting as owner. This is the owner when they
+   * are connected, otherwise the longest-present participant until they return.
+   * @returns {string|null} Identity ID
    */
-  grantPlaylistPermission(socketId) {
+  getEffectiveOwner() {
+    if (this.owner && this.isIdentityPresent(this.owner)) {
+      return this.owner;
+    }
+
+    let earliest = null;
+    for (const participant of this.participants.values()) {
+      if (!earliest || participant.joinedAt < earliest.joinedAt) {
+        earliest = participant;
+      }
+    }
+    return earliest ? earliest.identityId : this.owner;
+  }
+
+  /**
+   * Get the identity ID behind a socket
+   * @param {string} socketId - Socket ID
+   * @returns {string|null} Identity ID
+   */
+  getIdentityId(socketId) {
     const participant = this.participants.get(socketId);
-    if (!participant) return false;
+    return participant ? participant.identityId : null;
+  }
 
-    participant.hasPlaylistPermission = true;
-    this.playlistPermissions.add(socketId);
-    return true;
+  /**
+   * Get all socket IDs connected with an identity
+   * @param {string} identityId - Identity ID
+   * @returns {Array<string>} Socket IDs
+   */
+  getSocketIdsForIdentity(identityId) {
+    return Array.from(this.participants.values())
+      .filter(p => p.identityId === identityId)
+      .map(p => p.socketId);
   }
 
   /**
-   * Revoke playlist permission from a user
-   * @param {string} socketId - Socket ID to revoke permission
+   * Check if an identity is owner (or acting owner)
+   * @param {string} identityId - Identity ID to check
+   * @returns {boolean} Is owner
+   */
+  isOwnerIdentity(identityId) {
+    return !!identityId && identityId === this.getEffectiveOwner();
+  }
+
+  /**
+   * Get the role of an identity
+   * @param {string} identityId - Identity ID
+   * @returns {string} Role name
+   */
+  getRole(identityId) {
+    if (this.isOwnerIdentity(identityId)) return ROLES.OWNER;
+    return this.roles.get(identityId) || this.defaultRole;
+  }
+
+  /**
+   * Set the role of an identity. Ownership can't be assigned this way.
+   * @param {string} identityId - Identity ID
+   * @param {string} role - New role
    * @returns {boolean} Success
    */
-  revokePlaylistPermission(socketId) {
-    const participant = this.participants.get(socketId);
-    if (!participant || participant.isOwner) return false; // Can't revoke owner permission
+  setRole(identityId, role) {
+    if (!ROLE_CAPABILITIES[role] || role === ROLES.OWNER) return false;
+    if (identityId === this.owner) return false;
 
-    participant.hasPlaylistPermission = false;
-    this.playlistPermissions.delete(socketId);
+    if (role === this.defaultRole) {
+      this.roles.delete(identityId);
+    } else {
+      this.roles.set(identityId, role);
+    }
     return true;
   }
 
   /**
-   * Check if user has playlist permission
+   * Get the capabilities of an identity
+   * @param {string} identityId - Identity ID
+   * @returns {Array<string>} Capabilities
+   */
+  getCapabilities(identityId) {
+    return ROLE_CAPABILITIES[this.getRole(identityId)] || [];
+  }
+
+  /**
+   * Check if a socket's identity has a capability
    * @param {string} socketId - Socket ID to check
-   * @returns {boolean} Has permission
+   * @param {string} capability - Capability from CAPABILITIES
+   * @returns {boolean} Has capability
    */
-  hasPlaylistPermission(socketId) {
-    return this.playlistPermissions.has(socketId);
+  can(socketId, capability) {
+    const identityId = this.getIdentityId(socketId);
+    return !!identityId && this.getCapabilities(identityId).includes(capability);
+  }
+
+  /**
+   * Check if one identity outranks another (needed to kick or change roles)
+   * @param {string} actorIdentityId - Acting identity
+   * @param {string} targetIdentityId - Target identity
+   * @returns {boolean} True if actor outranks target
+   */
+  outranks(actorIdentityId, targetIdentityId) {
+    return ROLE_RANK[this.getRole(actorIdentityId)] > ROLE_RANK[this.getRole(targetIdentityId)];
+  }
+
+  /**
+   * Check if an actor may give a role to a target
+   * @param {string} actorIdentityId - Acting identity
+   * @param {string} targetIdentityId - Target identity
+   * @param {string} role - Role to assign
+   * @returns {boolean} True if allowed
+   */
+  canAssignRole(actorIdentityId, targetIdentityId, role) {
+    return this.outranks(actorIdentityId, targetIdentityId) &&
+      ROLE_RANK[this.getRole(actorIdentityId)] > ROLE_RANK[role];
   }
 
   /**
@@ -113,7 +377,35 @@ class Room {
    * @returns {boolean} Is owner
    */
   isOwner(socketId) {
-    return this.owner === socketId;
+    return this.isOwnerIdentity(this.getIdentityId(socketId));
+  }
+
+  /**
+   * Add role information to a stored participant
+   * @param {Object} participant - Stored participant
+   * @returns {Object} Participant with role, capabilities and isOwner
+   */
+  decorateParticipant(participant) {
+    const { nodeId, ...details } = participant;
+    return {
+      ...details,
+      ...this.getRoleInfo(participant.identityId),
+      isMuted: this.isMuted(participant.identityId)
+    };
+  }
+
+  /**
+   * Get role information for an identity (as sent in ROLE_UPDATED)
+   * @param {string} identityId - Identity ID
+   * @returns {Object} { identityId, role, capabilities, isOwner }
+   */
+  getRoleInfo(identityId) {
+    return {
+      identityId,
+      role: this.getRole(identityId),
+      capabilities: this.getCapabilities(identityId),
+      isOwner: this.isOwnerIdentity(identityId)
+    };
   }
 
   /**
@@ -122,7 +414,8 @@ class Room {
    * @returns {Object|null} Participant info
    */
   getParticipant(socketId) {
-    return this.participants.get(socketId) || null;
+    const participant = this.participants.get(socketId);
+    return participant ? this.decorateParticipant(participant) : null;
   }
 
   /**
@@ -130,25 +423,213 @@ class Room {
    * @returns {Array} Array of participants
    */
   getParticipants() {
-    return Array.from(this.participants.values());
+    return Array.from(this.participants.values()).map(p => this.decorateParticipant(p));
   }
 
   /**
    * Add a video to the playlist
-   * @param {Object} video - Video object from YouTube search
+   * @param {Object} video - Canonical details from the item's provider (see src/providers)
    * @param {string} addedBy - Socket ID of user adding video
    */
   addVideo(video, addedBy = null) {
     const participant = addedBy ? this.participants.get(addedBy) : null;
-    const videoWithId = {
-      ...video,
+    const videoWithId = this.createItem(
+      video,
+      participant ? participant.username : 'Unknown',
+      participant ? participant.identityId : null
+    );
+    
+    this.enqueue(videoWithId);
+    return videoWithId;
+  }
+
+  /**
+   * Add an item picked by radio mode, labelled 'radio' in addedBy
+   * @param {Object} video - { videoId, title, thumbnail, channelTitle, duration } from YouTube
+   * @returns {Object} Added item
+   */
+  addRadioVideo(video) {
+    const item = this.createItem(video, RADIO_CONTRIBUTOR, null);
+    this.enqueue(item);
+    return item;
+  }
+
+  /**
+   * Build a queue item, keeping only the known video fields. YouTube items
+   * also keep their videoId, which older clients and saved data use.
+   * @param {Object} video - Video details with provider and sourceId (or a YouTube videoId)
+   * @param {string} addedBy - Contributor name
+   * @param {string|null} addedById - Contributor identity ID
+   * @returns {Object} Queue item
+   */
+  createItem(video, addedBy, addedById) {
+    const { provider, sourceId } = getSource(video);
+    return {
+      provider,
+      sourceId,
+      videoId: provider === PROVIDERS.YOUTUBE ? sourceId : null,
+      title: video.title,
+      thumbnail: video.thumbnail,
+      channelTitle: video.channelTitle,
+      duration: typeof video.duration === 'number' ? video.duration : null,
       id: uuidv4(),
       addedAt: Date.now(),
-      addedBy: participant ? participant.username : 'Unknown'
+      addedBy,
+      addedById
     };
-    
-    this.playlist.push(videoWithId);
-    return videoWithId;
+  }
+
+  /**
+   * Put a new item in the queue, taking turns between contributors in fair queue mode
+   * @param {Object} item - Queue item
+   */
+  enqueue(item) {
+    if (this.queueSettings.fairQueue) {
+      this.insertFairly(item);
+    } else {
+      this.playlist.push(item);
+    }
+  }
+
+  /**
+   * Count the queued items added by an identity
+   * @param {string} identityId - Identity ID
+   * @returns {number} Number of queued items
+   */
+  countQueuedBy(identityId) {
+    return this.playlist.filter(video => video.addedById === identityId).length;
+  }
+
+  /**
+   * Check whether a participant may queue a video under the room's queue
+   * policies. People who can manage the room are exempt from the per-person
+   * limit but not from the content rules.
+   * @param {string} socketId - Socket ID
+   * @param {Object} video - Video to queue
+   * @returns {Object|null} { rule, message } describing the rejection, or null if allowed
+   */
+  checkQueuePolicies(socketId, video) {
+    return this.checkVideoPolicies(video) || this.checkQueueLimits(socketId);
+  }
+
+  /**
+   * Check whether a participant may queue another item
+   * @param {string} socketId - Socket ID
+   * @returns {Object|null} { rule, message } describing the rejection, or null if allowed
+   */
+  checkQueueLimits(socketId) {
+    const participant = this.participants.get(socketId);
+    if (!participant) {
+      return { rule: 'not-participant', message: 'Join the room to add videos' };
+    }
+    if (this.can(socketId, CAPABILITIES.MANAGE_ROOM)) return null;
+
+    const { maxPerUser } = this.queueSettings;
+
+    if (maxPerUser > 0 && this.countQueuedBy(participant.identityId) >= maxPerUser) {
+      return {
+        rule: 'max-per-user',
+        message: `You can have at most ${maxPerUser} video${maxPerUser !== 1 ? 's' : ''} in the queue`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a video against the room's content rules: duplicates, recent
+   * plays, track length and banned keywords or channels. Videos of unknown
+   * length pass the length rule.
+   * @param {Object} video - { provider, sourceId, title, channelTitle, duration? }
+   * @returns {Object|null} { rule, message } describing the rejection, or null if allowed
+   */
+  checkVideoPolicies(video) {
+    const { noDuplicates, recentPlayWindow, maxDuration, bannedKeywords, bannedChannels } = this.queueSettings;
+
+    if (noDuplicates && [this.currentVideo, ...this.playlist].some(item => item && isSameSource(item, video))) {
+      return { rule: 'duplicate', message: 'This video is already in the queue' };
+    }
+
+    if (recentPlayWindow > 0 && this.playHistory.slice(-recentPlayWindow).some(entry => isSameSource(entry, video))) {
+      return {
+        rule: 'recently-played',
+        message: `This video was played in the last ${recentPlayWindow} track${recentPlayWindow !== 1 ? 's' : ''}`
+      };
+    }
+
+    if (maxDuration > 0 && typeof video.duration === 'number' && video.duration > maxDuration) {
+      return { rule: 'max-duration', message: `Videos can be at most ${formatDuration(maxDuration)} long` };
+    }
+
+    const title = (video.title || '').toLowerCase();
+    const keyword = bannedKeywords.find(entry => title.includes(entry.toLowerCase()));
+    if (keyword) {
+      return { rule: 'banned-keyword', message: `Videos mentioning "${keyword}" are not allowed in this room` };
+    }
+
+    // channelTitle must come from the provider lookup (oEmbed author_name), never from the client
+    const channel = (video.channelTitle || '').toLowerCase();
+    if (channel && bannedChannels.some(entry => entry.toLowerCase() === channel)) {
+      return { rule: 'banned-channel', message: `Videos from ${video.channelTitle} are not allowed in this room` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Insert an item so the queue rotates between contributors. An item is in
+   * round N when its contributor has N earlier items (the playing one
+   * included); it goes after the last item of round N or earlier. Existing
+   * items keep their positions, so manual reordering is preserved and each
+   * contributor's own order is kept.
+   * @param {Object} item - Queue item with addedById
+   */
+  insertFairly(item) {
+    const contributor = item.addedById || item.addedBy;
+    const seen = new Map();
+    const countFor = (video) => {
+      const key = video.addedById || video.addedBy;
+      const count = seen.get(key) || 0;
+      seen.set(key, count + 1);
+      return count;
+    };
+
+    if (this.currentVideo) {
+      countFor(this.currentVideo);
+    }
+
+    const rounds = this.playlist.map(countFor);
+    const round = seen.get(contributor) || 0;
+
+    let index = this.playlist.length;
+    while (index > 0 && rounds[index - 1] > round) {
+      index--;
+    }
+
+    this.playlist.splice(index, 0, item);
+  }
+
+  /**
+   * Change the queue settings. Turning fair queueing on reorders the
+   * current queue into contributor rounds.
+   * @param {Object} settings - { fairQueue?, maxPerUser?, radio? }
+   * @returns {boolean} True if the settings are valid
+   */
+  setQueueSettings(settings) {
+    const parsed = Room.parseQueueSettings(settings, this.queueSettings);
+    if (!parsed) return false;
+
+    const enablesFairQueue = parsed.fairQueue && !this.queueSettings.fairQueue;
+    this.queueSettings = parsed;
+
+    if (enablesFairQueue) {
+      const queued = this.playlist;
+      this.playlist = [];
+      queued.forEach(video => this.insertFairly(video));
+    }
+
+    this.lastUpdate = Date.now();
+    return true;
   }
 
   /**
@@ -163,36 +644,487 @@ class Room {
 
   /**
    * Play the next video in the playlist
+   * @param {string} outcome - How the current video ended ('finished' or 'skipped'), recorded in the play history
    * @returns {Object|null} Next video or null if playlist is empty
    */
-  playNext() {
-    if (this.playlist.length > 0) {
-      this.currentVideo = this.playlist.shift();
-      this.currentTime = 0;
-      this.isPlaying = true;
-      this.lastUpdate = Date.now();
+  playNext(outcome = null) {
+    this.lastUpdate = Date.now();
+    const previous = this.currentVideo;
+
+    if (previous && outcome) {
+      this.recordPlay(outcome, this.lastUpdate);
+    }
+
+    this.skipVotes.clear();
+
+    // Skipping still moves on in repeat-one; only a finished item restarts
+    if (previous && outcome === 'finished' && this.playMode === PLAY_MODES.REPEAT_ONE) {
+      this.currentStartedAt = this.lastUpdate;
+      this.clock.reset(true, this.lastUpdate);
       return this.currentVideo;
     }
-    
+
+    if (previous && outcome && (this.playMode === PLAY_MODES.REPEAT_ALL || this.playMode === PLAY_MODES.SHUFFLE)) {
+      // It has finished playing, so it goes back in line rather than counting as the playing item
+      this.currentVideo = null;
+      this.enqueue(previous);
+    }
+
+    const next = this.playMode === PLAY_MODES.SHUFFLE
+      ? this.takeShuffledItem(previous)
+      : this.playlist.shift();
+
+    return this.startItem(next);
+  }
+
+  /**
+   * Play the item at the front of the queue whatever the play mode: the
+   * current item is recorded but not queued again, and shuffle doesn't
+   * pick. Used when a scheduled session starts.
+   * @param {string} outcome - How the current video ended ('finished' or 'skipped'), recorded in the play history
+   * @returns {Object|null} Next video or null if playlist is empty
+   */
+  playQueueFront(outcome = null) {
+    this.lastUpdate = Date.now();
+
+    if (this.currentVideo && outcome) {
+      this.recordPlay(outcome, this.lastUpdate);
+    }
+
+    this.skipVotes.clear();
+
+    const next = this.playlist.shift();
+    if (next && this.playMode === PLAY_MODES.SHUFFLE) {
+      this.shufflePlayed.add(next.id);
+    }
+
+    return this.startItem(next);
+  }
+
+  /**
+   * Make an item the current one and start its timeline
+   * @param {Object|undefined} item - Item to play, or nothing to stop
+   * @returns {Object|null} Current video
+   */
+  startItem(item) {
+    if (item) {
+      this.currentVideo = item;
+      this.currentStartedAt = this.lastUpdate;
+      this.clock.reset(true, this.lastUpdate);
+      return this.currentVideo;
+    }
+
     this.currentVideo = null;
-    this.isPlaying = false;
-    this.currentTime = 0;
+    this.currentStartedAt = null;
+    this.clock.reset(false, this.lastUpdate);
     return null;
   }
 
   /**
-   * Update room state (volume removed as it's now local)
-   * @param {Object} state - State updates
+   * Remove the next shuffled item from the playlist. Items are ranked by a
+   * hash of the seed, cycle and item ID, so the order is reproducible and
+   * stays stable when items are added. Each item plays once per cycle.
+   * @param {Object|null} previous - Item that just played, avoided at the start of a new cycle
+   * @returns {Object|null} Next item or null if the playlist is empty
    */
-  updateState(state) {
-    if (state.currentTime !== undefined) {
-      this.currentTime = state.currentTime;
+  takeShuffledItem(previous = null) {
+    if (this.playlist.length === 0) return null;
+
+    let candidates = this.playlist.filter(item => !this.shufflePlayed.has(item.id));
+
+    if (candidates.length === 0) {
+      this.shuffleCycle++;
+      this.shufflePlayed.clear();
+      candidates = this.playlist.length > 1 && previous
+        ? this.playlist.filter(item => item.id !== previous.id)
+        : this.playlist;
     }
-    if (state.isPlaying !== undefined) {
-      this.isPlaying = state.isPlaying;
+
+    const rank = (item) => crypto.createHash('sha1')
+      .update(`${this.shuffleSeed}:${this.shuffleCycle}:${item.id}`)
+      .digest('hex');
+    const next = candidates.reduce((best, item) => (rank(item) < rank(best) ? item : best));
+
+    this.playlist.splice(this.playlist.indexOf(next), 1);
+    this.shufflePlayed.add(next.id);
+    return next;
+  }
+
+  /**
+   * Change how the next item is picked
+   * @param {string} mode - One of PLAY_MODES
+   * @returns {boolean} True if the mode is valid
+   */
+  setPlayMode(mode) {
+    if (!Object.values(PLAY_MODES).includes(mode)) return false;
+
+    if (mode === PLAY_MODES.SHUFFLE && this.playMode !== PLAY_MODES.SHUFFLE) {
+      // Start a fresh cycle that counts the current item as played
+      this.shuffleSeed = crypto.randomBytes(8).toString('hex');
+      this.shuffleCycle = 0;
+      this.shufflePlayed = new Set(this.currentVideo ? [this.currentVideo.id] : []);
     }
-    
+
+    this.playMode = mode;
+    this.lastUpdate = Date.now();
+    return true;
+  }
+
+  /**
+   * Restore the play mode and shuffle state from a snapshot
+   * @param {Object} data - Snapshot or shared state
+   */
+  restorePlayMode(data) {
+    this.playMode = Object.values(PLAY_MODES).includes(data.playMode) ? data.playMode : PLAY_MODES.NORMAL;
+    this.shuffleSeed = data.shuffleSeed || null;
+    this.shuffleCycle = data.shuffleCycle || 0;
+    this.shufflePlayed = new Set(data.shufflePlayed || []);
+  }
+
+  /**
+   * Add the current video to the play history
+   * @param {string} outcome - 'finished' or 'skipped'
+   * @param {number} now - End time in ms
+   * @returns {Object} History entry
+   */
+  recordPlay(outcome, now = Date.now()) {
+    const video = this.currentVideo;
+    const entry = {
+      id: uuidv4(),
+      provider: video.provider,
+      sourceId: video.sourceId,
+      videoId: video.videoId,
+      title: video.title,
+      thumbnail: video.thumbnail,
+      channelTitle: video.channelTitle,
+      duration: video.duration ?? null,
+      addedBy: video.addedBy,
+      addedById: video.addedById,
+      startedAt: this.currentStartedAt,
+      endedAt: now,
+      outcome
+    };
+
+    this.playHistory.push(entry);
+    if (this.playHistory.length > this.playHistoryLimit) {
+      this.playHistory.splice(0, this.playHistory.length - this.playHistoryLimit);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Check if the room is playing
+   * @returns {boolean} Is playing
+   */
+  isPlaying() {
+    return !!this.currentVideo && this.clock.isPlaying();
+  }
+
+  /**
+   * Resume playback from the current position
+   * @returns {boolean} True if the state changed
+   */
+  play() {
+    if (!this.currentVideo) return false;
+
+    this.lastUpdate = Date.now();
+    return this.clock.play(this.lastUpdate);
+  }
+
+  /**
+   * Pause playback at the current position
+   * @returns {boolean} True if the state changed
+   */
+  pause() {
     this.lastUpdate = Date.now();
+    return this.clock.pause(this.lastUpdate);
+  }
+
+  /**
+   * Move playback to a position
+   * @param {number} position - Position in seconds
+   */
+  seek(position) {
+    this.lastUpdate = Date.now();
+    this.clock.seek(position, this.lastUpdate);
+  }
+
+  /**
+   * Count the distinct identities in the room (one vote each)
+   * @returns {number} Number of identities
+   */
+  getIdentityCount() {
+    return new Set(Array.from(this.participants.values()).map(p => p.identityId)).size;
+  }
+
+  /**
+   * Get the number of votes needed to skip the current item
+   * @returns {number} Required votes
+   */
+  getRequiredSkipVotes() {
+    const voters = this.getIdentityCount();
+    const { type, value } = this.skipThreshold;
+
+    const required = type === 'percent' ? Math.ceil((voters * value) / 100) : value;
+    return Math.max(1, Math.min(required, voters));
+  }
+
+  /**
+   * Record a skip vote for the current item
+   * @param {string} identityId - Voting identity
+   * @returns {boolean} True if the vote was new
+   */
+  addSkipVote(identityId) {
+    if (!this.currentVideo || !identityId || this.skipVotes.has(identityId)) return false;
+
+    this.skipVotes.add(identityId);
+    return true;
+  }
+
+  /**
+   * Drop votes of identities that are no longer in the room
+   * @returns {boolean} True if any vote was dropped
+   */
+  pruneSkipVotes() {
+    let pruned = false;
+    for (const identityId of this.skipVotes) {
+      if (!this.isIdentityPresent(identityId)) {
+        this.skipVotes.delete(identityId);
+        pruned = true;
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * Check if the current item has enough skip votes
+   * @returns {boolean} True if it should be skipped
+   */
+  hasEnoughSkipVotes() {
+    return !!this.currentVideo && this.skipVotes.size > 0 &&
+      this.skipVotes.size >= this.getRequiredSkipVotes();
+  }
+
+  /**
+   * Get skip vote progress for the current item (as sent in SKIP_VOTES_UPDATED)
+   * @returns {Object} { itemId, votes, required, voters, threshold }
+   */
+  getSkipVoteStatus() {
+    return {
+      itemId: this.currentVideo?.id || null,
+      votes: this.skipVotes.size,
+      required: this.getRequiredSkipVotes(),
+      voters: Array.from(this.skipVotes),
+      threshold: this.skipThreshold
+    };
+  }
+
+  /**
+   * Find the participants mentioned with @username in a message
+   * @param {string} text - Message text
+   * @returns {Array<string>} Mentioned identity IDs
+   */
+  findMentions(text) {
+    const names = new Set((text.match(/@([^\s@]+)/g) || []).map(m => m.slice(1).toLowerCase()));
+    if (names.size === 0) return [];
+
+    const mentioned = new Set();
+    for (const participant of this.participants.values()) {
+      if (names.has(participant.username.toLowerCase())) {
+        mentioned.add(participant.identityId);
+      }
+    }
+    return Array.from(mentioned);
+  }
+
+  /**
+   * Add a chat message to the bounded history
+   * @param {string} socketId - Socket ID of the author
+   * @param {string} text - Validated message text
+   * @returns {Object|null} Message or null if the socket is not a participant
+   */
+  addChatMessage(socketId, text) {
+    const author = this.participants.get(socketId);
+    if (!author) return null;
+
+    const message = {
+      id: uuidv4(),
+      identityId: author.identityId,
+      username: author.username,
+      avatar: author.avatar,
+      text,
+      mentions: this.findMentions(text),
+      createdAt: Date.now()
+    };
+
+    this.chatHistory.push(message);
+    if (this.chatHistory.length > this.chatHistoryLimit) {
+      this.chatHistory.splice(0, this.chatHistory.length - this.chatHistoryLimit);
+    }
+    return message;
+  }
+
+  /**
+   * Get a chat message from the history
+   * @param {string} messageId - Message ID
+   * @returns {Object|null} Message
+   */
+  getChatMessage(messageId) {
+    return this.chatHistory.find(message => message.id === messageId) || null;
+  }
+
+  /**
+   * Delete a chat message from the history
+   * @param {string} messageId - Message ID
+   * @returns {boolean} True if a message was deleted
+   */
+  deleteChatMessage(messageId) {
+    const initialLength = this.chatHistory.length;
+    this.chatHistory = this.chatHistory.filter(message => message.id !== messageId);
+    return this.chatHistory.length !== initialLength;
+  }
+
+  /**
+   * Check if an identity is muted in chat
+   * @param {string} identityId - Identity ID
+   * @returns {boolean} Is muted
+   */
+  isMuted(identityId) {
+    return this.mutedIdentities.has(identityId);
+  }
+
+  /**
+   * Mute or unmute an identity in chat
+   * @param {string} identityId - Identity ID
+   * @param {boolean} muted - New muted state
+   * @returns {boolean} True if the state changed
+   */
+  setMuted(identityId, muted) {
+    if (this.isMuted(identityId) === muted) return false;
+
+    if (muted) {
+      this.mutedIdentities.add(identityId);
+    } else {
+      this.mutedIdentities.delete(identityId);
+    }
+    return true;
+  }
+
+  /**
+   * Change who can join the room. Changing the mode or password revokes
+   * existing invite links and forgets who was let in before, except the
+   * people in the room right now.
+   * @param {Object} settings - { mode, password?, revokeInvites? }; a password is needed for password mode unless one is set
+   * @returns {Promise<boolean>} True if the settings were valid and applied
+   */
+  async setAccess({ mode, password, revokeInvites = false }) {
+    if (!Object.values(ACCESS_MODES).includes(mode)) return false;
+
+    const hasNewPassword = typeof password === 'string' && password.length > 0;
+    if (mode === ACCESS_MODES.PASSWORD && !hasNewPassword && !this.access.passwordHash) return false;
+
+    // Hashed before anything changes, so the settings are applied all at once
+    const newPasswordHash = mode === ACCESS_MODES.PASSWORD && hasNewPassword ? await Room.hashPassword(password) : null;
+    const changed = mode !== this.access.mode || !!newPasswordHash;
+
+    if (mode !== ACCESS_MODES.PASSWORD) {
+      this.access.passwordHash = null;
+    } else if (newPasswordHash) {
+      this.access.passwordHash = newPasswordHash;
+    }
+    this.access.mode = mode;
+
+    if (changed || revokeInvites) {
+      this.access.inviteVersion++;
+      this.admittedIdentities = new Set(Array.from(this.participants.values()).map(p => p.identityId));
+    }
+    return true;
+  }
+
+  /**
+   * Hash a room password with a random salt
+   * @param {string} password - Password
+   * @returns {Promise<string>} "salt:hash" in hex
+   */
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = (await scrypt(password, salt, PASSWORD_KEY_LENGTH)).toString('hex');
+    return `${salt}:${hash}`;
+  }
+
+  /**
+   * Check a password against the room password
+   * @param {string} password - Password sent by the client
+   * @returns {Promise<boolean>} True if it matches
+   */
+  async checkPassword(password) {
+    if (typeof password !== 'string' || !this.access.passwordHash) return false;
+
+    const [salt, hash] = this.access.passwordHash.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Check whether an identity can join without credentials: anyone in a
+   * public room, and in private rooms the owner, people given a role and
+   * people who got in before
+   * @param {string} identityId - Identity ID
+   * @returns {boolean} True if no credentials are needed
+   */
+  isAdmitted(identityId) {
+    return this.access.mode === ACCESS_MODES.PUBLIC ||
+      identityId === this.owner ||
+      this.roles.has(identityId) ||
+      this.admittedIdentities.has(identityId);
+  }
+
+  /**
+   * Remember that an identity got into the room
+   * @param {string} identityId - Identity ID
+   */
+  admit(identityId) {
+    if (this.access.mode !== ACCESS_MODES.PUBLIC) {
+      this.admittedIdentities.add(identityId);
+    }
+  }
+
+  /**
+   * Forget that an identity got into the room (e.g. when it is kicked)
+   * @param {string} identityId - Identity ID
+   */
+  revokeAdmission(identityId) {
+    this.admittedIdentities.delete(identityId);
+  }
+
+  /**
+   * Describe the access settings for clients, without the password hash
+   * @returns {Object} { mode, hasPassword }
+   */
+  getAccessInfo() {
+    return {
+      mode: this.access.mode,
+      hasPassword: !!this.access.passwordHash
+    };
+  }
+
+  /**
+   * Get the playback timeline as sent to clients. Clients combine it with
+   * their estimated server clock offset to compute the position locally.
+   * @param {number} now - Server time in ms
+   * @returns {Object} Playback state
+   */
+  getPlaybackState(now = Date.now()) {
+    return {
+      itemId: this.currentVideo?.id || null,
+      itemStartedAt: this.currentStartedAt, // Tells repeated plays of the same item apart
+      isPlaying: this.isPlaying(),
+      position: this.clock.getPosition(now),
+      ...this.clock.toJSON(),
+      serverTime: now
+    };
   }
 
   /**
@@ -201,22 +1133,23 @@ class Room {
    */
   getState() {
     const now = Date.now();
-    let adjustedTime = this.currentTime;
-    
-    // Adjust time if video is playing
-    if (this.isPlaying && this.currentVideo) {
-      const timePassed = (now - this.lastUpdate) / 1000;
-      adjustedTime = Math.max(0, this.currentTime + timePassed);
-    }
 
     return {
       currentVideo: this.currentVideo,
-      currentTime: adjustedTime,
-      isPlaying: this.isPlaying,
+      currentTime: this.clock.getPosition(now),
+      isPlaying: this.isPlaying(),
+      playback: this.getPlaybackState(now),
+      skipVotes: this.getSkipVoteStatus(),
+      queueSettings: { ...this.queueSettings },
+      playMode: this.playMode,
+      access: this.getAccessInfo(),
+      chatHistory: [...this.chatHistory],
+      playHistory: [...this.playHistory],
       playlist: [...this.playlist], // Return copy
+      sessions: this.getSessionSummaries(),
       participants: this.getParticipants(),
       participantCount: this.participants.size,
-      owner: this.owner,
+      owner: this.getEffectiveOwner(),
       lastUpdate: this.lastUpdate
     };
   }
@@ -230,21 +1163,199 @@ class Room {
   }
 
   /**
-   * Reorder playlist
-   * @param {Array} newPlaylist - New playlist order
+   * Reorder the playlist. Only the order is taken from the client: the
+   * entries (item IDs or items with an `id`) must be exactly the queued
+   * items, and the server's own copies are kept.
+   * @param {Array} order - Item IDs or items in their new order
+   * @returns {boolean} True if the order was valid and applied
    */
-  reorderPlaylist(newPlaylist) {
-    // Validate that all items exist and maintain IDs
-    const existingIds = new Set(this.playlist.map(v => v.id));
-    const newIds = new Set(newPlaylist.map(v => v.id));
-    
-    if (existingIds.size === newIds.size && 
-        [...existingIds].every(id => newIds.has(id))) {
-      this.playlist = newPlaylist;
-      return true;
+  reorderPlaylist(order) {
+    if (!Array.isArray(order) || order.length !== this.playlist.length) return false;
+
+    const ids = order.map(entry => (typeof entry === 'string' ? entry : entry?.id));
+    const itemsById = new Map(this.playlist.map(video => [video.id, video]));
+
+    if (new Set(ids).size !== ids.length || !ids.every(id => itemsById.has(id))) {
+      return false;
     }
-    
-    return false;
+
+    this.playlist = ids.map(id => itemsById.get(id));
+    return true;
+  }
+
+  /**
+   * Schedule a listening session
+   * @param {Object} data - { title, startsAt, items, createdBy, createdById }; items are provider details
+   * @returns {Object} Scheduled session
+   */
+  addSession({ title, startsAt, items, createdBy, createdById }) {
+    const session = {
+      id: uuidv4(),
+      title,
+      startsAt,
+      items: items.map(item => withSource(item)),
+      createdBy,
+      createdById,
+      createdAt: Date.now()
+    };
+
+    this.sessions.push(session);
+    this.sessions.sort((a, b) => a.startsAt - b.startsAt);
+    return session;
+  }
+
+  /**
+   * Cancel a scheduled session
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} Cancelled session, or null if there is none with that ID
+   */
+  cancelSession(sessionId) {
+    const index = this.sessions.findIndex(session => session.id === sessionId);
+    if (index === -1) return null;
+
+    return this.sessions.splice(index, 1)[0];
+  }
+
+  /**
+   * Get the sessions whose start time has passed
+   * @param {number} now - Server time in ms
+   * @returns {Array} Due sessions, soonest first
+   */
+  getDueSessions(now = Date.now()) {
+    return this.sessions.filter(session => session.startsAt <= now);
+  }
+
+  /**
+   * Start a scheduled session: its items are queued ahead of everything
+   * else, ready for playQueueFront() to play the session's first
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} Started session, or null if there is none with that ID
+   */
+  startSession(sessionId) {
+    const session = this.cancelSession(sessionId);
+    if (!session) return null;
+
+    const items = session.items.map(item => this.createItem(item, session.createdBy, session.createdById));
+    this.playlist.unshift(...items);
+    this.lastUpdate = Date.now();
+    return session;
+  }
+
+  /**
+   * Describe the scheduled sessions for clients, without their items
+   * @returns {Array} { id, title, startsAt, itemCount, duration, createdBy }
+   */
+  getSessionSummaries() {
+    return this.sessions.map(session => ({
+      id: session.id,
+      title: session.title,
+      startsAt: session.startsAt,
+      itemCount: session.items.length,
+      // Known lengths only; media URLs have none
+      duration: session.items.reduce((total, item) => total + (item.duration || 0), 0),
+      createdBy: session.createdBy
+    }));
+  }
+
+  /**
+   * Serialize the persistent part of the room state
+   * @returns {Object} Snapshot that can be passed to Room.fromJSON()
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      playlist: this.playlist,
+      currentVideo: this.currentVideo,
+      currentStartedAt: this.currentStartedAt,
+      currentTime: this.clock.getPosition(),
+      owner: this.owner,
+      roles: Array.from(this.roles.entries()),
+      defaultRole: this.defaultRole,
+      skipThreshold: this.skipThreshold,
+      queueSettings: this.queueSettings,
+      playMode: this.playMode,
+      shuffleSeed: this.shuffleSeed,
+      shuffleCycle: this.shuffleCycle,
+      shufflePlayed: Array.from(this.shufflePlayed),
+      chatHistory: this.chatHistory,
+      playHistory: this.playHistory,
+      mutedIdentities: Array.from(this.mutedIdentities),
+      sessions: this.sessions,
+      access: this.access,
+      admittedIdentities: Array.from(this.admittedIdentities),
+      createdAt: this.createdAt,
+      lastUpdate: this.lastUpdate,
+      emptySince: this.emptySince
+    };
+  }
+
+  /**
+   * Serialize the full live state shared between cluster nodes
+   * @returns {Object} State that can be passed to applySharedState()
+   */
+  toSharedState() {
+    return {
+      ...this.toJSON(),
+      clock: this.clock.toJSON(),
+      skipVotes: Array.from(this.skipVotes),
+      participants: Array.from(this.participants.values())
+    };
+  }
+
+  /**
+   * Replace local state with state published by another cluster node.
+   * Each node is the authority on the participants connected to it, so
+   * with `fromNode` only that node's participants are replaced and the
+   * rest are kept; two nodes admitting people at once can't drop each
+   * other's joins. Without it (restoring a stored snapshot) every
+   * participant is taken as is.
+   * @param {Object} state - State produced by toSharedState()
+   * @param {string} fromNode - ID of the node that published the state
+   */
+  applySharedState(state, fromNode = null) {
+    this.playlist = Array.isArray(state.playlist) ? state.playlist : [];
+    this.currentVideo = state.currentVideo || null;
+    this.currentStartedAt = state.currentStartedAt || null;
+    this.clock = PlaybackClock.fromJSON(state.clock);
+    this.owner = state.owner || null;
+    this.roles = new Map(state.roles || []);
+    this.defaultRole = state.defaultRole || ROLES.LISTENER;
+    this.skipVotes = new Set(state.skipVotes || []);
+    this.skipThreshold = Room.parseSkipThreshold(state.skipThreshold) || this.skipThreshold;
+    this.queueSettings = Room.parseQueueSettings(state.queueSettings, this.queueSettings) || this.queueSettings;
+    this.restorePlayMode(state);
+    this.chatHistory = Array.isArray(state.chatHistory) ? state.chatHistory : [];
+    this.playHistory = Array.isArray(state.playHistory) ? state.playHistory : [];
+    this.mutedIdentities = new Set(state.mutedIdentities || []);
+    this.sessions = Room.restoreSessions(state.sessions);
+    this.access = Room.restoreAccess(state.access);
+    this.admittedIdentities = new Set(state.admittedIdentities || []);
+    this.participants = this.mergeParticipants(state.participants || [], fromNode);
+    this.lastUpdate = state.lastUpdate || Date.now();
+    this.emptySince = this.participants.size === 0 ? (state.emptySince || this.emptySince || Date.now()) : null;
+  }
+
+  /**
+   * Combine local participants with the ones another node published
+   * @param {Array} participants - Published participants
+   * @param {string} fromNode - Publishing node, or null to take every participant
+   * @returns {Map} socketId -> participant
+   */
+  mergeParticipants(participants, fromNode) {
+    if (!fromNode) {
+      return new Map(participants.map(p => [p.socketId, p]));
+    }
+
+    const merged = new Map();
+    for (const participant of this.participants.values()) {
+      if (participant.nodeId !== fromNode) {
+        merged.set(participant.socketId, participant);
+      }
+    }
+    participants
+      .filter(participant => participant.nodeId === fromNode)
+      .forEach(participant => merged.set(participant.socketId, participant));
+    return merged;
   }
 }
 
@@ -0,0 +1,131 @@
+const { PROVIDERS } = require('../constants/providers');
+
+// File extensions the browser can play in an <audio> or <video> element
+const MEDIA_EXTENSIONS = new Set([
+  'mp3', 'm4a', 'aac', 'oga', 'ogg', 'opus', 'wav', 'flac',
+  'mp4', 'm4v', 'webm', 'ogv', 'mov'
+]);
+const MAX_URL_LENGTH = 2000;
+
+/**
+ * Direct audio and video file URLs, played by the browser's own media
+ * element. The server never fetches them: details come from the URL,
+ * and the length is only known once a client has loaded the file.
+ */
+class MediaUrlProvider {
+  constructor() {
+    this.name = PROVIDERS.MEDIA;
+    this.label = 'Media URL';
+    this.searchable = false; // "Searching" a pasted URL returns that file
+  }
+
+  /**
+   * Normalize a direct media file URL
+   * @param {string} link - URL
+   * @returns {string|null} Normalized URL, or null if not an http(s) link to a known media file
+   */
+  parseLink(link) {
+    const value = typeof link === 'string' ? link.trim() : '';
+    if (!value || value.length > MAX_URL_LENGTH) return null;
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return null;
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) return null;
+
+    const extension = url.pathname.split('.').pop().toLowerCase();
+    if (!url.pathname.includes('.') || !MEDIA_EXTENSIONS.has(extension)) return null;
+
+    url.hash = '';
+    return url.href.length <= MAX_URL_LENGTH ? url.href : null;
+  }
+
+  /**
+   * Check whether a source ID is a normalized media URL
+   * @param {string} sourceId - Source ID
+   * @returns {boolean} True if valid
+   */
+  isValidSourceId(sourceId) {
+    return typeof sourceId === 'string' && this.parseLink(sourceId) === sourceId;
+  }
+
+  /**
+   * Return the file a pasted URL points to
+   * @param {string} query - Media URL
+   * @returns {Promise<Object>} Search page with zero or one result
+   */
+  async search(query) {
+    const sourceId = this.parseLink(query);
+    return {
+      query,
+      videos: sourceId ? [this.describe(sourceId)] : [],
+      nextPageToken: null,
+      cache: { hit: false, ageMs: 0 }
+    };
+  }
+
+  /**
+   * Get details for a media URL
+   * @param {string} sourceId - Media URL
+   * @returns {Promise<Object>} Details with provider fields
+   */
+  async getDetails(sourceId) {
+    if (!this.isValidSourceId(sourceId)) {
+      const error = new Error('Not a supported audio or video file URL');
+      error.code = 'VIDEO_UNAVAILABLE';
+      throw error;
+    }
+    return this.describe(sourceId);
+  }
+
+  /**
+   * Get details for several media URLs
+   * @param {Array<string>} sourceIds - Media URLs
+   * @returns {Promise<Array>} { sourceId, details } or { sourceId, error } per URL, in order
+   */
+  async getDetailsBatch(sourceIds) {
+    return Promise.all(sourceIds.map(sourceId => this.getDetails(sourceId)
+      .then(details => ({ sourceId, details }))
+      .catch(error => ({ sourceId, error }))));
+  }
+
+  /**
+   * Link to a media file
+   * @param {string} sourceId - Media URL
+   * @returns {string} The URL itself
+   */
+  getUrl(sourceId) {
+    return sourceId;
+  }
+
+  /**
+   * Build details from the URL: the file name as title and the host as channel
+   * @param {string} sourceId - Normalized media URL
+   * @returns {Object} Details
+   */
+  describe(sourceId) {
+    const url = new URL(sourceId);
+    const fileName = url.pathname.split('/').pop();
+    let title;
+    try {
+      title = decodeURIComponent(fileName);
+    } catch (error) {
+      title = fileName;
+    }
+
+    return {
+      provider: this.name,
+      sourceId,
+      title: title.replace(/\.[^.]+$/, '').replace(/[_+]+/g, ' ').trim() || fileName,
+      channelTitle: url.hostname,
+      thumbnail: null,
+      duration: null
+    };
+  }
+}
+
+module.exports = MediaUrlProvider;
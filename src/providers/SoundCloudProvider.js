@@ -0,0 +1,213 @@
+const Logger = require('../utils/Logger');
+const TtlCache = require('../utils/TtlCache');
+const { PROVIDERS } = require('../constants/providers');
+
+const SOUNDCLOUD_HOSTS = new Set(['soundcloud.com', 'www.soundcloud.com', 'm.soundcloud.com']);
+const SLUG_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+// Second path segments of profile pages that are not tracks
+const PROFILE_PAGES = new Set(['sets', 'tracks', 'albums', 'likes', 'reposts', 'followers', 'following', 'popular-tracks', 'comments']);
+// First path segments of site pages that are not users
+const SITE_PAGES = new Set(['discover', 'search', 'stream', 'you', 'upload', 'charts', 'pages', 'settings', 'messages', 'notifications']);
+
+/**
+ * Build an error for a track that does not exist or cannot be embedded
+ * @param {string} message - Error message
+ * @returns {Error} Error with code VIDEO_UNAVAILABLE
+ */
+function createUnavailableError(message) {
+  const error = new Error(message);
+  error.code = 'VIDEO_UNAVAILABLE';
+  return error;
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * SoundCloud tracks, played through the embeddable widget. Details come
+ * from SoundCloud's oEmbed endpoint; search needs an API client ID, and
+ * without one only pasted track links are found.
+ */
+class SoundCloudProvider {
+  constructor(options = {}) {
+    this.name = PROVIDERS.SOUNDCLOUD;
+    this.label = 'SoundCloud';
+    this.clientId = options.clientId || null;
+    this.searchable = !!this.clientId;
+    this.maxResults = options.maxResults || 10;
+    this.requestTimeout = options.requestTimeout || 10000;
+    this.detailsCache = new TtlCache({ maxEntries: 500, ttlMs: 6 * 60 * 60 * 1000 });
+    this.logger = new Logger('SoundCloudProvider');
+  }
+
+  /**
+   * Get the track path from a SoundCloud track URL
+   * @param {string} link - URL
+   * @returns {string|null} "artist/track" path, or null for anything else
+   */
+  parseLink(link) {
+    const value = typeof link === 'string' ? link.trim() : '';
+    if (!value) return null;
+
+    let url;
+    try {
+      url = new URL(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+    } catch (error) {
+      return null;
+    }
+
+    if (!SOUNDCLOUD_HOSTS.has(url.hostname.toLowerCase())) return null;
+
+    const segments = url.pathname.split('/').filter(Boolean);
+    const sourceId = segments.join('/');
+    return segments.length === 2 && this.isValidSourceId(sourceId) ? sourceId : null;
+  }
+
+  /**
+   * Check whether a source ID is a track path
+   * @param {string} sourceId - Source ID
+   * @returns {boolean} True if valid
+   */
+  isValidSourceId(sourceId) {
+    if (typeof sourceId !== 'string') return false;
+
+    const [user, track, ...rest] = sourceId.split('/');
+    return rest.length === 0 &&
+      SLUG_PATTERN.test(user || '') && SLUG_PATTERN.test(track || '') &&
+      !SITE_PAGES.has(user.toLowerCase()) && !PROFILE_PAGES.has(track.toLowerCase());
+  }
+
+  /**
+   * Search SoundCloud tracks, or return the track a pasted link points to
+   * @param {string} query - Search query or track URL
+   * @param {Object} options - { pageSize }
+   * @returns {Promise<Object>} Search page
+   */
+  async search(query, { pageSize = this.maxResults } = {}) {
+    const page = { query, videos: [], nextPageToken: null, cache: { hit: false, ageMs: 0 } };
+    const linked = this.parseLink(query);
+
+    if (linked) {
+      try {
+        page.videos = [await this.getDetails(linked)];
+      } catch (error) {
+        if (error.code !== 'VIDEO_UNAVAILABLE') throw error;
+      }
+      return page;
+    }
+
+    if (!this.clientId) return page;
+
+    const params = new URLSearchParams({ q: query.trim(), limit: String(pageSize), client_id: this.clientId });
+    const data = await this.fetchJson(`https://api-v2.soundcloud.com/search/tracks?${params}`);
+
+    page.videos = (data.collection || [])
+      .map(track => ({ sourceId: this.parseLink(track.permalink_url), track }))
+      .filter(({ sourceId }) => sourceId)
+      .map(({ sourceId, track }) => ({
+        provider: this.name,
+        sourceId,
+        title: track.title,
+        channelTitle: track.user?.username || 'SoundCloud',
+        thumbnail: track.artwork_url || track.user?.avatar_url || null,
+        duration: track.duration > 0 ? Math.round(track.duration / 1000) : null
+      }));
+
+    return page;
+  }
+
+  /**
+   * Get a track's title, artist and artwork
+   * @param {string} sourceId - Track path
+   * @returns {Promise<Object>} Details with provider fields
+   */
+  async getDetails(sourceId) {
+    if (!this.isValidSourceId(sourceId)) {
+      throw createUnavailableError('Invalid SoundCloud track');
+    }
+
+    const cached = this.detailsCache.get(sourceId);
+    if (cached) return cached;
+
+    const params = new URLSearchParams({ format: 'json', url: this.getUrl(sourceId) });
+    let data;
+    try {
+      data = await this.fetchJson(`https://soundcloud.com/oembed?${params}`);
+    } catch (error) {
+      if (error.status === 403 || error.status === 404) {
+        throw createUnavailableError('SoundCloud track not found or not embeddable');
+      }
+      throw error;
+    }
+
+    const channelTitle = data.author_name || 'SoundCloud';
+    const details = {
+      provider: this.name,
+      sourceId,
+      title: (data.title || sourceId).replace(new RegExp(` by ${escapeRegExp(channelTitle)}$`), ''),
+      channelTitle,
+      thumbnail: data.thumbnail_url || null,
+      duration: null // Reported by the widget once the track loads
+    };
+
+    this.detailsCache.set(sourceId, details);
+    return details;
+  }
+
+  /**
+   * Get details for several tracks, one request at a time
+   * @param {Array<string>} sourceIds - Track paths
+   * @returns {Promise<Array>} { sourceId, details } or { sourceId, error } per track, in order
+   */
+  async getDetailsBatch(sourceIds) {
+    const results = [];
+    for (const sourceId of sourceIds) {
+      try {
+        results.push({ sourceId, details: await this.getDetails(sourceId) });
+      } catch (error) {
+        results.push({ sourceId, error });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Link to a track
+   * @param {string} sourceId - Track path
+   * @returns {string} Track URL
+   */
+  getUrl(sourceId) {
+    return `https://soundcloud.com/${sourceId}`;
+  }
+
+  /**
+   * Fetch JSON with the request timeout
+   * @param {string} url - URL to fetch
+   * @returns {Promise<Object>} Parsed body
+   */
+  async fetchJson(url) {
+    let response;
+    try {
+      response = await fetch(url, { signal: AbortSignal.timeout(this.requestTimeout) });
+    } catch (error) {
+      this.logger.warn('SoundCloud request failed', { error: error.message });
+      throw new Error('Unable to reach SoundCloud');
+    }
+
+    if (!response.ok) {
+      const error = new Error(`SoundCloud responded with ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+}
+
+module.exports = SoundCloudProvider;
@@ -0,0 +1,85 @@
+const { PROVIDERS } = require('../constants/providers');
+
+/**
+ * YouTube videos, backed by YouTubeService. Results keep their videoId
+ * next to the provider fields.
+ */
+class YouTubeProvider {
+  constructor(youtubeService) {
+    this.name = PROVIDERS.YOUTUBE;
+    this.label = 'YouTube';
+    this.searchable = true;
+    this.youtubeService = youtubeService;
+  }
+
+  /**
+   * Get the video ID from a YouTube link or bare ID
+   * @param {string} link - URL or ID
+   * @returns {string|null} Video ID, or null for anything else (including playlists)
+   */
+  parseLink(link) {
+    const parsed = this.youtubeService.parseLink(link);
+    return parsed && parsed.type === 'video' ? parsed.id : null;
+  }
+
+  /**
+   * Check whether a string looks like a YouTube video ID
+   * @param {string} sourceId - Source ID
+   * @returns {boolean} True if valid
+   */
+  isValidSourceId(sourceId) {
+    return this.youtubeService.isValidVideoId(sourceId);
+  }
+
+  /**
+   * Search YouTube with filters and paging
+   * @param {string} query - Search query
+   * @param {Object} options - See YouTubeService.search()
+   * @returns {Promise<Object>} { query, filters, videos, nextPageToken, cache }
+   */
+  async search(query, options) {
+    const page = await this.youtubeService.search(query, options);
+    return { ...page, videos: page.videos.map(video => this.toItem(video)) };
+  }
+
+  /**
+   * Get canonical video details
+   * @param {string} sourceId - Video ID
+   * @returns {Promise<Object>} Video details with provider fields
+   */
+  async getDetails(sourceId) {
+    return this.toItem(await this.youtubeService.getVideoDetails(sourceId));
+  }
+
+  /**
+   * Get canonical details for several videos
+   * @param {Array<string>} sourceIds - Video IDs
+   * @returns {Promise<Array>} { sourceId, details } or { sourceId, error } per ID, in order
+   */
+  async getDetailsBatch(sourceIds) {
+    const lookups = await this.youtubeService.getVideoDetailsBatch(sourceIds);
+    return lookups.map(({ videoId, details, error }) => (
+      error ? { sourceId: videoId, error } : { sourceId: videoId, details: this.toItem(details) }
+    ));
+  }
+
+  /**
+   * Link to a video
+   * @param {string} sourceId - Video ID
+   * @returns {string} Watch URL
+   */
+  getUrl(sourceId) {
+    return `https://www.youtube.com/watch?v=${sourceId}`;
+  }
+
+  /**
+   * Add the provider fields to a YouTubeService result
+   * @param {Object} video - Video with videoId
+   * @returns {Object} Video with provider and sourceId
+   */
+  toItem(video) {
+    return { ...video, provider: this.name, sourceId: video.videoId };
+  }
+}
+
+module.exports = YouTubeProvider;
@@ -0,0 +1,172 @@
+const config = require('../../config/default');
+const { PROVIDERS } = require('../constants/providers');
+const YouTubeProvider = require('./YouTubeProvider');
+const MediaUrlProvider = require('./MediaUrlProvider');
+const SoundCloudProvider = require('./SoundCloudProvider');
+
+/**
+ * The media providers items can be queued from. Every provider implements:
+ * - name, label and searchable (false when only pasted links are found)
+ * - parseLink(link) -> sourceId or null
+ * - isValidSourceId(sourceId) -> boolean
+ * - search(query, options) -> { query, videos, nextPageToken, cache }
+ * - getDetails(sourceId) -> canonical details with provider and sourceId
+ * - getDetailsBatch(sourceIds) -> [{ sourceId, details } or { sourceId, error }]
+ * - getUrl(sourceId) -> link for people (and M3U exports)
+ */
+class ProviderRegistry {
+  constructor(providers) {
+    this.providers = new Map(providers.map(provider => [provider.name, provider]));
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {Object|null} Provider, or null if unknown or disabled
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Describe the enabled providers for clients
+   * @returns {Array} { name, label, searchable }
+   */
+  list() {
+    return Array.from(this.providers.values()).map(({ name, label, searchable }) => ({ name, label, searchable }));
+  }
+
+  /**
+   * Work out what a client asked to queue: { provider, sourceId }, a
+   * legacy { videoId } or a { url } for any provider
+   * @param {Object} input - Item sent by a client
+   * @returns {Object|null} { provider, sourceId }, or null if not valid
+   */
+  resolveSource(input) {
+    if (!input || typeof input !== 'object') return null;
+
+    if (input.provider !== undefined) {
+      const provider = this.get(input.provider);
+      return provider && provider.isValidSourceId(input.sourceId)
+        ? { provider: provider.name, sourceId: input.sourceId }
+        : null;
+    }
+
+    if (input.videoId !== undefined) {
+      return this.resolveSource({ provider: PROVIDERS.YOUTUBE, sourceId: input.videoId });
+    }
+
+    return typeof input.url === 'string' ? this.parseLink(input.url) : null;
+  }
+
+  /**
+   * Find the provider a link belongs to
+   * @param {string} link - URL
+   * @returns {Object|null} { provider, sourceId }, or null if no provider recognises it
+   */
+  parseLink(link) {
+    for (const provider of this.providers.values()) {
+      const sourceId = provider.parseLink(link);
+      if (sourceId) return { provider: provider.name, sourceId };
+    }
+    return null;
+  }
+
+  /**
+   * Get canonical details for a source
+   * @param {Object} source - { provider, sourceId }
+   * @returns {Promise<Object>} Details
+   */
+  async getDetails({ provider, sourceId }) {
+    return this.require(provider).getDetails(sourceId);
+  }
+
+  /**
+   * Get canonical details for several sources, batched per provider
+   * @param {Array<Object>} sources - { provider, sourceId } list
+   * @returns {Promise<Array>} { source, details } or { source, error } per source, in order
+   */
+  async getDetailsBatch(sources) {
+    const results = new Array(sources.length);
+    const byProvider = new Map();
+
+    sources.forEach((source, index) => {
+      if (!byProvider.has(source.provider)) byProvider.set(source.provider, []);
+      byProvider.get(source.provider).push(index);
+    });
+
+    await Promise.all(Array.from(byProvider.entries()).map(async ([name, indexes]) => {
+      const lookups = await this.require(name).getDetailsBatch(indexes.map(index => sources[index].sourceId));
+      lookups.forEach(({ details, error }, position) => {
+        const index = indexes[position];
+        results[index] = error ? { source: sources[index], error } : { source: sources[index], details };
+      });
+    }));
+
+    return results;
+  }
+
+  /**
+   * Search one provider
+   * @param {string} name - Provider name
+   * @param {string} query - Search query or link
+   * @param {Object} options - Provider search options
+   * @returns {Promise<Object>} Search page
+   */
+  async search(name, query, options) {
+    return this.require(name).search(query, options);
+  }
+
+  /**
+   * Link to a source
+   * @param {Object} source - { provider, sourceId }
+   * @returns {string|null} URL, or null if the provider is unknown
+   */
+  getUrl({ provider, sourceId }) {
+    const instance = this.get(provider);
+    return instance ? instance.getUrl(sourceId) : null;
+  }
+
+  /**
+   * Get a provider or fail with an unsupported-provider error
+   * @param {string} name - Provider name
+   * @returns {Object} Provider
+   */
+  require(name) {
+    const provider = this.get(name);
+    if (!provider) {
+      const error = new Error(`Unsupported media provider: ${name}`);
+      error.code = 'UNSUPPORTED_PROVIDER';
+      throw error;
+    }
+    return provider;
+  }
+}
+
+/**
+ * Create the registry of enabled providers
+ * @param {YouTubeService} youtubeService - YouTube service
+ * @param {Object} options - { enabled, soundcloudClientId, requestTimeout }
+ * @returns {ProviderRegistry} Provider registry
+ */
+function createProviderRegistry(youtubeService, options = config.providers) {
+  const available = {
+    [PROVIDERS.YOUTUBE]: () => new YouTubeProvider(youtubeService),
+    [PROVIDERS.MEDIA]: () => new MediaUrlProvider(),
+    [PROVIDERS.SOUNDCLOUD]: () => new SoundCloudProvider({
+      clientId: options.soundcloudClientId,
+      requestTimeout: options.requestTimeout
+    })
+  };
+
+  const enabled = options.enabled.filter(name => available[name]);
+  return new ProviderRegistry(enabled.map(name => available[name]()));
+}
+
+module.exports = {
+  createProviderRegistry,
+  ProviderRegistry,
+  YouTubeProvider,
+  MediaUrlProvider,
+  SoundCloudProvider
+};
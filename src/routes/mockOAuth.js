@@ -0,0 +1,190 @@
+const express = require('express');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger('MockOAuthRoutes');
+
+// Authorization request parameters carried from the sign-in page to the code
+const AUTHORIZE_PARAMS = ['response_type', 'client_id', 'redirect_uri', 'scope', 'state', 'code_challenge', 'code_challenge_method'];
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Render a page of the mock provider
+ * @param {string} title - Page title
+ * @param {string} body - Page body HTML
+ * @returns {string} HTML document
+ */
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #1a1a2e; color: #eee; display: flex; justify-content: center; padding: 48px 16px; }
+  main { background: #16213e; border-radius: 12px; padding: 32px; width: 100%; max-width: 380px; }
+  h1 { font-size: 1.4rem; margin-top: 0; }
+  p { color: #aab; font-size: 0.9rem; }
+  button, input { font: inherit; padding: 10px 12px; border-radius: 8px; border: 1px solid #334; box-sizing: border-box; }
+  button { background: #0f3460; color: #eee; cursor: pointer; }
+  button:hover { background: #1b4f8a; }
+  .users { display: grid; gap: 8px; margin-bottom: 24px; }
+  .custom { display: flex; gap: 8px; }
+  .custom input { flex: 1; min-width: 0; }
+  .cancel { background: none; border: none; color: #aab; margin-top: 16px; padding: 0; text-decoration: underline; }
+</style>
+</head>
+<body><main>${body}</main></body>
+</html>`;
+}
+
+/**
+ * Render the hidden fields carrying the authorization request
+ * @param {Object} params - Authorization request parameters
+ * @returns {string} HTML
+ */
+function renderHiddenParams(params) {
+  return AUTHORIZE_PARAMS
+    .filter(name => params[name] !== undefined)
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+    .join('');
+}
+
+/**
+ * Render the sign-in page for picking a fake user
+ * @param {Object} params - Authorization request parameters
+ * @param {string[]} users - Suggested usernames
+ * @returns {string} HTML document
+ */
+function renderSignInPage(params, users) {
+  const hidden = renderHiddenParams(params);
+  const userButtons = users
+    .map(username => `<button type="submit" name="username" value="${escapeHtml(username)}">Sign in as ${escapeHtml(username)}</button>`)
+    .join('');
+
+  return renderPage('Mock sign-in', `
+    <h1>Mock sign-in</h1>
+    <p>Development provider: pick a user to sign in to <strong>${escapeHtml(params.client_id)}</strong>. No password needed.</p>
+    <form method="post">
+      ${hidden}
+      ${userButtons ? `<div class="users">${userButtons}</div>` : ''}
+    </form>
+    <form method="post" class="custom">
+      ${hidden}
+      <input name="username" placeholder="Another username" pattern="[A-Za-z0-9_.\\-]{1,32}" required>
+      <button type="submit">Sign in</button>
+    </form>
+    <form method="post">
+      ${hidden}
+      <button type="submit" name="deny" value="1" class="cancel">Cancel</button>
+    </form>`);
+}
+
+/**
+ * Build the redirect back to the client with the authorization response
+ * @param {string} redirectUri - Client redirect URI
+ * @param {Object} response - Response parameters (code or error, plus state)
+ * @returns {string} URL
+ */
+function buildRedirect(redirectUri, response) {
+  const url = new URL(redirectUri);
+  for (const [name, value] of Object.entries(response)) {
+    if (value !== undefined) {
+      url.searchParams.set(name, value);
+    }
+  }
+  return url.toString();
+}
+
+/**
+ * Send an OAuth2 error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error carrying an OAuth2 `code` and HTTP `status`
+ */
+function sendOAuthError(res, error) {
+  if (!error.status) {
+    logger.error('Mock OAuth2 request failed', { error: error.message });
+  }
+
+  res.status(error.status || 500).json({
+    error: error.status ? error.code : 'server_error',
+    error_description: error.message
+  });
+}
+
+/**
+ * Create the routes of the development OAuth2 provider. They answer like
+ * the real provider (/oauth2/auth, /oauth2/token and /userinfo), so setting
+ * OAUTH2_API_URL and REACT_APP_OAUTH2_API_URL to where the router is
+ * mounted is all the app needs to sign in with it.
+ * @param {MockOAuthProvider} provider - Mock provider
+ * @returns {express.Router} Router
+ */
+function createMockOAuthRouter(provider) {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  // Sign-in page
+  router.get('/oauth2/auth', (req, res) => {
+    try {
+      provider.validateAuthorizeRequest(req.query);
+      res.type('html').send(renderSignInPage(req.query, provider.users));
+    } catch (error) {
+      // Never redirect to an unchecked redirect URI
+      res.status(error.status || 500).type('html').send(renderPage('Mock sign-in', `
+        <h1>Invalid sign-in request</h1>
+        <p>${escapeHtml(error.message)}</p>`));
+    }
+  });
+
+  // Sign-in page submission: redirect back with a code (or access_denied)
+  router.post('/oauth2/auth', (req, res) => {
+    const params = req.body || {};
+
+    try {
+      if (params.deny) {
+        provider.validateAuthorizeRequest(params);
+        return res.redirect(buildRedirect(params.redirect_uri, { error: 'access_denied', state: params.state }));
+      }
+
+      const code = provider.authorize(params, params.username);
+      res.redirect(buildRedirect(params.redirect_uri, { code, scope: params.scope, state: params.state }));
+    } catch (error) {
+      res.status(error.status || 500).type('html').send(renderPage('Mock sign-in', `
+        <h1>Sign-in failed</h1>
+        <p>${escapeHtml(error.message)}</p>`));
+    }
+  });
+
+  router.post('/oauth2/token', (req, res) => {
+    try {
+      res.set('Cache-Control', 'no-store').json(provider.exchange(req.body || {}));
+    } catch (error) {
+      sendOAuthError(res, error);
+    }
+  });
+
+  // User info of an access token, sent as a form field or a Bearer header
+  const sendUserInfo = (req, res) => {
+    try {
+      const bearer = req.get('authorization')?.match(/^Bearer (.+)$/i)?.[1];
+      res.json(provider.getUserInfo(req.body?.access_token || bearer));
+    } catch (error) {
+      sendOAuthError(res, error);
+    }
+  };
+  router.get('/userinfo', sendUserInfo);
+  router.post('/userinfo', sendUserInfo);
+
+  return router;
+}
+
+module.exports = createMockOAuthRouter;
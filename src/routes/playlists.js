@@ -0,0 +1,174 @@
+const express = require('express');
+const PlaylistLibrary = require('../services/PlaylistLibrary');
+const RoomManager = require('../services/RoomManager');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger('PlaylistRoutes');
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  m3u: { contentType: 'audio/x-mpegurl', extension: 'm3u' }
+};
+
+/**
+ * Send a playlist library error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error, optionally carrying an HTTP `status`
+ * @param {string} action - What was being attempted (for logs)
+ */
+function sendError(res, error, action) {
+  const status = error.status || 500;
+
+  if (status >= 500) {
+    logger.error(`Failed to ${action}`, { error: error.message });
+  }
+
+  res.status(status).json({
+    error: status >= 500 ? 'Playlist request failed' : error.message,
+    message: status >= 500 ? `Unable to ${action} at this time` : error.message
+  });
+}
+
+/**
+ * Create the saved playlist routes (mounted at /api/playlists)
+ * @param {Function} requireUser - Authentication middleware
+ * @returns {express.Router} Router
+ */
+function createPlaylistRouter(requireUser) {
+  const router = express.Router();
+  router.use(requireUser);
+
+  // List the signed-in user's playlists
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await PlaylistLibrary.list(req.user.userId));
+    } catch (error) {
+      sendError(res, error, 'list playlists');
+    }
+  });
+
+  // Save a playlist from a room's queue and history ({ name, roomId }) or from items ({ name, items })
+  router.post('/', async (req, res) => {
+    try {
+      const { name, roomId, items } = req.body || {};
+      let data = { name, items };
+
+      if (roomId !== undefined) {
+        const room = typeof roomId === 'string' ? RoomManager.getRoom(roomId) : null;
+        if (!room) {
+          return res.status(404).json({
+            error: 'Room not found',
+            message: 'The room has no queue to save'
+          });
+        }
+
+        // Private rooms only share their queue with the people let in
+        const identityId = `user:${req.user.userId}`;
+        if (!room.isAdmitted(identityId) && !room.isIdentityPresent(identityId)) {
+          return res.status(403).json({
+            error: 'Room is private',
+            message: 'Join the room to save its queue'
+          });
+        }
+
+        data = {
+          name,
+          items: [room.currentVideo, ...room.playlist].filter(Boolean),
+          history: room.playHistory
+        };
+      }
+
+      const playlist = await PlaylistLibrary.create(req.user.userId, data);
+
+      logger.info('Playlist created', {
+        userId: req.user.userId,
+        playlistId: playlist.id,
+        fromRoom: roomId || null,
+        ip: req.ip
+      });
+
+      res.status(201).json(playlist);
+    } catch (error) {
+      sendError(res, error, 'save playlist');
+    }
+  });
+
+  // Import an exported JSON or M3U file ({ content, format?, name? })
+  router.post('/import', async (req, res) => {
+    try {
+      const { content, format, name } = req.body || {};
+
+      if (format !== undefined && !EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+          error: 'Unknown format',
+          message: 'Format must be json or m3u'
+        });
+      }
+
+      const parsed = PlaylistLibrary.parseImport(content, format);
+      const playlist = await PlaylistLibrary.create(req.user.userId, {
+        ...parsed,
+        name: name || parsed.name || 'Imported playlist'
+      });
+
+      res.status(201).json(playlist);
+    } catch (error) {
+      sendError(res, error, 'import playlist');
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      res.json(await PlaylistLibrary.get(req.params.id, req.user.userId));
+    } catch (error) {
+      sendError(res, error, 'load playlist');
+    }
+  });
+
+  // Rename or replace items ({ name?, items?, history? })
+  router.put('/:id', async (req, res) => {
+    try {
+      const { name, items, history } = req.body || {};
+      res.json(await PlaylistLibrary.update(req.params.id, req.user.userId, { name, items, history }));
+    } catch (error) {
+      sendError(res, error, 'update playlist');
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      await PlaylistLibrary.delete(req.params.id, req.user.userId);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error, 'delete playlist');
+    }
+  });
+
+  // Download as ?format=json (default) or ?format=m3u
+  router.get('/:id/export', async (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+      const exportFormat = EXPORT_FORMATS[format];
+
+      if (!exportFormat) {
+        return res.status(400).json({
+          error: 'Unknown format',
+          message: 'Format must be json or m3u'
+        });
+      }
+
+      const playlist = await PlaylistLibrary.get(req.params.id, req.user.userId);
+      const fileName = playlist.name.replace(/[^\w\- ]+/g, '').trim() || 'playlist';
+
+      res.set('Content-Type', exportFormat.contentType);
+      res.set('Content-Disposition', `attachment; filename="${fileName}.${exportFormat.extension}"`);
+      res.send(PlaylistLibrary.export(playlist, format));
+    } catch (error) {
+      sendError(res, error, 'export playlist');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createPlaylistRouter;
@@ -0,0 +1,68 @@
+const express = require('express');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger('SessionRoutes');
+
+/**
+ * Send a session scheduling error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error, optionally carrying an HTTP `status`
+ * @param {string} action - What was being attempted (for logs)
+ */
+function sendError(res, error, action) {
+  const status = error.status || 500;
+
+  if (status >= 500) {
+    logger.error(`Failed to ${action}`, { error: error.message });
+  }
+
+  res.status(status).json({
+    error: status >= 500 ? 'Session request failed' : error.message,
+    message: status >= 500 ? `Unable to ${action} at this time` : error.message
+  });
+}
+
+/**
+ * Create the scheduled session routes (mounted at /api/rooms/:roomId/sessions).
+ * Anyone can see a room's upcoming sessions; scheduling and cancelling
+ * need a signed-in room owner.
+ * @param {Function} requireUser - Authentication middleware
+ * @param {SessionScheduler} scheduler - Session scheduler
+ * @returns {express.Router} Router
+ */
+function createSessionRouter(requireUser, scheduler) {
+  const router = express.Router({ mergeParams: true });
+
+  // Upcoming sessions, soonest first
+  router.get('/', (req, res) => {
+    res.json({
+      roomId: req.params.roomId,
+      serverTime: Date.now(), // Lets clients count down on the server clock
+      sessions: scheduler.list(req.params.roomId)
+    });
+  });
+
+  // Schedule a session ({ title?, startsAt, items } or { title?, startsAt, playlistId })
+  router.post('/', requireUser, async (req, res) => {
+    try {
+      const { title, startsAt, items, playlistId } = req.body || {};
+      const result = await scheduler.create(req.params.roomId, req.user, { title, startsAt, items, playlistId });
+      res.status(201).json(result);
+    } catch (error) {
+      sendError(res, error, 'schedule session');
+    }
+  });
+
+  router.delete('/:sessionId', requireUser, (req, res) => {
+    try {
+      scheduler.cancel(req.params.roomId, req.params.sessionId, req.user);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error, 'cancel session');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSessionRouter;
@@ -1,46 +1,125 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const Logger = require('../utils/Logger');
+const TtlCache = require('../utils/TtlCache');
+const CircuitBreaker = require('../utils/CircuitBreaker');
+const { AUTH_SERVICE_ERRORS } = require('../constants/auth');
 
+/**
+ * Build an error for a token, code or refresh token the provider rejected
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_TOKEN and status 401
+ */
+function createInvalidTokenError(message) {
+    const error = new Error(message);
+    error.code = AUTH_SERVICE_ERRORS.INVALID_TOKEN;
+    error.status = 401;
+    return error;
+}
+
+/**
+ * Build an error for a provider that could not answer, as opposed to one
+ * that rejected the token
+ * @param {string} message - Error message
+ * @returns {Error} Error with code PROVIDER_UNAVAILABLE and status 503
+ */
+function createUnavailableError(message) {
+    const error = new Error(message);
+    error.code = AUTH_SERVICE_ERRORS.PROVIDER_UNAVAILABLE;
+    error.status = 503;
+    return error;
+}
+
+/**
+ * Whether a failed provider call is worth retrying (no answer, a server
+ * error or rate limiting) rather than a rejection
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for transient failures
+ */
+function isTransientFailure(error) {
+    const status = error.response?.status;
+    return !status || status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * OAuth2 provider client. Verified tokens are cached (keyed by a hash of
+ * the token) so repeated checks don't reach the provider, every call has a
+ * timeout, user info lookups are retried with backoff, and a circuit breaker
+ * stops calling a provider that keeps failing. Errors carry a code from
+ * AUTH_SERVICE_ERRORS telling a rejected token from an unavailable provider.
+ */
 class AuthService {
-    constructor() {
+    /**
+     * @param {Object} options - { requestTimeout, maxRetries, retryDelay, cacheTtl, cacheSize, breakerThreshold, breakerCooldown }
+     */
+    constructor({
+        requestTimeout = 5000,
+        maxRetries = 2,
+        retryDelay = 200,
+        cacheTtl = 5 * 60 * 1000,
+        cacheSize = 1000,
+        breakerThreshold = 5,
+        breakerCooldown = 30000
+    } = {}) {
         this.logger = new Logger('AuthService');
         this.CLIENT_ID = process.env.OAUTH2_CLIENT_ID;
         this.CLIENT_SECRET = process.env.OAUTH2_CLIENT_SECRET;
         this.OAUTH2_URL = process.env.OAUTH2_API_URL;
         this.REDIRECT_URI = process.env.OAUTH2_REDIRECT_URI;
+
+        this.requestTimeout = requestTimeout;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this.userCache = new TtlCache({ maxEntries: cacheSize, ttlMs: cacheTtl });
+        this.pendingLookups = new Map(); // Token hash -> in-flight lookup, shared by concurrent checks
+        this.breaker = new CircuitBreaker({ failureThreshold: breakerThreshold, cooldownMs: breakerCooldown });
     }
 
     /**
-     * Exchange authorization code for access token
+     * Exchange authorization code for access token. Not retried: the code can only be used once.
      * @param {string} code - Authorization code
+     * @param {string} scope - Granted scope
+     * @param {string} state - State of the sign-in (already verified)
+     * @param {string} codeVerifier - PKCE code verifier the code challenge was made from
      * @returns {Promise<Object>} Token response
      */
-    async getOAuth2Token(code, scope, state) {
-        try {
-            const body = new URLSearchParams({
-                grant_type: 'authorization_code',
-                code,
-                scope,
-                state,
-                client_id: this.CLIENT_ID,
-                client_secret: this.CLIENT_SECRET,
-                redirect_uri: this.REDIRECT_URI,
-            })
-
-            const response = await axios.post(`${this.OAUTH2_URL}/oauth2/token`,
-                body,
-                {
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded',
-                    }
-                }
-            );
-
-            return response.data;
-        } catch (error) {
-            this.logger.error('Failed to get OAuth2 token', { error: error.message });
-            throw new Error('Failed to authenticate');
+    async getOAuth2Token(code, scope, state, codeVerifier) {
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            scope,
+            state,
+            client_id: this.CLIENT_ID,
+            client_secret: this.CLIENT_SECRET,
+            redirect_uri: this.REDIRECT_URI,
+        })
+        if (codeVerifier) {
+            body.set('code_verifier', codeVerifier);
         }
+
+        return this.postForm('/oauth2/token', body, {
+            action: 'get OAuth2 token',
+            invalidMessage: 'The sign-in code was not accepted'
+        });
+    }
+
+    /**
+     * Get a new access token with a refresh token. Not retried: providers may rotate refresh tokens.
+     * @param {string} refreshToken - Refresh token from an earlier token response
+     * @returns {Promise<Object>} Token response
+     */
+    async refreshOAuth2Token(refreshToken) {
+        const body = new URLSearchParams({
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken,
+            client_id: this.CLIENT_ID,
+            client_secret: this.CLIENT_SECRET,
+        })
+
+        return this.postForm('/oauth2/token', body, {
+            action: 'refresh OAuth2 token',
+            invalidMessage: 'The sign-in can no longer be refreshed'
+        });
     }
 
     /**
@@ -49,36 +128,91 @@ class AuthService {
      * @returns {Promise<Object>} User information
      */
     async getUserInfo(accessToken) {
-        try {
-            const response = await axios.post(`${this.OAUTH2_URL}/userinfo`,
-                new URLSearchParams({
-                    access_token: accessToken,
-                }),
-                {
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded',
-                    }
-                }
-            );
-
-            return response.data;
-        } catch (error) {
-            this.logger.error('Failed to get user info', { error: error.message });
-            throw new Error('Failed to get user information');
-        }
+        return this.postForm('/userinfo', new URLSearchParams({ access_token: accessToken }), {
+            action: 'get user info',
+            invalidMessage: 'Invalid or expired access token',
+            retry: true
+        });
     }
 
     /**
-     * Verify access token and return user info
+     * Verify access token and return user info, from the cache when it was
+     * verified recently
      * @param {string} accessToken - OAuth2 access token
      * @returns {Promise<Object>} User information
      */
     async verifyToken(accessToken) {
-        if (!accessToken) {
-            throw new Error('Access token required');
+        if (!accessToken || typeof accessToken !== 'string') {
+            throw createInvalidTokenError('Access token required');
+        }
+
+        const key = crypto.createHash('sha256').update(accessToken).digest('hex');
+        const cached = this.userCache.get(key);
+        if (cached) return cached;
+
+        if (!this.pendingLookups.has(key)) {
+            const lookup = this.getUserInfo(accessToken)
+                .then((userInfo) => {
+                    this.userCache.set(key, userInfo);
+                    return userInfo;
+                })
+                .finally(() => this.pendingLookups.delete(key));
+            this.pendingLookups.set(key, lookup);
+        }
+
+        return this.pendingLookups.get(key);
+    }
+
+    /**
+     * POST a form to the provider with a timeout, optional retries with
+     * exponential backoff, and the circuit breaker
+     * @param {string} path - Provider path
+     * @param {URLSearchParams} body - Form body
+     * @param {Object} options - { action, invalidMessage, retry }
+     * @returns {Promise<Object>} Response data
+     */
+    async postForm(path, body, { action, invalidMessage, retry = false }) {
+        const attempts = retry ? this.maxRetries + 1 : 1;
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            if (!this.breaker.allowRequest()) {
+                throw createUnavailableError('The sign-in provider is unavailable, please try again shortly');
+            }
+
+            try {
+                const response = await axios.post(`${this.OAUTH2_URL}${path}`, body, {
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded',
+                    },
+                    timeout: this.requestTimeout
+                });
+
+                this.breaker.recordSuccess();
+                return response.data;
+            } catch (error) {
+                if (!isTransientFailure(error)) {
+                    // The provider answered; it just didn't accept what we sent
+                    this.breaker.recordSuccess();
+                    this.logger.warn(`Provider refused to ${action}`, { status: error.response.status });
+                    throw createInvalidTokenError(invalidMessage);
+                }
+
+                this.breaker.recordFailure();
+                this.logger.error(`Failed to ${action}`, {
+                    attempt,
+                    error: error.message,
+                    status: error.response?.status,
+                    breaker: this.breaker.getState()
+                });
+
+                if (attempt < attempts) {
+                    const delay = this.retryDelay * 2 ** (attempt - 1);
+                    await new Promise(resolve => setTimeout(resolve, delay + Math.random() * delay / 2));
+                }
+            }
         }
 
-        return await this.getUserInfo(accessToken);
+        throw createUnavailableError('The sign-in provider is not responding, please try again shortly');
     }
 }
 
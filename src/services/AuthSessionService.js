@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const Logger = require('../utils/Logger');
+const { MemoryRoomStore } = require('../stores');
+const { AUTH_SERVICE_ERRORS } = require('../constants/auth');
+
+/**
+ * Server-side sign-in sessions. After the OAuth exchange the upstream tokens
+ * stay on the server and the browser only gets a random session ID in an
+ * httpOnly cookie. Sessions are stored under a hash of their ID, so the
+ * store never holds a usable cookie, and the user info is cached with them
+ * so requests don't call the provider every time. When the upstream access
+ * token expires it is refreshed (or re-checked when the provider gave no
+ * refresh token); if the provider rejects that the session ends, while an
+ * unavailable provider leaves it as it is.
+ */
+class AuthSessionService {
+  /**
+   * @param {AuthService} authService - Used to refresh and re-check upstream tokens
+   * @param {Object} options - { ttl, verifyInterval, cookieName, cleanupInterval }
+   */
+  constructor(authService, { ttl = 30 * 24 * 60 * 60 * 1000, verifyInterval = 60 * 60 * 1000, cookieName = 'lt_session', cleanupInterval = 60 * 60 * 1000 } = {}) {
+    this.authService = authService;
+    this.ttl = ttl;
+    this.verifyInterval = verifyInterval;
+    this.cookieName = cookieName;
+    this.cleanupInterval = cleanupInterval;
+    this.cleanupTimer = null;
+    this.store = new MemoryRoomStore();
+    this.refreshing = new Map(); // Session key -> pending refresh, so concurrent requests share one
+    this.logger = new Logger('AuthSessionService');
+  }
+
+  /**
+   * Set the persistence backend used for sessions
+   * @param {Object} store - Store with load/loadAll/save/delete (see src/stores)
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Get the store key of a session ID
+   * @param {string} sessionId - Session ID from the cookie
+   * @returns {string} SHA-256 hex digest
+   */
+  sessionKey(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex');
+  }
+
+  /**
+   * Get the Socket.IO room holding the sockets signed in with a session, so
+   * they can be disconnected when it ends
+   * @param {string} sessionId - Session ID from the cookie
+   * @returns {string} Room name (by session key, never the session ID itself)
+   */
+  socketRoom(sessionId) {
+    return `auth-session:${this.sessionKey(sessionId)}`;
+  }
+
+  /**
+   * Start a session after a successful OAuth exchange
+   * @param {Object} tokenResponse - Token response from the provider
+   * @param {Object} userInfo - User information for the access token
+   * @returns {Promise<Object>} { sessionId, expiresAt }
+   */
+  async create(tokenResponse, userInfo) {
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const session = {
+      key: this.sessionKey(sessionId),
+      userInfo,
+      accessToken: tokenResponse.access_token,
+      refreshToken: tokenResponse.refresh_token || null,
+      accessExpiresAt: this.getAccessExpiry(tokenResponse, now),
+      createdAt: now,
+      expiresAt: now + this.ttl
+    };
+
+    await this.store.save(session.key, session);
+    return { sessionId, expiresAt: session.expiresAt };
+  }
+
+  /**
+   * Look up a live session, refreshing its upstream token if it has expired
+   * @param {string} sessionId - Session ID from the cookie
+   * @returns {Promise<Object|null>} Session { userInfo, ... }, or null if unknown or ended
+   */
+  async get(sessionId) {
+    if (typeof sessionId !== 'string' || !sessionId) return null;
+
+    const key = this.sessionKey(sessionId);
+    const session = await this.store.load(key);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      await this.store.delete(key);
+      return null;
+    }
+
+    if (session.accessExpiresAt > Date.now()) {
+      return session;
+    }
+
+    if (!this.refreshing.has(key)) {
+      this.refreshing.set(key, this.refresh(session).finally(() => this.refreshing.delete(key)));
+    }
+    return this.refreshing.get(key);
+  }
+
+  /**
+   * Renew a session's upstream access token: with the refresh token if there
+   * is one, otherwise by checking the current token still works
+   * @param {Object} session - Stored session
+   * @returns {Promise<Object|null>} Updated session, or null if it had to end
+   */
+  async refresh(session) {
+    let renewed = null; // Session with the refreshed tokens, once the provider has issued them
+
+    try {
+      const now = Date.now();
+      let updated;
+
+      if (session.refreshToken) {
+        const tokenResponse = await this.authService.refreshOAuth2Token(session.refreshToken);
+        renewed = {
+          ...session,
+          accessToken: tokenResponse.access_token,
+          refreshToken: tokenResponse.refresh_token || session.refreshToken,
+          accessExpiresAt: this.getAccessExpiry(tokenResponse, now)
+        };
+        updated = renewed;
+      } else {
+        updated = { ...session, accessExpiresAt: now + this.verifyInterval };
+      }
+
+      // Also picks up changes to the user's name or avatar
+      updated.userInfo = await this.authService.verifyToken(updated.accessToken);
+
+      await this.store.save(session.key, updated);
+      return updated;
+    } catch (error) {
+      // Keep the session through provider outages; the check is tried again on the next use
+      if (error.code === AUTH_SERVICE_ERRORS.PROVIDER_UNAVAILABLE) {
+        this.logger.warn('Could not renew session, provider unavailable', { error: error.message });
+        if (renewed) {
+          await this.store.save(session.key, renewed); // The old refresh token may no longer work
+        }
+        return renewed || session;
+      }
+
+      this.logger.info('Ending session whose upstream token could not be renewed', { error: error.message });
+      await this.store.delete(session.key);
+      return null;
+    }
+  }
+
+  /**
+   * End a session
+   * @param {string} sessionId - Session ID from the cookie
+   */
+  async destroy(sessionId) {
+    if (typeof sessionId !== 'string' || !sessionId) return;
+    await this.store.delete(this.sessionKey(sessionId));
+  }
+
+  /**
+   * Delete sessions past their lifetime
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  async pruneExpired() {
+    const now = Date.now();
+    const expired = (await this.store.loadAll()).filter(session => session?.key && session.expiresAt <= now);
+
+    await Promise.all(expired.map(session => this.store.delete(session.key)));
+    if (expired.length > 0) {
+      this.logger.info(`Pruned ${expired.length} expired sessions`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Start deleting expired sessions now and periodically
+   */
+  startCleanup() {
+    if (this.cleanupTimer) return;
+
+    const prune = () => {
+      this.pruneExpired().catch((error) => {
+        this.logger.error('Failed to prune expired sessions', { error: error.message });
+      });
+    };
+
+    prune();
+    this.cleanupTimer = setInterval(prune, this.cleanupInterval);
+  }
+
+  /**
+   * Stop the periodic cleanup
+   */
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+
+  /**
+   * When an upstream access token should be renewed; tokens without a
+   * stated lifetime are re-checked every verifyInterval
+   * @param {Object} tokenResponse - Token response from the provider
+   * @param {number} now - Current time in ms
+   * @returns {number} Time in ms
+   */
+  getAccessExpiry(tokenResponse, now) {
+    const expiresIn = Number(tokenResponse.expires_in);
+    return Number.isFinite(expiresIn) && expiresIn > 0
+      ? now + expiresIn * 1000
+      : now + this.verifyInterval;
+  }
+
+  /**
+   * Read the session ID from a Cookie header
+   * @param {string} cookieHeader - Cookie request header
+   * @returns {string|null} Session ID
+   */
+  readSessionId(cookieHeader) {
+    if (typeof cookieHeader !== 'string') return null;
+
+    for (const part of cookieHeader.split(';')) {
+      const separator = part.indexOf('=');
+      if (separator !== -1 && part.slice(0, separator).trim() === this.cookieName) {
+        return part.slice(separator + 1).trim() || null;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = AuthSessionService;
@@ -0,0 +1,141 @@
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('../utils/Logger');
+const { createRedisClient, MemoryRedisClient } = require('../stores');
+
+const ROOM_UPDATES_CHANNEL = 'room-updates';
+
+class ClusterService {
+  /**
+   * @param {Object} options - Cluster configuration (config.cluster)
+   */
+  constructor(options = {}) {
+    this.enabled = !!options.redisUrl;
+    this.nodeId = options.nodeId || uuidv4();
+    this.keyPrefix = options.keyPrefix || 'listen-together:';
+    this.leaderLockTtl = options.leaderLockTtl || 25000;
+    this.logger = new Logger('ClusterService');
+    this.roomUpdateHandlers = [];
+
+    this.client = this.enabled ? createRedisClient(options.redisUrl) : null;
+    this.subscriber = this.enabled ? this.client.duplicate() : null;
+  }
+
+  /**
+   * Subscribe to room updates published by other nodes
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!this.enabled) return;
+
+    this.subscriber.on('message', (channel, message) => {
+      if (channel !== this.channelName(ROOM_UPDATES_CHANNEL)) return;
+      this.handleRoomUpdateMessage(message);
+    });
+    await this.subscriber.subscribe(this.channelName(ROOM_UPDATES_CHANNEL));
+
+    this.logger.info('Cluster mode enabled', { nodeId: this.nodeId });
+  }
+
+  /**
+   * Close Redis connections
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.enabled) return;
+
+    await Promise.all([this.subscriber.quit(), this.client.quit()]);
+  }
+
+  /**
+   * Prefix a channel or key name
+   * @param {string} name - Channel or key name
+   * @returns {string} Prefixed name
+   */
+  channelName(name) {
+    return `${this.keyPrefix}${name}`;
+  }
+
+  /**
+   * Register a handler for room state published by other nodes
+   * @param {Function} handler - Called with (roomId, state, nodeId)
+   */
+  onRoomUpdate(handler) {
+    this.roomUpdateHandlers.push(handler);
+  }
+
+  /**
+   * Dispatch a room update message from another node
+   * @param {string} message - Raw pub/sub message
+   */
+  handleRoomUpdateMessage(message) {
+    try {
+      const { nodeId, roomId, state } = JSON.parse(message);
+      if (nodeId === this.nodeId) return;
+
+      this.roomUpdateHandlers.forEach(handler => handler(roomId, state, nodeId));
+    } catch (error) {
+      this.logger.warn('Ignoring malformed room update', { error: error.message });
+    }
+  }
+
+  /**
+   * Publish room state so other nodes can refresh their copy
+   * @param {string} roomId - Room identifier
+   * @param {Object} state - Shared room state
+   * @returns {Promise<void>}
+   */
+  async publishRoomUpdate(roomId, state) {
+    if (!this.enabled) return;
+
+    await this.client.publish(
+      this.channelName(ROOM_UPDATES_CHANNEL),
+      JSON.stringify({ nodeId: this.nodeId, roomId, state })
+    );
+  }
+
+  /**
+   * Try to become (or stay) the node that runs periodic sync for a room.
+   * Leadership is a lease that expires unless the leader keeps renewing it.
+   * @param {string} roomId - Room identifier
+   * @returns {Promise<boolean>} True if this node leads the room
+   */
+  async isRoomLeader(roomId) {
+    if (!this.enabled) return true;
+
+    const key = this.channelName(`leader:${roomId}`);
+
+    try {
+      const acquired = await this.client.set(key, this.nodeId, 'PX', this.leaderLockTtl, 'NX');
+      if (acquired) return true;
+
+      if (await this.client.get(key) !== this.nodeId) return false;
+
+      // Renew our lease; XX fails if it expired in between and someone else may take it
+      const renewed = await this.client.set(key, this.nodeId, 'PX', this.leaderLockTtl, 'XX');
+      return !!renewed;
+    } catch (error) {
+      this.logger.error(`Leader election failed for room ${roomId}`, { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Create a Socket.IO adapter so room broadcasts reach every node
+   * @returns {Function|null} Adapter constructor, or null when not available
+   */
+  createSocketAdapter() {
+    if (!this.enabled) return null;
+
+    if (this.client instanceof MemoryRedisClient) {
+      this.logger.warn('Using the in-memory Redis stand-in; Socket.IO broadcasts stay on this node');
+      return null;
+    }
+
+    const { createAdapter } = require('@socket.io/redis-adapter');
+    return createAdapter(this.client.duplicate(), this.client.duplicate(), {
+      key: this.channelName('socket.io')
+    });
+  }
+}
+
+module.exports = ClusterService;
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('../utils/Logger');
+
+class IdentityService {
+  /**
+   * @param {string} secret - Secret used to sign guest tokens
+   */
+  constructor(secret = null) {
+    this.logger = new Logger('IdentityService');
+
+    if (!secret) {
+      this.logger.warn('IDENTITY_SECRET is not set; guest identities will not survive a server restart');
+    }
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Sign a value with the identity secret
+   * @param {string} value - Value to sign
+   * @returns {string} Base64url HMAC signature
+   */
+  sign(value) {
+    return crypto.createHmac('sha256', this.secret).update(value).digest('base64url');
+  }
+
+  /**
+   * Issue a new guest identity token
+   * @returns {Object} { guestId, token } where token is `<guestId>.<signature>`
+   */
+  issueGuestToken() {
+    const guestId = uuidv4();
+    return { guestId, token: `${guestId}.${this.sign(guestId)}` };
+  }
+
+  /**
+   * Verify a guest identity token
+   * @param {string} token - Guest token from the client
+   * @returns {string|null} Guest ID or null if the token is invalid
+   */
+  verifyGuestToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [guestId, signature] = token.split('.');
+    if (!guestId || !signature) return null;
+
+    const expected = Buffer.from(this.sign(guestId));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return guestId;
+  }
+
+  /**
+   * Issue an invite link token for a private room. Tokens name the room's
+   * invite version, so changing the room's access settings revokes them.
+   * @param {string} roomId - Room ID
+   * @param {number} version - Room invite version
+   * @param {number} ttlMs - How long the invite stays valid
+   * @returns {Object} { token, expiresAt }
+   */
+  issueInviteToken(roomId, version, ttlMs) {
+    const expiresAt = Date.now() + ttlMs;
+    const payload = Buffer.from(JSON.stringify({ r: roomId, v: version, e: expiresAt })).toString('base64url');
+    return { token: `${payload}.${this.sign(`invite:${payload}`)}`, expiresAt };
+  }
+
+  /**
+   * Read an invite token after checking its signature
+   * @param {string} token - Invite token from the client
+   * @returns {Object|null} { roomId, version, expiresAt }, or null if the token is not one of ours
+   */
+  readInviteToken(token) {
+    if (typeof token !== 'string' || token.length > 1000) return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this.sign(`invite:${payload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const { r, v, e } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      return { roomId: r, version: v, expiresAt: e };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the identity for an authenticated user
+   * @param {Object} userInfo - User information from OAuth
+   * @returns {Object} Identity
+   */
+  fromUserInfo(userInfo) {
+    const userId = userInfo.sub || userInfo.mezon_id;
+
+    return {
+      identityId: `user:${userId}`,
+      userId,
+      username: userInfo.username || userInfo.display_name || `User-${String(userId).slice(-6)}`,
+      avatar: userInfo.avatar || null,
+      isGuest: false
+    };
+  }
+
+  /**
+   * Build the identity for a guest
+   * @param {string} guestId - Verified guest ID
+   * @returns {Object} Identity
+   */
+  fromGuestId(guestId) {
+    return {
+      identityId: `guest:${guestId}`,
+      userId: null,
+      username: `Guest-${guestId.slice(-6)}`,
+      avatar: null,
+      isGuest: true
+    };
+  }
+}
+
+module.exports = IdentityService;
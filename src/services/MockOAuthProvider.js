@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const Logger = require('../utils/Logger');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+
+/**
+ * Build an OAuth2 error response (RFC 6749 section 5.2)
+ * @param {string} code - OAuth2 error code, e.g. 'invalid_grant'
+ * @param {string} message - Error description
+ * @param {number} status - HTTP status to answer with
+ * @returns {Error} Error with `code` and `status` properties
+ */
+function createOAuthError(code, message, status = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Stand-in OAuth2 provider for development and tests. It implements the
+ * authorization-code flow the app uses with the real provider (codes bound
+ * to the client, redirect URI and PKCE challenge, rotating refresh tokens,
+ * and a userinfo lookup) but signs in whichever fake user is picked. The
+ * same username always gets the same user ID, so rooms and playlists keep
+ * their owners across sign-ins. Everything is kept in memory: a restart
+ * invalidates its tokens, which ends sign-ins on their next refresh.
+ */
+class MockOAuthProvider {
+  /**
+   * @param {Object} options - { users, accessTokenTtl, refreshTokenTtl, codeTtl }
+   */
+  constructor({ users = [], accessTokenTtl = 60 * 60 * 1000, refreshTokenTtl = 30 * 24 * 60 * 60 * 1000, codeTtl = 60 * 1000 } = {}) {
+    this.users = users.filter(username => USERNAME_PATTERN.test(username));
+    this.accessTokenTtl = accessTokenTtl;
+    this.refreshTokenTtl = refreshTokenTtl;
+    this.codeTtl = codeTtl;
+    this.codes = new Map();         // code -> { user, clientId, redirectUri, codeChallenge, codeChallengeMethod, scope, expiresAt }
+    this.accessTokens = new Map();  // token -> { user, clientId, scope, expiresAt }
+    this.refreshTokens = new Map(); // token -> { user, clientId, scope, expiresAt }
+    this.logger = new Logger('MockOAuthProvider');
+  }
+
+  /**
+   * Get the user info of a fake user
+   * @param {string} username - Username picked on the sign-in page
+   * @returns {Object} User info in the provider's format
+   */
+  describeUser(username) {
+    return {
+      sub: `mock-${username.toLowerCase()}`,
+      username,
+      display_name: username
+    };
+  }
+
+  /**
+   * Check the parameters of an authorization request before showing the
+   * sign-in page; errors are shown rather than sent to the redirect URI
+   * @param {Object} params - { response_type, client_id, redirect_uri, code_challenge, code_challenge_method }
+   */
+  validateAuthorizeRequest(params) {
+    if (params.response_type !== 'code') {
+      throw createOAuthError('unsupported_response_type', 'Only response_type=code is supported');
+    }
+    if (!params.client_id) {
+      throw createOAuthError('invalid_request', 'client_id is required');
+    }
+
+    let redirectUrl = null;
+    try {
+      redirectUrl = new URL(params.redirect_uri);
+    } catch (error) {
+      // Reported below
+    }
+    if (!redirectUrl || !['http:', 'https:'].includes(redirectUrl.protocol)) {
+      throw createOAuthError('invalid_request', 'redirect_uri must be an http(s) URL');
+    }
+
+    if (params.code_challenge && !['S256', 'plain', undefined].includes(params.code_challenge_method)) {
+      throw createOAuthError('invalid_request', 'code_challenge_method must be S256 or plain');
+    }
+  }
+
+  /**
+   * Sign a fake user in and issue an authorization code
+   * @param {Object} params - Authorization request parameters
+   * @param {string} username - User picked on the sign-in page
+   * @returns {string} Authorization code
+   */
+  authorize(params, username) {
+    this.validateAuthorizeRequest(params);
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw createOAuthError('invalid_request', 'Usernames are 1-32 letters, digits, dots, dashes or underscores');
+    }
+
+    this.prune();
+    const code = crypto.randomBytes(24).toString('base64url');
+    this.codes.set(code, {
+      user: this.describeUser(username),
+      clientId: params.client_id,
+      redirectUri: params.redirect_uri,
+      codeChallenge: params.code_challenge || null,
+      codeChallengeMethod: params.code_challenge_method || 'plain',
+      scope: params.scope || 'openid',
+      expiresAt: Date.now() + this.codeTtl
+    });
+
+    this.logger.info('Fake user signed in', { username, clientId: params.client_id });
+    return code;
+  }
+
+  /**
+   * Handle a token request (authorization_code or refresh_token grant)
+   * @param {Object} params - Form parameters of the token request
+   * @returns {Object} Token response
+   */
+  exchange(params) {
+    this.prune();
+
+    if (params.grant_type === 'authorization_code') {
+      return this.exchangeCode(params);
+    }
+    if (params.grant_type === 'refresh_token') {
+      return this.exchangeRefreshToken(params);
+    }
+    throw createOAuthError('unsupported_grant_type', 'Only authorization_code and refresh_token grants are supported');
+  }
+
+  /**
+   * Exchange an authorization code; codes work once, for the client and
+   * redirect URI they were issued to and with the matching PKCE verifier
+   * @param {Object} params - { code, client_id, redirect_uri, code_verifier }
+   * @returns {Object} Token response
+   */
+  exchangeCode(params) {
+    const grant = this.codes.get(params.code);
+    this.codes.delete(params.code);
+
+    if (!grant || grant.expiresAt <= Date.now()) {
+      throw createOAuthError('invalid_grant', 'Unknown, expired or already used authorization code');
+    }
+    if (params.client_id !== grant.clientId) {
+      throw createOAuthError('invalid_client', 'client_id does not match the authorization request', 401);
+    }
+    if (params.redirect_uri !== grant.redirectUri) {
+      throw createOAuthError('invalid_grant', 'redirect_uri does not match the authorization request');
+    }
+
+    if (grant.codeChallenge) {
+      const verifier = typeof params.code_verifier === 'string' ? params.code_verifier : '';
+      const expected = grant.codeChallengeMethod === 'S256'
+        ? crypto.createHash('sha256').update(verifier).digest('base64url')
+        : verifier;
+      if (!verifier || expected !== grant.codeChallenge) {
+        throw createOAuthError('invalid_grant', 'code_verifier does not match the code challenge');
+      }
+    }
+
+    return this.issueTokens(grant.user, grant.clientId, grant.scope);
+  }
+
+  /**
+   * Exchange a refresh token; it is replaced by the one in the response
+   * @param {Object} params - { refresh_token, client_id }
+   * @returns {Object} Token response
+   */
+  exchangeRefreshToken(params) {
+    const grant = this.refreshTokens.get(params.refresh_token);
+    this.refreshTokens.delete(params.refresh_token);
+
+    if (!grant || grant.expiresAt <= Date.now()) {
+      throw createOAuthError('invalid_grant', 'Unknown, expired or already used refresh token');
+    }
+    if (params.client_id !== grant.clientId) {
+      throw createOAuthError('invalid_client', 'client_id does not match the refresh token', 401);
+    }
+
+    return this.issueTokens(grant.user, grant.clientId, grant.scope);
+  }
+
+  /**
+   * Issue an access token and refresh token
+   * @param {Object} user - User info
+   * @param {string} clientId - Client the tokens are for
+   * @param {string} scope - Granted scope
+   * @returns {Object} Token response
+   */
+  issueTokens(user, clientId, scope) {
+    const now = Date.now();
+    const accessToken = crypto.randomBytes(32).toString('base64url');
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+    this.accessTokens.set(accessToken, { user, clientId, scope, expiresAt: now + this.accessTokenTtl });
+    this.refreshTokens.set(refreshToken, { user, clientId, scope, expiresAt: now + this.refreshTokenTtl });
+
+    return {
+      access_token: accessToken,
+      token_type: 'bearer',
+      expires_in: Math.round(this.accessTokenTtl / 1000),
+      refresh_token: refreshToken,
+      scope
+    };
+  }
+
+  /**
+   * Look up the user of an access token
+   * @param {string} accessToken - Access token
+   * @returns {Object} User info
+   */
+  getUserInfo(accessToken) {
+    const grant = this.accessTokens.get(accessToken);
+    if (!grant || grant.expiresAt <= Date.now()) {
+      throw createOAuthError('invalid_token', 'Invalid or expired access token', 401);
+    }
+    return grant.user;
+  }
+
+  /**
+   * Forget expired codes and tokens
+   */
+  prune() {
+    const now = Date.now();
+    for (const records of [this.codes, this.accessTokens, this.refreshTokens]) {
+      for (const [key, record] of records) {
+        if (record.expiresAt <= now) {
+          records.delete(key);
+        }
+      }
+    }
+  }
+}
+
+module.exports = MockOAuthProvider;
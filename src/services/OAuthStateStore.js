@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const Logger = require('../utils/Logger');
+const { OAUTH_ERRORS } = require('../constants/auth');
+
+const CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{43}$/;      // Base64url SHA-256 (RFC 7636 S256)
+const VERIFIER_PATTERN = /^[A-Za-z0-9._~-]{43,128}$/; // RFC 7636 code verifier
+
+/**
+ * Build an error carrying the HTTP status and OAUTH_ERRORS code to answer with
+ * @param {string} message - Error message
+ * @param {string} code - Code from OAUTH_ERRORS
+ * @returns {Error} Error with `status` and `code` properties
+ */
+function createStateError(message, code) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  return error;
+}
+
+/**
+ * One-time OAuth `state` values for the authorization-code flow. Each state
+ * is issued by the server, bound to the PKCE code challenge of the browser
+ * that started the sign-in, and can be used for a single callback. States
+ * are kept in Redis when a client is given (so any node can finish a sign-in
+ * another node started) and in memory otherwise.
+ */
+class OAuthStateStore {
+  /**
+   * @param {Object} options - { redisClient, keyPrefix, ttl, maxPending }
+   */
+  constructor({ redisClient = null, keyPrefix = 'listen-together:', ttl = 10 * 60 * 1000, maxPending = 10000 } = {}) {
+    this.redisClient = redisClient;
+    this.keyPrefix = keyPrefix;
+    this.ttl = ttl;
+    this.maxPending = maxPending;
+    this.states = new Map(); // state -> { codeChallenge, expiresAt, used } (memory mode)
+    this.logger = new Logger('OAuthStateStore');
+  }
+
+  /**
+   * Get the key holding a state record
+   * @param {string} state - State value
+   * @returns {string} Redis key
+   */
+  stateKey(state) {
+    return `${this.keyPrefix}oauth-state:${state}`;
+  }
+
+  /**
+   * Issue a state for a new sign-in
+   * @param {string} codeChallenge - PKCE S256 code challenge of the browser
+   * @returns {Promise<Object>} { state, expiresAt }
+   */
+  async issue(codeChallenge) {
+    if (typeof codeChallenge !== 'string' || !CHALLENGE_PATTERN.test(codeChallenge)) {
+      const error = new Error('A PKCE S256 code challenge is required');
+      error.status = 400;
+      throw error;
+    }
+
+    const state = crypto.randomBytes(32).toString('base64url');
+    const record = { codeChallenge, expiresAt: Date.now() + this.ttl, used: false };
+
+    if (this.redisClient) {
+      // Kept past expiry so late callbacks are told the state expired rather than unknown
+      await this.redisClient.set(this.stateKey(state), JSON.stringify(record), 'PX', this.ttl * 2);
+    } else {
+      this.pruneStates();
+      this.states.set(state, record);
+    }
+
+    return { state, expiresAt: record.expiresAt };
+  }
+
+  /**
+   * Use up a state from an OAuth callback and check the PKCE code verifier
+   * against the challenge it was issued for
+   * @param {string} state - State from the callback
+   * @param {string} codeVerifier - PKCE code verifier from the browser
+   * @returns {Promise<void>} Rejects with an OAUTH_ERRORS coded error
+   */
+  async consume(state, codeVerifier) {
+    if (typeof state !== 'string' || !state) {
+      throw createStateError('The sign-in response has no state. Please sign in again.', OAUTH_ERRORS.STATE_MISSING);
+    }
+
+    const record = await this.markUsed(state);
+
+    if (!record) {
+      throw createStateError('This sign-in was not started here or has been discarded. Please sign in again.', OAUTH_ERRORS.STATE_UNKNOWN);
+    }
+    if (record.used) {
+      this.logger.warn('Replayed OAuth state');
+      throw createStateError('This sign-in response was already used. Please sign in again.', OAUTH_ERRORS.STATE_REPLAYED);
+    }
+    if (record.expiresAt <= Date.now()) {
+      throw createStateError('The sign-in took too long and expired. Please sign in again.', OAUTH_ERRORS.STATE_EXPIRED);
+    }
+
+    const challenge = typeof codeVerifier === 'string' && VERIFIER_PATTERN.test(codeVerifier)
+      ? crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+      : null;
+    if (!challenge || !crypto.timingSafeEqual(Buffer.from(challenge), Buffer.from(record.codeChallenge))) {
+      this.logger.warn('OAuth callback with a mismatched PKCE code verifier');
+      throw createStateError('This sign-in response does not belong to this browser. Please sign in again.', OAUTH_ERRORS.PKCE_MISMATCH);
+    }
+  }
+
+  /**
+   * Flag a state as used, once
+   * @param {string} state - State value
+   * @returns {Promise<Object|null>} The record as it was before (`used` tells a replay), or null if unknown
+   */
+  async markUsed(state) {
+    if (!this.redisClient) {
+      const record = this.states.get(state);
+      if (!record) return null;
+
+      this.states.set(state, { ...record, used: true });
+      return record;
+    }
+
+    const key = this.stateKey(state);
+    const raw = await this.redisClient.get(key);
+    if (!raw) return null;
+
+    // Only the first callback sets the flag, even when a replay races it on another node
+    const record = JSON.parse(raw);
+    const claimed = await this.redisClient.set(`${key}:used`, '1', 'PX', this.ttl * 2, 'NX');
+    return claimed ? record : { ...record, used: true };
+  }
+
+  /**
+   * Forget states past their replay window, and the oldest ones when too many
+   * sign-ins are pending
+   */
+  pruneStates() {
+    const now = Date.now();
+    for (const [state, record] of this.states) {
+      if (record.expiresAt + this.ttl <= now) {
+        this.states.delete(state);
+      }
+    }
+
+    while (this.states.size >= this.maxPending) {
+      this.states.delete(this.states.keys().next().value);
+    }
+  }
+}
+
+module.exports = OAuthStateStore;
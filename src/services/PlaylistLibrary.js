@@ -0,0 +1,382 @@
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('../utils/Logger');
+const config = require('../../config/default');
+const { MemoryRoomStore } = require('../stores');
+const { PROVIDERS } = require('../constants/providers');
+
+/**
+ * Build an error carrying the HTTP status the routes should answer with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with a `status` property
+ */
+function createError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Saved playlists owned by signed-in users. Playlists outlive rooms, so
+ * they are read from and written to the store on every call rather than
+ * cached, which keeps every cluster node consistent. Each owner also has
+ * an index record listing their playlist IDs, so listing one user's
+ * playlists doesn't read everyone else's.
+ */
+class PlaylistLibrary {
+  constructor() {
+    this.logger = new Logger('PlaylistLibrary');
+    this.store = new MemoryRoomStore();
+    this.providers = null; // Set by setProviders() at startup
+    this.ownerWrites = new Map(); // userId -> tail of that owner's index updates
+  }
+
+  /**
+   * Set the persistence backend used for saved playlists
+   * @param {Object} store - Store with load/loadAll/save/delete (see src/stores)
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Set the media providers used to recognise, resolve and link items
+   * @param {Object} providers - Provider registry (see src/providers)
+   */
+  setProviders(providers) {
+    this.providers = providers;
+  }
+
+  /**
+   * List a user's playlists without their items
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Array>} Playlist summaries, most recently updated first
+   */
+  async list(userId) {
+    const playlistIds = await this.loadIndex(userId);
+    const playlists = [];
+
+    for (const playlistId of playlistIds) {
+      const playlist = await this.store.load(playlistId);
+      if (playlist && playlist.ownerId === userId) {
+        playlists.push(playlist);
+      }
+    }
+
+    return playlists
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(playlist => this.toSummary(playlist));
+  }
+
+  /**
+   * Get a playlist owned by a user
+   * @param {string} playlistId - Playlist ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Playlist
+   */
+  async get(playlistId, userId) {
+    const playlist = typeof playlistId === 'string' ? await this.store.load(playlistId) : null;
+
+    // Other users' playlists are reported as missing rather than forbidden
+    if (!playlist || playlist.ownerId !== userId) {
+      throw createError('Playlist not found', 404);
+    }
+
+    return playlist;
+  }
+
+  /**
+   * Create a playlist
+   * @param {string} userId - Owner user ID
+   * @param {Object} data - { name, items, history }
+   * @returns {Promise<Object>} Created playlist
+   */
+  async create(userId, data = {}) {
+    const now = Date.now();
+    const playlist = {
+      id: uuidv4(),
+      ownerId: userId,
+      name: this.validateName(data.name),
+      items: this.normalizeItems(data.items),
+      history: this.normalizeItems(data.history),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.updateIndex(userId, async (playlistIds) => {
+      if (playlistIds.length >= config.playlists.maxPerUser) {
+        throw createError(`You can save up to ${config.playlists.maxPerUser} playlists`, 400);
+      }
+
+      await this.store.save(playlist.id, playlist);
+      return [...playlistIds, playlist.id];
+    });
+    this.logger.info(`Playlist saved: ${playlist.id}`, { userId, itemCount: playlist.items.length });
+
+    return playlist;
+  }
+
+  /**
+   * Rename a playlist or replace its items
+   * @param {string} playlistId - Playlist ID
+   * @param {string} userId - Owner user ID
+   * @param {Object} changes - { name?, items?, history? }
+   * @returns {Promise<Object>} Updated playlist
+   */
+  async update(playlistId, userId, changes = {}) {
+    const playlist = await this.get(playlistId, userId);
+
+    if (changes.name !== undefined) {
+      playlist.name = this.validateName(changes.name);
+    }
+    if (changes.items !== undefined) {
+      playlist.items = this.normalizeItems(changes.items);
+    }
+    if (changes.history !== undefined) {
+      playlist.history = this.normalizeItems(changes.history);
+    }
+    playlist.updatedAt = Date.now();
+
+    await this.store.save(playlist.id, playlist);
+    return playlist;
+  }
+
+  /**
+   * Delete a playlist
+   * @param {string} playlistId - Playlist ID
+   * @param {string} userId - Owner user ID
+   */
+  async delete(playlistId, userId) {
+    await this.get(playlistId, userId);
+    await this.updateIndex(userId, async (playlistIds) => {
+      await this.store.delete(playlistId);
+      return playlistIds.filter(id => id !== playlistId);
+    });
+    this.logger.info(`Playlist deleted: ${playlistId}`, { userId });
+  }
+
+  /**
+   * Get the store key of an owner's index record. Playlist IDs are UUIDs,
+   * so the prefix keeps the two kinds of record apart.
+   * @param {string} userId - Owner user ID
+   * @returns {string} Store key
+   */
+  indexKey(userId) {
+    return `owner:${userId}`;
+  }
+
+  /**
+   * Load the IDs of a user's playlists
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<string[]>} Playlist IDs
+   */
+  async loadIndex(userId) {
+    const index = await this.store.load(this.indexKey(userId));
+    if (index && Array.isArray(index.playlistIds)) {
+      return index.playlistIds;
+    }
+
+    // Playlists saved before owners had an index: find them once and save it
+    const playlistIds = (await this.store.loadAll())
+      .filter(playlist => playlist && playlist.ownerId === userId)
+      .map(playlist => playlist.id);
+    await this.store.save(this.indexKey(userId), { userId, playlistIds });
+    return playlistIds;
+  }
+
+  /**
+   * Change a user's playlist index once the changes queued before it are
+   * done, so concurrent creates and deletes can't drop each other's IDs
+   * @param {string} userId - Owner user ID
+   * @param {Function} change - Async function from the current IDs to the new IDs
+   * @returns {Promise<void>} Settles when the index is saved
+   */
+  updateIndex(userId, change) {
+    const previous = this.ownerWrites.get(userId) || Promise.resolve();
+    const result = previous.then(async () => {
+      const playlistIds = await change(await this.loadIndex(userId));
+      await this.store.save(this.indexKey(userId), { userId, playlistIds });
+    });
+    const done = result.catch(() => {});
+
+    this.ownerWrites.set(userId, done);
+    done.then(() => {
+      if (this.ownerWrites.get(userId) === done) {
+        this.ownerWrites.delete(userId);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Serialize a playlist for download
+   * @param {Object} playlist - Playlist
+   * @param {string} format - 'json' or 'm3u'
+   * @returns {string} File content
+   */
+  export(playlist, format = 'json') {
+    if (format === 'm3u') {
+      const lines = ['#EXTM3U', `#PLAYLIST:${playlist.name}`];
+
+      playlist.items.forEach((item) => {
+        const label = item.channelTitle && item.channelTitle !== 'Unknown Channel' ? `${item.channelTitle} - ${item.title}` : item.title;
+        lines.push(`#EXTINF:${item.duration || -1},${label.replace(/[\r\n]+/g, ' ')}`);
+        lines.push(this.providers.getUrl(item) || item.sourceId);
+      });
+
+      return lines.join('\n') + '\n';
+    }
+
+    return JSON.stringify({
+      name: playlist.name,
+      exportedAt: new Date().toISOString(),
+      items: playlist.items,
+      history: playlist.history
+    }, null, 2);
+  }
+
+  /**
+   * Parse an exported playlist file
+   * @param {string} content - File content
+   * @param {string} format - 'json', 'm3u' or omitted to detect
+   * @returns {Object} { name, items, history }
+   */
+  parseImport(content, format) {
+    if (typeof content !== 'string' || !content.trim()) {
+      throw createError('Import file is empty', 400);
+    }
+
+    const detected = format || (content.trim().startsWith('{') ? 'json' : 'm3u');
+
+    if (detected === 'json') {
+      let data;
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw createError('Import file is not valid JSON', 400);
+      }
+
+      if (!data || !Array.isArray(data.items)) {
+        throw createError('Import file has no items', 400);
+      }
+
+      return { name: data.name, items: data.items, history: data.history || [] };
+    }
+
+    if (detected === 'm3u') {
+      return this.parseM3U(content);
+    }
+
+    throw createError(`Unknown playlist format: ${detected}`, 400);
+  }
+
+  /**
+   * Parse an M3U playlist of links any provider recognises
+   * @param {string} content - M3U content
+   * @returns {Object} { name, items, history }
+   */
+  parseM3U(content) {
+    let name;
+    let pendingTitle = null;
+    let pendingDuration = null;
+    const items = [];
+
+    content.split(/\r?\n/).forEach((rawLine) => {
+      const line = rawLine.trim();
+      if (!line) return;
+
+      if (line.startsWith('#PLAYLIST:')) {
+        name = line.slice('#PLAYLIST:'.length).trim();
+      } else if (line.startsWith('#EXTINF:')) {
+        const commaIndex = line.indexOf(',');
+        pendingTitle = commaIndex >= 0 ? line.slice(commaIndex + 1).trim() : null;
+        // -1 (or anything else that isn't a length) means unknown
+        const duration = parseInt(line.slice('#EXTINF:'.length), 10);
+        pendingDuration = Number.isFinite(duration) && duration > 0 ? duration : null;
+      } else if (!line.startsWith('#')) {
+        const source = this.providers.parseLink(line);
+        if (source) {
+          items.push({ ...source, title: pendingTitle || source.sourceId, duration: pendingDuration });
+        }
+        pendingTitle = null;
+        pendingDuration = null;
+      }
+    });
+
+    if (items.length === 0) {
+      throw createError('Import file has no playable links', 400);
+    }
+
+    return { name, items, history: [] };
+  }
+
+  /**
+   * Check and trim a playlist name
+   * @param {string} name - Requested name
+   * @returns {string} Valid name
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw createError('Playlist name required', 400);
+    }
+
+    const trimmed = name.trim();
+    if (trimmed.length > config.playlists.maxNameLength) {
+      throw createError(`Playlist name must be at most ${config.playlists.maxNameLength} characters`, 400);
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Keep only the video fields worth saving, dropping room-specific ones
+   * (queue IDs, who added it) and anything malformed
+   * @param {Array} items - Videos
+   * @returns {Array} Normalized videos
+   */
+  normalizeItems(items) {
+    if (items === undefined || items === null) return [];
+    if (!Array.isArray(items)) {
+      throw createError('Playlist items must be an array', 400);
+    }
+    if (items.length > config.playlists.maxItems) {
+      throw createError(`Playlists can hold up to ${config.playlists.maxItems} videos`, 400);
+    }
+
+    return items
+      .map(item => ({ item, source: this.providers.resolveSource(item) }))
+      .filter(({ source }) => source)
+      .map(({ item, source: { provider, sourceId } }) => {
+        const isYouTube = provider === PROVIDERS.YOUTUBE;
+        return {
+          provider,
+          sourceId,
+          videoId: isYouTube ? sourceId : null,
+          title: typeof item.title === 'string' && item.title.trim() ? item.title.trim() : sourceId,
+          thumbnail: typeof item.thumbnail === 'string' ? item.thumbnail : (isYouTube ? `https://i.ytimg.com/vi/${sourceId}/hqdefault.jpg` : null),
+          channelTitle: typeof item.channelTitle === 'string' ? item.channelTitle : 'Unknown Channel',
+          duration: Number.isInteger(item.duration) && item.duration > 0 ? item.duration : null
+        };
+      });
+  }
+
+  /**
+   * Strip items from a playlist for listing
+   * @param {Object} playlist - Playlist
+   * @returns {Object} { id, name, itemCount, createdAt, updatedAt }
+   */
+  toSummary(playlist) {
+    return {
+      id: playlist.id,
+      name: playlist.name,
+      itemCount: playlist.items.length,
+      createdAt: playlist.createdAt,
+      updatedAt: playlist.updatedAt
+    };
+  }
+}
+
+// Singleton instance
+const playlistLibrary = new PlaylistLibrary();
+module.exports = playlistLibrary;
@@ -0,0 +1,161 @@
+const Logger = require('../utils/Logger');
+const config = require('../../config/default');
+
+// Noise removed from titles before they are used as search queries
+const TITLE_NOISE_PATTERN = /\b(official|music|video|audio|lyrics?|lyric video|visualizer|hd|hq|4k|mv|remastered)\b/gi;
+const UNKNOWN_CHANNEL = 'Unknown Channel';
+
+/**
+ * Picks related tracks for radio mode. Queries are built from the room's
+ * recent plays (cleaned titles, the artist part of "Artist - Song" titles
+ * and channel names), and anything played recently or already queued is
+ * left out.
+ */
+class RadioService {
+  constructor(youtubeService, options = config.radio) {
+    this.youtubeService = youtubeService;
+    this.minQueueLength = options.minQueueLength;
+    this.batchSize = options.batchSize;
+    this.recentWindow = options.recentWindow;
+    this.seedCount = options.seedCount;
+    this.logger = new Logger('RadioService');
+  }
+
+  /**
+   * Check whether a room's queue should be topped up
+   * @param {Room} room - Room instance
+   * @returns {boolean} True if radio mode is on, the queue is short and there is something to base picks on
+   */
+  needsTracks(room) {
+    return !!room.queueSettings.radio &&
+      room.playlist.length < this.minQueueLength &&
+      this.getSeeds(room).length > 0;
+  }
+
+  /**
+   * Recent plays to base picks on, newest first
+   * @param {Room} room - Room instance
+   * @returns {Array} Items with title and channelTitle
+   */
+  getSeeds(room) {
+    const recent = room.playHistory.slice(-this.seedCount).reverse();
+    return [room.currentVideo, ...recent].filter(Boolean).slice(0, this.seedCount);
+  }
+
+  /**
+   * Build search queries from recent plays
+   * @param {Array} seeds - Items, newest first
+   * @returns {Array<string>} Distinct queries, most relevant first
+   */
+  buildQueries(seeds) {
+    const queries = [];
+    const add = (query) => {
+      const normalized = (query || '').replace(/\s+/g, ' ').trim();
+      if (normalized && !queries.some(existing => existing.toLowerCase() === normalized.toLowerCase())) {
+        queries.push(normalized);
+      }
+    };
+
+    seeds.forEach((seed) => {
+      const title = this.cleanTitle(seed.title);
+      const separator = title.indexOf(' - ');
+
+      add(title);
+      if (separator > 0) {
+        add(title.slice(0, separator));
+      }
+      if (seed.channelTitle && seed.channelTitle !== UNKNOWN_CHANNEL) {
+        add(seed.channelTitle.replace(/\s*-\s*Topic$|VEVO$/i, ''));
+      }
+    });
+
+    return queries;
+  }
+
+  /**
+   * Strip bracketed notes and common noise words from a title
+   * @param {string} title - Video title
+   * @returns {string} Cleaned title
+   */
+  cleanTitle(title) {
+    return (title || '')
+      .replace(/[([{][^)\]}]*[)\]}]/g, ' ')
+      .replace(/\b(ft|feat)\.?\s.*$/i, ' ')
+      .replace(TITLE_NOISE_PATTERN, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Normalize a title for duplicate detection
+   * @param {string} title - Video title
+   * @returns {string} Comparable title
+   */
+  titleKey(title) {
+    return this.cleanTitle(title).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+  }
+
+  /**
+   * Search for tracks related to a room's recent plays
+   * @param {Room} room - Room instance
+   * @returns {Promise<Array>} Up to batchSize videos not played recently or queued
+   */
+  async findTracks(room) {
+    const queries = this.buildQueries(this.getSeeds(room));
+    const picks = [];
+
+    for (const query of queries) {
+      if (picks.length >= this.batchSize) break;
+
+      let results;
+      try {
+        results = await this.youtubeService.searchVideos(query);
+      } catch (error) {
+        this.logger.warn('Radio search failed', { roomId: room.id, query, error: error.message });
+        continue;
+      }
+
+      // Checked after every search so tracks queued meanwhile are not repeated
+      const excluded = this.getExcluded(room, picks);
+      for (const video of results) {
+        if (picks.length >= this.batchSize) break;
+        if (!video.videoId || !video.title) continue;
+        if (excluded.videoIds.has(video.videoId) || excluded.titles.has(this.titleKey(video.title))) continue;
+
+        picks.push(video);
+        excluded.videoIds.add(video.videoId);
+        excluded.titles.add(this.titleKey(video.title));
+      }
+    }
+
+    this.logger.debug(`Radio picked ${picks.length} tracks for room ${room.id}`, { queries });
+
+    // Search results have no channel; the room's content rules need the looked-up details
+    const lookups = await this.youtubeService.getVideoDetailsBatch(picks.map(video => video.videoId));
+    return lookups
+      .filter(lookup => lookup.details)
+      .map(lookup => ({ ...picks.find(video => video.videoId === lookup.videoId), ...lookup.details }));
+  }
+
+  /**
+   * Videos that must not be picked: recent plays, the current item, the queue and earlier picks
+   * @param {Room} room - Room instance
+   * @param {Array} picks - Videos already picked
+   * @returns {Object} { videoIds: Set, titles: Set }
+   */
+  getExcluded(room, picks) {
+    const items = [
+      ...room.playHistory.slice(-this.recentWindow),
+      room.currentVideo,
+      ...room.playlist,
+      ...picks
+    ].filter(Boolean);
+
+    return {
+      videoIds: new Set(items.map(item => item.videoId)),
+      titles: new Set(items.map(item => this.titleKey(item.title)).filter(Boolean))
+    };
+  }
+}
+
+module.exports = RadioService;
@@ -1,10 +1,188 @@
 const Room = require('../models/Room');
 const Logger = require('../utils/Logger');
+const config = require('../../config/default');
+const { MemoryRoomStore } = require('../stores');
 
 class RoomManager {
   constructor() {
     this.rooms = new Map();
     this.logger = new Logger('RoomManager');
+    this.store = new MemoryRoomStore();
+    this.pendingSaves = new Map(); // roomId -> debounce timer
+    this.roomWrites = new Map(); // roomId -> last queued store write, so writes of a room run in order
+    this.cleanupInterval = null;
+    this.cluster = null;
+  }
+
+  /**
+   * Share room state with other nodes through the cluster service.
+   * Every change is saved right away and published; updates from other
+   * nodes replace the local copy (last write wins), except for participants,
+   * which each node only publishes for its own sockets.
+   * @param {ClusterService} cluster - Cluster service
+   */
+  enableSharedState(cluster) {
+    if (!cluster || !cluster.enabled) return;
+
+    this.cluster = cluster;
+    cluster.onRoomUpdate((roomId, state, nodeId) => this.applyRemoteState(roomId, state, nodeId));
+  }
+
+  /**
+   * Apply room state published by another node
+   * @param {string} roomId - Room identifier
+   * @param {Object} state - Shared room state
+   * @param {string} fromNode - Publishing node (none when restoring from the store)
+   */
+  applyRemoteState(roomId, state, fromNode = null) {
+    let room = this.rooms.get(roomId);
+    if (!room) {
+      room = new Room(roomId);
+      room.chatHistoryLimit = config.chat.historySize;
+      room.playHistoryLimit = config.rooms.playHistorySize;
+      this.rooms.set(roomId, room);
+    }
+
+    room.applySharedState(state, fromNode);
+    this.logger.debug(`Applied remote state for room ${roomId}`, {
+      participants: room.participants.size
+    });
+  }
+
+  /**
+   * Set the persistence backend used for room snapshots
+   * @param {Object} store - Room store (see src/stores)
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Load persisted rooms from the store
+   * @returns {Promise<number>} Number of rooms restored
+   */
+  async loadRooms() {
+    const snapshots = await this.store.loadAll();
+
+    for (const data of snapshots) {
+      if (!data || !data.id || this.rooms.has(data.id)) continue;
+
+      if (this.cluster) {
+        // Shared state includes participants connected to other nodes
+        this.applyRemoteState(data.id, data);
+      } else {
+        const room = Room.fromJSON(data);
+        room.chatHistoryLimit = config.chat.historySize;
+        room.playHistoryLimit = config.rooms.playHistorySize;
+        this.rooms.set(data.id, room);
+      }
+    }
+
+    this.logger.info(`Restored ${snapshots.length} rooms from storage`);
+    return snapshots.length;
+  }
+
+  /**
+   * Schedule a debounced save of a room snapshot
+   * @param {string} roomId - Room identifier
+   */
+  persistRoom(roomId) {
+    if (!this.rooms.has(roomId)) return;
+
+    // Other nodes need to see changes right away
+    if (this.cluster) {
+      this.saveRoom(roomId);
+      return;
+    }
+
+    clearTimeout(this.pendingSaves.get(roomId));
+    this.pendingSaves.set(roomId, setTimeout(() => {
+      this.saveRoom(roomId);
+    }, config.persistence.saveDebounceMs));
+  }
+
+  /**
+   * Save a room snapshot immediately
+   * @param {string} roomId - Room identifier
+   * @returns {Promise<void>}
+   */
+  async saveRoom(roomId) {
+    clearTimeout(this.pendingSaves.get(roomId));
+    this.pendingSaves.delete(roomId);
+
+    if (!this.rooms.has(roomId)) return;
+
+    try {
+      await this.queueWrite(roomId, async () => {
+        const room = this.rooms.get(roomId);
+        if (!room) return; // Expired while an earlier write was running
+
+        if (this.cluster) {
+          const state = room.toSharedState();
+          await this.store.save(roomId, state);
+          await this.cluster.publishRoomUpdate(roomId, state);
+        } else {
+          await this.store.save(roomId, room.toJSON());
+        }
+      });
+    } catch (error) {
+      this.logger.error(`Failed to save room: ${roomId}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Run a store write for a room once the writes queued before it are done,
+   * so a save that is still running can't land after the room is deleted
+   * @param {string} roomId - Room identifier
+   * @param {Function} write - Async function doing the write
+   * @returns {Promise<void>} Settles when this write is done
+   */
+  queueWrite(roomId, write) {
+    const previous = this.roomWrites.get(roomId) || Promise.resolve();
+    const result = previous.then(write);
+    const done = result.catch(() => {});
+
+    this.roomWrites.set(roomId, done);
+    done.then(() => {
+      if (this.roomWrites.get(roomId) === done) {
+        this.roomWrites.delete(roomId);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Write all pending room snapshots (used during shutdown)
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    const roomIds = Array.from(this.pendingSaves.keys());
+    await Promise.all(roomIds.map(roomId => this.saveRoom(roomId)));
+    await Promise.all(this.roomWrites.values());
+  }
+
+  /**
+   * Start the periodic expiry of empty rooms
+   */
+  startCleanup() {
+    if (this.cleanupInterval) return;
+
+    this.cleanupInterval = setInterval(() => {
+      this.cleanupOldRooms().catch((error) => {
+        this.logger.error('Failed to clean up expired rooms', { error: error.message });
+      });
+    }, config.rooms.cleanupInterval);
+  }
+
+  /**
+   * Stop the periodic expiry of empty rooms
+   */
+  stopCleanup() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
   }
 
   /**
@@ -15,6 +193,16 @@ class RoomManager {
   getOrCreateRoom(roomId) {
     if (!this.rooms.has(roomId)) {
       const room = new Room(roomId);
+      room.defaultRole = config.rooms.defaultRole;
+      room.skipThreshold = Room.parseSkipThreshold(config.rooms.skipVoteThreshold) || room.skipThreshold;
+      room.chatHistoryLimit = config.chat.historySize;
+      room.playHistoryLimit = config.rooms.playHistorySize;
+      room.queueSettings = Room.parseQueueSettings({
+        ...config.rooms.queuePolicies,
+        fairQueue: config.rooms.fairQueue,
+        maxPerUser: config.rooms.maxQueuedPerUser,
+        radio: config.radio.enabled
+      }, room.queueSettings) || room.queueSettings;
       this.rooms.set(roomId, room);
       this.logger.info(`Created new room: ${roomId}`);
     }
@@ -32,15 +220,17 @@ class RoomManager {
   }
 
   /**
-   * Delete room if empty
+   * Handle a room that may have become empty. Empty rooms are kept (and
+   * persisted) until they expire in cleanupOldRooms().
    * @param {string} roomId - Room identifier
-   * @returns {boolean} True if room was deleted
+   * @returns {boolean} True if room is empty
    */
   cleanupRoom(roomId) {
     const room = this.rooms.get(roomId);
     if (room && room.isEmpty()) {
-      this.rooms.delete(roomId);
-      this.logger.info(`Deleted empty room: ${roomId}`);
+      room.pause();
+      this.persistRoom(roomId);
+      this.logger.info(`Room is empty, will expire later: ${roomId}`);
       return true;
     }
     return false;
@@ -50,12 +240,13 @@ class RoomManager {
    * Add participant to room
    * @param {string} roomId - Room identifier
    * @param {string} socketId - Socket ID
-   * @param {Object} userInfo - User information from OAuth
+   * @param {Object} identity - Identity from IdentityService
    * @returns {Room} Room instance
    */
-  addParticipantToRoom(roomId, socketId, userInfo = null) {
+  addParticipantToRoom(roomId, socketId, identity) {
     const room = this.getOrCreateRoom(roomId);
-    const participant = room.addParticipant(socketId, userInfo);
+    const participant = room.addParticipant(socketId, identity, this.cluster ? this.cluster.nodeId : null);
+    this.persistRoom(roomId);
     this.logger.debug(`Added participant ${socketId} (${participant.username}) to room ${roomId} (${room.participants.size} total)`, {
       isOwner: participant.isOwner
     });
@@ -75,7 +266,8 @@ class RoomManager {
     const removed = room.removeParticipant(socketId);
     if (removed) {
       this.logger.debug(`Removed participant ${socketId} from room ${roomId} (${room.participants.size} remaining)`);
-      // Clean up empty room
+      this.persistRoom(roomId);
+      // Mark room for expiry if empty
       this.cleanupRoom(roomId);
     }
     
@@ -90,7 +282,7 @@ class RoomManager {
     const rooms = [];
     
     for (const [roomId, room] of this.rooms) {
-      if (room.currentVideo && room.isPlaying && room.participants.size > 1) {
+      if (room.isPlaying() && room.participants.size > 1) {
         rooms.push({ roomId, room });
       }
     }
@@ -98,6 +290,23 @@ class RoomManager {
     return rooms;
   }
 
+  /**
+   * Get rooms that currently have participants
+   * @returns {Array<Room>} Array of rooms
+   */
+  getRoomsWithParticipants() {
+    return Array.from(this.rooms.values()).filter(room => !room.isEmpty());
+  }
+
+  /**
+   * Get rooms with scheduled sessions that are due
+   * @param {number} now - Server time in ms
+   * @returns {Array<Room>} Array of rooms
+   */
+  getRoomsWithDueSessions(now = Date.now()) {
+    return Array.from(this.rooms.values()).filter(room => room.getDueSessions(now).length > 0);
+  }
+
   /**
    * Get statistics about all rooms
    * @returns {Object} Statistics object
@@ -123,19 +332,35 @@ class RoomManager {
   }
 
   /**
-   * Cleanup old inactive rooms (for maintenance)
-   * @param {number} maxAgeMs - Maximum age in milliseconds
-   * @returns {number} Number of rooms cleaned up
+   * Cleanup rooms that have been empty for too long (for maintenance). In
+   * cluster mode only the room leader deletes the stored room; other nodes
+   * just drop their copy.
+   * @param {number} maxAgeMs - Maximum time a room may stay empty in milliseconds
+   * @returns {Promise<number>} Number of rooms cleaned up
    */
-  cleanupOldRooms(maxAgeMs = 24 * 60 * 60 * 1000) { // 24 hours default
+  async cleanupOldRooms(maxAgeMs = config.rooms.emptyRoomTtl) {
     let cleanedCount = 0;
     const now = Date.now();
     
-    for (const [roomId, room] of this.rooms) {
-      if (room.isEmpty() && (now - room.createdAt) > maxAgeMs) {
+    for (const [roomId, room] of Array.from(this.rooms)) {
+      // Rooms with scheduled sessions are kept until the sessions start
+      if (room.isEmpty() && room.emptySince && (now - room.emptySince) > maxAgeMs && room.sessions.length === 0) {
+        const isLeader = this.cluster ? await this.cluster.isRoomLeader(roomId) : true;
+        if (this.rooms.get(roomId) !== room || !room.isEmpty()) continue; // Changed while we waited
+
         this.rooms.delete(roomId);
+        clearTimeout(this.pendingSaves.get(roomId));
+        this.pendingSaves.delete(roomId);
+        if (!isLeader) {
+          this.logger.debug(`Dropped expired room, left to its leader to delete: ${roomId}`);
+          continue;
+        }
+
+        this.queueWrite(roomId, () => this.store.delete(roomId)).catch(error => {
+          this.logger.error(`Failed to delete stored room: ${roomId}`, { error: error.message });
+        });
         cleanedCount++;
-        this.logger.info(`Cleaned up old room: ${roomId}`);
+        this.logger.info(`Cleaned up expired room: ${roomId}`);
       }
     }
     
@@ -0,0 +1,306 @@
+const RoomManager = require('./RoomManager');
+const PlaylistLibrary = require('./PlaylistLibrary');
+const Logger = require('../utils/Logger');
+const config = require('../../config/default');
+const EVENTS = require('../constants/events');
+
+const ROOM_ID_PATTERN = /^[a-z0-9_-]{1,50}$/; // Room IDs as cleaned up by the client
+const DEFAULT_TITLE = 'Listening session';
+const MAX_TITLE_LENGTH = 100;
+
+/**
+ * Build an error carrying the HTTP status the routes should answer with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with a `status` property
+ */
+function createError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Scheduled listening sessions. Sessions are stored on their room, so they
+ * are persisted and shared between cluster nodes with the rest of the room
+ * state. At the start time the room leader queues the session's items ahead
+ * of the existing queue and plays the first one.
+ */
+class SessionScheduler {
+  /**
+   * @param {Object} io - Socket.IO server
+   * @param {SyncService} syncService - Used to check room leadership and advance the queue
+   * @param {ProviderRegistry} providers - Used to look up the session's items
+   */
+  constructor(io, syncService, providers) {
+    this.io = io;
+    this.syncService = syncService;
+    this.providers = providers;
+    this.logger = new Logger('SessionScheduler');
+    this.checkInterval = null;
+  }
+
+  /**
+   * Start looking for due sessions
+   */
+  start() {
+    if (this.checkInterval) return;
+
+    this.checkInterval = setInterval(() => {
+      this.startDueSessions().catch(error => {
+        this.logger.error('Starting due sessions failed', { error: error.message });
+      });
+    }, config.sessions.checkInterval);
+  }
+
+  /**
+   * Stop looking for due sessions
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * List a room's upcoming sessions. Unknown rooms have none.
+   * @param {string} roomId - Room ID
+   * @returns {Array} Session summaries, soonest first
+   */
+  list(roomId) {
+    const room = RoomManager.getRoom(roomId);
+    return room ? room.getSessionSummaries() : [];
+  }
+
+  /**
+   * Schedule a session. Rooms that don't exist yet are created with the
+   * user as owner; otherwise only the room owner can schedule.
+   * @param {string} roomId - Room ID
+   * @param {Object} user - Signed-in user { userId, username }
+   * @param {Object} data - { title?, startsAt, items } or { title?, startsAt, playlistId }
+   * @returns {Promise<Object>} { session, errors } with the items that could not be added
+   */
+  async create(roomId, user, data = {}) {
+    if (typeof roomId !== 'string' || !ROOM_ID_PATTERN.test(roomId)) {
+      throw createError('Room IDs are up to 50 lowercase letters, numbers, hyphens and underscores', 400);
+    }
+
+    const title = this.validateTitle(data.title);
+    const startsAt = this.validateStartTime(data.startsAt);
+    const identityId = `user:${user.userId}`;
+
+    // Check ownership before the lookups so strangers can't make us fetch anything
+    const existing = RoomManager.getRoom(roomId);
+    this.requireOwner(existing, identityId);
+    if (existing && existing.sessions.length >= config.sessions.maxPerRoom) {
+      throw createError(`Rooms can have up to ${config.sessions.maxPerRoom} scheduled sessions`, 400);
+    }
+
+    const { items, errors } = await this.resolveItems(user, data);
+    if (items.length === 0) {
+      throw createError('The session has no playable items', 400);
+    }
+
+    const room = RoomManager.getOrCreateRoom(roomId);
+    this.requireOwner(room, identityId); // Someone may have joined during the lookups
+    if (!room.owner) {
+      room.owner = identityId;
+    }
+    if (room.isEmpty() && !room.emptySince) {
+      room.emptySince = Date.now(); // Lets the room expire once its sessions are gone
+    }
+
+    const session = room.addSession({
+      title,
+      startsAt,
+      items,
+      createdBy: user.username,
+      createdById: identityId
+    });
+
+    RoomManager.persistRoom(roomId);
+    this.broadcastSessions(roomId, room);
+
+    this.logger.info(`Session scheduled in room ${roomId}`, {
+      sessionId: session.id,
+      startsAt: new Date(startsAt).toISOString(),
+      itemCount: items.length,
+      userId: user.userId
+    });
+
+    return {
+      session: room.getSessionSummaries().find(summary => summary.id === session.id),
+      errors
+    };
+  }
+
+  /**
+   * Cancel a scheduled session
+   * @param {string} roomId - Room ID
+   * @param {string} sessionId - Session ID
+   * @param {Object} user - Signed-in user { userId }
+   */
+  cancel(roomId, sessionId, user) {
+    const room = RoomManager.getRoom(roomId);
+    if (!room) {
+      throw createError('Session not found', 404);
+    }
+
+    this.requireOwner(room, `user:${user.userId}`);
+
+    if (!room.cancelSession(sessionId)) {
+      throw createError('Session not found', 404);
+    }
+
+    RoomManager.persistRoom(roomId);
+    this.broadcastSessions(roomId, room);
+    this.logger.info(`Session cancelled in room ${roomId}`, { sessionId, userId: user.userId });
+  }
+
+  /**
+   * Start the sessions whose time has come in the rooms this node leads.
+   * Sessions missed by more than the late start window (e.g. the server
+   * was down) are dropped instead.
+   * @param {number} now - Server time in ms
+   */
+  async startDueSessions(now = Date.now()) {
+    for (const room of RoomManager.getRoomsWithDueSessions(now)) {
+      const roomId = room.id;
+      if (!(await this.syncService.isRoomLeader(roomId))) continue;
+
+      const due = room.getDueSessions(now);
+      const missed = due.filter(session => now - session.startsAt > config.sessions.lateStartWindow);
+      const starting = due.filter(session => !missed.includes(session));
+
+      missed.forEach((session) => {
+        room.cancelSession(session.id);
+        this.logger.warn(`Dropped missed session in room ${roomId}`, { sessionId: session.id });
+      });
+
+      // Latest first, so the earliest session's items end up at the front of the queue
+      [...starting].reverse().forEach(session => room.startSession(session.id));
+
+      if (starting.length > 0) {
+        this.syncService.playQueueFront(roomId, room, room.currentVideo ? 'skipped' : null);
+        starting.forEach((session) => {
+          this.io.to(roomId).emit(EVENTS.SESSION_STARTED, { id: session.id, title: session.title });
+          this.logger.info(`Session started in room ${roomId}`, { sessionId: session.id });
+        });
+      }
+
+      RoomManager.persistRoom(roomId);
+      this.broadcastSessions(roomId, room);
+    }
+  }
+
+  /**
+   * Look up the session's items: pasted items or a saved playlist of the user
+   * @param {Object} user - Signed-in user { userId }
+   * @param {Object} data - { items } or { playlistId }
+   * @returns {Promise<Object>} { items, errors }
+   */
+  async resolveItems(user, data) {
+    let candidates = data.items;
+
+    if (data.playlistId !== undefined) {
+      candidates = (await PlaylistLibrary.get(data.playlistId, user.userId)).items;
+    }
+
+    if (!Array.isArray(candidates) || candidates.length === 0) {
+      throw createError('Provide items or a saved playlist for the session', 400);
+    }
+    if (candidates.length > config.playlists.maxItems) {
+      throw createError(`Sessions can hold up to ${config.playlists.maxItems} items`, 400);
+    }
+
+    const errors = [];
+    const sources = [];
+
+    candidates.forEach((candidate) => {
+      const source = this.providers.resolveSource(candidate);
+      if (source) {
+        sources.push(source);
+      } else {
+        const input = candidate?.sourceId ?? candidate?.videoId ?? candidate?.url;
+        errors.push({ input: typeof input === 'string' ? input.slice(0, 100) : null, message: 'Invalid video ID or unsupported link' });
+      }
+    });
+
+    const items = [];
+    (await this.providers.getDetailsBatch(sources)).forEach(({ source, details, error }) => {
+      if (error) {
+        errors.push({ input: source.sourceId, message: error.message });
+      } else {
+        items.push(details);
+      }
+    });
+
+    return { items, errors };
+  }
+
+  /**
+   * Only the room owner can manage its sessions; rooms nobody owns yet are claimed
+   * @param {Room|null} room - Room, or null if it doesn't exist yet
+   * @param {string} identityId - Identity ID of the user
+   */
+  requireOwner(room, identityId) {
+    if (room && room.owner && room.owner !== identityId) {
+      throw createError('Only the room owner can manage scheduled sessions', 403);
+    }
+  }
+
+  /**
+   * Check and trim a session title
+   * @param {string} title - Requested title
+   * @returns {string} Valid title
+   */
+  validateTitle(title) {
+    if (title === undefined || title === null || title === '') return DEFAULT_TITLE;
+
+    if (typeof title !== 'string' || !title.trim()) {
+      throw createError('Session title must be text', 400);
+    }
+    if (title.trim().length > MAX_TITLE_LENGTH) {
+      throw createError(`Session title must be at most ${MAX_TITLE_LENGTH} characters`, 400);
+    }
+
+    return title.trim();
+  }
+
+  /**
+   * Parse a start time given as an ISO date string or a timestamp in ms
+   * @param {string|number} startsAt - Requested start time
+   * @returns {number} Start time in ms
+   */
+  validateStartTime(startsAt) {
+    if (typeof startsAt !== 'number' && typeof startsAt !== 'string') {
+      throw createError('Start time required', 400);
+    }
+
+    const time = typeof startsAt === 'number' ? startsAt : Date.parse(startsAt);
+    if (!Number.isFinite(time)) {
+      throw createError('Start time must be an ISO date or a timestamp', 400);
+    }
+    if (time <= Date.now()) {
+      throw createError('Start time must be in the future', 400);
+    }
+    if (time - Date.now() > config.sessions.maxLeadTime) {
+      const days = Math.round(config.sessions.maxLeadTime / (24 * 60 * 60 * 1000));
+      throw createError(`Sessions can be scheduled up to ${days} days ahead`, 400);
+    }
+
+    return time;
+  }
+
+  /**
+   * Send a room's upcoming sessions to its participants
+   * @param {string} roomId - Room ID
+   * @param {Room} room - Room instance
+   */
+  broadcastSessions(roomId, room) {
+    this.io.to(roomId).emit(EVENTS.SESSIONS_UPDATED, room.getSessionSummaries());
+  }
+}
+
+module.exports = SessionScheduler;
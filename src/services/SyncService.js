@@ -1,14 +1,19 @@
 const RoomManager = require('./RoomManager');
+const RadioService = require('./RadioService');
+const YouTubeService = require('./YouTubeService');
 const Logger = require('../utils/Logger');
 const config = require('../../config/default');
 const EVENTS = require('../constants/events');
 
 class SyncService {
-  constructor(io) {
+  constructor(io, cluster = null, youtubeService = new YouTubeService()) {
     this.io = io;
+    this.cluster = cluster;
     this.logger = new Logger('SyncService');
     this.syncInterval = null;
     this.config = config.sync;
+    this.radioService = new RadioService(youtubeService);
+    this.radioFills = new Set(); // Rooms with a radio top-up in progress
   }
 
   /**
@@ -21,7 +26,9 @@ class SyncService {
     }
 
     this.syncInterval = setInterval(() => {
-      this.performPeriodicSync();
+      this.performPeriodicSync().catch(error => {
+        this.logger.error('Periodic sync failed', { error: error.message });
+      });
     }, this.config.periodicSyncInterval);
 
     this.logger.info('Sync service started', {
@@ -41,9 +48,22 @@ class SyncService {
   }
 
   /**
-   * Perform periodic sync for all active rooms
+   * Check whether this node should run periodic work for a room
+   * @param {string} roomId - Room ID
+   * @returns {Promise<boolean>} True if this node leads the room
+   */
+  async isRoomLeader(roomId) {
+    return this.cluster ? this.cluster.isRoomLeader(roomId) : true;
+  }
+
+  /**
+   * Perform periodic sync for all active rooms this node leads
    */
-  performPeriodicSync() {
+  async performPeriodicSync() {
+    if (this.cluster && this.cluster.enabled) {
+      await this.pruneStaleParticipants();
+    }
+
     const rooms = RoomManager.getRoomsForPeriodicSync();
     
     if (rooms.length === 0) {
@@ -52,101 +72,208 @@ class SyncService {
 
     this.logger.debug(`Performing periodic sync for ${rooms.length} rooms`);
 
-    rooms.forEach(({ roomId, room }) => {
-      const currentState = room.getState();
-      
+    for (const { roomId, room } of rooms) {
+      if (!(await this.isRoomLeader(roomId))) continue;
+
       this.logger.debug(`Broadcasting periodic sync for room ${roomId}`, {
-        time: currentState.currentTime.toFixed(1),
+        time: room.clock.getPosition().toFixed(1),
         participants: room.participants.size
       });
 
-      this.io.to(roomId).emit(EVENTS.PERIODIC_SYNC, {
-        time: currentState.currentTime,
-        tolerance: this.config.syncThresholds.periodic
-      });
-    });
+      this.broadcastPlaybackState(roomId, room);
+    }
   }
 
   /**
-   * Sync new participant to current room state
-   * @param {string} socketId - Socket ID of new participant
-   * @param {string} roomId - Room ID
-   * @param {Object} currentState - Current room state
+   * Remove participants whose sockets are gone from every node (for example
+   * after a node crashed). Nodes only publish their own participants, so
+   * every node prunes its copy; the room leader announces the departures.
    */
-  syncNewParticipant(socketId, roomId, currentState) {
-    if (!currentState.currentVideo || !currentState.isPlaying) {
-      return;
+  async pruneStaleParticipants() {
+    for (const room of RoomManager.getRoomsWithParticipants()) {
+      const roomId = room.id;
+
+      try {
+        // Taken before the lookup, so people joining meanwhile aren't mistaken for stale
+        const participants = Array.from(room.participants.values());
+        const sockets = await this.io.in(roomId).fetchSockets();
+        const connectedIds = new Set(sockets.map(socket => socket.id));
+        const staleParticipants = participants
+          .filter(participant => !connectedIds.has(participant.socketId));
+
+        if (staleParticipants.length === 0) continue;
+
+        if (!(await this.isRoomLeader(roomId))) {
+          staleParticipants.forEach(({ socketId }) => room.removeParticipant(socketId));
+          continue;
+        }
+
+        const previousOwner = room.getEffectiveOwner();
+        staleParticipants.forEach(({ socketId, identityId }) => {
+          RoomManager.removeParticipantFromRoom(roomId, socketId);
+          this.io.to(roomId).emit(EVENTS.PARTICIPANT_LEFT, {
+            socketId,
+            identityId,
+            participantCount: room.participants.size
+          });
+        });
+
+        const currentOwner = room.getEffectiveOwner();
+        if (currentOwner && currentOwner !== previousOwner) {
+          this.io.to(roomId).emit(EVENTS.ROLE_UPDATED, room.getRoleInfo(currentOwner));
+        }
+        this.recountSkipVotes(roomId, room);
+
+        this.logger.info(`Pruned ${staleParticipants.length} stale participants from room ${roomId}`);
+      } catch (error) {
+        this.logger.error(`Failed to prune participants in room ${roomId}`, { error: error.message });
+      }
     }
+  }
 
-    this.logger.debug(`Syncing new participant to position`, {
-      socketId,
-      roomId,
-      time: currentState.currentTime.toFixed(1),
-      isPlaying: currentState.isPlaying
-    });
+  /**
+   * Broadcast the room's playback timeline to every participant
+   * @param {string} roomId - Room ID
+   * @param {Object} room - Room instance
+   */
+  broadcastPlaybackState(roomId, room = RoomManager.getRoom(roomId)) {
+    if (!room) return;
 
-    // Delay sync to allow client player to initialize
-    setTimeout(() => {
-      this.io.to(socketId).emit(EVENTS.SYNC_POSITION, {
-        time: currentState.currentTime,
-        isPlaying: currentState.isPlaying
-      });
-    }, 1000);
+    this.io.to(roomId).emit(EVENTS.PLAYBACK_STATE, room.getPlaybackState());
   }
 
   /**
-   * Broadcast seek event to all participants in room except sender
+   * Move the room to the next playlist item and tell every participant
    * @param {string} roomId - Room ID
-   * @param {string} senderSocketId - Socket ID of sender
-   * @param {number} time - Seek time
+   * @param {Object} room - Room instance
+   * @param {string} outcome - How the current item ended ('finished' or 'skipped') for the play history
+   * @returns {Object|null} Next video or null if the playlist ended
    */
-  broadcastSeek(roomId, senderSocketId, time) {
-    this.logger.debug(`Broadcasting seek event`, {
-      roomId,
-      time: time.toFixed(1),
-      sender: senderSocketId
-    });
+  advancePlaylist(roomId, room, outcome = null) {
+    const recordsPlay = !!room.currentVideo && !!outcome;
+    return this.announceNextVideo(roomId, room, room.playNext(outcome), recordsPlay);
+  }
 
-    this.io.to(roomId).except(senderSocketId).emit(EVENTS.SEEK, time);
+  /**
+   * Play the item at the front of the room's queue, bypassing the play
+   * mode, and tell every participant
+   * @param {string} roomId - Room ID
+   * @param {Object} room - Room instance
+   * @param {string} outcome - How the current item ended ('finished' or 'skipped') for the play history
+   * @returns {Object|null} Next video or null if the playlist ended
+   */
+  playQueueFront(roomId, room, outcome = null) {
+    const recordsPlay = !!room.currentVideo && !!outcome;
+    return this.announceNextVideo(roomId, room, room.playQueueFront(outcome), recordsPlay);
   }
 
   /**
-   * Broadcast play/pause state to all participants in room except sender
+   * Broadcast a change of item and top up the radio queue
    * @param {string} roomId - Room ID
-   * @param {string} senderSocketId - Socket ID of sender
-   * @param {boolean} isPlaying - Playing state
+   * @param {Object} room - Room instance
+   * @param {Object|null} nextVideo - Item now playing, or null if the playlist ended
+   * @param {boolean} recordsPlay - Whether the previous item was added to the play history
+   * @returns {Object|null} Next video
    */
-  broadcastPlayState(roomId, senderSocketId, isPlaying) {
-    const event = isPlaying ? EVENTS.PLAY : EVENTS.PAUSE;
-    
-    this.logger.debug(`Broadcasting ${event} event`, {
-      roomId,
-      sender: senderSocketId
+  announceNextVideo(roomId, room, nextVideo, recordsPlay) {
+    if (recordsPlay) {
+      this.io.to(roomId).emit(EVENTS.PLAY_HISTORY_UPDATED, room.playHistory);
+    }
+    if (nextVideo) {
+      this.io.to(roomId).emit(EVENTS.PLAY_VIDEO, nextVideo);
+    } else {
+      this.io.to(roomId).emit(EVENTS.PLAYLIST_ENDED);
+    }
+    this.broadcastPlaybackState(roomId, room);
+    this.broadcastSkipVotes(roomId, room);
+
+    this.io.to(roomId).emit(EVENTS.PLAYLIST_UPDATED, room.playlist);
+    RoomManager.persistRoom(roomId);
+
+    this.fillRadio(roomId, room).catch(error => {
+      this.logger.error(`Radio fill failed for room ${roomId}`, { error: error.message });
     });
+    return nextVideo;
+  }
+
+  /**
+   * Top up a room's queue with related tracks when radio mode is on and
+   * the queue is running low, and start playing if the room went quiet
+   * @param {string} roomId - Room ID
+   * @param {Object} room - Room instance
+   */
+  async fillRadio(roomId, room) {
+    if (this.radioFills.has(roomId) || !this.radioService.needsTracks(room)) return;
+
+    this.radioFills.add(roomId);
+    let videos;
+    try {
+      videos = await this.radioService.findTracks(room);
+    } finally {
+      this.radioFills.delete(roomId);
+    }
+
+    // The room may have closed or radio been turned off during the search
+    if (RoomManager.getRoom(roomId) !== room || !room.queueSettings.radio || videos.length === 0) return;
 
-    this.io.to(roomId).except(senderSocketId).emit(event);
+    // Radio picks follow the same content rules as everyone else
+    videos = videos.filter(video => !room.checkVideoPolicies(video));
+    if (videos.length === 0) return;
+
+    videos.forEach(video => room.addRadioVideo(video));
+    this.logger.info(`Radio added ${videos.length} track${videos.length !== 1 ? 's' : ''} to room ${roomId}`);
+
+    if (room.currentVideo) {
+      this.io.to(roomId).emit(EVENTS.PLAYLIST_UPDATED, room.playlist);
+      RoomManager.persistRoom(roomId);
+    } else {
+      this.advancePlaylist(roomId, room);
+    }
   }
 
   /**
-   * Update room time based on client updates
+   * Broadcast skip vote progress for the current item
    * @param {string} roomId - Room ID
-   * @param {string} socketId - Socket ID of updater
-   * @param {number} currentTime - Current time from client
+   * @param {Object} room - Room instance
    */
-  updateRoomTime(roomId, socketId, currentTime) {
-    const room = RoomManager.getRoom(roomId);
-    if (!room || !room.currentVideo || !room.isPlaying) {
-      return;
+  broadcastSkipVotes(roomId, room) {
+    this.io.to(roomId).emit(EVENTS.SKIP_VOTES_UPDATED, room.getSkipVoteStatus());
+  }
+
+  /**
+   * Recount skip votes after the participants changed. Votes of people who
+   * left are dropped, and fewer participants can be enough to skip.
+   * @param {string} roomId - Room ID
+   * @param {Object} room - Room instance
+   */
+  recountSkipVotes(roomId, room) {
+    if (room.pruneSkipVotes()) {
+      RoomManager.persistRoom(roomId);
     }
 
-    const oldTime = room.currentTime;
-    room.updateState({ currentTime });
+    if (room.hasEnoughSkipVotes()) {
+      this.logger.debug(`Skip vote passed after recount in room ${roomId}`);
+      this.advancePlaylist(roomId, room, 'skipped');
+    } else {
+      this.broadcastSkipVotes(roomId, room);
+    }
+  }
+
+  /**
+   * Answer a clock sync ping. The client estimates its offset from the
+   * server clock as ((receivedAt - clientSentAt) + (sentAt - clientReceivedAt)) / 2
+   * and keeps the sample with the lowest round-trip time.
+   * @param {Object} socket - Socket instance
+   * @param {number} clientSentAt - Client time when the ping was sent
+   * @param {number} receivedAt - Server time when the ping arrived
+   */
+  handleTimeSyncPing(socket, clientSentAt, receivedAt) {
+    if (typeof clientSentAt !== 'number') return;
 
-    this.logger.debug(`Time update received`, {
-      roomId,
-      socketId,
-      oldTime: oldTime.toFixed(1),
-      newTime: currentTime.toFixed(1)
+    socket.emit(EVENTS.TIME_SYNC_PONG, {
+      clientSentAt,
+      serverReceivedAt: receivedAt,
+      serverSentAt: Date.now()
     });
   }
 }
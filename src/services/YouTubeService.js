@@ -1,10 +1,78 @@
 const yt = require('youtube-search-without-api-key');
 const Logger = require('../utils/Logger');
+const TtlCache = require('../utils/TtlCache');
+
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const PLAYLIST_ID_PATTERN = /^[A-Za-z0-9_-]{2,64}$/;
+const YOUTUBE_HOSTS = new Set([
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'youtube-nocookie.com',
+  'www.youtube-nocookie.com'
+]);
+const SHORT_LINK_HOSTS = new Set(['youtu.be', 'www.youtu.be']);
+const IMPORT_CONCURRENCY = 5;
+
+// Search duration filters: the YouTube search bucket and its range in seconds
+const SEARCH_DURATIONS = {
+  short: { bucket: 'under', min: 0, max: 4 * 60 },
+  medium: { bucket: 'between', min: 4 * 60, max: 20 * 60 },
+  long: { bucket: 'over', min: 20 * 60, max: Infinity }
+};
+// Title hints used by the music-only filter (search results carry no category)
+const MUSIC_TITLE_PATTERN = /\b(official (music )?video|official audio|audio|lyrics?|lyric video|visuali[sz]er|ft\.?|feat\.?|remix|cover|acoustic|instrumental|karaoke|mv|album|single|ost|song)\b|\s[-–]\s/i;
+
+/**
+ * Parse a "h:mm:ss" or "m:ss" length as shown by YouTube
+ * @param {string} raw - Displayed length
+ * @returns {number|null} Length in seconds, or null if unknown (e.g. live streams)
+ */
+function parseDuration(raw) {
+  if (typeof raw !== 'string' || !/^\d+(:\d{1,2}){1,2}$/.test(raw.trim())) return null;
+  return raw.trim().split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Build an error for a bad search request (answered with HTTP 400)
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_SEARCH
+ */
+function createSearchError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SEARCH';
+  return error;
+}
+
+/**
+ * Build an error for a video that does not exist or cannot be played, as
+ * opposed to YouTube being unreachable
+ * @param {string} message - Error message
+ * @returns {Error} Error with code VIDEO_UNAVAILABLE
+ */
+function createUnavailableError(message) {
+  const error = new Error(message);
+  error.code = 'VIDEO_UNAVAILABLE';
+  return error;
+}
 
 class YouTubeService {
-  constructor(apiKey = null, maxResults = 10) {
+  constructor(apiKey = null, maxResults = 10, options = {}) {
     // API key no longer needed but keeping parameter for backward compatibility
     this.maxResults = maxResults;
+    this.importMaxItems = options.importMaxItems || 50;
+    this.requestTimeout = options.requestTimeout || 10000;
+    this.detailsCache = new TtlCache({
+      maxEntries: options.detailsCacheSize || 1000,
+      ttlMs: options.detailsCacheTtl || 6 * 60 * 60 * 1000
+    });
+    this.pendingDetails = new Map(); // videoId -> in-flight lookup
+    this.searchCache = new TtlCache({
+      maxEntries: options.searchCacheSize || 200,
+      ttlMs: options.searchCacheTtl || 10 * 60 * 1000
+    });
+    this.pendingSearches = new Map(); // cache key -> in-flight search
     this.logger = new Logger('YouTubeService');
   }
 
@@ -15,21 +83,94 @@ class YouTubeService {
    * @returns {Promise<Array>} Array of video objects
    */
   async searchVideos(query, maxResults = this.maxResults) {
+    const { videos } = await this.search(query, { pageSize: maxResults });
+    return videos;
+  }
+
+  /**
+   * Search with filters and paging. YouTube's results for a query are
+   * cached, and pages are served from the cached list; a page token
+   * carries the query, filters and offset, so the next page only needs
+   * the token.
+   * @param {string} query - Search query (ignored when pageToken is given)
+   * @param {Object} options - { filters, pageToken, pageSize }
+   * @returns {Promise<Object>} { query, filters, videos, nextPageToken, cache: { hit, ageMs } }
+   */
+  async search(query, { filters = {}, pageToken = null, pageSize = this.maxResults } = {}) {
+    let offset = 0;
+
+    if (pageToken) {
+      const page = this.decodePageToken(pageToken);
+      query = page.query;
+      filters = page.filters;
+      offset = page.offset;
+    }
+
+    filters = this.parseSearchFilters(filters);
+    const { results, hit, fetchedAt } = await this.getSearchResults(query, filters.duration);
+    const matching = results.filter(video => this.matchesSearchFilters(video, filters));
+    const nextOffset = offset + pageSize;
+
+    return {
+      query,
+      filters,
+      videos: matching.slice(offset, nextOffset),
+      nextPageToken: nextOffset < matching.length
+        ? this.encodePageToken({ query, filters, offset: nextOffset })
+        : null,
+      cache: { hit, ageMs: Date.now() - fetchedAt }
+    };
+  }
+
+  /**
+   * Get YouTube's results for a query, from the cache when possible
+   * @param {string} query - Search query
+   * @param {string} duration - Duration filter ('any', 'short', 'medium' or 'long')
+   * @returns {Promise<Object>} { results, hit, fetchedAt }
+   */
+  async getSearchResults(query, duration) {
+    const key = `${duration}:${this.normalizeQuery(query)}`;
+    const cached = this.searchCache.get(key);
+
+    if (cached) {
+      return { ...cached, hit: true };
+    }
+
+    // Identical searches made at the same time share one request
+    if (!this.pendingSearches.has(key)) {
+      const pending = this.fetchSearchResults(key, query, duration)
+        .finally(() => this.pendingSearches.delete(key));
+      this.pendingSearches.set(key, pending);
+    }
+
+    const entry = await this.pendingSearches.get(key);
+    return { ...entry, hit: false };
+  }
+
+  /**
+   * Run a YouTube search and cache the results
+   * @param {string} key - Cache key
+   * @param {string} query - Search query
+   * @param {string} duration - Duration filter
+   * @returns {Promise<Object>} { results, fetchedAt }
+   */
+  async fetchSearchResults(key, query, duration) {
     try {
-      const videos = await yt.search(query.trim());
-      
-      // Limit results to maxResults
-      const limitedVideos = videos.slice(0, maxResults);
-      
-      // Transform to our expected format
-      const transformedVideos = limitedVideos.map(this.transformVideoData);
-      
-      this.logger.debug(`Search completed for "${query}"`, { 
-        resultCount: transformedVideos.length,
-        query 
+      const options = duration !== 'any' ? { duration: SEARCH_DURATIONS[duration].bucket } : undefined;
+      const videos = await this.withTimeout(yt.search(query.trim(), options));
+      const entry = {
+        results: videos.map(this.transformVideoData).filter(video => video.videoId),
+        fetchedAt: Date.now()
+      };
+
+      this.searchCache.set(key, entry);
+      this.logger.debug(`Search completed for "${query}"`, {
+        resultCount: entry.results.length,
+        query,
+        duration
       });
-      
-      return transformedVideos;
+
+      return entry;
 
     } catch (error) {
       this.logger.error('YouTube search failed', {
@@ -41,6 +182,87 @@ class YouTubeService {
     }
   }
 
+  /**
+   * Normalize a query for cache lookups, so case and spacing differences share an entry
+   * @param {string} query - Search query
+   * @returns {string} Normalized query
+   */
+  normalizeQuery(query) {
+    return (query || '').normalize('NFKC').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Check and complete search filters
+   * @param {Object} filters - { duration?, excludeLive?, musicOnly? }
+   * @returns {Object} { duration, excludeLive, musicOnly }
+   */
+  parseSearchFilters(filters = {}) {
+    const duration = filters.duration || 'any';
+
+    if (duration !== 'any' && !SEARCH_DURATIONS[duration]) {
+      throw createSearchError('Duration filter must be any, short, medium or long');
+    }
+
+    return {
+      duration,
+      excludeLive: filters.excludeLive === true || filters.excludeLive === 'true',
+      musicOnly: filters.musicOnly === true || filters.musicOnly === 'true'
+    };
+  }
+
+  /**
+   * Check a search result against the filters. Live streams are the
+   * results without a length. Music is recognised by title hints and a
+   * song-like length, as search results carry no category.
+   * @param {Object} video - Transformed search result
+   * @param {Object} filters - Parsed filters
+   * @returns {boolean} True if the result should be shown
+   */
+  matchesSearchFilters(video, filters) {
+    const { duration } = video;
+
+    if (filters.excludeLive && duration === null) return false;
+
+    if (filters.duration !== 'any') {
+      const range = SEARCH_DURATIONS[filters.duration];
+      if (duration === null || duration < range.min || duration >= range.max) return false;
+    }
+
+    if (filters.musicOnly) {
+      if (duration === null || duration < 60 || duration > 15 * 60) return false;
+      if (!MUSIC_TITLE_PATTERN.test(video.title || '')) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Encode the position of the next search page
+   * @param {Object} page - { query, filters, offset }
+   * @returns {string} Opaque page token
+   */
+  encodePageToken({ query, filters, offset }) {
+    return Buffer.from(JSON.stringify({ q: query, f: filters, o: offset })).toString('base64url');
+  }
+
+  /**
+   * Decode a page token from encodePageToken
+   * @param {string} token - Page token
+   * @returns {Object} { query, filters, offset }
+   */
+  decodePageToken(token) {
+    try {
+      const { q, f, o } = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+      if (typeof q === 'string' && q.trim() && q.length <= 100 && Number.isInteger(o) && o > 0 && f && typeof f === 'object') {
+        return { query: q, filters: f, offset: o };
+      }
+    } catch (error) {
+      // Reported below
+    }
+
+    throw createSearchError('Invalid page token');
+  }
+
   /**
    * Transform youtube-search-without-api-key video data to our format
    * @param {Object} item - Video item from youtube-search-without-api-key
@@ -52,6 +274,7 @@ class YouTubeService {
       title: item.title || item.snippet?.title,
       thumbnail: item.snippet?.thumbnails?.url || item.snippet?.thumbnails?.high?.url || item.snippet?.thumbnails?.default?.url,
       channelTitle: item.channelTitle || 'Unknown Channel', // New API doesn't provide channel info
+      duration: parseDuration(item.duration_raw),
       description: item.description || '',
       publishedAt: item.snippet?.publishedAt || 'Unknown'
     };
@@ -69,7 +292,7 @@ class YouTubeService {
       return new Error('Network error: Unable to connect to YouTube');
     }
     
-    if (error.message && error.message.includes('timeout')) {
+    if (error.message && (error.message.includes('timeout') || error.message.includes('timed out'))) {
       return new Error('Search timeout: YouTube request took too long');
     }
     
@@ -77,41 +300,400 @@ class YouTubeService {
   }
 
   /**
-   * Get video details by ID
-   * Note: youtube-search-without-api-key doesn't provide detailed video info by ID
-   * This method now performs a search with the video ID
+   * Check that a string is a YouTube video ID
+   * @param {string} videoId - Candidate ID
+   * @returns {boolean} True if it has the video ID format
+   */
+  isValidVideoId(videoId) {
+    return typeof videoId === 'string' && VIDEO_ID_PATTERN.test(videoId);
+  }
+
+  /**
+   * Get canonical video details by ID. Results are cached, and concurrent
+   * lookups of the same video share one request.
    * @param {string} videoId - YouTube video ID
-   * @returns {Promise<Object>} Video details
+   * @returns {Promise<Object>} { videoId, title, channelTitle, thumbnail, duration } with duration in seconds or null
    */
   async getVideoDetails(videoId) {
-    try {
-      // Search using the video ID
-      const results = await yt.search(videoId);
-      
-      if (!results || results.length === 0) {
-        throw new Error('Video not found');
-      }
+    if (!this.isValidVideoId(videoId)) {
+      throw createUnavailableError('Invalid video ID');
+    }
 
-      // Find exact match or use first result
-      const video = results.find(v => v.id?.videoId === videoId) || results[0];
-      
+    const cached = this.detailsCache.get(videoId);
+    if (cached) return cached;
+
+    if (!this.pendingDetails.has(videoId)) {
+      const lookup = this.fetchVideoDetails(videoId)
+        .then((details) => {
+          this.detailsCache.set(videoId, details);
+          return details;
+        })
+        .finally(() => this.pendingDetails.delete(videoId));
+      this.pendingDetails.set(videoId, lookup);
+    }
+
+    return this.pendingDetails.get(videoId);
+  }
+
+  /**
+   * Look up a video without the cache. Title, channel and thumbnail come
+   * from oEmbed, which knows every public video; it has no length, so that
+   * is taken from search results or, failing that, the watch page.
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<Object>} Video details
+   */
+  async fetchVideoDetails(videoId) {
+    try {
+      const [metadata, duration] = await Promise.all([
+        this.getVideoMetadata(videoId),
+        this.getVideoDuration(videoId)
+      ]);
       return {
-        videoId: video.id?.videoId || videoId,
-        title: video.title || video.snippet?.title,
-        channelTitle: video.channelTitle || 'Unknown Channel',
-        duration: video.duration_raw || 'Unknown',
-        thumbnail: video.snippet?.thumbnails?.url || video.snippet?.thumbnails?.high?.url,
-        description: video.description || ''
+        videoId,
+        title: metadata.title,
+        channelTitle: metadata.channelTitle,
+        thumbnail: metadata.thumbnail,
+        duration
       };
+    } catch (error) {
+      if (error.code === 'VIDEO_UNAVAILABLE') throw error;
 
+      this.logger.error('Failed to get video details', { videoId, error: error.message });
+      throw new Error('Unable to reach YouTube to look up the video');
+    }
+  }
+
+  /**
+   * Get a video's length from search results, or its watch page when
+   * search does not find the video by its ID
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<number|null>} Length in seconds, or null if unknown
+   */
+  async getVideoDuration(videoId) {
+    try {
+      const results = await this.withTimeout(yt.search(videoId));
+      const video = (results || []).find(result => result.id?.videoId === videoId);
+      const duration = video ? parseDuration(video.duration_raw) : null;
+      if (duration) return duration;
     } catch (error) {
-      this.logger.error('Failed to get video details', {
-        videoId,
-        error: error.message
+      this.logger.debug('Video search by ID failed, reading the watch page', { videoId, error: error.message });
+    }
+
+    return this.getVideoLength(videoId);
+  }
+
+  /**
+   * Read a video's length from its watch page
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<number|null>} Length in seconds, or null if unknown
+   */
+  async getVideoLength(videoId) {
+    try {
+      const html = await this.fetchText(`https://www.youtube.com/watch?v=${videoId}`);
+      const match = html.match(/"lengthSeconds":"(\d+)"/);
+      return match && Number(match[1]) > 0 ? Number(match[1]) : null;
+    } catch (error) {
+      this.logger.debug('Could not read video length', { videoId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Get canonical details for several videos
+   * @param {Array<string>} videoIds - YouTube video IDs
+   * @returns {Promise<Array>} { videoId, details } or { videoId, error } per ID, in order
+   */
+  async getVideoDetailsBatch(videoIds) {
+    return this.mapWithConcurrency(videoIds, IMPORT_CONCURRENCY, async (videoId) => {
+      try {
+        return { videoId, details: await this.getVideoDetails(videoId) };
+      } catch (error) {
+        return { videoId, error };
+      }
+    });
+  }
+
+  /**
+   * Parse a YouTube link or bare ID
+   * Understands watch, shorts, embed, youtu.be and playlist URLs.
+   * @param {string} link - URL or ID
+   * @returns {Object|null} { type: 'video'|'playlist', id } or null if not recognised
+   */
+  parseLink(link) {
+    const value = (link || '').trim();
+    if (!value) return null;
+
+    if (VIDEO_ID_PATTERN.test(value)) {
+      return { type: 'video', id: value };
+    }
+
+    let url;
+    try {
+      url = new URL(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+    } catch (error) {
+      return null;
+    }
+
+    const host = url.hostname.toLowerCase();
+    const segments = url.pathname.split('/').filter(Boolean);
+
+    if (SHORT_LINK_HOSTS.has(host)) {
+      return VIDEO_ID_PATTERN.test(segments[0] || '') ? { type: 'video', id: segments[0] } : null;
+    }
+
+    if (!YOUTUBE_HOSTS.has(host)) return null;
+
+    const videoId = url.searchParams.get('v');
+    const listId = url.searchParams.get('list');
+
+    // A watch URL that also carries a list plays the single video
+    if (videoId) {
+      return VIDEO_ID_PATTERN.test(videoId) ? { type: 'video', id: videoId } : null;
+    }
+
+    if (['shorts', 'embed', 'live', 'v'].includes(segments[0])) {
+      return VIDEO_ID_PATTERN.test(segments[1] || '') ? { type: 'video', id: segments[1] } : null;
+    }
+
+    if (listId && PLAYLIST_ID_PATTERN.test(listId)) {
+      return { type: 'playlist', id: listId };
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve pasted links into playable videos
+   * Entries may be separated by newlines, spaces or commas. Items beyond the
+   * limit are dropped and reported through `truncated`.
+   * @param {string} input - Playlist URL, video URLs or IDs
+   * @param {number} maxItems - Maximum number of videos to return
+   * @returns {Promise<Object>} { videos, errors: [{ input, message }], limit, truncated }
+   */
+  async resolveImport(input, maxItems = this.importMaxItems) {
+    const entries = Array.from(new Set(
+      (input || '').split(/[\s,]+/).map(entry => entry.trim()).filter(Boolean)
+    ));
+
+    const errors = [];
+    const links = [];
+
+    entries.forEach((entry) => {
+      const link = this.parseLink(entry);
+      if (link) {
+        links.push({ entry, ...link });
+      } else {
+        errors.push({ input: entry, message: 'Not a YouTube video or playlist link' });
+      }
+    });
+
+    // Every link yields at least one video, so anything past the limit can be skipped up front
+    const truncated = links.length > maxItems;
+    const resolved = await this.mapWithConcurrency(links.slice(0, maxItems), IMPORT_CONCURRENCY, async (link) => {
+      try {
+        if (link.type === 'playlist') {
+          return await this.getPlaylistVideos(link.id);
+        }
+        return { videos: [await this.getVideoMetadata(link.id)], errors: [] };
+      } catch (error) {
+        return { videos: [], errors: [{ input: link.entry, message: error.message }] };
+      }
+    });
+
+    const videos = [];
+    let overflow = truncated;
+
+    resolved.forEach((result) => {
+      const room = maxItems - videos.length;
+      if (result.videos.length > room) overflow = true;
+      videos.push(...result.videos.slice(0, Math.max(0, room)));
+      errors.push(...result.errors);
+    });
+
+    this.logger.debug('Import resolved', {
+      entryCount: entries.length,
+      videoCount: videos.length,
+      errorCount: errors.length,
+      truncated: overflow
+    });
+
+    return { videos, errors, limit: maxItems, truncated: overflow };
+  }
+
+  /**
+   * Get the videos of a public playlist
+   * Reads the playlist page's initial data since the search library has no playlist lookup.
+   * @param {string} playlistId - YouTube playlist ID
+   * @returns {Promise<Object>} { videos, errors } where errors lists unavailable entries
+   */
+  async getPlaylistVideos(playlistId) {
+    const html = await this.fetchText(`https://www.youtube.com/playlist?list=${encodeURIComponent(playlistId)}`);
+    const match = html.match(/ytInitialData\s*=\s*(\{.+?\});\s*<\/script>/s);
+
+    if (!match) {
+      throw new Error('Playlist not found or private');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(match[1]);
+    } catch (error) {
+      throw new Error('Unable to read playlist');
+    }
+
+    const renderers = [];
+    this.collectRenderers(data, 'playlistVideoRenderer', renderers);
+
+    if (renderers.length === 0) {
+      throw new Error('Playlist is empty, private or unavailable');
+    }
+
+    const videos = [];
+    const errors = [];
+
+    renderers.forEach((renderer) => {
+      const title = renderer.title?.runs?.[0]?.text || renderer.title?.simpleText;
+
+      if (!renderer.videoId || renderer.isPlayable === false) {
+        errors.push({ input: renderer.videoId || playlistId, message: `${title || 'Video'} is unavailable` });
+        return;
+      }
+
+      const thumbnails = renderer.thumbnail?.thumbnails || [];
+      videos.push({
+        videoId: renderer.videoId,
+        title: title || 'Untitled',
+        thumbnail: thumbnails[thumbnails.length - 1]?.url || `https://i.ytimg.com/vi/${renderer.videoId}/hqdefault.jpg`,
+        channelTitle: renderer.shortBylineText?.runs?.[0]?.text || 'Unknown Channel',
+        duration: Number(renderer.lengthSeconds) || null,
+        description: '',
+        publishedAt: 'Unknown'
       });
-      
-      throw this.handleApiError(error);
+    });
+
+    return { videos, errors };
+  }
+
+  /**
+   * Get basic metadata for a single video via oEmbed
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<Object>} Video object
+   */
+  async getVideoMetadata(videoId) {
+    const watchUrl = `https://www.youtube.com/watch?v=${videoId}`;
+    const response = await this.fetchWithTimeout(`https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(watchUrl)}`);
+
+    if (response.status === 401 || response.status === 403) {
+      throw createUnavailableError('Video is private or cannot be embedded');
     }
+
+    if (!response.ok) {
+      throw createUnavailableError('Video not found');
+    }
+
+    const data = await response.json();
+
+    return {
+      videoId,
+      title: data.title || 'Untitled',
+      thumbnail: data.thumbnail_url || `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+      channelTitle: data.author_name || 'Unknown Channel',
+      description: '',
+      publishedAt: 'Unknown'
+    };
+  }
+
+  /**
+   * Fetch a page as text
+   * @param {string} url - URL to fetch
+   * @returns {Promise<string>} Response body
+   */
+  async fetchText(url) {
+    const response = await this.fetchWithTimeout(url);
+
+    if (!response.ok) {
+      throw new Error(response.status === 404 ? 'Not found' : `YouTube responded with ${response.status}`);
+    }
+
+    return response.text();
+  }
+
+  /**
+   * Fetch with the service request timeout
+   * @param {string} url - URL to fetch
+   * @returns {Promise<Response>} Fetch response
+   */
+  async fetchWithTimeout(url) {
+    try {
+      return await fetch(url, {
+        headers: { 'Accept-Language': 'en-US,en;q=0.9' },
+        signal: AbortSignal.timeout(this.requestTimeout)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw new Error('YouTube request timed out');
+      }
+      throw new Error('Network error: Unable to connect to YouTube');
+    }
+  }
+
+  /**
+   * Give up on a call that takes longer than the service request timeout
+   * (for libraries that take no timeout of their own)
+   * @param {Promise} promise - Pending call
+   * @returns {Promise} The call's result
+   */
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('YouTube request timed out')), this.requestTimeout);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Recursively collect objects stored under a key
+   * @param {*} node - Node to search
+   * @param {string} key - Key to collect
+   * @param {Array} results - Collected objects
+   */
+  collectRenderers(node, key, results) {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+      node.forEach(child => this.collectRenderers(child, key, results));
+      return;
+    }
+
+    Object.keys(node).forEach((childKey) => {
+      if (childKey === key) {
+        results.push(node[childKey]);
+      } else {
+        this.collectRenderers(node[childKey], key, results);
+      }
+    });
+  }
+
+  /**
+   * Map over items with a bounded number of concurrent calls, keeping order
+   * @param {Array} items - Items to map
+   * @param {number} limit - Maximum concurrent calls
+   * @param {Function} fn - Async mapper
+   * @returns {Promise<Array>} Mapped results
+   */
+  async mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
   }
 }
 
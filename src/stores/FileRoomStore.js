@@ -0,0 +1,93 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('../utils/Logger');
+
+/**
+ * File-backed room store. Each room is written to its own JSON file
+ * inside the data directory so a single corrupt file only loses one room.
+ */
+class FileRoomStore {
+  constructor(dataDir) {
+    this.dataDir = path.resolve(dataDir);
+    this.writeCount = 0; // Gives every write its own temp file
+    this.logger = new Logger('FileRoomStore');
+  }
+
+  /**
+   * Get the file path for a room
+   * @param {string} roomId - Room identifier
+   * @returns {string} Absolute file path
+   */
+  getFilePath(roomId) {
+    return path.join(this.dataDir, `${encodeURIComponent(roomId)}.json`);
+  }
+
+  /**
+   * Load every saved room snapshot
+   * @returns {Promise<Array>} Array of serialized rooms
+   */
+  async loadAll() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    const files = await fs.readdir(this.dataDir);
+    const rooms = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const content = await fs.readFile(path.join(this.dataDir, file), 'utf8');
+        rooms.push(JSON.parse(content));
+      } catch (error) {
+        this.logger.warn(`Skipping unreadable room file: ${file}`, { error: error.message });
+      }
+    }
+
+    return rooms;
+  }
+
+  /**
+   * Load a single room snapshot
+   * @param {string} roomId - Room identifier
+   * @returns {Promise<Object|null>} Serialized room or null
+   */
+  async load(roomId) {
+    try {
+      const content = await fs.readFile(this.getFilePath(roomId), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Skipping unreadable room file: ${roomId}`, { error: error.message });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Save a room snapshot (written to a temp file first, then renamed)
+   * @param {string} roomId - Room identifier
+   * @param {Object} data - Serialized room
+   */
+  async save(roomId, data) {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    const filePath = this.getFilePath(roomId);
+    // Unique per write, so overlapping saves of one room can't clobber each other's temp file
+    const tempPath = `${filePath}.${process.pid}.${++this.writeCount}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(data), 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Delete a room snapshot
+   * @param {string} roomId - Room identifier
+   */
+  async delete(roomId) {
+    try {
+      await fs.unlink(this.getFilePath(roomId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = FileRoomStore;
@@ -0,0 +1,173 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Shared backing data for MemoryRedisClient instances. Clients created
+ * with the same server see the same keys and pub/sub messages, like
+ * separate connections to one Redis server.
+ */
+class MemoryRedisServer extends EventEmitter {
+  constructor() {
+    super();
+    this.values = new Map(); // key -> { value, expiresAt }
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Get a live entry, dropping it if it has expired
+   * @param {string} key - Key name
+   * @returns {Object|null} Entry or null
+   */
+  getEntry(key) {
+    const entry = this.values.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.values.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+}
+
+const defaultServer = new MemoryRedisServer();
+
+/**
+ * Local stand-in for an ioredis client. Implements only the commands the
+ * room store and cluster service use, with the same promise-based API.
+ */
+class MemoryRedisClient extends EventEmitter {
+  constructor(server = defaultServer) {
+    super();
+    this.server = server;
+    this.channels = new Set();
+    this.handleMessage = (channel, message) => {
+      if (this.channels.has(channel)) {
+        this.emit('message', channel, message);
+      }
+    };
+  }
+
+  /**
+   * GET key
+   */
+  async get(key) {
+    const entry = this.server.getEntry(key);
+    return entry && typeof entry.value === 'string' ? entry.value : null;
+  }
+
+  /**
+   * SET key value [PX ms] [NX|XX]
+   */
+  async set(key, value, ...args) {
+    const options = args.map(arg => (typeof arg === 'string' ? arg.toUpperCase() : arg));
+    const exists = !!this.server.getEntry(key);
+
+    if (options.includes('NX') && exists) return null;
+    if (options.includes('XX') && !exists) return null;
+
+    const pxIndex = options.indexOf('PX');
+    const expiresAt = pxIndex !== -1 ? Date.now() + Number(options[pxIndex + 1]) : null;
+
+    this.server.values.set(key, { value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  /**
+   * DEL key [key ...]
+   */
+  async del(...keys) {
+    let removed = 0;
+    keys.forEach(key => {
+      if (this.server.getEntry(key)) {
+        this.server.values.delete(key);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * SADD key member [member ...]
+   */
+  async sadd(key, ...members) {
+    const entry = this.server.getEntry(key) || { value: new Set(), expiresAt: null };
+    const sizeBefore = entry.value.size;
+    members.forEach(member => entry.value.add(String(member)));
+    this.server.values.set(key, entry);
+    return entry.value.size - sizeBefore;
+  }
+
+  /**
+   * SREM key member [member ...]
+   */
+  async srem(key, ...members) {
+    const entry = this.server.getEntry(key);
+    if (!entry) return 0;
+
+    let removed = 0;
+    members.forEach(member => {
+      if (entry.value.delete(String(member))) removed++;
+    });
+    return removed;
+  }
+
+  /**
+   * SMEMBERS key
+   */
+  async smembers(key) {
+    const entry = this.server.getEntry(key);
+    return entry ? Array.from(entry.value) : [];
+  }
+
+  /**
+   * PUBLISH channel message
+   */
+  async publish(channel, message) {
+    const receivers = this.server.listenerCount('message');
+    this.server.emit('message', channel, String(message));
+    return receivers;
+  }
+
+  /**
+   * SUBSCRIBE channel [channel ...] (messages arrive as 'message' events)
+   */
+  async subscribe(...channels) {
+    if (this.channels.size === 0) {
+      this.server.on('message', this.handleMessage);
+    }
+    channels.forEach(channel => this.channels.add(channel));
+    return this.channels.size;
+  }
+
+  /**
+   * UNSUBSCRIBE channel [channel ...]
+   */
+  async unsubscribe(...channels) {
+    channels.forEach(channel => this.channels.delete(channel));
+    if (this.channels.size === 0) {
+      this.server.off('message', this.handleMessage);
+    }
+    return this.channels.size;
+  }
+
+  /**
+   * Create another connection to the same server
+   */
+  duplicate() {
+    return new MemoryRedisClient(this.server);
+  }
+
+  /**
+   * Close the connection
+   */
+  async quit() {
+    this.server.off('message', this.handleMessage);
+    this.channels.clear();
+    return 'OK';
+  }
+}
+
+MemoryRedisClient.MemoryRedisServer = MemoryRedisServer;
+
+module.exports = MemoryRedisClient;
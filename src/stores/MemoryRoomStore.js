@@ -0,0 +1,46 @@
+/**
+ * In-memory room store. Keeps serialized room snapshots in a Map,
+ * which makes it suitable for tests and throwaway development servers.
+ */
+class MemoryRoomStore {
+  constructor() {
+    this.rooms = new Map();
+  }
+
+  /**
+   * Load every saved room snapshot
+   * @returns {Promise<Array>} Array of serialized rooms
+   */
+  async loadAll() {
+    return Array.from(this.rooms.values()).map(data => JSON.parse(JSON.stringify(data)));
+  }
+
+  /**
+   * Load a single room snapshot
+   * @param {string} roomId - Room identifier
+   * @returns {Promise<Object|null>} Serialized room or null
+   */
+  async load(roomId) {
+    const data = this.rooms.get(roomId);
+    return data ? JSON.parse(JSON.stringify(data)) : null;
+  }
+
+  /**
+   * Save a room snapshot
+   * @param {string} roomId - Room identifier
+   * @param {Object} data - Serialized room
+   */
+  async save(roomId, data) {
+    this.rooms.set(roomId, JSON.parse(JSON.stringify(data)));
+  }
+
+  /**
+   * Delete a room snapshot
+   * @param {string} roomId - Room identifier
+   */
+  async delete(roomId) {
+    this.rooms.delete(roomId);
+  }
+}
+
+module.exports = MemoryRoomStore;
@@ -0,0 +1,91 @@
+const Logger = require('../utils/Logger');
+
+/**
+ * Redis-backed room store shared by every server instance. Works with
+ * ioredis or any client exposing the same commands (see MemoryRedisClient).
+ * The namespace lets other records (e.g. saved playlists) reuse the store
+ * under their own keys.
+ */
+class RedisRoomStore {
+  constructor(client, keyPrefix = 'listen-together:', namespace = 'room') {
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+    this.namespace = namespace;
+    this.logger = new Logger('RedisRoomStore');
+  }
+
+  /**
+   * Get the key holding a room snapshot
+   * @param {string} roomId - Room identifier
+   * @returns {string} Redis key
+   */
+  roomKey(roomId) {
+    return `${this.keyPrefix}${this.namespace}:${roomId}`;
+  }
+
+  /**
+   * Get the key of the set listing all stored rooms
+   * @returns {string} Redis key
+   */
+  indexKey() {
+    return `${this.keyPrefix}${this.namespace}s`;
+  }
+
+  /**
+   * Load every saved room snapshot
+   * @returns {Promise<Array>} Array of serialized rooms
+   */
+  async loadAll() {
+    const roomIds = await this.client.smembers(this.indexKey());
+    const rooms = [];
+
+    for (const roomId of roomIds) {
+      const data = await this.load(roomId);
+      if (data) {
+        rooms.push(data);
+      } else {
+        await this.client.srem(this.indexKey(), roomId);
+      }
+    }
+
+    return rooms;
+  }
+
+  /**
+   * Load a single room snapshot
+   * @param {string} roomId - Room identifier
+   * @returns {Promise<Object|null>} Serialized room or null
+   */
+  async load(roomId) {
+    const content = await this.client.get(this.roomKey(roomId));
+    if (!content) return null;
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      this.logger.warn(`Skipping unreadable room snapshot: ${roomId}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Save a room snapshot
+   * @param {string} roomId - Room identifier
+   * @param {Object} data - Serialized room
+   */
+  async save(roomId, data) {
+    await this.client.set(this.roomKey(roomId), JSON.stringify(data));
+    await this.client.sadd(this.indexKey(), roomId);
+  }
+
+  /**
+   * Delete a room snapshot
+   * @param {string} roomId - Room identifier
+   */
+  async delete(roomId) {
+    await this.client.del(this.roomKey(roomId));
+    await this.client.srem(this.indexKey(), roomId);
+  }
+}
+
+module.exports = RedisRoomStore;
@@ -0,0 +1,54 @@
+const MemoryRoomStore = require('./MemoryRoomStore');
+const FileRoomStore = require('./FileRoomStore');
+const RedisRoomStore = require('./RedisRoomStore');
+const MemoryRedisClient = require('./MemoryRedisClient');
+
+/**
+ * Create a Redis client for a URL. `memory://` gives an in-process
+ * stand-in so cluster mode can run without a Redis server.
+ * @param {string} url - Redis connection URL
+ * @returns {Object} ioredis client or MemoryRedisClient
+ */
+function createRedisClient(url) {
+  if (url.startsWith('memory://')) {
+    return new MemoryRedisClient();
+  }
+
+  const Redis = require('ioredis');
+  return new Redis(url);
+}
+
+/**
+ * Create a room store for the configured driver
+ * @param {Object} options - Persistence configuration
+ * @param {string} options.driver - 'file', 'memory' or 'redis'
+ * @param {string} options.dataDir - Directory for the file driver
+ * @param {Object} options.redisClient - Client for the redis driver
+ * @param {string} options.keyPrefix - Key prefix for the redis driver
+ * @param {string} options.namespace - Record type for the redis driver (default 'room')
+ * @returns {MemoryRoomStore|FileRoomStore|RedisRoomStore} Room store instance
+ */
+function createRoomStore(options = {}) {
+  switch (options.driver) {
+    case 'memory':
+      return new MemoryRoomStore();
+    case 'file':
+      return new FileRoomStore(options.dataDir);
+    case 'redis':
+      if (!options.redisClient) {
+        throw new Error('The redis room store requires a Redis client');
+      }
+      return new RedisRoomStore(options.redisClient, options.keyPrefix, options.namespace);
+    default:
+      throw new Error(`Unknown room store driver: ${options.driver}`);
+  }
+}
+
+module.exports = {
+  createRoomStore,
+  createRedisClient,
+  MemoryRoomStore,
+  FileRoomStore,
+  RedisRoomStore,
+  MemoryRedisClient
+};
@@ -0,0 +1,65 @@
+/**
+ * Circuit breaker for calls to an external service. After `failureThreshold`
+ * consecutive failures the circuit opens and calls are refused for
+ * `cooldownMs`; then a single trial call is let through (half-open), which
+ * closes the circuit on success or reopens it on failure.
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - { failureThreshold, cooldownMs }
+   */
+  constructor({ failureThreshold = 5, cooldownMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openUntil = 0;    // While in the future, calls are refused
+    this.trialPending = false;
+  }
+
+  /**
+   * Check whether a call may go ahead, claiming the trial call when half-open
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if the call may be made
+   */
+  allowRequest(now = Date.now()) {
+    if (this.failures < this.failureThreshold) return true;
+    if (now < this.openUntil || this.trialPending) return false;
+
+    this.trialPending = true;
+    return true;
+  }
+
+  /**
+   * Record a successful call, closing the circuit
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.openUntil = 0;
+    this.trialPending = false;
+  }
+
+  /**
+   * Record a failed call, opening the circuit once the threshold is reached
+   * @param {number} now - Current time in ms
+   */
+  recordFailure(now = Date.now()) {
+    this.failures += 1;
+    this.trialPending = false;
+
+    if (this.failures >= this.failureThreshold) {
+      this.openUntil = now + this.cooldownMs;
+    }
+  }
+
+  /**
+   * Current state, for logs and health checks
+   * @param {number} now - Current time in ms
+   * @returns {string} 'closed', 'open' or 'half-open'
+   */
+  getState(now = Date.now()) {
+    if (this.failures < this.failureThreshold) return 'closed';
+    return now < this.openUntil ? 'open' : 'half-open';
+  }
+}
+
+module.exports = CircuitBreaker;
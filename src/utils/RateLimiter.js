@@ -0,0 +1,62 @@
+/**
+ * Sliding-window rate limiter keyed by an arbitrary string (e.g. socket ID).
+ * Keys with no events left in the window are dropped, so keys that are
+ * never removed explicitly (e.g. client addresses) don't pile up.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - { maxEvents, windowMs }
+   */
+  constructor({ maxEvents = 5, windowMs = 5000 } = {}) {
+    this.maxEvents = maxEvents;
+    this.windowMs = windowMs;
+    this.events = new Map(); // key -> timestamps inside the window
+    this.lastPrune = 0;
+  }
+
+  /**
+   * Record an event if the key is under its limit
+   * @param {string} key - Rate limit key
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if allowed, false if the limit is reached
+   */
+  consume(key, now = Date.now()) {
+    if (now - this.lastPrune >= this.windowMs) {
+      this.prune(now);
+    }
+
+    const recent = (this.events.get(key) || []).filter(time => now - time < this.windowMs);
+
+    if (recent.length >= this.maxEvents) {
+      this.events.set(key, recent);
+      return false;
+    }
+
+    recent.push(now);
+    this.events.set(key, recent);
+    return true;
+  }
+
+  /**
+   * Forget the keys whose events have all left the window
+   * @param {number} now - Current time in ms
+   */
+  prune(now = Date.now()) {
+    for (const [key, times] of this.events) {
+      if (times.length === 0 || now - times[times.length - 1] >= this.windowMs) {
+        this.events.delete(key);
+      }
+    }
+    this.lastPrune = now;
+  }
+
+  /**
+   * Forget a key (e.g. when its socket disconnects)
+   * @param {string} key - Rate limit key
+   */
+  remove(key) {
+    this.events.delete(key);
+  }
+}
+
+module.exports = RateLimiter;
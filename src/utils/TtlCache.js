@@ -0,0 +1,57 @@
+/**
+ * Size-bounded cache whose entries expire after a fixed time. When full,
+ * the least recently used entry is evicted.
+ */
+class TtlCache {
+  /**
+   * @param {Object} options - { maxEntries, ttlMs }
+   */
+  constructor({ maxEntries = 1000, ttlMs = 60 * 60 * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // key -> { value, expiresAt }, least recently used first
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @param {number} now - Current time in ms
+   * @returns {*} Cached value, or undefined if missing or expired
+   */
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= now) return undefined;
+
+    // Re-insert to mark as most recently used
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Cache a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {number} now - Current time in ms
+   */
+  set(key, value, now = Date.now()) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: now + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Number of entries, including expired ones not yet evicted
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = TtlCache;